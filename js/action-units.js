@@ -0,0 +1,244 @@
+/* ============================================
+   ACTION UNITS - FACS AU intensity estimation
+   Derives per-frame Action Unit intensities (0-1)
+   from landmark geometry, relative to the subject's
+   own neutral baseline. Works on Procrustes-aligned
+   shapes (landmark-alignment.js), so every distance
+   is in face-size % and head motion is removed.
+
+   Geometric approximations of FACS, not a certified
+   coder: each AU is one or two landmark distances
+   compared with the subject's neutral face.
+   ============================================ */
+
+import { timeWindows } from './frame-timing.js';
+
+export const ACTION_UNITS = {
+    AU1: 'Inner brow raiser',
+    AU2: 'Outer brow raiser',
+    AU4: 'Brow lowerer',
+    AU5: 'Upper lid raiser',
+    AU6: 'Cheek raiser',
+    AU7: 'Lid tightener',
+    AU9: 'Nose wrinkler',
+    AU12: 'Lip corner puller',
+    AU15: 'Lip corner depressor',
+    AU20: 'Lip stretcher',
+    AU23: 'Lip tightener',
+    AU25: 'Lips part',
+    AU26: 'Jaw drop'
+};
+
+export const AU_KEYS = Object.keys(ACTION_UNITS);
+
+// Intensity at or above which an AU counts as active (≈ FACS "A"/trace)
+export const AU_ACTIVE = 0.2;
+
+// Change from neutral (face-size %) that reads as full intensity
+const FULL_SCALE = {
+    AU1: 20, AU2: 20, AU4: 22, AU5: 4.5, AU6: 8, AU7: 5, AU9: 8,
+    AU12: 20, AU15: 12, AU20: 10, AU23: 6, AU25: 25, AU26: 22
+};
+
+export const AU_DEFAULTS = {
+    baselineMs: 3000   // neutral baseline = mean geometry over the subject's first 3 s (unless one is chosen)
+};
+
+const mean = (pts, idx, axis) => idx.reduce((s, i) => s + pts[i][axis], 0) / idx.length;
+const clamp01 = v => Math.min(1, Math.max(0, v));
+
+/**
+ * Geometry features of one aligned shape (image y down, face-size %)
+ * @param {Array} p - 68 aligned points
+ * @returns {object} Named distances used by the AU formulas
+ */
+export function measureFaceGeometry(p) {
+    const eyeLine = mean(p, [36, 39, 42, 45], 'y');
+    return {
+        innerBrow: eyeLine - mean(p, [20, 21, 22, 23], 'y'),
+        outerBrow: eyeLine - mean(p, [17, 18, 25, 26], 'y'),
+        brow: eyeLine - mean(p, [17, 18, 19, 20, 21, 22, 23, 24, 25, 26], 'y'),
+        browGap: p[22].x - p[21].x,
+        upperLid: eyeLine - mean(p, [37, 38, 43, 44], 'y'),
+        lowerLid: mean(p, [40, 41, 46, 47], 'y') - eyeLine,
+        nose: p[33].y - p[27].y,
+        upperLip: mean(p, [50, 51, 52], 'y') - p[33].y,
+        cornerHeight: mean(p, [48, 54], 'y') - p[33].y,
+        cornerDrop: mean(p, [48, 54], 'y') - mean(p, [62, 66], 'y'),
+        mouthWidth: p[54].x - p[48].x,
+        lipThickness: (p[62].y - p[51].y) + (p[57].y - p[66].y),
+        lipGap: p[66].y - p[62].y,
+        jaw: p[8].y - p[33].y
+    };
+}
+
+/**
+ * AU intensities from geometry deltas against a neutral baseline
+ * @returns {object} { AU1: 0-1, ... }
+ */
+export function actionUnitsFrom(geometry, baseline) {
+    const d = {};
+    Object.keys(geometry).forEach(k => { d[k] = geometry[k] - baseline[k]; });
+    const raise = Math.max(0, -d.cornerHeight);
+    // Lower lid rising without the upper lid closing to meet it (a blink moves both)
+    const lidRaise = -d.lowerLid + Math.min(0, d.upperLid);
+
+    const raw = {
+        AU1: d.innerBrow,
+        AU2: d.outerBrow,
+        AU4: -d.brow - d.browGap * 0.5,
+        AU5: d.upperLid,
+        AU6: (lidRaise + raise) * 0.5,
+        AU7: lidRaise,
+        AU9: -d.nose - d.upperLip,
+        AU12: raise + d.mouthWidth * 0.3,
+        AU15: d.cornerDrop,
+        AU20: d.mouthWidth - raise * 1.5,
+        AU23: -d.lipThickness,
+        AU25: d.lipGap,
+        AU26: d.jaw
+    };
+
+    const units = {};
+    AU_KEYS.forEach(k => { units[k] = Math.round(clamp01(raw[k] / FULL_SCALE[k]) * 100) / 100; });
+    return units;
+}
+
+/**
+ * Mean geometry of a set of aligned shapes (a neutral face), or null for none
+ * @param {Array} shapes - Arrays of 68 aligned points
+ */
+export function meanGeometry(shapes) {
+    if (shapes.length === 0) return null;
+    const sum = {};
+    shapes.forEach(points => {
+        const g = measureFaceGeometry(points);
+        Object.keys(g).forEach(k => { sum[k] = (sum[k] || 0) + g[k]; });
+    });
+    return Object.fromEntries(Object.keys(sum).map(k => [k, Math.round(sum[k] / shapes.length * 100) / 100]));
+}
+
+/**
+ * Per-subject AU stream: averages the baseline window, then scores every
+ * frame against it (frames inside the window score against the running mean).
+ * The window is the first baselineMs, a chosen one (beginNeutral … freeze) or
+ * a known neutral face (useNeutral).
+ */
+export class ActionUnitEstimator {
+    constructor(options = {}) {
+        this.options = { ...AU_DEFAULTS, ...options };
+        this.reset();
+    }
+
+    /**
+     * @param {Array} points - Aligned shape points (ShapeAligner.align().points)
+     * @param {number} t - Frame time in ms
+     * @returns {object} { AU1: 0-1, ... }
+     */
+    update(points, t) {
+        const geometry = measureFaceGeometry(points);
+
+        if (this.startTime === null) this.startTime = t;
+        if (!this.baselineReady) {
+            if (!this.sum) this.sum = Object.fromEntries(Object.keys(geometry).map(k => [k, 0]));
+            Object.keys(geometry).forEach(k => { this.sum[k] += geometry[k]; });
+            this.count++;
+            this.baseline = Object.fromEntries(Object.keys(this.sum).map(k => [k, this.sum[k] / this.count]));
+            if (!this.collecting && t - this.startTime >= this.options.baselineMs) this.baselineReady = true;
+        }
+        return actionUnitsFrom(geometry, this.baseline);
+    }
+
+    /**
+     * AU intensities of a shape against the current neutral face
+     * @returns {object|null} null before any neutral frame was seen
+     */
+    score(points) {
+        return this.baseline ? actionUnitsFrom(measureFaceGeometry(points), this.baseline) : null;
+    }
+
+    /**
+     * Average the neutral face from the next frame until freeze()
+     * @param {*} from - Identifies the window (kept as neutralFrom)
+     */
+    beginNeutral(from) {
+        this.reset();
+        this.collecting = true;
+        this.neutralFrom = from;
+    }
+
+    /**
+     * Close a beginNeutral() window; with no frames in it the first-baselineMs
+     * rule starts over
+     * @returns {boolean} true when the neutral face came from the window
+     */
+    freeze() {
+        this.collecting = false;
+        if (this.count === 0) return false;
+        this.baselineReady = true;
+        return true;
+    }
+
+    /**
+     * Score against a known neutral face (e.g. a saved baseline's neutralGeometry)
+     * @param {object} geometry - measureFaceGeometry() / meanGeometry() result
+     * @param {*} from - Identifies the source (kept as neutralFrom)
+     */
+    useNeutral(geometry, from) {
+        this.reset();
+        this.baseline = { ...geometry };
+        this.baselineReady = true;
+        this.neutralFrom = from;
+    }
+
+    reset() {
+        this.baseline = null;
+        this.baselineReady = false;
+        this.sum = null;
+        this.count = 0;
+        this.startTime = null;
+        this.collecting = false;
+        this.neutralFrom = null;
+    }
+}
+
+/**
+ * Per-AU totals over frames carrying `actionUnits`
+ * @returns {Array} [{ unit, name, activePercent, peak, activations }] in AU order
+ */
+export function summarizeActionUnits(frames) {
+    const scored = frames.filter(f => f.actionUnits);
+    return AU_KEYS.map(unit => {
+        let active = 0, peak = 0, activations = 0, wasActive = false;
+        scored.forEach(f => {
+            const v = f.actionUnits[unit];
+            const isActive = v >= AU_ACTIVE;
+            if (isActive) active++;
+            if (isActive && !wasActive) activations++;
+            wasActive = isActive;
+            peak = Math.max(peak, v);
+        });
+        return {
+            unit,
+            name: ACTION_UNITS[unit],
+            activePercent: scored.length > 0 ? Math.round((active / scored.length) * 100) : 0,
+            peak,
+            activations
+        };
+    });
+}
+
+/**
+ * Mean AU intensities per time window
+ * @param {number} offsetSec - Added to each window's start (seconds since scan start)
+ * @returns {Array} [{ timeSeconds, units: { AU1: 0-1, ... } }]
+ */
+export function actionUnitTimeline(frames, seconds = 1, offsetSec = 0) {
+    return timeWindows(frames.filter(f => f.actionUnits), seconds).map(({ timeSeconds, frames: chunk }) => {
+        const units = {};
+        AU_KEYS.forEach(k => {
+            units[k] = Math.round(chunk.reduce((s, f) => s + f.actionUnits[k], 0) / chunk.length * 100) / 100;
+        });
+        return { timeSeconds: Math.round(timeSeconds + offsetSec), units };
+    });
+}
@@ -0,0 +1,95 @@
+/* ============================================
+   ANALYSIS WORKER - Off-main-thread inference
+   Receives video frames as ImageBitmaps, runs
+   face-api on an OffscreenCanvas and the scan
+   pipeline on the result, and posts back face
+   records, person IDs and live scores only.
+   Protocol: { id, type: init|configure|start|frame|baseline|lock|question|complete }
+   → { id, result } or { id, error }.
+   ============================================ */
+
+import * as faceapi from 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/dist/face-api.esm.js';
+import { LocalFrameAnalyzer } from './frame-analyzer.js';
+
+// face-api's DOM helpers need canvas constructors that exist in a worker
+faceapi.env.monkeyPatch({
+    Canvas: OffscreenCanvas,
+    createCanvasElement: () => new OffscreenCanvas(1, 1),
+    ImageData
+});
+
+let analyzer = null;
+let canvas = null;
+let canvasCtx = null;
+
+const handlers = {
+    async init({ options }) {
+        // Without WebGL in the worker tfjs would drop to the CPU backend,
+        // which is slower than main-thread WebGL — let the page fall back instead
+        if (!(await faceapi.tf.setBackend('webgl'))) throw new Error('WebGL unavailable in worker');
+        await faceapi.tf.ready();
+
+        analyzer = new LocalFrameAnalyzer(faceapi, options);
+        await analyzer.init();
+        return { backend: faceapi.tf.getBackend() };
+    },
+
+    configure({ settings, profile }) {
+        return analyzer.configure(settings, profile);
+    },
+
+    start({ mode, reid }) {
+        return analyzer.start(mode, { reid });
+    },
+
+    async frame({ bitmap, t, vsaQuick }) {
+        if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+            canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            canvasCtx = canvas.getContext('2d');
+        }
+        canvasCtx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const { faces, frame, live } = await analyzer.analyze(canvas, t, vsaQuick);
+        return {
+            faces,
+            personIds: frame.personIds,
+            quality: frame.quality,
+            subjectIndex: frame.detections.indexOf(frame.subject),
+            metrics: frame.metrics,
+            subjectLock: frame.subjectLock,
+            live
+        };
+    },
+
+    baseline({ spec }) {
+        return analyzer.setBaseline(spec);
+    },
+
+    lock({ point }) {
+        return analyzer.lockSubject(point);
+    },
+
+    question({ label, type }) {
+        return analyzer.markQuestion(label, type);
+    },
+
+    complete({ voiceReport }) {
+        return analyzer.complete(voiceReport);
+    }
+};
+
+// Messages are handled strictly in order so frames reach the pipeline in capture order
+let queue = Promise.resolve();
+
+self.onmessage = (e) => {
+    const { id, type, ...payload } = e.data;
+    queue = queue.then(async () => {
+        try {
+            const result = await handlers[type](payload);
+            self.postMessage({ id, result });
+        } catch (err) {
+            self.postMessage({ id, error: err.message || String(err) });
+        }
+    });
+};
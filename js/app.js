@@ -5,12 +5,29 @@
    DECEPTION INTERVIEW (single-person)
    ============================================ */
 
+import { VoiceStressEngine } from './voice-stress-engine.js';
+import { createFrameAnalyzer } from './frame-analyzer.js';
+import { SessionRecorder, parseSession } from './session-recorder.js';
+import { replaySession } from './session-replay.js';
+import { ThreatEngine } from './threat-engine.js';
+import { DeceptionEngine } from './deception-engine.js';
+import { estimateHeadPose, poseAxes } from './head-pose.js';
+import { AU_ACTIVE } from './action-units.js';
+import { BASELINE_PHASE, promptAt, findSavedBaseline, saveBaseline } from './baseline.js';
+import { parseQuestionList } from './interview-questions.js';
+import { parseProtocol, listProtocol, scriptQuestion } from './interview-protocol.js';
+import { BUILTIN_PROFILES, findProfile, parseProfile, serializeProfile, loadCustomProfiles, saveCustomProfiles } from './scoring-profiles.js';
+import { loadSettings, saveSettings, normalizeSettings, applyThreatSettings, DEFAULT_SETTINGS } from './settings.js';
+import { IndicatorStabilizer } from './live-smoothing.js';
+import { SPECTRUM_DEFAULTS, VIBRATION_BANDS } from './vibration-spectrum.js';
+
 // ── DOM Elements ──
 const video = document.getElementById('video');
 const overlay = document.getElementById('overlay');
 const ctx = overlay.getContext('2d');
 const realtimeChart = document.getElementById('realtimeChart');
 const rtCtx = realtimeChart.getContext('2d');
+const chartViewSelect = document.getElementById('chartView');
 
 const btnStart = document.getElementById('btnStart');
 const btnStop = document.getElementById('btnStop');
@@ -25,11 +42,24 @@ const timerValue = document.getElementById('timerValue');
 const progressFill = document.getElementById('progressFill');
 const resultsPanel = document.getElementById('resultsPanel');
 const modeModal = document.getElementById('modeModal');
+const reidToggle = document.getElementById('reidToggle');
 const durationModal = document.getElementById('durationModal');
 const durationBtns = document.querySelectorAll('.duration-btn');
 const personsDetectedEl = document.getElementById('personsDetected');
 const personChipsEl = document.getElementById('personChips');
 const modeBadge = document.getElementById('modeBadge');
+const sessionInput = document.getElementById('sessionInput');
+const settingsModal = document.getElementById('settingsModal');
+const btnMarkBaseline = document.getElementById('btnMarkBaseline');
+const btnSaveBaseline = document.getElementById('btnSaveBaseline');
+const baselineModeSelect = document.getElementById('baselineMode');
+const subjectNameInput = document.getElementById('subjectName');
+const baselinePanel = document.getElementById('baselinePanel');
+const btnQuestion = document.getElementById('btnQuestion');
+const btnAnswered = document.getElementById('btnAnswered');
+const questionPanel = document.getElementById('questionPanel');
+const questionListInput = document.getElementById('questionList');
+const protocolStatus = document.getElementById('protocolStatus');
 
 // ── State ──
 let running = false;
@@ -38,32 +68,58 @@ let modelLoaded = false;
 let currentMode = null; // 'detection' or 'deception'
 let scanDuration = 60;
 let scanStartTime = null;
+let interviewStartTime = null; // timer origin: scan start, or the end of a recorded baseline
+let baselinePhaseEnd = null;   // performance.now() when the recorded baseline phase ends
+let subjectLockId = null;      // track ID of the locked deception subject, null = largest face
+let statusBeforeLost = null;   // status bar shown before the locked subject was lost
+let baselineSpec = null;       // current baseline window (see DeceptionEngine.setBaseline)
+let loadedProtocol = null;     // interview script from a JSON file (see interview-protocol.js)
+let questionScript = listProtocol([]); // script for this interview: the protocol, or the typed list
+let questionCount = 0;         // questions asked so far
+let questionOpen = false;      // the latest question is still being answered
+let questionAnswerEnd = null;  // performance.now() when a timed answer is marked answered
+let questionReadyAt = null;    // performance.now() when the script's pause before the next question ends
+let lastReport = null;
 let facingMode = 'user';
 let scanType = 'Live';
 let frameCount = 0;
 let pendingUpload = false; // true when upload is waiting for mode selection
 let pendingUploadDeception = false; // true when deception upload needs duration then file picker
 
-// Vibration metrics state
-let lastLandmarks = null;
-let peakCount = 0;
-let lastPeakTime = 0;
-let lastVibration = 0;
-let vibrationHistory = [];
+// Realtime chart data
 let vibrationData = [];
-const ENERGY_CONSTANT = 0.001;
+let liveSpectrum = null;       // latest vibration metrics with a spectrum, for the spectrum chart
+
+// User settings (sensitivity, thresholds, alert trigger, detector confidence, profile)
+let settings = loadSettings();
+
+// Scoring profiles: built-ins plus any imported on this device
+let customProfiles = loadCustomProfiles();
+let activeProfile = findProfile(settings.profile, customProfiles);
 
-// Engines
-const threatEngine = new ThreatEngine();
-const neuroAnalyzer = new NeuroAnalyzer();
-const deceptionEngine = new DeceptionEngine();
+// Face inference + engine scoring (Web Worker where supported, see frame-analyzer.js).
+// Voice analysis needs the AudioContext and stays on the main thread.
+let analyzer = null;
 const voiceStressEngine = new VoiceStressEngine();
 let micPermissionGranted = false;
 let vsaAvailable = false;
 
-// Person tracking
-let personTracker = new Map();
-let nextPersonId = 1;
+// Person IDs with an active threat alert (cleared when their score drops)
+const alertedPersons = new Set();
+
+// Smoothed scores and latched levels for everything shown live (not the report)
+const liveStabilizer = new IndicatorStabilizer(settings.smoothing);
+
+// Frame currently being analyzed; a scan completes only after it lands
+let pendingAnalysis = null;
+// Scan moving off a failed worker (resumeOnMainThread); completion waits for it too
+let pendingResume = null;
+
+// Session recording
+const sessionRecorder = new SessionRecorder();
+
+// Re-identification (detection mode, opt-in: the recognition net costs extra per-frame inference)
+let reidActive = false;
 
 // ── Utility ──
 function setStatus(msg, type) {
@@ -71,6 +127,10 @@ function setStatus(msg, type) {
     statusBar.className = 'status-bar ' + type;
 }
 
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 function formatTimer(ms) {
     const totalSec = Math.max(0, Math.ceil(ms / 1000));
     const min = Math.floor(totalSec / 60);
@@ -79,13 +139,13 @@ function formatTimer(ms) {
 }
 
 // ── Model Loading ──
+const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/';
+
 async function loadModels() {
     setStatus('Loading face detection models...', 'loading');
     try {
-        const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/';
-        await faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL);
-        await faceapi.nets.faceLandmark68TinyNet.loadFromUri(MODEL_URL);
-        await faceapi.nets.faceExpressionNet.loadFromUri(MODEL_URL);
+        analyzer = await createFrameAnalyzer(faceapi, { modelUrl: MODEL_URL, scoreThreshold: settings.scoreThreshold });
+        await analyzer.configure(settings, activeProfile);
         modelLoaded = true;
         btnStart.disabled = false;
         btnUpload.disabled = false;
@@ -96,6 +156,67 @@ async function loadModels() {
     }
 }
 
+// The worker failed: later frames and scans run on the main thread.
+// Returns false when the main-thread analyzer could not load either.
+async function fallBackToMainThread() {
+    btnStart.disabled = true;
+    btnUpload.disabled = true;
+    try {
+        const local = await createFrameAnalyzer(faceapi, { worker: false, modelUrl: MODEL_URL, scoreThreshold: settings.scoreThreshold });
+        await local.configure(settings, activeProfile);
+        analyzer.terminate();
+        analyzer = local;
+        return true;
+    } catch (err) {
+        console.error('Main-thread analyzer failed:', err);
+        setStatus('Analyzer error: ' + err.message, 'error');
+        return false;
+    } finally {
+        btnStart.disabled = running;
+        btnUpload.disabled = running;
+    }
+}
+
+// A frame failed in the worker mid-scan: move the scan to the main thread right
+// away; stop the scan (scored from the recording) if that fails too
+async function resumeOnMainThread(err) {
+    console.error('Analysis worker failed mid-scan:', err);
+    setStatus('Analysis worker failed — moving the scan to the main thread...', 'loading');
+    pendingResume = moveScanToMainThread();
+    const resumed = await pendingResume;
+    pendingResume = null;
+    if (!running) return;
+    if (resumed) setStatus('Analysis worker failed — the scan continues on the main thread.', 'scanning');
+    else completeScan();
+}
+
+// Main-thread analyzer, re-scoring the frames and marks recorded so far
+async function moveScanToMainThread() {
+    if (!await fallBackToMainThread()) return false;
+    try {
+        const started = await analyzer.resume(sessionRecorder.toSession(), sessionRecorder.events());
+        reidActive = started.reid;
+        return true;
+    } catch (err) {
+        console.error('Main-thread resume failed:', err);
+        setStatus('Analysis error: ' + err.message, 'error');
+        return false;
+    }
+}
+
+// Reset the analyzer for a new scan; re-ID may load the recognition model first
+async function startAnalyzer() {
+    const wantReId = currentMode === 'detection' && reidToggle.checked;
+    if (wantReId) setStatus('Loading face recognition model...', 'loading');
+    const started = await analyzer.start(currentMode, { reid: wantReId });
+    reidActive = started.reid;
+    alertedPersons.clear();
+    liveStabilizer.reset();
+    liveSpectrum = null;
+    subjectLockId = null;
+    statusBeforeLost = null;
+}
+
 // ── Camera ──
 async function startCamera() {
     if (stream) {
@@ -201,118 +322,102 @@ async function startCamera() {
     return true;
 }
 
-// ── Vibration Metrics ──
-function computeVibrationMetrics(landmarks, now) {
-    if (!lastLandmarks || !landmarks) {
-        lastLandmarks = landmarks;
-        return { vibration: 0, frequency: 0, energy: 0 };
-    }
-
-    const curr = landmarks.positions || landmarks._positions || [];
-    const prev = lastLandmarks.positions || lastLandmarks._positions || [];
-
-    if (curr.length === 0 || prev.length === 0 || curr.length !== prev.length) {
-        lastLandmarks = landmarks;
-        return { vibration: 0, frequency: 0, energy: 0 };
-    }
-
-    let totalDisplacement = 0;
-    for (let i = 0; i < curr.length; i++) {
-        const dx = (curr[i].x || curr[i]._x) - (prev[i].x || prev[i]._x);
-        const dy = (curr[i].y || curr[i]._y) - (prev[i].y || prev[i]._y);
-        totalDisplacement += Math.sqrt(dx * dx + dy * dy);
-    }
-    const vibration = totalDisplacement / curr.length;
-
-    vibrationHistory.push({ t: now, v: vibration });
-    while (vibrationHistory.length > 0 && vibrationHistory[0].t < now - 2000) vibrationHistory.shift();
-
-    if (lastVibration < 0.3 && vibration >= 0.3 && now - lastPeakTime > 100) {
-        peakCount++;
-        lastPeakTime = now;
-    }
-    lastVibration = vibration;
-
-    const frequency = scanStartTime ? (peakCount / ((now - scanStartTime) / 1000)) : 0;
-    const energy = vibration * vibration * Math.max(frequency, 0.1) * ENERGY_CONSTANT * 1000000;
-
-    lastLandmarks = landmarks;
-    return { vibration, frequency: Math.min(frequency, 30), energy };
+// ── Aura Color (AlphaEye-inspired) ──
+// Bands follow the ThreatEngine thresholds from settings, so auras, chips and
+// report badges agree; only the CALM/NORMAL split inside "safe" is fixed here.
+const CALM_BELOW = 15;
+
+const AURAS = {
+    HOSTILE: { color: '#f44336', glow: 'rgba(244,67,54,0.15)', chip: 'critical' },
+    ELEVATED: { color: '#ff9800', glow: 'rgba(255,152,0,0.12)', chip: 'elevated' },
+    STRESSED: { color: '#ffc107', glow: 'rgba(255,193,7,0.10)', chip: 'caution' },
+    NORMAL: { color: '#4caf50', glow: 'rgba(76,175,80,0.08)', chip: 'safe' },
+    CALM: { color: '#42a5f5', glow: 'rgba(66,165,245,0.08)', chip: 'safe' }
+};
+
+// Aura bands, lowest first (levels for IndicatorStabilizer)
+function auraLevels() {
+    const t = settings.thresholds;
+    return [
+        { name: 'CALM', min: 0 },
+        { name: 'NORMAL', min: CALM_BELOW },
+        { name: 'STRESSED', min: t.caution },
+        { name: 'ELEVATED', min: t.elevated },
+        { name: 'HOSTILE', min: t.critical }
+    ];
 }
 
-// ── Person Tracking ──
-function trackPersons(detections) {
-    const unmatched = [...detections];
+function getAuraColor(label) {
+    return { ...AURAS[label], label };
+}
 
-    personTracker.forEach((data, personId) => {
-        let bestMatch = null;
-        let bestDist = Infinity;
+// Live deception overlay bands and their colours
+const DECEPTION_LEVELS = [
+    { name: 'low', min: 0, color: '#4caf50' },
+    { name: 'moderate', min: 30, color: '#ffc107' },
+    { name: 'high', min: 50, color: '#ff9800' },
+    { name: 'strong', min: 70, color: '#f44336' }
+];
+const VOICE_LEVELS = [
+    { name: 'normal', min: 0, color: '#00bcd4' },
+    { name: 'elevated', min: 40, color: '#ff9800' },
+    { name: 'high', min: 70, color: '#f44336' }
+];
+
+// Landmark outlines of each facial region (NeuroAnalyzer.facialRegions) for the vibration heatmap
+const landmarkRange = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+const REGION_PATHS = {
+    brows: [{ points: landmarkRange(17, 21) }, { points: landmarkRange(22, 26) }],
+    eyes: [{ points: landmarkRange(36, 41), closed: true }, { points: landmarkRange(42, 47), closed: true }],
+    nose: [{ points: landmarkRange(27, 30) }, { points: landmarkRange(31, 35) }],
+    mouth: [{ points: landmarkRange(48, 59), closed: true }, { points: landmarkRange(60, 67), closed: true }],
+    jaw: [{ points: landmarkRange(0, 16) }]
+};
+const REGION_HOT = 1.5; // face-size % of region motion drawn fully red
+
+// Smoothed live region vibration, so the heatmap does not flicker
+function smoothRegions(key, regions, t) {
+    if (!regions) return null;
+    return regions.map(r => ({ ...r, vibration: liveStabilizer.score(`region:${key}:${r.region}`, r.vibration, t) }));
+}
 
-        unmatched.forEach((det, idx) => {
-            const box = det.detection.box;
-            const cx = box.x + box.width / 2;
-            const cy = box.y + box.height / 2;
-            const pcx = data.lastBox.x + data.lastBox.width / 2;
-            const pcy = data.lastBox.y + data.lastBox.height / 2;
-            const dist = Math.sqrt((cx - pcx) ** 2 + (cy - pcy) ** 2);
-            if (dist < bestDist && dist < 100) {
-                bestDist = dist;
-                bestMatch = idx;
-            }
+// Each region outlined from green (still) to red (REGION_HOT and above)
+function drawRegionHeat(pts, regions) {
+    if (!regions || pts.length < 68) return;
+    ctx.lineWidth = 4;
+    ctx.lineJoin = 'round';
+    regions.forEach(r => {
+        const heat = Math.min(1, r.vibration / REGION_HOT);
+        ctx.strokeStyle = `hsla(${Math.round(120 - 120 * heat)}, 90%, 55%, ${(0.35 + 0.5 * heat).toFixed(2)})`;
+        REGION_PATHS[r.region].forEach(path => {
+            ctx.beginPath();
+            path.points.forEach((i, n) => {
+                const pt = pts[i];
+                if (n === 0) ctx.moveTo(pt.x || pt._x, pt.y || pt._y);
+                else ctx.lineTo(pt.x || pt._x, pt.y || pt._y);
+            });
+            if (path.closed) ctx.closePath();
+            ctx.stroke();
         });
-
-        if (bestMatch !== null) {
-            const det = unmatched.splice(bestMatch, 1)[0];
-            data.lastBox = det.detection.box;
-            data.lastSeen = Date.now();
-            threatEngine.processFrame(personId, det);
-        }
-    });
-
-    unmatched.forEach(det => {
-        const personId = `P${nextPersonId++}`;
-        personTracker.set(personId, { lastBox: det.detection.box, lastSeen: Date.now() });
-        threatEngine.processFrame(personId, det);
     });
-
-    const now = Date.now();
-    personTracker.forEach((data, personId) => {
-        if (now - data.lastSeen > 3000) personTracker.delete(personId);
-    });
-}
-
-// ── Aura Color (AlphaEye-inspired) ──
-function getAuraColor(threatScore) {
-    if (threatScore >= 75) return { color: '#f44336', label: 'HOSTILE', glow: 'rgba(244,67,54,0.15)' };
-    if (threatScore >= 55) return { color: '#ff9800', label: 'ELEVATED', glow: 'rgba(255,152,0,0.12)' };
-    if (threatScore >= 35) return { color: '#ffc107', label: 'STRESSED', glow: 'rgba(255,193,7,0.10)' };
-    if (threatScore >= 15) return { color: '#4caf50', label: 'NORMAL', glow: 'rgba(76,175,80,0.08)' };
-    return { color: '#42a5f5', label: 'CALM', glow: 'rgba(66,165,245,0.08)' };
 }
 
 // ── Drawing: Detection Mode (with aura) ──
-function drawDetectionsWithAuras(detections) {
+function drawDetectionsWithAuras(detections, personIds, persons) {
     ctx.clearRect(0, 0, overlay.width, overlay.height);
+    const byId = new Map(persons.map(p => [p.personId, p]));
 
-    detections.forEach((det) => {
+    detections.forEach((det, i) => {
         const box = det.detection.box;
         const x = box.x, y = box.y, w = box.width, h = box.height;
 
         let color = '#4caf50';
         let auraLabel = 'NORMAL';
-        let personId = null;
-
-        personTracker.forEach((data, pid) => {
-            const pcx = data.lastBox.x + data.lastBox.width / 2;
-            const pcy = data.lastBox.y + data.lastBox.height / 2;
-            const dcx = x + w / 2;
-            const dcy = y + h / 2;
-            if (Math.sqrt((pcx - dcx) ** 2 + (pcy - dcy) ** 2) < 80) personId = pid;
-        });
+        const personId = personIds[i];
+        const person = byId.get(personId);
 
         if (personId) {
-            const assessment = threatEngine._quickAssess(personId);
-            const aura = getAuraColor(assessment.score);
+            const aura = getAuraColor(person ? person.aura : 'CALM');
             color = aura.color;
             auraLabel = aura.label;
 
@@ -339,32 +444,74 @@ function drawDetectionsWithAuras(detections) {
             ctx.font = 'bold 12px system-ui';
             ctx.fillText(`${personId} [${auraLabel}]`, x + 4, y - 6);
         }
+        if (person) {
+            ctx.font = '11px system-ui';
+            ctx.fillText(formatVibration(person.vibration), x + 4, y + h + 14);
+        }
 
         // Landmarks
         if (det.landmarks) {
             const pts = det.landmarks.positions || det.landmarks._positions || [];
+            if (person) drawRegionHeat(pts, person.vibration.regions);
             ctx.fillStyle = 'rgba(74, 158, 255, 0.5)';
             pts.forEach(pt => {
                 ctx.beginPath();
                 ctx.arc(pt.x || pt._x, pt.y || pt._y, 1.5, 0, Math.PI * 2);
                 ctx.fill();
             });
+            drawPoseAxis(pts, w * 0.4);
         }
     });
 }
 
+// ── Drawing: Head pose axis (x red, y green, facing direction blue) from the nose tip ──
+function drawPoseAxis(pts, length) {
+    const pose = estimateHeadPose(pts);
+    if (!pose) return;
+
+    const origin = pts[30];
+    const axes = poseAxes(pose, length);
+    ctx.lineWidth = 2;
+    [['x', '#f44336'], ['y', '#4caf50'], ['z', '#4a9eff']].forEach(([axis, stroke]) => {
+        ctx.strokeStyle = stroke;
+        ctx.beginPath();
+        ctx.moveTo(origin.x, origin.y);
+        ctx.lineTo(origin.x + axes[axis].dx, origin.y + axes[axis].dy);
+        ctx.stroke();
+    });
+}
+
 // ── Drawing: Deception Mode (single subject) ──
-function drawDeceptionOverlay(subject) {
+// Other faces get a thin outline so the interviewer can tap one to lock it
+function drawBystanders(frame) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = 1;
+    frame.detections.forEach(det => {
+        if (det === frame.subject) return;
+        const box = det.detection.box;
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+    });
+}
+
+function drawSubjectLost() {
+    const text = 'SUBJECT LOST — tap their face to re-lock';
+    ctx.font = 'bold 14px system-ui';
+    const tw = ctx.measureText(text).width;
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fillRect((overlay.width - tw) / 2 - 8, 12, tw + 16, 26);
+    ctx.fillStyle = '#f44336';
+    ctx.fillText(text, (overlay.width - tw) / 2, 30);
+}
+
+function drawDeceptionOverlay(frame, assess, regions) {
     ctx.clearRect(0, 0, overlay.width, overlay.height);
+    drawBystanders(frame);
 
+    const subject = frame.subject;
     const box = subject.detection.box;
     const x = box.x, y = box.y, w = box.width, h = box.height;
 
-    const assess = deceptionEngine._quickDeceptionAssess('SUBJECT');
-    let color = '#4caf50';
-    if (assess.deceptionProbability >= 70) color = '#f44336';
-    else if (assess.deceptionProbability >= 50) color = '#ff9800';
-    else if (assess.deceptionProbability >= 30) color = '#ffc107';
+    const color = DECEPTION_LEVELS.find(l => l.name === assess.level).color;
 
     // Full bounding box
     ctx.strokeStyle = color;
@@ -374,18 +521,20 @@ function drawDeceptionOverlay(subject) {
     // All 68 landmarks
     if (subject.landmarks) {
         const pts = subject.landmarks.positions || subject.landmarks._positions || [];
+        drawRegionHeat(pts, regions);
         ctx.fillStyle = 'rgba(74, 158, 255, 0.6)';
         pts.forEach(pt => {
             ctx.beginPath();
             ctx.arc(pt.x || pt._x, pt.y || pt._y, 2, 0, Math.PI * 2);
             ctx.fill();
         });
+        drawPoseAxis(pts, w * 0.4);
     }
 
     // Labels
     ctx.fillStyle = color;
     ctx.font = 'bold 14px system-ui';
-    ctx.fillText('SUBJECT', x + 4, y - 8);
+    ctx.fillText(frame.subjectLock ? 'SUBJECT (LOCKED)' : 'SUBJECT', x + 4, y - 8);
 
     const scoreText = `Deception: ${assess.deceptionProbability}%`;
     ctx.font = 'bold 12px system-ui';
@@ -402,6 +551,10 @@ function drawRealtimeChart() {
     const h = realtimeChart.height = 160;
     rtCtx.clearRect(0, 0, w, h);
 
+    if (chartViewSelect.value === 'spectrum') {
+        drawSpectrumChart(w, h);
+        return;
+    }
     if (vibrationData.length < 2) return;
 
     const recent = vibrationData.slice(-100);
@@ -434,18 +587,51 @@ function drawRealtimeChart() {
     rtCtx.stroke();
 }
 
+// Live motion spectrum: one bar per frequency bin, band edges marked
+function drawSpectrumChart(w, h) {
+    if (!liveSpectrum) return;
+    const power = liveSpectrum.spectrum;
+    const binHz = SPECTRUM_DEFAULTS.sampleRate / ((power.length - 1) * 2);
+    const maxHz = (power.length - 1) * binHz;
+    const max = Math.max(...power.slice(1), 1e-6);
+    const barW = w / (power.length - 1);
+
+    rtCtx.fillStyle = currentMode === 'deception' ? 'rgba(224, 64, 251, 0.7)' : 'rgba(78, 205, 196, 0.7)';
+    for (let k = 1; k < power.length; k++) {
+        const bh = (power[k] / max) * (h - 24);
+        rtCtx.fillRect((k - 1) * barW + 1, h - 14 - bh, barW - 2, bh);
+    }
+
+    rtCtx.strokeStyle = 'rgba(255,255,255,0.2)';
+    rtCtx.fillStyle = '#888';
+    rtCtx.font = '18px system-ui';
+    rtCtx.lineWidth = 1;
+    VIBRATION_BANDS.forEach(band => {
+        const x = (band.low / maxHz) * w;
+        if (band.low > 0) {
+            rtCtx.beginPath(); rtCtx.moveTo(x, 0); rtCtx.lineTo(x, h - 14); rtCtx.stroke();
+        }
+        rtCtx.fillText(`${band.name} Hz`, x + 4, h - 1);
+    });
+    rtCtx.fillStyle = '#fff';
+    rtCtx.fillText(`${liveSpectrum.frequency.toFixed(1)} Hz peak`, w - 150, 20);
+}
+
 // ── Person Chips (Detection mode) ──
-function updatePersonChips() {
-    if (personTracker.size === 0) {
+function formatVibration(v) {
+    return `${v.vibration.toFixed(2)} vib · ${v.frequency.toFixed(1)} Hz · ${v.energy.toFixed(1)} E`;
+}
+
+function updatePersonChips(persons) {
+    if (persons.length === 0) {
         personsDetectedEl.style.display = 'none';
         return;
     }
     personsDetectedEl.style.display = 'block';
     let html = '';
-    personTracker.forEach((data, pid) => {
-        const a = threatEngine._quickAssess(pid);
-        const aura = getAuraColor(a.score);
-        html += `<span class="p-chip ${a.level}">${pid} [${aura.label}] ${a.score}%</span>`;
+    persons.forEach(a => {
+        const aura = getAuraColor(a.aura);
+        html += `<span class="p-chip ${aura.chip}">${a.personId} [${aura.label}] ${a.score}% <small>${formatVibration(a.vibration)}</small></span>`;
     });
     personChipsEl.innerHTML = html;
 }
@@ -460,110 +646,169 @@ function updateDeceptionIndicators(assess, vsaAssess) {
     if (assess.gazeAversion) html += '<span class="ind-chip warn">GAZE AVERSION</span>';
     if (assess.asymmetryHigh) html += '<span class="ind-chip alert">FACIAL ASYMMETRY</span>';
     if (assess.expressionIncongruence) html += '<span class="ind-chip alert">INCONGRUENT EXPRESSION</span>';
-    if (assess.cognitiveLoad > 70) html += '<span class="ind-chip alert">HIGH COGNITIVE LOAD</span>';
+    if (assess.cognitiveLoadHigh) html += '<span class="ind-chip alert">HIGH COGNITIVE LOAD</span>';
 
     // VSA indicators
     if (vsaAssess) {
-        if (vsaAssess.voiceStress >= 70) html += '<span class="ind-chip voice-alert">VOICE STRESS HIGH</span>';
-        else if (vsaAssess.voiceStress >= 40) html += '<span class="ind-chip voice">VOICE STRESS ELEVATED</span>';
-        if (vsaAssess.f0Deviation > 15) html += '<span class="ind-chip voice">PITCH DEVIATION</span>';
-        if (vsaAssess.tremorScore >= 60) html += '<span class="ind-chip voice-alert">VOCAL TREMOR</span>';
-        if (vsaAssess.jitter > 2.0) html += '<span class="ind-chip voice">VOICE JITTER</span>';
-        if (vsaAssess.isSpeaking && vsaAssess.voiceStress < 20) html += '<span class="ind-chip ok">VOCAL BASELINE NORMAL</span>';
+        if (vsaAssess.level === 'high') html += '<span class="ind-chip voice-alert">VOICE STRESS HIGH</span>';
+        else if (vsaAssess.level === 'elevated') html += '<span class="ind-chip voice">VOICE STRESS ELEVATED</span>';
+        if (vsaAssess.pitchDeviation) html += '<span class="ind-chip voice">PITCH DEVIATION</span>';
+        if (vsaAssess.tremor) html += '<span class="ind-chip voice-alert">VOCAL TREMOR</span>';
+        if (vsaAssess.jitterHigh) html += '<span class="ind-chip voice">VOICE JITTER</span>';
+        if (vsaAssess.calm) html += '<span class="ind-chip ok">VOCAL BASELINE NORMAL</span>';
     }
 
-    if (assess.deceptionProbability < 20 && !assess.microExpressionDetected &&
-        (!vsaAssess || vsaAssess.voiceStress < 20)) {
-        html += '<span class="ind-chip ok">TRUTHFUL BASELINE</span>';
-    }
+    if (assess.truthful) html += '<span class="ind-chip ok">TRUTHFUL BASELINE</span>';
     if (html === '') html = '<span class="ind-chip neutral">MONITORING...</span>';
 
+    // How much each modality drives the live score
+    if (assess.fusion) {
+        assess.fusion.contributions.forEach(c => {
+            html += `<span class="ind-chip fusion ${c.modality}">${c.modality.toUpperCase()} ${c.share}%</span>`;
+        });
+    }
+
     el.innerHTML = html;
 }
 
 // ── Detection Alert System ──
-function checkDetectionAlerts() {
-    personTracker.forEach((data, pid) => {
-        const assess = threatEngine._quickAssess(pid);
-        if (assess.score >= 65 && !data.alerted) {
-            data.alerted = true;
-            const aura = getAuraColor(assess.score);
+function checkDetectionAlerts(persons, t) {
+    const levels = [{ name: 'quiet', min: 0 }, { name: 'alert', min: settings.alertScore }];
+    persons.forEach(assess => {
+        const pid = assess.personId;
+        const state = liveStabilizer.level(`alert:${pid}`, assess.score, levels, t);
+        if (state === 'alert' && !alertedPersons.has(pid)) {
+            alertedPersons.add(pid);
+            const aura = getAuraColor(assess.aura);
             statusBar.textContent = `ALERT: ${pid} — ${aura.label} THREAT DETECTED`;
             statusBar.className = 'status-bar error';
             setTimeout(() => {
                 if (running) setStatus('Continuous detection scan running...', 'scanning');
             }, 3000);
         }
-        if (assess.score < 55) data.alerted = false;
+        if (state === 'quiet') alertedPersons.delete(pid);
     });
 }
 
 // ── Mode-specific frame processing ──
 
-function processDetectionFrame(detections, now) {
-    if (detections.length > 0) {
-        trackPersons(detections);
-        drawDetectionsWithAuras(detections);
+// Chart history, the latest spectrum and the band readout in the formula box
+function recordVibration(metrics) {
+    vibrationData.push({ vibration: metrics.vibration, frequency: metrics.frequency, energy: metrics.energy });
+    if (!metrics.spectrum) return;
+    liveSpectrum = metrics;
+    document.getElementById('rtBands').innerHTML = metrics.bands
+        .map(b => `<span>${b.name} Hz<b>${b.percent}%</b></span>`)
+        .join('') + `<span>Entropy<b>${metrics.entropy.toFixed(2)}</b></span>`;
+}
 
-        const metrics = computeVibrationMetrics(detections[0].landmarks, now);
+function processDetectionFrame(frame, live, t) {
+    const persons = live.persons.map(p => {
+        const score = Math.round(liveStabilizer.score(p.personId, p.score, t));
+        const vibration = {
+            vibration: liveStabilizer.score(`vib:${p.personId}`, p.vibration.vibration, t),
+            frequency: p.vibration.frequency,
+            energy: liveStabilizer.score(`energy:${p.personId}`, p.vibration.energy, t),
+            regions: smoothRegions(p.personId, p.vibration.regions, t)
+        };
+        return { personId: p.personId, score, aura: liveStabilizer.level(`aura:${p.personId}`, score, auraLevels(), t), vibration };
+    });
+
+    if (frame.detections.length > 0) {
+        drawDetectionsWithAuras(frame.detections, frame.personIds, persons);
+    } else {
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+    }
+
+    // Tiles and chart follow the most energetic person this frame
+    if (frame.metrics) {
+        const metrics = frame.metrics;
         document.getElementById('rtEnergy').textContent = metrics.energy.toFixed(1);
         document.getElementById('rtVibration').textContent = metrics.vibration.toFixed(2);
         document.getElementById('rtFrequency').textContent = metrics.frequency.toFixed(1);
-        vibrationData.push({ vibration: metrics.vibration, frequency: metrics.frequency, energy: metrics.energy });
-    } else {
-        ctx.clearRect(0, 0, overlay.width, overlay.height);
-        lastLandmarks = null;
+        recordVibration(metrics);
     }
 
-    updatePersonChips();
-    checkDetectionAlerts();
+    updatePersonChips(persons);
+    checkDetectionAlerts(persons, t);
 }
 
-function selectInterviewSubject(detections) {
-    let largest = detections[0];
-    let maxArea = 0;
-    detections.forEach(det => {
-        const area = det.detection.box.width * det.detection.box.height;
-        if (area > maxArea) { maxArea = area; largest = det; }
-    });
-    return largest;
+// Voice stress is sampled at frame capture, before the frame is scored, so the
+// live deception assessment can blend it in. Voice runs on the scan clock, so
+// its timeline lines up with the question marks.
+function assessVoice(t) {
+    if (currentMode !== 'deception' || !vsaAvailable || !voiceStressEngine.isActive) return null;
+    voiceStressEngine.processAudioFrame(t);
+    return voiceStressEngine._quickAssess();
 }
 
-function processDeceptionFrame(detections, now) {
-    if (detections.length === 0) {
-        ctx.clearRect(0, 0, overlay.width, overlay.height);
-        lastLandmarks = null;
-        return;
-    }
+// Smoothed live scores; chips and levels change only once the evidence has held
+function stabilizeDeception(assess, vsaAssess, t) {
+    const score = (key, value) => Math.round(liveStabilizer.score(key, value, t));
+    const flag = (key, on) => liveStabilizer.flag(key, on, t);
+    const level = (key, value, levels) => liveStabilizer.level(key, value, levels, t);
 
-    const subject = selectInterviewSubject(detections);
-    const personId = 'SUBJECT';
+    const deceptionProbability = score('deception', assess.deceptionProbability);
+    const cognitiveLoad = score('cognitiveLoad', assess.cognitiveLoad);
+    let voice = null;
+    if (vsaAssess) {
+        const voiceStress = score('voiceStress', vsaAssess.voiceStress);
+        voice = {
+            ...vsaAssess,
+            voiceStress,
+            level: level('voiceLevel', voiceStress, VOICE_LEVELS),
+            isSpeaking: flag('speaking', vsaAssess.isSpeaking),
+            pitchDeviation: flag('pitch', vsaAssess.f0Deviation > 15),
+            tremor: flag('tremor', vsaAssess.tremorScore >= 60),
+            jitterHigh: flag('jitter', vsaAssess.jitter > 2.0),
+            calm: flag('voiceCalm', vsaAssess.isSpeaking && voiceStress < 20)
+        };
+    }
 
-    if (!personTracker.has(personId)) {
-        personTracker.set(personId, { lastBox: subject.detection.box, lastSeen: Date.now() });
-    } else {
-        const data = personTracker.get(personId);
-        data.lastBox = subject.detection.box;
-        data.lastSeen = Date.now();
+    const stable = {
+        ...assess,
+        deceptionProbability,
+        concealmentScore: score('concealment', assess.concealmentScore),
+        cognitiveLoad,
+        truthfulness: Math.max(0, 100 - deceptionProbability),
+        level: level('deceptionLevel', deceptionProbability, DECEPTION_LEVELS),
+        microExpressionDetected: flag('micro', assess.microExpressionDetected),
+        blinkAnomaly: flag('blink', assess.blinkAnomaly),
+        gazeAversion: flag('gaze', assess.gazeAversion),
+        asymmetryHigh: flag('asymmetry', assess.asymmetryHigh),
+        expressionIncongruence: flag('incongruence', assess.expressionIncongruence),
+        cognitiveLoadHigh: level('cognitiveLoadLevel', cognitiveLoad, [{ name: 'normal', min: 0 }, { name: 'high', min: 70 }]) === 'high',
+        truthful: flag('truthful', deceptionProbability < 20 && !assess.microExpressionDetected && (!voice || voice.voiceStress < 20))
+    };
+    if (assess.fusion) {
+        stable.fusion = {
+            ...assess.fusion,
+            contributions: assess.fusion.contributions.map(c => ({ ...c, share: score(`share:${c.modality}`, c.share) }))
+        };
     }
+    return { assess: stable, voice };
+}
 
-    threatEngine.processFrame(personId, subject);
-    deceptionEngine.processFrame(personId, subject);
+function processDeceptionFrame(frame, live, rawVoice, t) {
+    const lost = liveStabilizer.flag('subjectLost', frame.subjectLock && frame.subjectLock.lost, t);
+    showSubjectLost(lost);
+    if (!frame.subject) {
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+        drawBystanders(frame);
+        if (lost) drawSubjectLost();
+        return;
+    }
 
-    drawDeceptionOverlay(subject);
+    const { assess, voice: vsaAssess } = stabilizeDeception(live.assess, rawVoice, t);
+    drawDeceptionOverlay(frame, assess, smoothRegions('SUBJECT', frame.metrics.regions, t));
 
-    const metrics = computeVibrationMetrics(subject.landmarks, now);
-    vibrationData.push({ vibration: metrics.vibration, frequency: metrics.frequency, energy: metrics.energy });
+    recordVibration(frame.metrics);
 
     // Voice stress analysis
-    let vsaAssess = null;
-    if (vsaAvailable && voiceStressEngine.isActive) {
-        voiceStressEngine.processAudioFrame();
-        vsaAssess = voiceStressEngine._quickAssess();
+    if (vsaAssess) {
         const vsEl = document.getElementById('rtVoiceStress');
         vsEl.textContent = vsaAssess.voiceStress + '%';
-        vsEl.style.color = vsaAssess.voiceStress >= 70 ? '#f44336' :
-                           vsaAssess.voiceStress >= 40 ? '#ff9800' : '#00bcd4';
+        vsEl.style.color = VOICE_LEVELS.find(l => l.name === vsaAssess.level).color;
 
         if (!vsaAssess.isSpeaking) {
             updateMicStatus('no-speech', 'Microphone: Active — No speech detected');
@@ -572,11 +817,10 @@ function processDeceptionFrame(detections, now) {
                 'Microphone: Analyzing voice stress' :
                 'Microphone: Establishing voice baseline...');
         }
-    } else if (currentMode === 'deception') {
+    } else {
         document.getElementById('rtVoiceStress').textContent = 'N/A';
     }
 
-    const assess = deceptionEngine._quickDeceptionAssess(personId, vsaAssess);
     document.getElementById('rtDeception').textContent = assess.deceptionProbability + '%';
     document.getElementById('rtConcealment').textContent = assess.concealmentScore + '%';
     document.getElementById('rtCogLoad').textContent = assess.cognitiveLoad + '%';
@@ -585,21 +829,306 @@ function processDeceptionFrame(detections, now) {
     updateDeceptionIndicators(assess, vsaAssess);
 }
 
-// ── Scan Processing ──
-async function processFrame() {
+// Analyze a captured frame, record it, then update the mode UI
+async function analyzeFrame(source, now) {
+    const t = now - scanStartTime;
+    const vsaAssess = assessVoice(t);
+    pendingAnalysis = analyzer.analyze(source, t, vsaAssess);
+    const { faces, frame, live } = await pendingAnalysis;
+    pendingAnalysis = null;
+
+    // Recorded even when the scan stopped meanwhile: the pipeline has scored it
+    sessionRecorder.recordFrame(t, faces);
     if (!running) return;
+    if (currentMode === 'detection') {
+        processDetectionFrame(frame, live, t);
+    } else {
+        processDeceptionFrame(frame, live, vsaAssess, t);
+    }
+}
 
-    const now = performance.now();
+// ── Subject Lock ──
+// Tap a face to lock it as the interview subject; tap the locked face again to release
+async function toggleSubjectLock(e) {
+    if (!running || currentMode !== 'deception') return;
+    const rect = overlay.getBoundingClientRect();
+    const point = {
+        x: (e.clientX - rect.left) * overlay.width / rect.width,
+        y: (e.clientY - rect.top) * overlay.height / rect.height
+    };
+
+    // Lock state and the recording change only once the analyzer has applied the call
+    try {
+        const locked = await analyzer.lockSubject(point);
+        if (!locked) return;
+        sessionRecorder.recordSubjectLock(locked.t, point);
+        if (locked.personId !== subjectLockId) {
+            subjectLockId = locked.personId;
+            return;
+        }
+        const released = await analyzer.lockSubject(null);
+        sessionRecorder.recordSubjectLock(released.t, null);
+        subjectLockId = null;
+    } catch (err) {
+        console.error('Subject lock failed:', err);
+        setStatus('Could not change the subject lock: ' + err.message, 'error');
+    }
+}
+
+function showSubjectLost(lost) {
+    if (lost && !statusBeforeLost) {
+        statusBeforeLost = { text: statusBar.textContent, className: statusBar.className };
+        setStatus('Locked subject out of view — these seconds are excluded from the report. Tap them to lock again if they return unrecognized.', 'error');
+    } else if (!lost && statusBeforeLost) {
+        statusBar.textContent = statusBeforeLost.text;
+        statusBar.className = statusBeforeLost.className;
+        statusBeforeLost = null;
+    }
+}
 
+// ── Interview Clock ──
+// Advances the baseline phase and the timer; true once a timed interview is over
+function tickInterviewClock(now) {
+    if (baselinePhaseEnd !== null) {
+        if (now >= baselinePhaseEnd) endBaselinePhase(now);
+        else updateBaselinePanel(now);
+    }
+    tickQuestionClock(now);
+
+    // Negative while the recorded baseline runs: the interview has not started yet
+    const elapsed = Math.max(0, now - interviewStartTime);
     if (scanDuration > 0) {
-        const elapsed = now - scanStartTime;
         const remaining = (scanDuration * 1000) - elapsed;
         timerValue.textContent = formatTimer(remaining);
         progressFill.style.width = `${(elapsed / (scanDuration * 1000)) * 100}%`;
-        if (remaining <= 0) { completeScan(); return; }
+        return remaining <= 0;
+    }
+    timerValue.textContent = formatTimer(elapsed);
+    return false;
+}
+
+// ── Deception Baseline ──
+function refreshBaselineOptions() {
+    const saved = findSavedBaseline(subjectNameInput.value);
+    baselineModeSelect.querySelector('option[value="saved"]').disabled = !saved;
+    if (!saved && baselineModeSelect.value === 'saved') baselineModeSelect.value = 'recorded';
+    document.getElementById('baselineStatus').textContent = saved
+        ? `Saved baseline from ${new Date(saved.savedAt).toLocaleDateString()}`
+        : '';
+}
+
+async function applyBaseline(spec) {
+    baselineSpec = spec;
+    try {
+        const { t } = await analyzer.setBaseline(spec);
+        sessionRecorder.recordBaseline(t, spec);
+    } catch (err) {
+        console.error('Baseline change failed:', err);
+        setStatus('Could not set the baseline: ' + err.message, 'error');
+    }
+}
+
+// Called once the scan clock and voice analysis have started
+function beginBaseline(now) {
+    interviewStartTime = now;
+    baselinePhaseEnd = null;
+    baselineSpec = null;
+    btnMarkBaseline.textContent = 'Mark Baseline';
+    btnMarkBaseline.classList.remove('marking');
+    if (currentMode !== 'deception') return;
+    resetQuestions();
+
+    const choice = baselineModeSelect.value;
+    if (choice === 'saved') {
+        const saved = findSavedBaseline(subjectNameInput.value);
+        if (saved) {
+            applyBaseline({ source: 'saved', subject: saved.subject, profile: saved.face });
+            if (vsaAvailable && saved.voice) voiceStressEngine.useBaseline(saved.voice);
+        }
+    } else if (choice === 'recorded') {
+        baselinePhaseEnd = now + BASELINE_PHASE.durationSec * 1000;
+        interviewStartTime = baselinePhaseEnd;
+        applyBaseline({ source: 'recorded', start: now - scanStartTime, end: null });
+        if (vsaAvailable) voiceStressEngine.startBaseline();
+        baselinePanel.style.display = 'block';
+        updateBaselinePanel(now);
+    }
+    btnMarkBaseline.disabled = choice !== 'marked';
+    btnQuestion.disabled = baselinePhaseEnd !== null;
+}
+
+function updateBaselinePanel(now) {
+    const phaseStart = baselinePhaseEnd - BASELINE_PHASE.durationSec * 1000;
+    document.getElementById('baselineCountdown').textContent = formatTimer(baselinePhaseEnd - now);
+    document.getElementById('baselinePrompt').textContent = promptAt(now - phaseStart);
+}
+
+function endBaselinePhase(now) {
+    baselinePhaseEnd = null;
+    baselinePanel.style.display = 'none';
+    applyBaseline({ ...baselineSpec, end: now - scanStartTime });
+    if (vsaAvailable) voiceStressEngine.endBaseline();
+    btnQuestion.disabled = !running;
+    if (running) setStatus(scanDuration > 0 ? `Deception interview: ${scanDuration}s...` : 'Continuous deception interview...', 'scanning');
+}
+
+// Toggles a manually marked baseline span during the interview
+function toggleBaselineMark() {
+    if (!running || currentMode !== 'deception' || baselinePhaseEnd !== null) return;
+    const t = performance.now() - scanStartTime;
+    const open = baselineSpec && baselineSpec.source === 'marked' && baselineSpec.end === null;
+    applyBaseline(open ? { ...baselineSpec, end: t } : { source: 'marked', start: t, end: null });
+    if (vsaAvailable) {
+        if (open) voiceStressEngine.endBaseline();
+        else voiceStressEngine.startBaseline();
+    }
+    btnMarkBaseline.textContent = open ? 'Mark Baseline' : 'End Baseline';
+    btnMarkBaseline.classList.toggle('marking', !open);
+}
+
+// ── Interview Questions ──
+function resetQuestions() {
+    questionScript = loadedProtocol || listProtocol(parseQuestionList(questionListInput.value));
+    questionCount = 0;
+    questionOpen = false;
+    questionAnswerEnd = null;
+    questionReadyAt = null;
+    updateQuestionPanel(performance.now());
+}
+
+// Marks the next question as asked; the previous one counts as answered
+async function askNextQuestion() {
+    if (!running || currentMode !== 'deception' || btnQuestion.disabled) return;
+    const question = scriptQuestion(questionScript, questionCount);
+    // Fired unawaited by the button and the Q key: on failure the script stays
+    // on this question so it can be asked again
+    let mark;
+    try {
+        mark = await analyzer.markQuestion(question.text, question.type);
+    } catch (err) {
+        console.error('Question mark failed:', err);
+        setStatus('Could not mark the question: ' + err.message, 'error');
+        return;
+    }
+    sessionRecorder.recordQuestionMark(mark.t, question.text, question.type);
+    const now = performance.now();
+    questionCount++;
+    questionOpen = true;
+    questionAnswerEnd = question.answerSeconds ? now + question.answerSeconds * 1000 : null;
+    questionReadyAt = null;
+    updateQuestionPanel(now);
+}
+
+async function markAnswered() {
+    if (!running || currentMode !== 'deception' || !questionOpen) return;
+    // Also fired unawaited by the answer clock, keys and button: report failures
+    // here and leave the question open so it can be marked again
+    let mark;
+    try {
+        mark = await analyzer.markQuestion(null);
+    } catch (err) {
+        console.error('Answer mark failed:', err);
+        setStatus('Could not mark the answer: ' + err.message, 'error');
+        return;
+    }
+    if (mark) sessionRecorder.recordQuestionMark(mark.t, null);
+    const now = performance.now();
+    const pause = scriptQuestion(questionScript, questionCount - 1).pauseSeconds;
+    questionOpen = false;
+    questionAnswerEnd = null;
+    questionReadyAt = pause ? now + pause * 1000 : null;
+    updateQuestionPanel(now);
+}
+
+// Timed answers close on their own; countdowns refresh every frame
+function tickQuestionClock(now) {
+    if (currentMode !== 'deception' || questionPanel.style.display === 'none') return;
+    if (questionOpen && questionAnswerEnd !== null && now >= questionAnswerEnd) {
+        questionAnswerEnd = null;
+        markAnswered();
+        return;
+    }
+    if (questionReadyAt !== null && now >= questionReadyAt) questionReadyAt = null;
+    updateQuestionPanel(now);
+}
+
+function updateQuestionPanel(now) {
+    const script = questionScript.questions;
+    const current = questionCount > 0 ? scriptQuestion(questionScript, questionCount - 1) : null;
+    const next = questionCount < script.length ? script[questionCount] : null;
+    const tag = q => (q && q.type ? ` · ${q.type.toUpperCase()}` : '');
+    const total = script.length > 0 ? ` / ${script.length}` : '';
+
+    questionPanel.style.display = running && currentMode === 'deception' && (questionCount > 0 || script.length > 0) ? 'block' : 'none';
+    questionPanel.classList.toggle('answered', questionCount > 0 && !questionOpen && !next);
+    questionPanel.dataset.type = (questionOpen && current && current.type) || (!questionOpen && next && next.type) || '';
+
+    // While answering: the question; between questions: what to ask next
+    let title, text, hint = '';
+    if (questionOpen) {
+        title = `QUESTION ${questionCount}${total}${tag(current)} — ANSWERING`;
+        if (questionAnswerEnd !== null) title += ` ${formatTimer(questionAnswerEnd - now)}`;
+        text = current.text;
+        if (next) hint = `Next: ${next.text}`;
+    } else if (next) {
+        title = `NEXT — QUESTION ${questionCount + 1}${total}${tag(next)}`;
+        text = next.text;
+        hint = questionReadyAt !== null ? `Pause — ask in ${formatTimer(questionReadyAt - now)}` : 'Press Q once it has been asked';
     } else {
-        timerValue.textContent = formatTimer(now - scanStartTime);
+        title = questionCount > 0 ? `QUESTION ${questionCount}${total} — ANSWERED` : 'QUESTIONS';
+        text = script.length > 0 ? 'Script complete' : 'Press Q once the next question has been asked';
     }
+    document.getElementById('questionTitle').textContent = title;
+    document.getElementById('questionText').textContent = text;
+    document.getElementById('questionNext').textContent = hint;
+    btnAnswered.disabled = !questionOpen;
+}
+
+// ── Interview Protocol ──
+function showProtocolStatus() {
+    questionListInput.style.display = loadedProtocol ? 'none' : 'block';
+    document.getElementById('protocolClear').style.display = loadedProtocol ? 'inline-block' : 'none';
+    if (!loadedProtocol) {
+        protocolStatus.textContent = '';
+        return;
+    }
+    const count = type => loadedProtocol.questions.filter(q => q.type === type).length;
+    protocolStatus.textContent = `${loadedProtocol.name}: ${loadedProtocol.questions.length} questions ` +
+        `(${count('relevant')} relevant, ${count('control')} control, ${count('neutral')} neutral)`;
+}
+
+document.getElementById('protocolInput').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+        loadedProtocol = parseProtocol(await file.text());
+        showProtocolStatus();
+    } catch (err) {
+        protocolStatus.textContent = 'Protocol not loaded: ' + err.message;
+    }
+});
+document.getElementById('protocolLoad').addEventListener('click', () => document.getElementById('protocolInput').click());
+document.getElementById('protocolClear').addEventListener('click', () => {
+    loadedProtocol = null;
+    showProtocolStatus();
+});
+
+// Q asks the next question, A marks it answered (not while typing)
+document.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'q') askNextQuestion();
+    else if (key === 'a') markAnswered();
+});
+
+// ── Scan Processing ──
+async function processFrame() {
+    if (!running) return;
+
+    const now = performance.now();
+    if (tickInterviewClock(now)) { completeScan(); return; }
 
     frameCount++;
 
@@ -614,25 +1143,115 @@ async function processFrame() {
             overlay.height = video.videoHeight;
         }
 
-        const detections = await faceapi
-            .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ scoreThreshold: 0.4 }))
-            .withFaceLandmarks(true)
-            .withFaceExpressions();
+        await analyzeFrame(video, now);
+        drawRealtimeChart();
+    } catch (err) {
+        if (analyzer.isWorker && running) await resumeOnMainThread(err);
+        else console.warn('Frame processing error:', err.message);
+    }
 
-        if (currentMode === 'detection') {
-            processDetectionFrame(detections, now);
-        } else {
-            processDeceptionFrame(detections, now);
+    if (running) requestAnimationFrame(processFrame);
+}
+
+// ── Settings ──
+function fillSettingsForm(values) {
+    document.getElementById('setSensitivity').value = values.sensitivity;
+    document.getElementById('setSensitivityValue').textContent = values.sensitivity;
+    document.getElementById('setCaution').value = values.thresholds.caution;
+    document.getElementById('setElevated').value = values.thresholds.elevated;
+    document.getElementById('setCritical').value = values.thresholds.critical;
+    document.getElementById('setAlertScore').value = values.alertScore;
+    document.getElementById('setScoreThreshold').value = values.scoreThreshold;
+    document.getElementById('setSmoothing').value = values.smoothing.method;
+    document.getElementById('setSmoothingWindow').value = values.smoothing.windowMs;
+    document.getElementById('setHysteresis').value = values.smoothing.hysteresis;
+    document.getElementById('setDwell').value = values.smoothing.dwellMs;
+
+    const select = document.getElementById('setProfile');
+    const names = [...new Set([...BUILTIN_PROFILES, ...customProfiles].map(p => p.name))];
+    select.innerHTML = names.map(name => {
+        const p = findProfile(name, customProfiles);
+        return `<option value="${name}">${name} v${p.version}</option>`;
+    }).join('');
+    select.value = findProfile(values.profile, customProfiles).name;
+    document.getElementById('profileStatus').textContent = '';
+}
+
+function readSettingsForm() {
+    return normalizeSettings({
+        sensitivity: document.getElementById('setSensitivity').value,
+        thresholds: {
+            caution: document.getElementById('setCaution').value,
+            elevated: document.getElementById('setElevated').value,
+            critical: document.getElementById('setCritical').value
+        },
+        alertScore: document.getElementById('setAlertScore').value,
+        scoreThreshold: document.getElementById('setScoreThreshold').value,
+        profile: document.getElementById('setProfile').value,
+        smoothing: {
+            method: document.getElementById('setSmoothing').value,
+            windowMs: document.getElementById('setSmoothingWindow').value,
+            hysteresis: document.getElementById('setHysteresis').value,
+            dwellMs: document.getElementById('setDwell').value
         }
+    });
+}
 
-        drawRealtimeChart();
+function showSettingsModal() {
+    fillSettingsForm(settings);
+    settingsModal.classList.add('show');
+}
+function hideSettingsModal() {
+    settingsModal.classList.remove('show');
+}
+
+async function applySettings(values) {
+    settings = saveSettings(values);
+    activeProfile = findProfile(settings.profile, customProfiles);
+    liveStabilizer.configure(settings.smoothing);
+    if (analyzer) await analyzer.configure(settings, activeProfile);
+    hideSettingsModal();
+}
+
+// Imported profiles replace an earlier import of the same name
+document.getElementById('profileInput').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const status = document.getElementById('profileStatus');
+    try {
+        const profile = parseProfile(await file.text());
+        customProfiles = [...customProfiles.filter(p => p.name !== profile.name), profile];
+        saveCustomProfiles(customProfiles);
+        fillSettingsForm({ ...readSettingsForm(), profile: profile.name });
+        status.textContent = `Imported ${profile.name} v${profile.version} — Save to use it.`;
     } catch (err) {
-        console.warn('Frame processing error:', err.message);
+        status.textContent = 'Import failed: ' + err.message;
     }
+});
 
-    if (running) requestAnimationFrame(processFrame);
+function exportProfile() {
+    const profile = findProfile(document.getElementById('setProfile').value, customProfiles);
+    const blob = new Blob([serializeProfile(profile)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `microsenses-profile-${profile.name}-${profile.version}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
+document.getElementById('btnSettings').addEventListener('click', showSettingsModal);
+document.getElementById('settingsClose').addEventListener('click', hideSettingsModal);
+document.getElementById('settingsSave').addEventListener('click', () => applySettings(readSettingsForm()));
+document.getElementById('settingsReset').addEventListener('click', () => applySettings(DEFAULT_SETTINGS));
+document.getElementById('profileImport').addEventListener('click', () => document.getElementById('profileInput').click());
+document.getElementById('profileExport').addEventListener('click', exportProfile);
+document.getElementById('setSensitivity').addEventListener('input', (e) => {
+    document.getElementById('setSensitivityValue').textContent = e.target.value;
+});
+
 // ── Mode Selection ──
 function showModeModal() {
     modeModal.classList.add('show');
@@ -643,6 +1262,7 @@ function hideModeModal() {
 function showDurationModal() {
     const selectedBtn = document.querySelector('.duration-btn.selected');
     if (selectedBtn) scanDuration = parseInt(selectedBtn.dataset.duration);
+    refreshBaselineOptions();
     durationModal.classList.add('show');
 }
 function hideDurationModal() {
@@ -657,7 +1277,6 @@ document.querySelectorAll('.mode-btn').forEach(btn => {
         // If upload is pending, open file picker instead of starting live scan
         if (pendingUpload) {
             pendingUpload = false;
-            threatEngine.setMode(currentMode);
             if (currentMode === 'detection') {
                 scanDuration = 0;
                 fileInput.click();
@@ -670,10 +1289,8 @@ document.querySelectorAll('.mode-btn').forEach(btn => {
 
         if (currentMode === 'detection') {
             scanDuration = 0; // Always continuous
-            threatEngine.setMode('detection');
             startScan();
         } else {
-            threatEngine.setMode('deception');
             showDurationModal();
         }
     });
@@ -709,6 +1326,9 @@ function setupDetectionUI() {
     document.getElementById('deceptionIndicators').style.display = 'none';
     document.getElementById('formulaBox').style.display = 'block';
     document.getElementById('micStatus').style.display = 'none';
+    btnMarkBaseline.style.display = 'none';
+    btnQuestion.style.display = 'none';
+    btnAnswered.style.display = 'none';
     modeBadge.style.display = 'inline-block';
     modeBadge.textContent = 'DETECTION';
     modeBadge.className = 'mode-badge detection';
@@ -720,9 +1340,14 @@ function setupDeceptionUI() {
     document.getElementById('deceptionIndicators').style.display = 'block';
     document.getElementById('formulaBox').style.display = 'none';
     document.getElementById('micStatus').style.display = 'flex';
+    btnMarkBaseline.style.display = 'inline-block';
+    btnQuestion.style.display = 'inline-block';
+    btnAnswered.style.display = 'inline-block';
     modeBadge.style.display = 'inline-block';
     modeBadge.textContent = 'DECEPTION INTERVIEW';
     modeBadge.className = 'mode-badge deception';
+    dropZone.classList.add('lockable');
+    dropZone.title = 'Tap a face to lock it as the subject';
 }
 
 function updateMicStatus(state, text) {
@@ -745,21 +1370,14 @@ async function startScan() {
 
     const ok = await startCamera();
     if (!ok) return;
+    await startAnalyzer();
 
     running = true;
     frameCount = 0;
     vibrationData = [];
-    lastLandmarks = null;
-    peakCount = 0;
-    lastPeakTime = 0;
-    lastVibration = 0;
-    vibrationHistory = [];
     scanStartTime = performance.now();
-    threatEngine.clearAll();
-    deceptionEngine.clearAll();
     voiceStressEngine.clearAll();
-    personTracker.clear();
-    nextPersonId = 1;
+    sessionRecorder.start({ mode: currentMode, scanType, scanDuration, reid: reidActive, device: getDeviceInfo() });
 
     if (currentMode === 'detection') setupDetectionUI();
     else setupDeceptionUI();
@@ -779,6 +1397,7 @@ async function startScan() {
         vsaAvailable = false;
         updateMicStatus('denied', 'Microphone: Permission denied — facial analysis only');
     }
+    beginBaseline(scanStartTime);
 
     timerSection.style.display = 'block';
     if (scanDuration > 0) timerValue.textContent = formatTimer(scanDuration * 1000);
@@ -790,9 +1409,10 @@ async function startScan() {
     btnStop.disabled = false;
     resultsPanel.classList.remove('active');
 
-    const label = currentMode === 'detection'
+    let label = currentMode === 'detection'
         ? 'Continuous detection scan running...'
         : (scanDuration > 0 ? `Deception interview: ${scanDuration}s...` : 'Continuous deception interview...');
+    if (baselinePhaseEnd !== null) label = 'Recording baseline — ask the neutral questions shown...';
     setStatus(label, 'scanning');
     processFrame();
 }
@@ -804,8 +1424,19 @@ function stopScan() {
 }
 
 // ── Complete Scan ──
-function completeScan() {
+async function completeScan() {
     running = false;
+    if (pendingAnalysis) await pendingAnalysis.catch(() => {});
+    if (pendingResume) await pendingResume;
+    // Stopped during the recorded phase: the baseline is what was recorded so far
+    if (baselinePhaseEnd !== null) endBaselinePhase(performance.now());
+    btnMarkBaseline.disabled = true;
+    btnQuestion.disabled = true;
+    btnAnswered.disabled = true;
+    questionPanel.style.display = 'none';
+    dropZone.classList.remove('lockable');
+    dropZone.title = '';
+    showSubjectLost(false);
 
     if (stream) {
         stream.getTracks().forEach(t => t.stop());
@@ -821,7 +1452,6 @@ function completeScan() {
     }
 
     ctx.clearRect(0, 0, overlay.width, overlay.height);
-    lastLandmarks = null;
 
     // Clean up VSA
     document.getElementById('micStatus').style.display = 'none';
@@ -831,89 +1461,112 @@ function completeScan() {
     btnUpload.disabled = false;
     btnStop.disabled = true;
 
-    let hasResults = true;
-    if (currentMode === 'detection') {
-        hasResults = completeDetectionScan();
-    } else {
-        completeDeceptionScan();
+    // Get VSA full analysis before destroying
+    let vsaResult = null;
+    if (currentMode === 'deception') {
+        if (vsaAvailable && voiceStressEngine.isActive) {
+            vsaResult = voiceStressEngine.fullAnalysis();
+        }
+        voiceStressEngine.destroy();
+        vsaAvailable = false;
     }
 
-    if (hasResults) {
-        const elapsed = (performance.now() - scanStartTime) / 1000;
-        document.getElementById('scanDurationDisplay').textContent = `${elapsed.toFixed(0)}s`;
-        document.getElementById('scanFrames').textContent = frameCount;
-        document.getElementById('scanType').textContent = currentMode === 'detection' ? 'Detection' : 'Deception Interview';
-
-        resultsPanel.classList.add('active');
-        setStatus('Analysis complete!', 'ready');
-    }
-}
+    const elapsed = (performance.now() - scanStartTime) / 1000;
+    sessionRecorder.finish({ duration: elapsed, voiceReport: vsaResult });
 
-function completeDetectionScan() {
-    const threatResults = [];
-    personTracker.forEach((data, personId) => {
-        const analysis = threatEngine.fullAnalysis(personId);
-        if (analysis.framesAnalyzed >= 3) {
-            analysis.box = data.lastBox;
-            threatResults.push(analysis);
+    let report;
+    try {
+        report = await analyzer.complete(vsaResult);
+    } catch (err) {
+        // The analyzer failed at the end: re-score the recorded frames here instead
+        console.error('Scan completion failed:', err);
+        try {
+            report = rescoreSession(sessionRecorder.toSession());
+        } catch (replayErr) {
+            console.error('Fallback scoring failed:', replayErr);
+            setStatus('Analysis error: ' + err.message, 'error');
+            return;
+        } finally {
+            if (analyzer.isWorker) fallBackToMainThread();
         }
-    });
-
-    if (threatResults.length === 0 && frameCount < 10) {
+    }
+    if (report.mode === 'detection' && report.threatResults.length === 0 && frameCount < 10) {
         setStatus('Not enough data. Try again with face visible.', 'error');
-        return false;
+        return;
     }
 
-    document.getElementById('scanPersons').textContent = threatResults.length;
+    renderReport(report);
+    document.getElementById('scanDurationDisplay').textContent = `${elapsed.toFixed(0)}s`;
+    document.getElementById('scanFrames').textContent = frameCount;
 
-    const neuroResults = [];
-    threatResults.forEach(r => {
-        const history = threatEngine.frameHistory.get(r.personId);
-        if (history && history.length >= 10) {
-            const nr = neuroAnalyzer.analyze(history, 30);
-            nr.personId = r.personId;
-            neuroResults.push(nr);
-        }
-    });
-
-    document.getElementById('reportTitle').textContent = 'Detection & Threat Analysis Report';
-    document.getElementById('reportSubtitle').textContent = 'Multi-Person Behavioral Screening Assessment';
-    document.getElementById('threatResultsSection').style.display = 'block';
-    document.getElementById('neuroSection').style.display = 'block';
-    document.getElementById('deceptionResultsSection').style.display = 'none';
-
-    renderDetectionResults(threatResults, neuroResults);
-    return true;
+    resultsPanel.classList.add('active');
+    document.getElementById('btnSaveSession').disabled = false;
+    setStatus('Analysis complete!', 'ready');
 }
 
-function completeDeceptionScan() {
-    const personId = 'SUBJECT';
-
-    // Get VSA full analysis before destroying
-    let vsaResult = null;
-    if (vsaAvailable && voiceStressEngine.isActive) {
-        vsaResult = voiceStressEngine.fullAnalysis();
+// ── Render Report (live scan or replayed session) ──
+function renderReport(report) {
+    lastReport = report;
+    const canSaveBaseline = report.mode === 'deception' && report.deceptionResult && report.deceptionResult.baseline.profile;
+    btnSaveBaseline.style.display = report.mode === 'deception' ? 'inline-block' : 'none';
+    btnSaveBaseline.disabled = !canSaveBaseline;
+    document.getElementById('scanType').textContent = report.mode === 'detection' ? 'Detection' : 'Deception Interview';
+    document.getElementById('scanProfile').textContent = report.scoringProfile
+        ? `${report.scoringProfile.name} v${report.scoringProfile.version}`
+        : '--';
+
+    if (report.mode === 'detection') {
+        document.getElementById('scanPersons').textContent = report.threatResults.length;
+        document.getElementById('reportTitle').textContent = 'Detection & Threat Analysis Report';
+        document.getElementById('reportSubtitle').textContent = 'Multi-Person Behavioral Screening Assessment';
+        document.getElementById('threatResultsSection').style.display = 'block';
+        document.getElementById('neuroSection').style.display = 'block';
+        document.getElementById('deceptionResultsSection').style.display = 'none';
+
+        renderDetectionResults(report.threatResults, report.neuroResults);
+    } else {
+        document.getElementById('scanPersons').textContent = '1';
+        document.getElementById('reportTitle').textContent = 'Deception Interview Analysis Report';
+        document.getElementById('reportSubtitle').textContent = 'Single-Subject Behavioral Deception Assessment';
+        document.getElementById('threatResultsSection').style.display = 'none';
+        document.getElementById('neuroSection').style.display = 'none';
+        document.getElementById('deceptionResultsSection').style.display = 'block';
+
+        renderDeceptionReport(report.deceptionResult, report.threatResult, report.neuroResult, report.voiceResult, report.subjectVisibility, report.vibration);
     }
-    voiceStressEngine.destroy();
-    vsaAvailable = false;
 
-    const deceptionResult = deceptionEngine.fullAnalysis(personId, vsaResult);
-    const threatResult = threatEngine.fullAnalysis(personId);
+    document.getElementById('dataQualitySection').innerHTML = report.dataQuality
+        ? buildDataQualitySection(report.dataQuality)
+        : '';
+}
 
-    let neuroResult = null;
-    const history = threatEngine.frameHistory.get(personId);
-    if (history && history.length >= 10) {
-        neuroResult = neuroAnalyzer.analyze(history, 30);
-    }
+// ── Render Data Quality ──
+function buildDataQualitySection(dq) {
+    const usableStatus = dq.usablePercent < 50 ? 'alert' : (dq.usablePercent < 80 ? 'warn' : 'ok');
+    const qualityStatus = dq.meanQuality < 0.5 ? 'alert' : (dq.meanQuality < 0.75 ? 'warn' : 'ok');
+    const items = [
+        { label: 'Usable', value: dq.usablePercent, unit: '%', status: usableStatus },
+        { label: 'Frames', value: dq.framesSeen, unit: 'seen', status: 'ok' },
+        { label: 'Dropped', value: dq.droppedFrames, unit: 'frames', status: dq.droppedFrames > 0 ? usableStatus : 'ok' },
+        { label: 'Mean Quality', value: dq.meanQuality, unit: '0-1', status: qualityStatus }
+    ];
 
-    document.getElementById('scanPersons').textContent = '1';
-    document.getElementById('reportTitle').textContent = 'Deception Interview Analysis Report';
-    document.getElementById('reportSubtitle').textContent = 'Single-Subject Behavioral Deception Assessment';
-    document.getElementById('threatResultsSection').style.display = 'none';
-    document.getElementById('neuroSection').style.display = 'none';
-    document.getElementById('deceptionResultsSection').style.display = 'block';
+    let html = '<div class="section-title">DATA QUALITY</div><div class="bio-grid">';
+    items.forEach(item => {
+        html += `<div class="bio-item"><div class="bio-label">${item.label}</div><div class="bio-val ${item.status}">${item.value}</div><div class="bio-unit">${item.unit}</div></div>`;
+    });
+    html += '</div>';
 
-    renderDeceptionReport(deceptionResult, threatResult, neuroResult, vsaResult);
+    if (dq.dropReasons.length > 0) {
+        html += '<div class="cond-indicators">';
+        dq.dropReasons.forEach(r => {
+            const share = Math.round((r.frames / Math.max(1, dq.framesSeen)) * 100);
+            const severity = share >= 30 ? 'high' : (share >= 10 ? 'moderate' : 'low');
+            html += `<div class="cond-ind"><span class="ci-marker">${r.label}</span><span class="ci-val ${severity}">${r.frames} frames (${share}%)</span></div>`;
+        });
+        html += '</div>';
+    }
+    return html;
 }
 
 // ── Render Detection Results ──
@@ -922,7 +1575,6 @@ function renderDetectionResults(threatResults, neuroResults) {
     if (threatResults.length === 0) {
         html = '<div style="text-align:center;padding:20px;color:#888;">No persons detected during scan.</div>';
     } else {
-        threatResults.sort((a, b) => b.threatScore - a.threatScore);
         threatResults.forEach(r => { html += buildThreatCard(r); });
     }
     document.getElementById('threatResultsSection').innerHTML = html;
@@ -935,6 +1587,15 @@ function renderDetectionResults(threatResults, neuroResults) {
 function buildThreatCard(r) {
     const m = r.metrics;
     const indicators = r.indicators.map(ind => `<span class="ind-tag ${ind.color}">${ind.label}</span>`).join('');
+    const presence = r.presence
+        ? ` | present ${r.presence.timePresent}s | ${r.presence.reentries} re-entr${r.presence.reentries === 1 ? 'y' : 'ies'}`
+        : '';
+    const v = r.vibration;
+    const vibration = v
+        ? `<div class="vib-row"><span>Vibration <b>${v.vibration.toFixed(2)}</b> (peak ${v.peakVibration.toFixed(2)})</span><span>Dominant <b>${v.frequency.toFixed(1)} Hz</b></span><span>Energy <b>${v.energy.toFixed(1)}</b></span>` +
+            (v.bands ? v.bands.map(b => `<span>${b.name} Hz <b>${b.percent}%</b></span>`).join('') + `<span>Entropy <b>${v.entropy.toFixed(2)}</b></span>` : '') +
+            '</div>'
+        : '';
     return `
     <div class="threat-card ${r.threatLevel}">
         <div class="threat-card-header">
@@ -949,11 +1610,100 @@ function buildThreatCard(r) {
             <div class="m-item"><div class="m-label">Bad Intent</div><div class="m-bar"><div class="m-bar-fill intent" style="width:${m.badIntent}%"></div></div><div class="m-value">${m.badIntent}%</div></div>
             <div class="m-item"><div class="m-label">Stability</div><div class="m-bar"><div class="m-bar-fill stability" style="width:${m.stability}%"></div></div><div class="m-value">${m.stability}%</div></div>
         </div>
+        ${vibration}
+        ${v ? buildRegionTable(v.regions) : ''}
         <div class="indicators-row">${indicators}</div>
-        <div style="margin-top:8px;font-size:11px;color:#666;">${r.framesAnalyzed} frames | ${r.confidence}% confidence</div>
+        <div style="margin-top:8px;font-size:11px;color:#666;">${r.framesAnalyzed} frames | ${r.confidence}% confidence${presence}</div>
     </div>`;
 }
 
+// Region-by-region vibration, mean motion shaded like the live heatmap
+function buildQuestionTable(questions) {
+    const ranked = [...questions].sort((a, b) => (a.rank === null) - (b.rank === null) || a.rank - b.rank || a.index - b.index);
+    const pct = v => (v === null ? '--' : v + '%');
+    let html = '<table class="question-table"><thead><tr><th>#</th><th>Question</th><th>Deception</th><th>Micro</th><th>Blinks</th><th>Voice</th><th>Latency</th></tr></thead><tbody>';
+    ranked.forEach(q => {
+        const blinks = q.blinkChange === null
+            ? `${q.blinkRate}/min`
+            : `${q.blinkChange > 0 ? '+' : ''}${q.blinkChange}/min`;
+        const micro = q.microExpressions > 0 ? `${q.microExpressions} <small>${q.microTypes.join(', ')}</small>` : '0';
+        html += `<tr><td class="q-rank">${q.rank === null ? '--' : q.rank}</td>` +
+            `<td class="q-label">${q.type ? `<span class="q-type ${q.type}">${q.type}</span> ` : ''}${escapeHtml(q.label)}<small>Q${q.index + 1} · ${q.startSeconds.toFixed(1)}–${q.endSeconds.toFixed(1)}s</small></td>` +
+            `<td>${pct(q.deceptionProbability)}</td><td>${micro}</td><td>${blinks}</td><td>${pct(q.voiceStress)}</td>` +
+            `<td>${q.responseLatencyMs === null ? '--' : (q.responseLatencyMs / 1000).toFixed(1) + 's'}</td></tr>`;
+    });
+    return html + '</tbody></table>';
+}
+
+// Relevant questions against the subject's own control questions (interview-protocol.js)
+function buildComparisonSection(comparison) {
+    const VERDICT_LABELS = { reactive: 'REACTIVE TO RELEVANT QUESTIONS', 'not-reactive': 'NOT REACTIVE TO RELEVANT QUESTIONS', inconclusive: 'INCONCLUSIVE', insufficient: 'INSUFFICIENT DATA' };
+    const value = (v, unit) => (v === null ? '--' : `${v}${unit === 'ms' ? ' ms' : unit}`);
+    let html = '<div class="section-title">RELEVANT VS CONTROL QUESTIONS</div>';
+    html += `<div class="comparison-card ${comparison.verdict}">
+        <div class="comparison-verdict">${VERDICT_LABELS[comparison.verdict]}</div>
+        <div class="comparison-detail">${comparison.summary} — total ${comparison.grandTotal > 0 ? '+' : ''}${comparison.grandTotal}
+        over ${comparison.relevant} relevant and ${comparison.controls} control question${comparison.controls === 1 ? '' : 's'}
+        (negative: stronger reactions to relevant questions)</div>
+    </div>`;
+
+    comparison.questions.forEach(q => {
+        html += `<table class="question-table comparison-table"><thead><tr><th>${escapeHtml(q.label)}</th><th>Relevant</th><th>Control</th><th>Difference</th><th>Score</th></tr></thead><tbody>`;
+        q.channels.forEach(ch => {
+            const cls = ch.score < 0 ? 'react' : (ch.score > 0 ? 'calm' : '');
+            html += `<tr><td>${ch.label}</td><td>${value(ch.relevant, ch.unit)}</td><td>${value(ch.control, ch.unit)}</td>` +
+                `<td>${ch.difference === null ? '--' : (ch.difference > 0 ? '+' : '') + value(ch.difference, ch.unit)}</td>` +
+                `<td class="${cls}">${ch.score > 0 ? '+' : ''}${ch.score}</td></tr>`;
+        });
+        html += `<tr><td><strong>Question total</strong></td><td colspan="3">${VERDICT_LABELS[q.verdict]}</td><td><strong>${q.total > 0 ? '+' : ''}${q.total}</strong></td></tr></tbody></table>`;
+    });
+    return html;
+}
+
+// Speech timing per answer against the baseline answers (speech-timing.js)
+function buildTimingTable(questions, timingBaseline) {
+    const show = (v, unit) => (v === null || v === undefined ? '--' : `${v}${unit}`);
+    const change = (q, key) => {
+        const d = q.timingChange ? q.timingChange.changes[key] : null;
+        return d === null ? '' : ` <small>${d > 0 ? '+' : ''}${d}</small>`;
+    };
+    let html = '<div class="section-title">SPEECH TIMING</div>';
+    html += '<table class="question-table timing-table"><thead><tr><th>Answer</th><th>Latency</th><th>Rate</th><th>Pauses</th><th>Mean pause</th><th>Fillers</th><th>Cues</th></tr></thead><tbody>';
+    if (timingBaseline) {
+        const b = timingBaseline.measures;
+        const source = timingBaseline.source === 'neutral'
+            ? `${timingBaseline.answers} neutral answer${timingBaseline.answers === 1 ? '' : 's'}`
+            : 'baseline window';
+        html += `<tr class="timing-baseline"><td class="q-label">Baseline<small>${source}</small></td>` +
+            `<td>${show(b.responseLatencyMs, ' ms')}</td><td>${show(b.speechRate, ' syl/s')}</td><td>${show(b.pausesPerMinute, '/min')}</td>` +
+            `<td>${show(b.meanPauseMs, ' ms')}</td><td>${show(b.filledPerMinute, '/min')}</td><td></td></tr>`;
+    }
+    questions.filter(q => q.timing).forEach(q => {
+        const t = q.timing;
+        const cues = q.timingChange ? q.timingChange.cues : [];
+        html += `<tr><td class="q-label">${q.type ? `<span class="q-type ${q.type}">${q.type}</span> ` : ''}${escapeHtml(q.label)}<small>Q${q.index + 1} · ${t.syllables} syllables in ${(t.speakingMs / 1000).toFixed(1)}s</small></td>` +
+            `<td>${show(q.responseLatencyMs, ' ms')}${change(q, 'responseLatencyMs')}</td>` +
+            `<td>${show(t.speechRate, ' syl/s')}${change(q, 'speechRate')}</td>` +
+            `<td>${show(t.pauses.perMinute, '/min')}${change(q, 'pausesPerMinute')}</td>` +
+            `<td>${show(t.pauses.meanMs, ' ms')}${change(q, 'meanPauseMs')}</td>` +
+            `<td>${t.filledPauses.count}${change(q, 'filledPerMinute')}</td>` +
+            `<td class="${cues.length > 0 ? 'react' : ''}">${cues.length > 0 ? cues.join(', ') : '--'}</td></tr>`;
+    });
+    return html + '</tbody></table>';
+}
+
+function buildRegionTable(regions) {
+    if (!regions || regions.length === 0) return '';
+    let html = '<table class="region-table"><thead><tr><th>Region</th><th>Mean</th><th>Peak</th><th>Dominant</th><th>Energy</th><th>Main band</th><th>Entropy</th></tr></thead><tbody>';
+    regions.forEach(r => {
+        const heat = Math.min(1, r.vibration / REGION_HOT);
+        html += `<tr><td><span class="region-swatch" style="background:hsl(${Math.round(120 - 120 * heat)}, 90%, 55%)"></span>${r.region}</td>` +
+            `<td>${r.vibration.toFixed(2)}</td><td>${r.peakVibration.toFixed(2)}</td><td>${r.frequency.toFixed(1)} Hz</td>` +
+            `<td>${r.energy.toFixed(1)}</td><td>${r.band ? r.band + ' Hz' : '--'}</td><td>${r.entropy !== null ? r.entropy.toFixed(2) : '--'}</td></tr>`;
+    });
+    return html + '</tbody></table>';
+}
+
 function buildNeuroSection(nr) {
     const bio = nr.biometrics;
     const bioItems = [
@@ -994,7 +1744,7 @@ function buildNeuroSection(nr) {
 }
 
 // ── Render Deception Report ──
-function renderDeceptionReport(deception, threat, neuro, vsa) {
+function renderDeceptionReport(deception, threat, neuro, vsa, visibility, vibration) {
     const level = deception.deceptionProbability >= 70 ? 'high' : (deception.deceptionProbability >= 40 ? 'moderate' : 'low');
 
     const vsaRing = vsa && vsa.baselineEstablished
@@ -1016,6 +1766,21 @@ function renderDeceptionReport(deception, threat, neuro, vsa) {
         </div>
     </div>`;
 
+    html += buildBaselineSection(deception.baseline);
+    if (visibility) html += buildVisibilitySection(visibility);
+
+    // Per-question breakdown, most reactive first
+    if (deception.questions && deception.questions.length > 0) {
+        html += '<div class="section-title">QUESTIONS BY REACTIVITY</div>';
+        html += buildQuestionTable(deception.questions);
+    }
+    if (deception.controlComparison && (deception.controlComparison.controls > 0 || deception.controlComparison.relevant > 0)) {
+        html += buildComparisonSection(deception.controlComparison);
+    }
+    if (deception.questions && deception.questions.some(q => q.timing)) {
+        html += buildTimingTable(deception.questions, deception.timingBaseline);
+    }
+
     // Deception Types
     html += '<div class="section-title">DECEPTION TYPE ANALYSIS</div>';
     html += buildDeceptionTypeCard('Falsification', deception.deceptionTypes.falsification, 'Creating untrue statements — constructing false narratives');
@@ -1028,12 +1793,23 @@ function renderDeceptionReport(deception, threat, neuro, vsa) {
         html += '<canvas id="deceptionTimelineChart" style="width:100%;height:120px;background:#1e2a3f;border-radius:8px;"></canvas>';
     }
 
+    // Action Unit activation timeline
+    if (deception.actionUnits.timeline.length > 0) {
+        html += buildActionUnitSection(deception.actionUnits);
+    }
+
+    // Vibration per facial region
+    if (vibration && vibration.samples > 0) {
+        html += '<div class="section-title">FACIAL VIBRATION BY REGION</div>';
+        html += buildRegionTable(vibration.regions);
+    }
+
     // Micro-Expression Log
     if (deception.microExpressions.length > 0) {
         html += '<div class="section-title">MICRO-EXPRESSION LOG</div><div class="micro-log">';
         deception.microExpressions.slice(-20).forEach(m => {
-            const timeSec = m.frameIndex ? (m.frameIndex / 30).toFixed(1) : '?';
-            html += `<div class="micro-item"><span class="micro-type">${m.type}</span><span class="micro-time">${timeSec}s</span><span class="micro-intensity" style="color:${m.intensity > 0.3 ? '#f44336' : '#ffc107'}">${Math.round(m.intensity * 100)}%</span></div>`;
+            const timeSec = m.timeSeconds !== undefined ? m.timeSeconds.toFixed(1) : '?';
+            html += `<div class="micro-item"><span class="micro-type">${m.type}</span><span class="micro-time">${timeSec}s · ${m.durationMs}ms</span><span class="micro-intensity" style="color:${m.intensity > 0.3 ? '#f44336' : '#ffc107'}">${Math.round(m.intensity * 100)}%</span></div>`;
         });
         html += '</div>';
     }
@@ -1067,6 +1843,10 @@ function renderDeceptionReport(deception, threat, neuro, vsa) {
         html += '<div class="vsa-card"><div class="vsa-header"><span>Voice Stress</span><span style="color:#ff9800;">Insufficient Data</span></div><div style="padding:12px;color:#aaa;font-size:12px;">Baseline could not be established — not enough speech detected. Results require at least 5 seconds of continuous speech.</div></div>';
     }
 
+    if (deception.fusion.contributions.length > 0) {
+        html += buildFusionSection(deception.fusion);
+    }
+
     // Indicators
     if (deception.indicators.length > 0) {
         html += '<div class="section-title">BEHAVIORAL INDICATORS</div><div class="indicators-row">';
@@ -1096,6 +1876,89 @@ function renderDeceptionReport(deception, threat, neuro, vsa) {
     }
 }
 
+// Each modality's share of the fused deception score, and why
+function buildFusionSection(fusion) {
+    let html = `<div class="section-title">MODALITY FUSION — ${Math.round(fusion.confidence * 100)}% CONFIDENCE</div>`;
+    fusion.contributions.forEach(c => {
+        const level = c.reliability >= 0.7 ? 'low' : (c.reliability >= 0.4 ? 'moderate' : 'high');
+        html += `<div class="cond-card ${level}">
+            <div class="cond-header"><span class="cond-name">${c.modality.toUpperCase()}</span><span class="cond-badge ${level}">${c.share}% of score</span></div>
+            <div class="cond-bar"><div class="cond-bar-fill ${level}" style="width:${c.share}%"></div></div>
+            <div class="cond-indicators">
+                <div class="cond-ind"><span class="ci-marker">Score</span><span>${c.score}%</span></div>
+                <div class="cond-ind"><span class="ci-marker">Reliability</span><span class="ci-val ${level}">${Math.round(c.reliability * 100)}%</span></div>
+            </div>
+        </div>`;
+    });
+    return html;
+}
+
+// Which reference the deception scores were measured against
+function buildBaselineSection(baseline) {
+    const sources = { recorded: 'Recorded', marked: 'Marked', saved: 'Saved', default: 'Opening seconds' };
+    const profile = baseline.profile;
+    const span = baseline.startSeconds !== null
+        ? `${baseline.startSeconds}–${baseline.endSeconds !== null ? baseline.endSeconds : 'end'}`
+        : '--';
+    const items = [
+        { label: 'Source', value: sources[baseline.source] || baseline.source, unit: baseline.subject || '', status: profile ? 'ok' : 'warn' },
+        { label: 'Window', value: span, unit: 's', status: 'ok' },
+        { label: 'Frames', value: profile ? profile.frames : 0, unit: 'neutral', status: profile ? 'ok' : 'warn' },
+        { label: 'Length', value: profile ? profile.durationSec : 0, unit: 's', status: 'ok' }
+    ];
+    let html = '<div class="section-title">BASELINE</div><div class="bio-grid">';
+    items.forEach(item => {
+        html += `<div class="bio-item"><div class="bio-label">${item.label}</div><div class="bio-val ${item.status}">${item.value}</div><div class="bio-unit">${item.unit}</div></div>`;
+    });
+    return html + '</div>';
+}
+
+// Out-of-view periods: no frames from them entered the scores
+function buildVisibilitySection(visibility) {
+    const items = [
+        { label: 'Subject', value: visibility.locked ? 'Locked' : 'Largest face', unit: visibility.locked ? `from ${visibility.lockedAt}s` : '', status: 'ok' },
+        { label: 'Visible', value: visibility.visiblePercent, unit: '% of frames', status: visibility.visiblePercent >= 90 ? 'ok' : 'warn' },
+        { label: 'Out of view', value: visibility.lostPeriods.length, unit: 'periods', status: visibility.lostPeriods.length === 0 ? 'ok' : 'warn' }
+    ];
+    let html = '<div class="section-title">SUBJECT VISIBILITY</div><div class="bio-grid">';
+    items.forEach(item => {
+        html += `<div class="bio-item"><div class="bio-label">${item.label}</div><div class="bio-val ${item.status}">${item.value}</div><div class="bio-unit">${item.unit}</div></div>`;
+    });
+    html += '</div>';
+    if (visibility.lostPeriods.length > 0) {
+        html += '<div class="micro-log">';
+        visibility.lostPeriods.forEach(p => {
+            html += `<div class="micro-item"><span class="micro-type">Not visible</span><span class="micro-time">${p.startSeconds}s – ${p.endSeconds}s</span><span>${(p.endSeconds - p.startSeconds).toFixed(1)}s</span></div>`;
+        });
+        html += '</div>';
+    }
+    return html;
+}
+
+// AUs that reached activation, one heat row each (1 s cells, mean intensity)
+function buildActionUnitSection(au) {
+    const rows = au.summary.filter(u => u.peak >= AU_ACTIVE);
+    let html = '<div class="section-title">ACTION UNIT TIMELINE</div><div class="au-card">';
+    if (rows.length === 0) {
+        html += '<div class="au-empty">No Action Units above the neutral baseline</div></div>';
+        return html;
+    }
+
+    const first = au.timeline[0].timeSeconds;
+    const last = au.timeline[au.timeline.length - 1].timeSeconds;
+    html += `<div class="au-grid" style="grid-template-columns:120px repeat(${au.timeline.length}, 1fr) 44px;">`;
+    rows.forEach(u => {
+        html += `<div class="au-label" title="${u.name}">${u.unit} <span>${u.name}</span></div>`;
+        au.timeline.forEach(w => {
+            const v = w.units[u.unit];
+            html += `<div class="au-cell" title="${w.timeSeconds}s: ${Math.round(v * 100)}%" style="background:rgba(224,64,251,${v})"></div>`;
+        });
+        html += `<div class="au-count">${u.activations}×</div>`;
+    });
+    html += `</div><div class="au-axis"><span>${first}s</span><span>${last}s</span></div></div>`;
+    return html;
+}
+
 function buildDeceptionTypeCard(name, data, desc) {
     const active = data.score >= 30;
     let inds = '';
@@ -1218,6 +2081,12 @@ function buildVSAReportCard(vsa) {
     // Speech Metrics
     const sp = vsa.speechMetrics;
     html += `<div class="vsa-item"><div class="vsa-label">Speech Ratio</div><div class="vsa-val">${sp.speechRatio}%</div></div>`;
+    // Reports from before speech timing have no rate or pause breakdown
+    if (sp.pauses) {
+        html += `<div class="vsa-item"><div class="vsa-label">Speech Rate</div><div class="vsa-val">${sp.speechRate === null ? '--' : sp.speechRate + ' syl/s'}</div></div>`;
+        html += `<div class="vsa-item"><div class="vsa-label">Pauses</div><div class="vsa-val">${sp.pauses.perMinute === null ? sp.pauses.count : sp.pauses.perMinute + '/min'}</div></div>`;
+        html += `<div class="vsa-item"><div class="vsa-label">Filled Pauses</div><div class="vsa-val">${sp.filledPauses.count}</div></div>`;
+    }
 
     html += `</div>`;
 
@@ -1249,6 +2118,66 @@ function buildVSAReportCard(vsa) {
     return html;
 }
 
+// ── Session Recording & Replay ──
+function getDeviceInfo() {
+    const track = stream ? stream.getVideoTracks()[0] : null;
+    const settings = track && track.getSettings ? track.getSettings() : {};
+    return {
+        userAgent: navigator.userAgent,
+        platform: navigator.platform || '',
+        language: navigator.language || '',
+        hardwareConcurrency: navigator.hardwareConcurrency || 0,
+        devicePixelRatio: window.devicePixelRatio || 1,
+        video: {
+            width: video.videoWidth || 0,
+            height: video.videoHeight || 0,
+            frameRate: settings.frameRate || null,
+            facingMode: settings.facingMode || null
+        }
+    };
+}
+
+function saveSession() {
+    if (!sessionRecorder.end) return;
+    const blob = new Blob([sessionRecorder.toNDJSON()], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `microsenses-${sessionRecorder.header.mode}-${sessionRecorder.header.startedAt.replace(/[:.]/g, '-')}.ndjson`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+sessionInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    sessionInput.value = '';
+    if (!file || running) return;
+
+    try {
+        const session = parseSession(await file.text());
+        const report = rescoreSession(session);
+        renderReport(report);
+
+        document.getElementById('scanDurationDisplay').textContent = session.end ? `${session.end.duration.toFixed(0)}s` : '--';
+        document.getElementById('scanFrames').textContent = report.framesProcessed;
+        resultsPanel.classList.add('active');
+        setStatus('Session replayed with current engines.', 'ready');
+    } catch (err) {
+        console.error('Session replay failed:', err);
+        setStatus('Session replay error: ' + err.message, 'error');
+    }
+});
+
+// Score a recorded session with the current settings and profile
+function rescoreSession(session) {
+    const threatEngine = new ThreatEngine();
+    const deceptionEngine = new DeceptionEngine();
+    applyThreatSettings(threatEngine, settings);
+    threatEngine.setProfile(activeProfile);
+    deceptionEngine.setProfile(activeProfile);
+    return replaySession(session, { threatEngine, deceptionEngine });
+}
+
 // ── Video Upload ──
 btnUpload.addEventListener('click', () => {
     if (!currentMode) {
@@ -1287,19 +2216,12 @@ fileInput.addEventListener('change', async (e) => {
         overlay.width = video.videoWidth || 640;
         overlay.height = video.videoHeight || 480;
 
+        await startAnalyzer();
         running = true;
         frameCount = 0;
         vibrationData = [];
-        lastLandmarks = null;
-        peakCount = 0;
-        lastPeakTime = 0;
-        lastVibration = 0;
-        vibrationHistory = [];
         scanStartTime = performance.now();
-        threatEngine.clearAll();
-        deceptionEngine.clearAll();
-        personTracker.clear();
-        nextPersonId = 1;
+        sessionRecorder.start({ mode: currentMode, scanType, scanDuration, reid: reidActive, device: getDeviceInfo() });
 
         if (currentMode === 'detection') setupDetectionUI();
         else setupDeceptionUI();
@@ -1318,6 +2240,7 @@ fileInput.addEventListener('change', async (e) => {
                 updateMicStatus('denied', 'No audio track in video');
             }
         }
+        beginBaseline(scanStartTime);
 
         timerSection.style.display = 'block';
         btnStart.disabled = true;
@@ -1353,21 +2276,8 @@ async function processVideoFrame() {
     }
 
     const now = performance.now();
-    const elapsed = now - scanStartTime;
-
     // Auto-stop for deception mode with a set duration
-    if (scanDuration > 0 && elapsed >= scanDuration * 1000) {
-        completeScan();
-        return;
-    }
-
-    if (scanDuration > 0) {
-        const remaining = scanDuration - elapsed / 1000;
-        timerValue.textContent = formatTimer(remaining * 1000);
-        progressFill.style.width = ((elapsed / 1000) / scanDuration * 100) + '%';
-    } else {
-        timerValue.textContent = formatTimer(elapsed);
-    }
+    if (tickInterviewClock(now)) { completeScan(); return; }
     frameCount++;
 
     try {
@@ -1381,20 +2291,11 @@ async function processVideoFrame() {
             overlay.height = video.videoHeight;
         }
 
-        const detections = await faceapi
-            .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ scoreThreshold: 0.4 }))
-            .withFaceLandmarks(true)
-            .withFaceExpressions();
-
-        if (currentMode === 'detection') {
-            processDetectionFrame(detections, now);
-        } else {
-            processDeceptionFrame(detections, now);
-        }
-
+        await analyzeFrame(video, now);
         drawRealtimeChart();
     } catch (err) {
-        console.warn('Video frame error:', err.message);
+        if (analyzer.isWorker && running) await resumeOnMainThread(err);
+        else console.warn('Video frame error:', err.message);
     }
 
     if (running) requestAnimationFrame(processVideoFrame);
@@ -1423,6 +2324,10 @@ dropZone.addEventListener('drop', (e) => {
     }
 });
 
+dropZone.addEventListener('click', toggleSubjectLock);
+
+chartViewSelect.addEventListener('change', drawRealtimeChart);
+
 // ── Camera Flip ──
 btnFlip.addEventListener('click', async () => {
     facingMode = facingMode === 'user' ? 'environment' : 'user';
@@ -1438,6 +2343,23 @@ btnFlip.addEventListener('click', async () => {
 // ── Event Listeners ──
 btnStart.addEventListener('click', showModeModal);
 btnStop.addEventListener('click', stopScan);
+document.getElementById('btnReplay').addEventListener('click', () => {
+    if (!running) sessionInput.click();
+});
+document.getElementById('btnSaveSession').addEventListener('click', saveSession);
+btnMarkBaseline.addEventListener('click', toggleBaselineMark);
+btnQuestion.addEventListener('click', askNextQuestion);
+btnAnswered.addEventListener('click', markAnswered);
+subjectNameInput.addEventListener('input', refreshBaselineOptions);
+
+btnSaveBaseline.addEventListener('click', () => {
+    const subject = subjectNameInput.value.trim() || prompt('Subject name or ID for this baseline:');
+    if (!subject || !lastReport) return;
+    subjectNameInput.value = subject.trim();
+    const record = saveBaseline(subject, lastReport);
+    if (record) setStatus(`Baseline saved for ${record.subject}.`, 'ready');
+    else setStatus('This report has no baseline to save.', 'error');
+});
 document.getElementById('btnNewScan').addEventListener('click', () => {
     resultsPanel.classList.remove('active');
     // Reset mode-specific UI
@@ -0,0 +1,130 @@
+/* ============================================
+   BASELINE - Deception interview baselines
+   The truthful reference a deception interview
+   is scored against, chosen by the interviewer:
+   - recorded: a timed phase before the interview,
+     with neutral questions to prompt the subject
+   - marked:   a span marked by hand mid-session
+   - saved:    the baseline of an earlier session
+     with the same subject (kept in localStorage)
+   Without a choice the engine falls back to the
+   first seconds of the session.
+   ============================================ */
+
+export const BASELINES_KEY = 'microsenses-baselines';
+
+export const BASELINE_PHASE = {
+    durationSec: 20,   // recorded baseline length
+    promptSec: 5       // each neutral prompt stays up this long
+};
+
+// Low-stakes questions with known, truthful answers
+export const NEUTRAL_PROMPTS = [
+    'Please state your full name.',
+    'What is today\'s date?',
+    'Where did you grow up?',
+    'What did you have for breakfast today?',
+    'Describe the room you are in right now.',
+    'Count slowly from one to ten.'
+];
+
+const EXPRESSION_KEYS = ['angry', 'disgusted', 'fearful', 'happy', 'neutral', 'sad', 'surprised'];
+
+/**
+ * Neutral prompt to show `elapsedMs` into the baseline phase
+ */
+export function promptAt(elapsedMs, promptSec = BASELINE_PHASE.promptSec) {
+    const i = Math.max(0, Math.floor(elapsedMs / (promptSec * 1000)));
+    return NEUTRAL_PROMPTS[i % NEUTRAL_PROMPTS.length];
+}
+
+/**
+ * Storage key for a subject name (case and surrounding spaces ignored)
+ */
+export function subjectKey(subject) {
+    return typeof subject === 'string' ? subject.trim().toLowerCase() : '';
+}
+
+/**
+ * Validate a saved face baseline profile (see DeceptionEngine._buildBaseline)
+ * @returns {object|null} Clean profile, or null when unusable
+ */
+export function normalizeBaselineProfile(profile) {
+    if (!profile || typeof profile !== 'object' || !profile.avgExpr) return null;
+    const avgExpr = {};
+    for (const k of EXPRESSION_KEYS) {
+        const v = Number(profile.avgExpr[k]);
+        if (!Number.isFinite(v)) return null;
+        avgExpr[k] = v;
+    }
+    const num = (v, fallback = 0) => (Number.isFinite(Number(v)) ? Number(v) : fallback);
+    // Profiles saved before the AU neutral face was kept, or damaged ones, go without it
+    const geometry = profile.neutralGeometry;
+    const neutralGeometry = geometry && typeof geometry === 'object' && Object.keys(geometry).length > 0 &&
+        Object.values(geometry).every(v => typeof v === 'number' && Number.isFinite(v)) ? { ...geometry } : null;
+    return {
+        avgExpr,
+        avgAsymmetry: num(profile.avgAsymmetry),
+        neutralGeometry,
+        frames: num(profile.frames),
+        durationSec: num(profile.durationSec)
+    };
+}
+
+/**
+ * All saved baselines, keyed by subjectKey()
+ * @param {Storage} storage - localStorage or a compatible object
+ */
+export function loadSavedBaselines(storage = globalThis.localStorage) {
+    try {
+        const raw = storage && storage.getItem(BASELINES_KEY);
+        const parsed = raw ? JSON.parse(raw) : {};
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (err) {
+        console.warn('Could not read saved baselines:', err);
+        return {};
+    }
+}
+
+/**
+ * Saved baseline for a subject
+ * @returns {object|null} { subject, savedAt, face, voice }
+ */
+export function findSavedBaseline(subject, storage = globalThis.localStorage) {
+    const record = loadSavedBaselines(storage)[subjectKey(subject)];
+    if (!record) return null;
+    const face = normalizeBaselineProfile(record.face);
+    return face ? { ...record, face } : null;
+}
+
+/**
+ * Keep the baseline of a finished deception report for later sessions
+ * @param {string} subject - Subject name or ID
+ * @param {object} report - ScanPipeline deception report
+ * @returns {object|null} The saved record, or null when the report has no usable baseline
+ */
+export function saveBaseline(subject, report, storage = globalThis.localStorage) {
+    const key = subjectKey(subject);
+    const result = report && report.deceptionResult;
+    const face = result && result.baseline ? normalizeBaselineProfile(result.baseline.profile) : null;
+    if (!key || !face) return null;
+
+    const f0 = report.voiceResult && report.voiceResult.baselineEstablished
+        ? report.voiceResult.fundamentalFrequency : null;
+    const record = {
+        subject: subject.trim(),
+        savedAt: new Date().toISOString(),
+        face,
+        voice: f0 && f0.baselineMean ? { meanF0: f0.baselineMean, sdF0: f0.baselineSD } : null
+    };
+
+    const all = loadSavedBaselines(storage);
+    all[key] = record;
+    try {
+        if (storage) storage.setItem(BASELINES_KEY, JSON.stringify(all));
+    } catch (err) {
+        console.warn('Could not save baseline:', err);
+        return null;
+    }
+    return record;
+}
@@ -13,13 +13,40 @@
    DISCLAIMER: Screening indicators only - not diagnostic.
    ============================================ */
 
+import { durationSeconds, estimateFps, timeWindows } from './frame-timing.js';
+import { STANDARD_PROFILE, profileStamp } from './scoring-profiles.js';
+import { estimateHeadPose, aversionRate, medianPose, poseDistance, yawReversals } from './head-pose.js';
+import { ShapeAligner } from './landmark-alignment.js';
+import { ActionUnitEstimator, summarizeActionUnits, actionUnitTimeline, meanGeometry, AU_ACTIVE } from './action-units.js';
+import { fuseModalities, faceReliability, voiceReliability } from './modality-fusion.js';
+import { voiceForWindow, rankQuestions, blinkRate } from './interview-questions.js';
+import { compareToControls } from './interview-protocol.js';
+import { speechTimingForWindow, timingMeasures, baselineTiming, compareTiming } from './speech-timing.js';
+
+// Fewer subject frames than this in a question: no facial score for it
+const MIN_QUESTION_FRAMES = 10;
+
+// Micro-expression channels, onset rise over the pre-event level, and that level's window
+const MICRO_KEYS = ['angry', 'disgusted', 'fearful', 'happy', 'sad', 'surprised'];
+const MICRO_RISE = 0.15;
+const MICRO_BASE_MS = 300;
+
 class DeceptionEngine {
     constructor() {
         this.frameHistory = new Map();          // personId -> frame data array
         this.blinkState = new Map();            // personId -> blink tracking state
         this.microExpressionLog = new Map();    // personId -> timestamped micro-expression events
-        this.baselineFrames = 90;               // first 3 seconds = truthful baseline
+        this.microState = new Map();            // personId -> open onset→apex events per expression
+        this.microDurationMs = { min: 40, max: 500 };   // micro-expression range: 1/25 s to 1/2 s
+        this.baselineSeconds = 3;               // first 3 seconds = truthful baseline (unless one is chosen)
+        this.baselines = new Map();             // personId -> chosen baseline (see setBaseline)
+        this.baselineFrames = new Map();        // personId -> frames inside a recorded/marked window
         this.maxHistoryFrames = 1800;           // 60 seconds at 30fps
+        this.startTimes = new Map();            // personId -> timestamp of first frame
+        this.aligners = new Map();              // personId -> ShapeAligner
+        this.auEstimators = new Map();          // personId -> ActionUnitEstimator (neutral face = the chosen baseline)
+        this.questions = new Map();             // personId -> [{ label, type, start, end, frames }] marked questions
+        this.profile = STANDARD_PROFILE;        // composite weights (scoring-profiles.js)
 
         // Eye landmark indices (face-api.js 68-point model)
         this.LEFT_EYE = [36, 37, 38, 39, 40, 41];
@@ -31,20 +58,131 @@ class DeceptionEngine {
         this.RIGHT_FACE = [16, 15, 14, 13, 12, 11, 10, 9, 45, 44, 43, 42, 47, 46, 26, 25, 24, 23, 22, 54, 53, 52, 56, 55, 64, 63];
     }
 
+    /**
+     * Use a resolved scoring profile (see scoring-profiles.js)
+     */
+    setProfile(profile) {
+        this.profile = profile;
+    }
+
+    /**
+     * Choose the truthful baseline for a person (see baseline.js)
+     * @param {object|null} spec - { source: 'recorded'|'marked', start, end } frame-time window
+     *   (end null while it is still running), { source: 'saved', subject, profile } from an
+     *   earlier session, or null for the default first seconds
+     */
+    setBaseline(personId, spec) {
+        const previous = this.baselines.get(personId);
+        if (!spec) {
+            this.baselines.delete(personId);
+            this.baselineFrames.delete(personId);
+            return;
+        }
+        this.baselines.set(personId, { ...spec });
+
+        // Window frames are kept aside as they arrive, so a long interview
+        // cannot push the baseline out of the capped frame history
+        const sameWindow = previous && previous.source === spec.source && previous.start === spec.start;
+        if (spec.source === 'saved' || !sameWindow) {
+            this.baselineFrames.set(personId, []);
+        } else if (spec.end !== null) {
+            this.baselineFrames.set(personId, this.baselineFrames.get(personId).filter(f => f.timestamp <= spec.end));
+        }
+    }
+
+    /**
+     * Point the AU estimator at the chosen baseline: a saved neutral face, or
+     * the recorded/marked window once it starts. When the window closes (or a
+     * saved face arrives) frames already scored are re-scored against it.
+     * Micro-expressions keep the AUs they were classified with.
+     */
+    _syncNeutralFace(personId, timestamp) {
+        const estimator = this.auEstimators.get(personId);
+        const spec = this.baselines.get(personId);
+        if (!estimator || !spec) return;
+
+        if (spec.source === 'saved') {
+            const neutral = spec.profile && spec.profile.neutralGeometry;
+            if (neutral && estimator.neutralFrom !== spec) {
+                estimator.useNeutral(neutral, spec);
+                this._rescoreActionUnits(personId);
+            }
+            return;
+        }
+        const window = `${spec.source}@${spec.start}`;
+        if (estimator.neutralFrom !== window) {
+            if (timestamp >= spec.start) estimator.beginNeutral(window);
+        } else if (estimator.collecting && spec.end !== null && timestamp > spec.end) {
+            if (estimator.freeze()) this._rescoreActionUnits(personId);
+        }
+    }
+
+    _rescoreActionUnits(personId) {
+        const estimator = this.auEstimators.get(personId);
+        // Window and question frames are the same objects as the history's
+        this.frameHistory.get(personId).forEach(f => {
+            if (f.shape) f.actionUnits = estimator.score(f.shape.points);
+        });
+    }
+
+    /**
+     * Mark an interview question: a label opens a new question (closing the open
+     * one), null marks the open question answered. Frames after the mark, up to
+     * the answer, are kept aside for that question.
+     * @param {string|null} label - Question text or label
+     * @param {number} timestamp - Frame time of the mark
+     * @param {string|null} type - Protocol tag: neutral, control, relevant (interview-protocol.js)
+     * @returns {number} Index of the question opened or closed, -1 when none was open
+     */
+    markQuestion(personId, label, timestamp, type = null) {
+        if (!this.questions.has(personId)) this.questions.set(personId, []);
+        const questions = this.questions.get(personId);
+        const open = questions.length > 0 && questions[questions.length - 1].end === null
+            ? questions[questions.length - 1] : null;
+        if (open) open.end = timestamp;
+        if (label === null) return open ? questions.length - 1 : -1;
+
+        questions.push({ label, type, start: timestamp, end: null, frames: [] });
+        return questions.length - 1;
+    }
+
     /**
      * Process a single frame for deception analysis
+     * @param {number} timestamp - Frame time in ms (defaults to now)
      */
-    processFrame(personId, detection) {
+    processFrame(personId, detection, timestamp = Date.now()) {
         if (!this.frameHistory.has(personId)) {
             this.frameHistory.set(personId, []);
-            this.blinkState.set(personId, { inBlink: false, blinkStart: 0, blinks: [], lastBlinkEnd: 0, suppressionStart: 0, absoluteFrame: 0 });
+            this.blinkState.set(personId, { inBlink: false, blinkStart: 0, blinkStartTime: 0, blinks: [], lastBlinkEnd: 0, suppressionStart: 0, absoluteFrame: 0 });
             this.microExpressionLog.set(personId, []);
+            this.microState.set(personId, {});
+            this.startTimes.set(personId, timestamp);
+            this.aligners.set(personId, new ShapeAligner());
+            this.auEstimators.set(personId, new ActionUnitEstimator({ baselineMs: this.baselineSeconds * 1000 }));
         }
 
         const history = this.frameHistory.get(personId);
-        const frameData = this._extractFrameData(detection);
+        const frameData = this._extractFrameData(detection, timestamp);
+        // FACS Action Unit intensities against the subject's baseline face
+        this._syncNeutralFace(personId, timestamp);
+        frameData.shape = this.aligners.get(personId).align(frameData.landmarks);
+        frameData.actionUnits = frameData.shape ? this.auEstimators.get(personId).update(frameData.shape.points, timestamp) : null;
         history.push(frameData);
 
+        const spec = this.baselines.get(personId);
+        if (spec && spec.source !== 'saved' && timestamp >= spec.start && (spec.end === null || timestamp <= spec.end)) {
+            const window = this.baselineFrames.get(personId);
+            window.push(frameData);
+            if (window.length > this.maxHistoryFrames) window.shift();
+        }
+
+        const questions = this.questions.get(personId);
+        const question = questions && questions.length > 0 ? questions[questions.length - 1] : null;
+        if (question && question.end === null && timestamp > question.start) {
+            question.frames.push(frameData);
+            if (question.frames.length > this.maxHistoryFrames) question.frames.shift();
+        }
+
         if (history.length > this.maxHistoryFrames) {
             history.shift();
         }
@@ -52,7 +190,7 @@ class DeceptionEngine {
         // Real-time blink tracking (use absolute frame counter for consistent indexing)
         const blinkData = this.blinkState.get(personId);
         blinkData.absoluteFrame++;
-        this._trackBlinks(personId, frameData, blinkData.absoluteFrame);
+        this._trackBlinks(personId, frameData);
 
         // Real-time micro-expression detection
         this._detectMicroExpressions(personId, history);
@@ -69,12 +207,17 @@ class DeceptionEngine {
             return {
                 deceptionProbability: 0, concealmentScore: 0, cognitiveLoad: 0,
                 truthfulness: 100, microExpressionDetected: false, blinkAnomaly: false,
-                gazeAversion: false, asymmetryHigh: false, expressionIncongruence: false
+                gazeAversion: false, asymmetryHigh: false, expressionIncongruence: false,
+                actionUnits: null, fusion: null
             };
         }
 
-        const recent = history.slice(-30);
-        const isBaseline = history.length <= this.baselineFrames;
+        // Last second of frames, whatever the inference rate
+        const now = history[history.length - 1].timestamp;
+        let recentStart = history.length - 1;
+        while (recentStart > 0 && now - history[recentStart - 1].timestamp < 1000) recentStart--;
+        const recent = history.slice(Math.min(recentStart, history.length - 5));
+        const isBaseline = this._inBaseline(personId, now);
 
         // --- Expression instability ---
         let instability = 0;
@@ -86,31 +229,26 @@ class DeceptionEngine {
         }
         const instabilityRate = instability / recent.length;
 
-        // --- Gaze aversion (head position drift) ---
-        let gazeDrifts = 0;
-        for (let i = 5; i < recent.length; i++) {
-            const window = recent.slice(i - 5, i);
-            const xs = window.map(f => f.box.x);
-            const range = Math.max(...xs) - Math.min(...xs);
-            if (range > 12) gazeDrifts++;
-        }
-        const gazeAversionRate = recent.length > 5 ? gazeDrifts / (recent.length - 5) : 0;
+        // --- Gaze aversion (head turned away from the subject's usual direction) ---
+        const facing = medianPose(history.filter(f => f.pose).map(f => f.pose));
+        const gazeAversionRate = aversionRate(recent.filter(f => f.pose).map(f => f.pose), facing);
 
         // --- Facial asymmetry ---
         const asymmetries = recent.filter(f => f.asymmetry !== null).map(f => f.asymmetry);
         const avgAsymmetry = asymmetries.length > 0 ? asymmetries.reduce((a, b) => a + b, 0) / asymmetries.length : 0;
 
         // --- Blink anomaly detection ---
+        // Blink rate over the last 3 seconds
         const blinkData = this.blinkState.get(personId);
-        const absFrame = blinkData.absoluteFrame;
-        const recentBlinks = blinkData.blinks.filter(b => b.endFrame > absFrame - 90);
-        const blinkWindow = Math.min(90, absFrame);
-        const blinkRate = blinkWindow > 0 ? recentBlinks.length * (30 / blinkWindow) * 60 : 0;
-        const blinkAnomaly = absFrame > 30 && (blinkRate > 30 || blinkRate < 5);
+        const elapsedSec = (now - this.startTimes.get(personId)) / 1000;
+        const recentBlinks = blinkData.blinks.filter(b => b.endTime > now - 3000);
+        const blinkWindow = Math.min(3, elapsedSec);
+        const blinkRate = blinkWindow > 0 ? (recentBlinks.length / blinkWindow) * 60 : 0;
+        const blinkAnomaly = elapsedSec > 1 && (blinkRate > 30 || blinkRate < 5);
 
         // --- Micro-expression check ---
         const microLog = this.microExpressionLog.get(personId);
-        const recentMicro = microLog.filter(m => m.frameIndex > history.length - 30);
+        const recentMicro = microLog.filter(m => m.timestamp > now - 1000);
         const microExpressionDetected = recentMicro.length > 0;
 
         // --- Neutral dominance with hidden signals (concealment) ---
@@ -121,42 +259,54 @@ class DeceptionEngine {
         const concealmentSignal = avgNeutral > 0.6 && maxNegative > 0.1;
 
         // --- Cognitive load composite ---
-        const cognitiveLoad = Math.min(100, Math.round(
-            instabilityRate * 120 +
-            avgAsymmetry * 0.8 +
-            gazeAversionRate * 80 +
-            (microExpressionDetected ? 20 : 0) +
-            (blinkAnomaly ? 15 : 0)
+        const w = this.profile.deception.quick;
+        let cognitiveLoad = Math.min(100, Math.round(
+            instabilityRate * w.cognitiveLoad.instability +
+            avgAsymmetry * w.cognitiveLoad.asymmetry +
+            gazeAversionRate * w.cognitiveLoad.gazeAversion +
+            (microExpressionDetected ? w.cognitiveLoad.microExpression : 0) +
+            (blinkAnomaly ? w.cognitiveLoad.blinkAnomaly : 0)
         ));
 
         // --- Deception probability ---
         let deceptionProbability = Math.min(100, Math.round(
-            instabilityRate * 80 +
-            gazeAversionRate * 60 +
-            avgAsymmetry * 0.6 +
-            (microExpressionDetected ? 25 : 0) +
-            (concealmentSignal ? 15 : 0) +
-            (blinkAnomaly ? 10 : 0)
+            instabilityRate * w.probability.instability +
+            gazeAversionRate * w.probability.gazeAversion +
+            avgAsymmetry * w.probability.asymmetry +
+            (microExpressionDetected ? w.probability.microExpression : 0) +
+            (concealmentSignal ? w.probability.concealment : 0) +
+            (blinkAnomaly ? w.probability.blinkAnomaly : 0)
         ));
 
         // Reduce scores during baseline period
         if (isBaseline) {
-            deceptionProbability = Math.round(deceptionProbability * 0.3);
+            deceptionProbability = Math.round(deceptionProbability * w.baselineDamping);
         }
 
-        // Blend VSA if available (20% voice, 80% facial)
-        if (vsaQuick && vsaQuick.isSpeaking && vsaQuick.hasBaseline) {
-            deceptionProbability = Math.min(100, Math.round(
-                deceptionProbability * 0.80 + vsaQuick.voiceStress * 0.20
-            ));
-            cognitiveLoad = Math.min(100, Math.round(cognitiveLoad + vsaQuick.voiceStress * 0.15));
+        // Fuse with VSA by current reliability (profile voice weight, facial keeps the rest)
+        const voice = this.profile.deception.voice;
+        const modalities = [{
+            modality: 'face',
+            score: deceptionProbability,
+            prior: 1 - voice.weight,
+            reliability: faceReliability({
+                quality: recent.reduce((s, f) => s + f.quality, 0) / recent.length,
+                baselineCompleteness: this._baselineCompleteness(personId, now)
+            })
+        }];
+        if (vsaQuick) {
+            const reliability = voiceReliability(vsaQuick);
+            modalities.push({ modality: 'voice', score: vsaQuick.voiceStress, prior: voice.weight, reliability });
+            cognitiveLoad = Math.min(100, Math.round(cognitiveLoad + vsaQuick.voiceStress * voice.cognitiveLoad * reliability));
         }
+        const fusion = fuseModalities(modalities);
+        deceptionProbability = fusion.score;
 
         const concealmentScore = Math.min(100, Math.round(
-            (concealmentSignal ? 40 : 0) +
-            avgAsymmetry * 0.4 +
-            (microExpressionDetected ? 20 : 0) +
-            instabilityRate * 30
+            (concealmentSignal ? w.concealment.concealment : 0) +
+            avgAsymmetry * w.concealment.asymmetry +
+            (microExpressionDetected ? w.concealment.microExpression : 0) +
+            instabilityRate * w.concealment.instability
         ));
 
         // --- Expression incongruence ---
@@ -175,7 +325,9 @@ class DeceptionEngine {
             blinkAnomaly,
             gazeAversion: gazeAversionRate > 0.3,
             asymmetryHigh: avgAsymmetry > 35,
-            expressionIncongruence: incongruent
+            expressionIncongruence: incongruent,
+            actionUnits: last.actionUnits,
+            fusion
         };
     }
 
@@ -186,64 +338,50 @@ class DeceptionEngine {
         const history = this.frameHistory.get(personId);
         if (!history || history.length < 15) return this._defaultResult(personId);
 
-        const fps = 30;
-        const durationSec = history.length / fps;
-        const baseline = history.slice(0, Math.min(this.baselineFrames, Math.floor(history.length * 0.2)));
-        const analysisFrames = history.slice(Math.min(this.baselineFrames, Math.floor(history.length * 0.2)));
-
-        // --- Core analyses ---
-        const blinkAnalysis = this._analyzeBlinkPatterns(personId, history, fps);
-        const asymmetryAnalysis = this._analyzeAsymmetry(history);
-        const microExpressions = this.microExpressionLog.get(personId) || [];
-        const expressionAnalysis = this._analyzeExpressionPatterns(history);
-        const gazeAnalysis = this._analyzeGazePatterns(history);
-        const incongruenceAnalysis = this._analyzeIncongruence(history);
-
-        // --- Baseline comparison ---
-        const baselineProfile = this._buildBaseline(baseline);
-        const deviations = this._computeDeviations(analysisFrames, baselineProfile);
-
-        // --- Cognitive load ---
-        let cognitiveLoadAvg = Math.min(100, Math.round(
-            expressionAnalysis.instabilityRate * 100 +
-            asymmetryAnalysis.avgAsymmetry * 0.6 +
-            gazeAnalysis.aversionRate * 60 +
-            (blinkAnalysis.anomalyScore * 0.3) +
-            deviations.overallDeviation * 20
-        ));
-        const cognitiveLoadPeak = Math.min(100, Math.round(cognitiveLoadAvg * 1.4));
-
-        // --- Deception type scoring ---
-        const falsification = this._scoreFalsification(expressionAnalysis, asymmetryAnalysis, microExpressions, blinkAnalysis, deviations);
-        const concealment = this._scoreConcealment(expressionAnalysis, blinkAnalysis, microExpressions, incongruenceAnalysis);
-        const equivocation = this._scoreEquivocation(gazeAnalysis, expressionAnalysis, asymmetryAnalysis);
-
-        // --- Overall deception probability ---
-        const typeMax = Math.max(falsification.score, concealment.score, equivocation.score);
-        let deceptionProbability = Math.min(100, Math.round(
-            typeMax * 0.5 +
-            cognitiveLoadAvg * 0.2 +
-            (microExpressions.length / durationSec) * 8 +
-            asymmetryAnalysis.avgAsymmetry * 0.3 +
-            blinkAnalysis.anomalyScore * 0.15 +
-            incongruenceAnalysis.incongruenceRate * 40
-        ));
-
-        // Blend VSA into final scores (20% voice, 80% facial)
-        if (vsaReport && vsaReport.baselineEstablished) {
-            deceptionProbability = Math.min(100, Math.round(
-                deceptionProbability * 0.80 + vsaReport.voiceStressScore * 0.20
-            ));
+        const durationSec = durationSeconds(history);
+        // A baseline window still open at the end runs to the last frame, for the AUs too
+        const estimator = this.auEstimators.get(personId);
+        if (estimator.collecting && estimator.freeze()) this._rescoreActionUnits(personId);
+        const baseline = this._selectBaseline(personId, history);
+
+        const face = this._scoreFace(personId, history, baseline.analysisFrames, baseline.profile);
+        const { blinkAnalysis, asymmetryAnalysis, microExpressions, gazeAnalysis, incongruenceAnalysis,
+            falsification, concealment, equivocation } = face;
+        let { cognitiveLoadAvg, deceptionProbability } = face;
+        const cognitiveLoadPeak = Math.min(100, Math.round(cognitiveLoadAvg * this.profile.deception.full.cognitiveLoadPeak));
+
+        // Fuse with VSA by reliability (profile voice weight, facial keeps the rest)
+        const voice = this.profile.deception.voice;
+        const modalities = [{
+            modality: 'face',
+            score: deceptionProbability,
+            prior: 1 - voice.weight,
+            reliability: this._faceReliability(history, baseline.profile)
+        }];
+        if (vsaReport) {
+            const reliability = this._voiceReliability(vsaReport, vsaReport.speechMetrics.speechRatio / 100);
+            modalities.push({ modality: 'voice', score: vsaReport.voiceStressScore, prior: voice.weight, reliability });
             cognitiveLoadAvg = Math.min(100, Math.round(
-                cognitiveLoadAvg + vsaReport.voiceStressScore * 0.15
+                cognitiveLoadAvg + vsaReport.voiceStressScore * voice.cognitiveLoad * reliability
             ));
         }
+        const fusion = fuseModalities(modalities);
+        deceptionProbability = fusion.score;
 
         const truthfulnessIndex = Math.max(0, 100 - deceptionProbability);
-        const confidenceLevel = Math.min(100, Math.round((history.length / 120) * 100));
+        const confidenceLevel = Math.min(100, Math.round((durationSec / 4) * fusion.confidence * 100));
+
+        // --- Per question, and relevant against control questions ---
+        const { questions, timingBaseline } = this._compareSpeechTiming(
+            this._analyzeQuestions(personId, history, baseline, vsaReport), baseline, vsaReport);
 
         // --- Deception timeline ---
-        const deceptionTimeline = this._buildDeceptionTimeline(personId, history, fps);
+        const deceptionTimeline = this._buildDeceptionTimeline(personId, history);
+        const offset = (history[0].timestamp - this.startTimes.get(personId)) / 1000;
+        const actionUnits = {
+            summary: summarizeActionUnits(history),
+            timeline: actionUnitTimeline(history, 1, offset)
+        };
 
         // --- Indicators ---
         const indicators = this._generateIndicators(
@@ -271,20 +409,206 @@ class DeceptionEngine {
             blinkAnalysis,
             microExpressions,
             deceptionTimeline,
+            actionUnits,
             gazeAversion: gazeAnalysis,
             expressionIncongruence: incongruenceAnalysis,
             indicators,
             overallAssessment,
             voiceStressAnalysis: vsaReport || null,
+            fusion,
             framesAnalyzed: history.length,
             scanDuration: durationSec,
-            baselineEstablished: baseline.length >= 30
+            fps: Math.round(estimateFps(history) * 10) / 10,
+            baseline: {
+                source: baseline.source,
+                subject: baseline.subject,
+                startSeconds: baseline.start === null ? null : Math.round((baseline.start - this.startTimes.get(personId)) / 100) / 10,
+                endSeconds: baseline.end === null ? null : Math.round((baseline.end - this.startTimes.get(personId)) / 100) / 10,
+                profile: baseline.profile
+            },
+            baselineEstablished: baseline.established,
+            questions,
+            controlComparison: compareToControls(questions),
+            timingBaseline,
+            scoringProfile: profileStamp(this.profile)
         };
     }
 
+    /**
+     * Facial deception scores over a set of frames
+     * @param {Array} frames - Frames to score
+     * @param {Array} analysisFrames - Frames compared against the baseline profile
+     * @param {object|null} baselineProfile - See _buildBaseline
+     * @param {object|null} window - { start, end } to count only the blinks and
+     *   micro-expressions inside it (null: the whole scan)
+     */
+    _scoreFace(personId, frames, analysisFrames, baselineProfile, window = null) {
+        const durationSec = durationSeconds(frames);
+
+        // --- Core analyses ---
+        const blinkAnalysis = this._analyzeBlinkPatterns(personId, frames, durationSec, window);
+        const asymmetryAnalysis = this._analyzeAsymmetry(frames);
+        const log = this.microExpressionLog.get(personId) || [];
+        const microExpressions = window ? log.filter(m => m.apexMs > window.start && m.apexMs <= window.end) : log;
+        const expressionAnalysis = this._analyzeExpressionPatterns(frames);
+        const gazeAnalysis = this._analyzeGazePatterns(frames);
+        const incongruenceAnalysis = this._analyzeIncongruence(frames);
+
+        // --- Baseline comparison ---
+        const deviations = this._computeDeviations(analysisFrames, baselineProfile);
+
+        // --- Cognitive load ---
+        const w = this.profile.deception.full;
+        const cognitiveLoadAvg = Math.min(100, Math.round(
+            expressionAnalysis.instabilityRate * w.cognitiveLoad.instability +
+            asymmetryAnalysis.avgAsymmetry * w.cognitiveLoad.asymmetry +
+            gazeAnalysis.aversionRate * w.cognitiveLoad.gazeAversion +
+            (blinkAnalysis.anomalyScore * w.cognitiveLoad.blinkAnomaly) +
+            deviations.overallDeviation * w.cognitiveLoad.deviation
+        ));
+
+        // --- Deception type scoring ---
+        const falsification = this._scoreFalsification(expressionAnalysis, asymmetryAnalysis, microExpressions, blinkAnalysis, deviations);
+        const concealment = this._scoreConcealment(expressionAnalysis, blinkAnalysis, microExpressions, incongruenceAnalysis);
+        const equivocation = this._scoreEquivocation(gazeAnalysis, expressionAnalysis, asymmetryAnalysis);
+
+        // --- Facial deception probability ---
+        const typeMax = Math.max(falsification.score, concealment.score, equivocation.score);
+        const deceptionProbability = Math.min(100, Math.round(
+            typeMax * w.probability.typeMax +
+            cognitiveLoadAvg * w.probability.cognitiveLoad +
+            (microExpressions.length / durationSec) * w.probability.microRate +
+            asymmetryAnalysis.avgAsymmetry * w.probability.asymmetry +
+            blinkAnalysis.anomalyScore * w.probability.blinkAnomaly +
+            incongruenceAnalysis.incongruenceRate * w.probability.incongruence
+        ));
+
+        return {
+            deceptionProbability, cognitiveLoadAvg, falsification, concealment, equivocation,
+            blinkAnalysis, asymmetryAnalysis, microExpressions, gazeAnalysis, incongruenceAnalysis
+        };
+    }
+
+    // ── Per-Question Analysis ──
+
+    /**
+     * Facial scores per marked question, fused with the voice heard during it
+     * @returns {Array} In asking order: { index, label, type, startSeconds, endSeconds, frames,
+     *   deceptionProbability (fused, null without signal), faceProbability, voiceStress,
+     *   cognitiveLoad, microExpressions, microTypes, blinkRate, blinkChange (vs baseline,
+     *   per minute), responseLatencyMs, timing (speechTimingForWindow, null without timed
+     *   voice), confidence, rank (1 = most reactive) }
+     */
+    _analyzeQuestions(personId, history, baseline, vsaReport) {
+        const questions = this.questions.get(personId) || [];
+        const origin = this.startTimes.get(personId);
+        const lastFrame = history[history.length - 1].timestamp;
+        const state = this.blinkState.get(personId);
+        const baselineBlinkRate = baseline.start !== null && baseline.end - baseline.start >= 1000
+            ? blinkRate(state.blinks, baseline.start, baseline.end) : null;
+        const voice = this.profile.deception.voice;
+
+        return rankQuestions(questions.map((q, index) => {
+            const end = q.end === null ? Math.max(q.start, lastFrame) : q.end;
+            const window = { start: q.start, end };
+            const modalities = [];
+
+            let face = null;
+            if (q.frames.length >= MIN_QUESTION_FRAMES) {
+                face = this._scoreFace(personId, q.frames, q.frames, baseline.profile, window);
+                modalities.push({
+                    modality: 'face', score: face.deceptionProbability, prior: 1 - voice.weight,
+                    reliability: this._faceReliability(q.frames, baseline.profile)
+                });
+            }
+            const heard = voiceForWindow(vsaReport, q.start, end);
+            if (heard && heard.voiceStress !== null) {
+                modalities.push({
+                    modality: 'voice', score: heard.voiceStress, prior: voice.weight,
+                    reliability: this._voiceReliability(vsaReport, heard.speechRatio)
+                });
+            }
+            const fusion = modalities.length > 0 ? fuseModalities(modalities) : null;
+            const rate = blinkRate(state ? state.blinks : [], q.start, end);
+            const micro = face ? face.microExpressions : [];
+
+            return {
+                index,
+                label: q.label,
+                type: q.type,
+                startSeconds: Math.round((q.start - origin) / 100) / 10,
+                endSeconds: Math.round((end - origin) / 100) / 10,
+                frames: q.frames.length,
+                deceptionProbability: fusion ? fusion.score : null,
+                faceProbability: face ? face.deceptionProbability : null,
+                voiceStress: heard ? heard.voiceStress : null,
+                cognitiveLoad: face ? face.cognitiveLoadAvg : null,
+                microExpressions: micro.length,
+                microTypes: [...new Set(micro.map(m => m.type))],
+                blinkRate: rate,
+                blinkChange: baselineBlinkRate === null ? null : Math.round((rate - baselineBlinkRate) * 10) / 10,
+                responseLatencyMs: heard ? heard.responseLatencyMs : null,
+                timing: speechTimingForWindow(vsaReport, q.start, end),
+                confidence: fusion ? fusion.confidence : 0
+            };
+        }));
+    }
+
+    /**
+     * Speech timing of each answer against the subject's baseline answers: the
+     * neutral questions when any were asked, otherwise the baseline window
+     * @returns {object} { questions: with timingChange (compareTiming, null without
+     *   a reference), timingBaseline: { source: neutral|baseline, answers, measures } or null }
+     */
+    _compareSpeechTiming(questions, baseline, vsaReport) {
+        const neutral = questions.filter(q => q.type === 'neutral' && q.timing);
+        let timingBaseline = null;
+        if (neutral.length > 0) {
+            timingBaseline = {
+                source: 'neutral',
+                answers: neutral.length,
+                measures: baselineTiming(neutral.map(q => timingMeasures(q.timing, q.responseLatencyMs)))
+            };
+        } else if (baseline.start !== null) {
+            const timing = speechTimingForWindow(vsaReport, baseline.start, baseline.end);
+            if (timing) timingBaseline = { source: 'baseline', answers: 0, measures: timingMeasures(timing) };
+        }
+
+        return {
+            questions: questions.map(q => ({
+                ...q,
+                timingChange: timingBaseline && q.timing
+                    ? compareTiming(timingMeasures(q.timing, q.responseLatencyMs), timingBaseline.measures)
+                    : null
+            })),
+            timingBaseline
+        };
+    }
+
+    // Face reliability: mean frame quality (frame-quality.js; 1 when unscored)
+    // and how much of the baseline was collected
+    _faceReliability(frames, baselineProfile) {
+        return faceReliability({
+            quality: frames.reduce((s, f) => s + f.quality, 0) / frames.length,
+            baselineCompleteness: baselineProfile ? Math.min(1, baselineProfile.durationSec / this.baselineSeconds) : 0
+        });
+    }
+
+    _voiceReliability(vsaReport, speechRatio) {
+        // Reports recorded before SNR and baseline completeness were measured
+        const speech = vsaReport.speechMetrics;
+        return voiceReliability({
+            speechRatio,
+            snrDb: speech.snrDb === undefined ? null : speech.snrDb,
+            baselineCompleteness: vsaReport.baselineCompleteness === undefined
+                ? (vsaReport.baselineEstablished ? 1 : 0)
+                : vsaReport.baselineCompleteness
+        });
+    }
+
     // ── Frame Data Extraction ──
 
-    _extractFrameData(detection) {
+    _extractFrameData(detection, timestamp = Date.now()) {
         const expr = detection.expressions || {};
         const box = detection.detection ? detection.detection.box : detection.box || {};
         const landmarks = detection.landmarks;
@@ -294,14 +618,14 @@ class DeceptionEngine {
 
         if (landmarks) {
             const positions = landmarks.positions || landmarks._positions || [];
-            landmarkPositions = positions.map(p => ({ x: p.x || p._x, y: p.y || p._y }));
+            landmarkPositions = positions.map(p => ({ x: p.x ?? p._x, y: p.y ?? p._y }));
             if (landmarkPositions.length >= 48) {
                 asymmetry = this._computeFrameAsymmetry(landmarkPositions);
             }
         }
 
         return {
-            timestamp: Date.now(),
+            timestamp,
             expressions: {
                 angry: expr.angry || 0,
                 disgusted: expr.disgusted || 0,
@@ -318,7 +642,9 @@ class DeceptionEngine {
                 height: box.height || box._height || 0
             },
             landmarks: landmarkPositions,
-            asymmetry
+            pose: estimateHeadPose(landmarkPositions),
+            asymmetry,
+            quality: detection.quality ?? 1
         };
     }
 
@@ -360,12 +686,11 @@ class DeceptionEngine {
         const avg = values.reduce((a, b) => a + b, 0) / values.length;
         const peak = Math.max(...values);
 
-        // Sample timeline every ~30 frames (1 sec)
+        // One timeline point per second
         const timeline = [];
-        for (let i = 0; i < values.length; i += 30) {
-            const chunk = values.slice(i, i + 30);
-            timeline.push(Math.round(chunk.reduce((a, b) => a + b, 0) / chunk.length));
-        }
+        timeWindows(history.filter(f => f.asymmetry !== null), 1).forEach(w => {
+            timeline.push(Math.round(w.frames.reduce((a, f) => a + f.asymmetry, 0) / w.frames.length));
+        });
 
         return {
             avgAsymmetry: Math.round(avg),
@@ -376,24 +701,27 @@ class DeceptionEngine {
 
     // ── Blink Detection & Analysis ──
 
-    _trackBlinks(personId, frameData, frameIndex) {
+    _trackBlinks(personId, frameData) {
         if (!frameData.landmarks || frameData.landmarks.length < 48) return;
 
         const state = this.blinkState.get(personId);
+        const frameIndex = state.absoluteFrame;
         const ear = this._computeEAR(frameData.landmarks);
         const threshold = 0.21;
 
         if (ear < threshold && !state.inBlink) {
             state.inBlink = true;
             state.blinkStart = frameIndex;
+            state.blinkStartTime = frameData.timestamp;
         } else if (ear >= threshold && state.inBlink) {
             state.inBlink = false;
-            const duration = frameIndex - state.blinkStart;
             state.blinks.push({
                 startFrame: state.blinkStart,
                 endFrame: frameIndex,
-                duration,
-                durationMs: (duration / 30) * 1000
+                startTime: state.blinkStartTime,
+                endTime: frameData.timestamp,
+                duration: frameIndex - state.blinkStart,
+                durationMs: frameData.timestamp - state.blinkStartTime
             });
             state.lastBlinkEnd = frameIndex;
         }
@@ -414,18 +742,17 @@ class DeceptionEngine {
         return h > 0 ? (v1 + v2) / (2 * h) : 0.3;
     }
 
-    _analyzeBlinkPatterns(personId, history, fps) {
+    _analyzeBlinkPatterns(personId, history, durationSec, window = null) {
         const state = this.blinkState.get(personId);
         if (!state) return { rate: 0, anomalyScore: 0, suppressionEvents: 0, burstEvents: 0, regularity: 100 };
 
-        const blinks = state.blinks;
-        const durationSec = history.length / fps;
+        const blinks = window ? state.blinks.filter(b => b.startTime > window.start && b.startTime <= window.end) : state.blinks;
         const rate = durationSec > 0 ? (blinks.length / durationSec) * 60 : 0;
 
-        // Blink intervals
+        // Blink intervals (seconds)
         const intervals = [];
         for (let i = 1; i < blinks.length; i++) {
-            intervals.push((blinks[i].startFrame - blinks[i - 1].endFrame) / fps);
+            intervals.push((blinks[i].startTime - blinks[i - 1].endTime) / 1000);
         }
 
         // Regularity
@@ -445,7 +772,7 @@ class DeceptionEngine {
         // Burst events: 3+ blinks within 2 seconds
         let burstEvents = 0;
         for (let i = 2; i < blinks.length; i++) {
-            const span = (blinks[i].endFrame - blinks[i - 2].startFrame) / fps;
+            const span = (blinks[i].endTime - blinks[i - 2].startTime) / 1000;
             if (span < 2) burstEvents++;
         }
 
@@ -481,72 +808,108 @@ class DeceptionEngine {
 
     // ── Micro-Expression Detection ──
 
+    /**
+     * Onset → apex → offset tracking per expression channel. An event opens when
+     * a channel jumps MICRO_RISE above its level over the previous MICRO_BASE_MS,
+     * and closes when it falls back below half its amplitude. Onset and offset
+     * are the interpolated half-amplitude crossings, so the duration is in real
+     * milliseconds whatever the frame rate; only 1/25–1/2 s events are kept.
+     */
     _detectMicroExpressions(personId, history) {
-        if (history.length < 4) return;
-
+        const current = history[history.length - 1];
+        const state = this.microState.get(personId);
         const log = this.microExpressionLog.get(personId);
-        const idx = history.length - 1;
-        const current = history[idx];
-        const expressionKeys = ['angry', 'disgusted', 'fearful', 'happy', 'surprised'];
+        const t = current.timestamp;
 
-        // Look for expression spikes: sharp onset (>0.15 jump from baseline) lasting 1-6 frames
-        // Check if any non-neutral expression spiked and then dropped
-        if (idx < 3) return;
+        // Pre-event level per channel: frames in the last MICRO_BASE_MS (at least the previous 3)
+        let from = history.length - 1;
+        while (from > 0 && (t - history[from - 1].timestamp <= MICRO_BASE_MS || history.length - 1 - from < 3)) from--;
+        const prior = history.slice(from, history.length - 1);
+        if (prior.length < 3) return;
 
-        for (const key of expressionKeys) {
+        for (const key of MICRO_KEYS) {
             const val = current.expressions[key];
-            const prev3 = history.slice(Math.max(0, idx - 3), idx);
-            const prevAvg = prev3.reduce((s, f) => s + f.expressions[key], 0) / prev3.length;
-
-            // Spike detection: current value much higher than recent average
-            if (val > prevAvg + 0.15 && val > 0.12) {
-                // Check if this spike is brief (look back to see if a previous spike just ended)
-                // We log the spike start; we'll check duration when it ends
-                const existingSpike = log.find(m => m.key === key && m.endFrame === null && idx - m.frameIndex < 8);
-
-                if (!existingSpike) {
-                    log.push({
-                        frameIndex: idx,
-                        endFrame: null,
-                        key,
-                        intensity: val,
-                        type: this._classifyMicroExpression(key, current.expressions),
-                        timestamp: current.timestamp,
-                        durationFrames: 0
-                    });
+            const open = state[key];
+
+            if (!open) {
+                const base = prior.reduce((sum, f) => sum + f.expressions[key], 0) / prior.length;
+                if (val > base + MICRO_RISE && val > 0.12) {
+                    const before = prior[prior.length - 1];
+                    state[key] = {
+                        base,
+                        samples: [{ t: before.timestamp, v: before.expressions[key] }, { t, v: val }],
+                        apex: { t, v: val, expressions: { ...current.expressions }, actionUnits: current.actionUnits || null }
+                    };
                 }
+                continue;
             }
-        }
-
-        // Close open spikes that have ended (iterate in reverse to safely splice)
-        for (let li = log.length - 1; li >= 0; li--) {
-            const entry = log[li];
-            if (entry.endFrame !== null) continue;
-            const val = current.expressions[entry.key];
-            const elapsed = idx - entry.frameIndex;
 
-            if (elapsed > 0 && val < entry.intensity * 0.5) {
-                // Spike ended
-                entry.endFrame = idx;
-                entry.durationFrames = elapsed;
+            open.samples.push({ t, v: val });
+            if (val > open.apex.v) {
+                open.apex = { t, v: val, expressions: { ...current.expressions }, actionUnits: current.actionUnits || null };
+            }
 
-                // Only keep if it lasted 1-6 frames (micro-expression range: ~33-200ms at 30fps)
-                if (elapsed > 6) {
-                    // Too long — not a micro-expression, remove
-                    log.splice(li, 1);
+            const half = open.base + (open.apex.v - open.base) / 2;
+            if (val <= half) {
+                state[key] = null;
+                const event = this._closeMicroExpression(personId, key, open, half);
+                if (event.durationMs >= this.microDurationMs.min && event.durationMs <= this.microDurationMs.max) {
+                    log.push(event);
                 }
-            } else if (elapsed > 8) {
-                // Stuck open — close and remove
-                log.splice(li, 1);
+            } else if (t - open.samples[0].t > this.microDurationMs.max * 2) {
+                // Held too long for a micro-expression — a macro expression, drop it
+                state[key] = null;
             }
         }
     }
 
-    _classifyMicroExpression(key, expressions) {
-        if (key === 'fearful' || (key === 'surprised' && expressions.fearful > 0.05)) return 'fear-cluster';
-        if (key === 'happy' && expressions.neutral > 0.4) return 'duping-delight';
+    _closeMicroExpression(personId, key, open, half) {
+        const { samples, apex } = open;
+        const crossing = (a, b) => a.t + (b.t - a.t) * ((half - a.v) / ((b.v - a.v) || 1));
+
+        // Last upward crossing before the apex, first downward crossing after it
+        let onset = samples[0].t;
+        let offset = samples[samples.length - 1].t;
+        const apexIndex = samples.findIndex(p => p.t === apex.t);
+        for (let i = apexIndex; i > 0; i--) {
+            if (samples[i - 1].v <= half) { onset = crossing(samples[i - 1], samples[i]); break; }
+        }
+        for (let i = apexIndex; i < samples.length - 1; i++) {
+            if (samples[i + 1].v <= half) { offset = crossing(samples[i], samples[i + 1]); break; }
+        }
+
+        const event = {
+            key,
+            intensity: apex.v,
+            amplitude: Math.round((apex.v - open.base) * 1000) / 1000,
+            onsetMs: Math.round(onset),
+            apexMs: apex.t,
+            offsetMs: Math.round(offset),
+            durationMs: Math.round(offset - onset),
+            apexExpressions: apex.expressions,
+            apexActionUnits: apex.actionUnits,
+            timestamp: apex.t,
+            timeSeconds: Math.round((apex.t - this.startTimes.get(personId)) / 100) / 10
+        };
+        event.type = this._classifyMicroExpression(event);
+        return event;
+    }
+
+    /**
+     * Label a micro-expression from its channel and the face at apex
+     * (expression blend and, when available, Action Units)
+     */
+    _classifyMicroExpression(event) {
+        const { key, apexExpressions: e, apexActionUnits: au } = event;
+        const negative = Math.max(e.angry, e.disgusted, e.fearful, e.sad);
+        const browsKnit = au ? au.AU4 >= AU_ACTIVE : false;
+
+        if (key === 'fearful' || (key === 'surprised' && (e.fearful > 0.05 || browsKnit))) return 'fear-cluster';
+        if (key === 'happy' && negative > 0.15) return 'masking-smile';
+        if (key === 'happy' && e.neutral > 0.4) return 'duping-delight';
         if (key === 'disgusted') return 'disgust-leak';
         if (key === 'angry') return 'anger-leak';
+        if (key === 'sad') return 'distress-leak';
         if (key === 'surprised') return 'surprise-flash';
         return 'emotional-leak';
     }
@@ -580,40 +943,26 @@ class DeceptionEngine {
 
     // ── Gaze Pattern Analysis ──
 
+    // Built on head rotation (head-pose.js), so walking or leaning does not read as aversion
     _analyzeGazePatterns(history) {
-        if (history.length < 10) return { aversionRate: 0, stability: 100, driftScore: 0 };
+        const poses = history.filter(f => f.pose).map(f => f.pose);
+        if (poses.length < 10) return { aversionRate: 0, stability: 100, driftScore: 0 };
 
-        let drifts = 0;
-        for (let i = 5; i < history.length; i++) {
-            const window = history.slice(i - 5, i);
-            const xs = window.map(f => f.box.x);
-            if (Math.max(...xs) - Math.min(...xs) > 12) drifts++;
-        }
+        const averted = aversionRate(poses);
+        const reversals = yawReversals(poses);
+        const stability = Math.max(0, 100 - averted * 100 - (reversals / poses.length) * 50);
 
-        const headPositions = history.map(f => ({ x: f.box.x + f.box.width / 2 }));
-        let reversals = 0;
-        for (let i = 2; i < headPositions.length; i++) {
-            const dx1 = headPositions[i - 1].x - headPositions[i - 2].x;
-            const dx2 = headPositions[i].x - headPositions[i - 1].x;
-            if ((dx1 > 1.5 && dx2 < -1.5) || (dx1 < -1.5 && dx2 > 1.5)) reversals++;
-        }
-
-        const aversionRate = drifts / Math.max(1, history.length - 5);
-        const stability = Math.max(0, 100 - aversionRate * 100 - (reversals / history.length) * 50);
-
-        // Drift: compare first quarter vs last quarter head position
-        const q1 = history.slice(0, Math.floor(history.length / 4));
-        const q4 = history.slice(-Math.floor(history.length / 4));
-        const avgFirst = q1.reduce((s, f) => s + f.box.x, 0) / q1.length;
-        const avgLast = q4.reduce((s, f) => s + f.box.x, 0) / q4.length;
-        const driftScore = Math.min(100, Math.round(Math.abs(avgLast - avgFirst)));
+        // Drift: usual facing direction in the first vs last quarter, 3 points per degree
+        const quarter = Math.floor(poses.length / 4);
+        const drift = poseDistance(medianPose(poses.slice(0, quarter)), medianPose(poses.slice(-quarter)));
+        const driftScore = Math.min(100, Math.round(drift * 3));
 
         return {
-            aversionRate: Math.round(aversionRate * 100) / 100,
+            aversionRate: Math.round(averted * 100) / 100,
             stability: Math.round(stability),
             driftScore,
             reversals,
-            score: Math.min(100, Math.round(aversionRate * 80 + driftScore * 0.3))
+            score: Math.min(100, Math.round(averted * 80 + driftScore * 0.3))
         };
     }
 
@@ -647,6 +996,64 @@ class DeceptionEngine {
 
     // ── Baseline & Deviations ──
 
+    // Share of the baseline collected by `now` (0-1); a saved baseline is complete
+    _baselineCompleteness(personId, now) {
+        const spec = this.baselines.get(personId);
+        if (spec && spec.source === 'saved') return 1;
+        const seconds = spec
+            ? durationSeconds(this.baselineFrames.get(personId) || [])
+            : (now - this.startTimes.get(personId)) / 1000;
+        return Math.min(1, seconds / this.baselineSeconds);
+    }
+
+    _inBaseline(personId, now) {
+        const spec = this.baselines.get(personId);
+        if (!spec) return now - this.startTimes.get(personId) <= this.baselineSeconds * 1000;
+        if (spec.source === 'saved') return false;
+        return now >= spec.start && (spec.end === null || now <= spec.end);
+    }
+
+    /**
+     * Baseline frames, profile and the frames compared against it. A chosen
+     * window with too few frames falls back to the default first seconds.
+     */
+    _selectBaseline(personId, history) {
+        const spec = this.baselines.get(personId);
+
+        if (spec && spec.source === 'saved' && spec.profile) {
+            return {
+                source: 'saved', subject: spec.subject || null, start: null, end: null,
+                profile: spec.profile, analysisFrames: history, established: true
+            };
+        }
+
+        if (spec && spec.source !== 'saved') {
+            const end = spec.end === null ? Infinity : spec.end;
+            const frames = this.baselineFrames.get(personId);
+            const profile = this._buildBaseline(frames);
+            if (profile) {
+                return {
+                    source: spec.source, subject: null, start: frames[0].timestamp, end: frames[frames.length - 1].timestamp,
+                    profile,
+                    analysisFrames: history.filter(f => f.timestamp < spec.start || f.timestamp > end),
+                    established: durationSeconds(frames) >= 1
+                };
+            }
+        }
+
+        const baselineEnd = history[0].timestamp + this.baselineSeconds * 1000;
+        const baselineCount = Math.min(history.filter(f => f.timestamp < baselineEnd).length, Math.floor(history.length * 0.2));
+        const frames = history.slice(0, baselineCount);
+        return {
+            source: 'default', subject: null,
+            start: frames.length > 0 ? frames[0].timestamp : null,
+            end: frames.length > 0 ? frames[frames.length - 1].timestamp : null,
+            profile: this._buildBaseline(frames),
+            analysisFrames: history.slice(baselineCount),
+            established: durationSeconds(frames) >= 1
+        };
+    }
+
     _buildBaseline(baselineFrames) {
         if (baselineFrames.length < 5) return null;
 
@@ -659,7 +1066,14 @@ class DeceptionEngine {
         const asymmetries = baselineFrames.filter(f => f.asymmetry !== null).map(f => f.asymmetry);
         const avgAsymmetry = asymmetries.length > 0 ? asymmetries.reduce((a, b) => a + b, 0) / asymmetries.length : 0;
 
-        return { avgExpr, avgAsymmetry };
+        return {
+            avgExpr,
+            avgAsymmetry,
+            // Neutral face for the Action Units (action-units.js)
+            neutralGeometry: meanGeometry(baselineFrames.filter(f => f.shape).map(f => f.shape.points)),
+            frames: baselineFrames.length,
+            durationSec: Math.round(durationSeconds(baselineFrames) * 10) / 10
+        };
     }
 
     _computeDeviations(analysisFrames, baseline) {
@@ -781,7 +1195,7 @@ class DeceptionEngine {
 
         if (gazeAnalysis.driftScore > 30) {
             score += 15;
-            indicators.push({ marker: 'Significant head position drift', severity: 'moderate' });
+            indicators.push({ marker: 'Significant head orientation drift', severity: 'moderate' });
         }
 
         if (exprAnalysis.instabilityRate > 0.1 && exprAnalysis.instabilityRate < 0.25) {
@@ -804,12 +1218,12 @@ class DeceptionEngine {
 
     // ── Deception Timeline ──
 
-    _buildDeceptionTimeline(personId, history, fps) {
+    _buildDeceptionTimeline(personId, history) {
         const timeline = [];
-        const windowSize = 30; // 1 second chunks
+        const offset = (history[0].timestamp - this.startTimes.get(personId)) / 1000;
 
-        for (let i = 0; i < history.length; i += windowSize) {
-            const chunk = history.slice(i, i + windowSize);
+        // 1 second windows
+        for (const { timeSeconds, frames: chunk } of timeWindows(history, 1)) {
             if (chunk.length < 5) continue;
 
             // Compute mini deception score for this window
@@ -825,8 +1239,9 @@ class DeceptionEngine {
             const avgAsym = chunk.filter(f => f.asymmetry !== null).map(f => f.asymmetry);
             const chunkAsym = avgAsym.length > 0 ? avgAsym.reduce((a, b) => a + b, 0) / avgAsym.length : 0;
 
+            const windowStart = history[0].timestamp + timeSeconds * 1000;
             const microLog = this.microExpressionLog.get(personId);
-            const chunkMicros = microLog ? microLog.filter(m => m.frameIndex >= i && m.frameIndex < i + windowSize).length : 0;
+            const chunkMicros = microLog ? microLog.filter(m => m.apexMs >= windowStart && m.apexMs < windowStart + 1000).length : 0;
 
             const score = Math.min(100, Math.round(
                 (instability / chunk.length) * 100 +
@@ -835,7 +1250,7 @@ class DeceptionEngine {
             ));
 
             timeline.push({
-                timeSeconds: Math.round(i / fps),
+                timeSeconds: Math.round(timeSeconds + offset),
                 score,
                 microExpressions: chunkMicros
             });
@@ -907,11 +1322,16 @@ class DeceptionEngine {
             blinkAnalysis: { rate: 0, anomalyScore: 0, suppressionEvents: 0, burstEvents: 0, regularity: 100, totalBlinks: 0, avgDurationMs: 0 },
             microExpressions: [],
             deceptionTimeline: [],
+            actionUnits: { summary: [], timeline: [] },
             gazeAversion: { aversionRate: 0, stability: 100, driftScore: 0, score: 0 },
             expressionIncongruence: { incongruenceRate: 0, microLeakRate: 0, score: 0 },
             indicators: [{ label: 'INSUFFICIENT DATA', color: 'yellow', confidence: 'low' }],
             overallAssessment: 'Insufficient data for analysis',
-            framesAnalyzed: 0, scanDuration: 0, baselineEstablished: false
+            baseline: { source: 'default', subject: null, startSeconds: null, endSeconds: null, profile: null },
+            fusion: { score: 0, confidence: 0, contributions: [] },
+            framesAnalyzed: 0, scanDuration: 0, fps: 0, baselineEstablished: false,
+            questions: [], controlComparison: compareToControls([]), timingBaseline: null,
+            scoringProfile: profileStamp(this.profile)
         };
     }
 
@@ -919,13 +1339,27 @@ class DeceptionEngine {
         this.frameHistory.delete(personId);
         this.blinkState.delete(personId);
         this.microExpressionLog.delete(personId);
+        this.microState.delete(personId);
+        this.startTimes.delete(personId);
+        this.baselines.delete(personId);
+        this.baselineFrames.delete(personId);
+        this.aligners.delete(personId);
+        this.auEstimators.delete(personId);
+        this.questions.delete(personId);
     }
 
     clearAll() {
         this.frameHistory.clear();
         this.blinkState.clear();
         this.microExpressionLog.clear();
+        this.microState.clear();
+        this.startTimes.clear();
+        this.baselines.clear();
+        this.baselineFrames.clear();
+        this.aligners.clear();
+        this.auEstimators.clear();
+        this.questions.clear();
     }
 }
 
-window.DeceptionEngine = DeceptionEngine;
+export { DeceptionEngine };
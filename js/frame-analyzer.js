@@ -0,0 +1,316 @@
+/* ============================================
+   FRAME ANALYZER - Face inference + scoring
+   Runs face-api detection and the ScanPipeline
+   either in a Web Worker (frames sent as
+   ImageBitmaps, drawn to an OffscreenCanvas) or,
+   where that is unsupported, on the main thread.
+   Both return the same plain-data frame result,
+   so the UI only draws overlays and scores.
+   ============================================ */
+
+import { ScanPipeline } from './scan-pipeline.js';
+import { serializeDetection, toDetection } from './session-recorder.js';
+import { feedSession } from './session-replay.js';
+import { applyThreatSettings } from './settings.js';
+import { measureFaceImage, SAMPLE_SIZE } from './frame-quality.js';
+
+const ANALYZER_DEFAULTS = {
+    modelUrl: 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/',
+    scoreThreshold: 0.4,
+    worker: true,            // try the worker path first
+    workerInitTimeout: 30000 // ms before falling back to the main thread
+};
+
+/**
+ * Load the detection, landmark and expression nets
+ */
+export async function loadFaceModels(faceapi, modelUrl) {
+    await faceapi.nets.tinyFaceDetector.loadFromUri(modelUrl);
+    await faceapi.nets.faceLandmark68TinyNet.loadFromUri(modelUrl);
+    await faceapi.nets.faceExpressionNet.loadFromUri(modelUrl);
+}
+
+/**
+ * Detection chain shared by both paths (descriptors only when re-ID is on
+ * or a deception subject is locked)
+ */
+export function detectFaces(faceapi, input, { scoreThreshold, reid }) {
+    const task = faceapi
+        .detectAllFaces(input, new faceapi.TinyFaceDetectorOptions({ scoreThreshold }))
+        .withFaceLandmarks(true)
+        .withFaceExpressions();
+    return reid ? task.withFaceDescriptors() : task;
+}
+
+/**
+ * Face inference and pipeline scoring in the current thread
+ * (the main-thread fallback, and the engine inside the worker)
+ */
+export class LocalFrameAnalyzer {
+    constructor(faceapi, options = {}) {
+        this.faceapi = faceapi;
+        this.options = { ...ANALYZER_DEFAULTS, ...options };
+        this.pipeline = new ScanPipeline();
+        this.reid = false;
+        this.lockDescriptors = false; // describe faces while a deception subject is locked
+        this.recognitionLoaded = false;
+        this.isWorker = false;
+        this.sampleCtx = undefined; // lazily created; null where no canvas exists
+    }
+
+    async init() {
+        await loadFaceModels(this.faceapi, this.options.modelUrl);
+    }
+
+    /**
+     * Apply user settings (see settings.js) and a resolved scoring profile;
+     * takes effect from the next frame
+     */
+    async configure(settings, profile = null) {
+        applyThreatSettings(this.pipeline.threatEngine, settings);
+        if (profile) this.pipeline.setProfile(profile);
+        this.options.scoreThreshold = settings.scoreThreshold;
+    }
+
+    /**
+     * Reset for a new scan
+     * @param {string} mode - 'detection' or 'deception'
+     * @param {object} scanOptions - { reid }
+     * @returns {object} { reid } — false if the recognition model could not load
+     */
+    async start(mode, scanOptions = {}) {
+        this.reid = !!scanOptions.reid && mode === 'detection' && await this._loadRecognitionModel();
+        // A locked subject who leaves and returns is only recognized by descriptor
+        this.lockDescriptors = mode === 'deception' && await this._loadRecognitionModel();
+        this.pipeline.start(mode, { reid: this.reid });
+        return { reid: this.reid };
+    }
+
+    /**
+     * Take over a scan in progress (the worker failed): start it again and
+     * re-score what was recorded so far, so the next frame continues the scan
+     * @param {object} session - SessionRecorder.toSession() of the running scan
+     * @param {object} events - SessionRecorder.events()
+     * @returns {object} { reid } — as start()
+     */
+    async resume(session, events) {
+        const started = await this.start(session.header.mode, { reid: session.header.reid });
+        feedSession(this.pipeline, session.frames, events);
+        return started;
+    }
+
+    /**
+     * Detect and score one frame
+     * @param {*} source - Video element, canvas or OffscreenCanvas
+     * @param {number} t - ms since scan start (capture time)
+     * @param {object|null} vsaQuick - Live voice assessment (deception mode)
+     * @returns {object} { faces, frame, live }
+     */
+    async analyze(source, t, vsaQuick = null) {
+        const detections = await detectFaces(this.faceapi, source, {
+            scoreThreshold: this.options.scoreThreshold,
+            reid: this.reid || (this.lockDescriptors && this.pipeline.subjectLock !== null)
+        });
+        const faces = detections.map(serializeDetection);
+        faces.forEach(face => {
+            const image = this._measureFace(source, face.box);
+            if (image) face.image = image;
+        });
+        return this.score(faces, t, vsaQuick);
+    }
+
+    setBaseline(spec) {
+        return this.pipeline.setBaseline(spec);
+    }
+
+    lockSubject(point) {
+        return this.pipeline.lockSubject(point);
+    }
+
+    markQuestion(label, type = null) {
+        return this.pipeline.markQuestion(label, type);
+    }
+
+    score(faces, t, vsaQuick = null) {
+        const frame = this.pipeline.processFrame(faces, t);
+        return { faces, frame, live: this.pipeline.liveView(vsaQuick) };
+    }
+
+    async complete(voiceReport = null) {
+        return this.pipeline.complete(voiceReport);
+    }
+
+    // Brightness and sharpness of the face box, sampled down to SAMPLE_SIZE square
+    _measureFace(source, box) {
+        const ctx = this._sampleContext();
+        if (!ctx || !source || box.width < 1 || box.height < 1) return null;
+        try {
+            ctx.drawImage(source, box.x, box.y, box.width, box.height, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+            return measureFaceImage(ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    _sampleContext() {
+        if (this.sampleCtx !== undefined) return this.sampleCtx;
+        let canvas = null;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(SAMPLE_SIZE, SAMPLE_SIZE);
+        } else if (typeof document !== 'undefined') {
+            canvas = document.createElement('canvas');
+            canvas.width = SAMPLE_SIZE;
+            canvas.height = SAMPLE_SIZE;
+        }
+        this.sampleCtx = canvas ? canvas.getContext('2d', { willReadFrequently: true }) : null;
+        return this.sampleCtx;
+    }
+
+    async _loadRecognitionModel() {
+        if (this.recognitionLoaded) return true;
+        try {
+            await this.faceapi.nets.faceRecognitionNet.loadFromUri(this.options.modelUrl);
+            this.recognitionLoaded = true;
+        } catch (err) {
+            console.warn('Recognition model load failed, no face descriptors:', err);
+        }
+        return this.recognitionLoaded;
+    }
+}
+
+/**
+ * Main-thread proxy for js/analysis-worker.js. Frames are transferred as
+ * ImageBitmaps; only face records, person IDs and scores come back.
+ */
+export class WorkerFrameAnalyzer {
+    constructor(options = {}) {
+        this.options = { ...ANALYZER_DEFAULTS, ...options };
+        this.worker = null;
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.nextId = 1;
+        this.isWorker = true;
+    }
+
+    async init() {
+        this.worker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this._onMessage(e.data);
+        this.worker.onerror = (e) => this._failAll(new Error(e.message || 'Analysis worker failed'));
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Analysis worker did not start')), this.options.workerInitTimeout);
+        });
+        try {
+            await Promise.race([this._call('init', { options: this._workerOptions() }), timeout]);
+        } catch (err) {
+            this.terminate();
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    configure(settings, profile = null) {
+        return this._call('configure', { settings, profile });
+    }
+
+    start(mode, scanOptions = {}) {
+        return this._call('start', { mode, reid: !!scanOptions.reid });
+    }
+
+    async analyze(source, t, vsaQuick = null) {
+        const bitmap = await createImageBitmap(source);
+        const result = await this._call('frame', { bitmap, t, vsaQuick }, [bitmap]);
+
+        const detections = result.faces.map(toDetection);
+        return {
+            faces: result.faces,
+            frame: {
+                detections,
+                personIds: result.personIds,
+                quality: result.quality,
+                subject: result.subjectIndex >= 0 ? detections[result.subjectIndex] : null,
+                metrics: result.metrics,
+                subjectLock: result.subjectLock
+            },
+            live: result.live
+        };
+    }
+
+    setBaseline(spec) {
+        return this._call('baseline', { spec });
+    }
+
+    lockSubject(point) {
+        return this._call('lock', { point });
+    }
+
+    markQuestion(label, type = null) {
+        return this._call('question', { label, type });
+    }
+
+    complete(voiceReport = null) {
+        return this._call('complete', { voiceReport });
+    }
+
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this._failAll(new Error('Analysis worker terminated'));
+    }
+
+    // ── Private Methods ──
+
+    _workerOptions() {
+        const { modelUrl, scoreThreshold } = this.options;
+        return { modelUrl, scoreThreshold };
+    }
+
+    _call(type, payload, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    _onMessage(msg) {
+        const request = this.pending.get(msg.id);
+        if (!request) return;
+        this.pending.delete(msg.id);
+        if (msg.error) request.reject(new Error(msg.error));
+        else request.resolve(msg.result);
+    }
+
+    _failAll(err) {
+        this.pending.forEach(request => request.reject(err));
+        this.pending.clear();
+    }
+}
+
+/**
+ * Worker analyzer where ImageBitmap + OffscreenCanvas + module workers are
+ * available and the worker initializes; the main-thread path otherwise.
+ * @param {object} faceapi - The page's face-api global (for the fallback)
+ * @param {object} options - Overrides for ANALYZER_DEFAULTS
+ */
+export async function createFrameAnalyzer(faceapi, options = {}) {
+    const opts = { ...ANALYZER_DEFAULTS, ...options };
+    const supported = typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap === 'function';
+
+    if (opts.worker && supported) {
+        const analyzer = new WorkerFrameAnalyzer(opts);
+        try {
+            await analyzer.init();
+            return analyzer;
+        } catch (err) {
+            console.warn('Worker inference unavailable, using main thread:', err.message);
+        }
+    }
+
+    const analyzer = new LocalFrameAnalyzer(faceapi, opts);
+    await analyzer.init();
+    return analyzer;
+}
@@ -0,0 +1,167 @@
+/* ============================================
+   FRAME QUALITY - Per-face signal quality gate
+   Scores each detection from face size, detector
+   confidence, landmark jitter, brightness and
+   blur, so unreliable frames can be kept out of
+   engine statistics and reported instead.
+   ============================================ */
+
+export const QUALITY_DEFAULTS = {
+    threshold: 0.5,                        // frames scoring below this are dropped
+    faceSize: { bad: 40, good: 100 },      // px, shorter side of the face box
+    confidence: { bad: 0.3, good: 0.7 },   // detector score
+    jitter: { good: 0.01, bad: 0.06 },     // landmark motion not explained by head motion, in face sizes per frame
+    dark: { bad: 30, good: 70 },           // mean luma of the face crop (0-255)
+    bright: { good: 200, bad: 245 },
+    sharpness: { bad: 15, good: 60 }       // variance of the Laplacian on a 64x64 crop
+};
+
+export const QUALITY_REASONS = {
+    'small-face': 'Face too small',
+    'low-confidence': 'Low detector confidence',
+    'landmark-jitter': 'Landmark jitter',
+    'too-dark': 'Too dark',
+    'too-bright': 'Overexposed',
+    'blurry': 'Motion blur / out of focus'
+};
+
+export const SAMPLE_SIZE = 64;
+
+const ramp = (value, bad, good) => {
+    const f = (value - bad) / (good - bad);
+    return Math.min(1, Math.max(0, f));
+};
+
+/**
+ * Brightness and sharpness of a face crop
+ * @param {ImageData|object} image - { data (RGBA), width, height }, ideally SAMPLE_SIZE square
+ * @returns {object} { brightness (mean luma 0-255), sharpness (Laplacian variance) }
+ */
+export function measureFaceImage(image) {
+    const { data, width, height } = image;
+    const luma = new Float32Array(width * height);
+    let sum = 0;
+    for (let i = 0; i < luma.length; i++) {
+        const y = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        luma[i] = y;
+        sum += y;
+    }
+
+    let lapSum = 0;
+    let lapSq = 0;
+    let n = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const lap = luma[i - width] + luma[i + width] + luma[i - 1] + luma[i + 1] - 4 * luma[i];
+            lapSum += lap;
+            lapSq += lap * lap;
+            n++;
+        }
+    }
+    const lapMean = n > 0 ? lapSum / n : 0;
+
+    return {
+        brightness: Math.round((sum / Math.max(1, luma.length)) * 10) / 10,
+        sharpness: n > 0 ? Math.round((lapSq / n - lapMean * lapMean) * 10) / 10 : 0
+    };
+}
+
+/**
+ * Quality of one detection
+ * @param {object} detection - Engine-shaped detection (detection.box/score, landmarks.positions, image?)
+ * @param {object|null} previous - The same person's previous detection, for jitter
+ * @param {object} options - Overrides for QUALITY_DEFAULTS
+ * @returns {object} { score 0-1, usable, reasons: [] } — score is the weakest factor;
+ *   factors that cannot be measured (no image data, first frame) count as 1
+ */
+export function assessFaceQuality(detection, previous = null, options = {}) {
+    const opts = { ...QUALITY_DEFAULTS, ...options };
+    const box = detection.detection.box;
+    const factors = {};
+
+    factors['small-face'] = ramp(Math.min(box.width, box.height), opts.faceSize.bad, opts.faceSize.good);
+    factors['low-confidence'] = ramp(detection.detection.score, opts.confidence.bad, opts.confidence.good);
+
+    const jitter = landmarkJitter(detection, previous);
+    if (jitter !== null) factors['landmark-jitter'] = ramp(jitter, opts.jitter.bad, opts.jitter.good);
+
+    if (detection.image) {
+        factors['too-dark'] = ramp(detection.image.brightness, opts.dark.bad, opts.dark.good);
+        factors['too-bright'] = ramp(detection.image.brightness, opts.bright.bad, opts.bright.good);
+        factors.blurry = ramp(detection.image.sharpness, opts.sharpness.bad, opts.sharpness.good);
+    }
+
+    let score = 1;
+    const reasons = [];
+    Object.entries(factors).forEach(([reason, f]) => {
+        score = Math.min(score, f);
+        if (f < opts.threshold) reasons.push(reason);
+    });
+
+    return { score: Math.round(score * 1000) / 1000, usable: score >= opts.threshold, reasons };
+}
+
+/**
+ * Running usable/dropped counts for one person or one scan
+ */
+export function createQualityStats() {
+    return { frames: 0, usable: 0, scoreSum: 0, reasons: {} };
+}
+
+export function recordQuality(stats, quality) {
+    stats.frames++;
+    stats.scoreSum += quality.score;
+    if (quality.usable) {
+        stats.usable++;
+        return;
+    }
+    quality.reasons.forEach(r => { stats.reasons[r] = (stats.reasons[r] || 0) + 1; });
+}
+
+/**
+ * Report form of the counts
+ * @returns {object} { framesSeen, usableFrames, droppedFrames, usablePercent, meanQuality, dropReasons: [{ reason, label, frames }] }
+ */
+export function summarizeQuality(stats) {
+    const dropReasons = Object.entries(stats.reasons)
+        .map(([reason, frames]) => ({ reason, label: QUALITY_REASONS[reason] || reason, frames }))
+        .sort((a, b) => b.frames - a.frames);
+
+    return {
+        framesSeen: stats.frames,
+        usableFrames: stats.usable,
+        droppedFrames: stats.frames - stats.usable,
+        usablePercent: stats.frames > 0 ? Math.round((stats.usable / stats.frames) * 100) : 0,
+        meanQuality: stats.frames > 0 ? Math.round((stats.scoreSum / stats.frames) * 100) / 100 : 0,
+        dropReasons
+    };
+}
+
+// Mean landmark displacement after removing the face's own translation,
+// relative to face size: expression and tracking noise, not head movement
+function landmarkJitter(detection, previous) {
+    if (!previous || !detection.landmarks || !previous.landmarks) return null;
+    const curr = detection.landmarks.positions;
+    const prev = previous.landmarks.positions;
+    if (!curr || !prev || curr.length === 0 || curr.length !== prev.length) return null;
+
+    let cdx = 0, cdy = 0;
+    for (let i = 0; i < curr.length; i++) {
+        cdx += curr[i].x - prev[i].x;
+        cdy += curr[i].y - prev[i].y;
+    }
+    cdx /= curr.length;
+    cdy /= curr.length;
+
+    let residual = 0;
+    for (let i = 0; i < curr.length; i++) {
+        const dx = curr[i].x - prev[i].x - cdx;
+        const dy = curr[i].y - prev[i].y - cdy;
+        residual += Math.sqrt(dx * dx + dy * dy);
+    }
+
+    const box = detection.detection.box;
+    const size = Math.sqrt(Math.max(1, box.width * box.height));
+    return residual / curr.length / size;
+}
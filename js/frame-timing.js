@@ -0,0 +1,90 @@
+/* ============================================
+   FRAME TIMING - Rates from real frame timestamps
+   face-api inference runs at whatever rate the
+   device allows (often 8-15 fps), so durations,
+   rates and spectral inputs are derived from each
+   frame's timestamp (ms) rather than assuming 30 fps.
+   ============================================ */
+
+const FALLBACK_FPS = 30;
+
+/**
+ * Duration covered by a frame sequence, in seconds.
+ * Each frame is counted as one average frame interval, so
+ * n evenly spaced frames at r fps last exactly n / r seconds.
+ * @param {Array} frames - Objects with a numeric `timestamp` (ms)
+ * @param {number} fallbackFps - Used when timestamps are missing or degenerate
+ */
+export function durationSeconds(frames, fallbackFps = FALLBACK_FPS) {
+    const n = frames ? frames.length : 0;
+    if (n === 0) return 0;
+    if (n === 1) return 1 / fallbackFps;
+
+    const span = (frames[n - 1].timestamp - frames[0].timestamp) / 1000;
+    if (!(span > 0)) return n / fallbackFps;
+    return span * n / (n - 1);
+}
+
+/**
+ * Average frame rate of a frame sequence
+ */
+export function estimateFps(frames, fallbackFps = FALLBACK_FPS) {
+    const n = frames ? frames.length : 0;
+    if (n < 2) return fallbackFps;
+    return n / durationSeconds(frames, fallbackFps);
+}
+
+/**
+ * Seconds between two frames (falls back to one nominal frame)
+ */
+export function frameInterval(prev, curr, fallbackFps = FALLBACK_FPS) {
+    const dt = (curr.timestamp - prev.timestamp) / 1000;
+    return dt > 0 ? dt : 1 / fallbackFps;
+}
+
+/**
+ * Linearly resample an irregularly sampled signal onto a uniform grid
+ * @param {number[]} times - Sample times in ms, ascending
+ * @param {number[]} values - Sample values
+ * @param {number} rate - Output rate in Hz
+ * @returns {number[]} Values at times[0], times[0] + 1000/rate, ...
+ */
+export function resampleUniform(times, values, rate) {
+    if (times.length < 2 || !(rate > 0)) return values.slice();
+
+    const step = 1000 / rate;
+    const out = [];
+    let j = 0;
+    for (let t = times[0]; t <= times[times.length - 1] + 1e-9; t += step) {
+        while (j < times.length - 2 && times[j + 1] < t) j++;
+        const t0 = times[j];
+        const t1 = times[j + 1];
+        const frac = t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : 0;
+        out.push(values[j] + (values[j + 1] - values[j]) * frac);
+    }
+    return out;
+}
+
+/**
+ * Split frames into consecutive windows of a fixed length in time
+ * @param {Array} frames - Objects with a numeric `timestamp` (ms)
+ * @param {number} seconds - Window length
+ * @returns {Array} [{ startIndex, timeSeconds, frames }], timeSeconds relative to the first frame
+ */
+export function timeWindows(frames, seconds = 1) {
+    const windows = [];
+    if (!frames || frames.length === 0) return windows;
+
+    const start = frames[0].timestamp;
+    const size = seconds * 1000;
+    frames.forEach((frame, i) => {
+        const w = Math.max(0, Math.floor((frame.timestamp - start) / size));
+        let current = windows[windows.length - 1];
+        if (!current || current.index !== w) {
+            current = { index: w, startIndex: i, timeSeconds: w * seconds, frames: [] };
+            windows.push(current);
+        }
+        current.frames.push(frame);
+    });
+    return windows.map(({ startIndex, timeSeconds, frames: chunk }) => ({ startIndex, timeSeconds, frames: chunk }));
+}
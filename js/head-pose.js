@@ -0,0 +1,196 @@
+/* ============================================
+   HEAD POSE - Yaw / pitch / roll from landmarks
+   Fits a generic 3D face (key points of the 68
+   landmark set) to the 2D landmarks with a scaled
+   orthographic camera, then reads the rotation as
+   Euler angles in degrees:
+   - yaw   > 0: face turned toward image right
+   - pitch > 0: chin up (looking up)
+   - roll  > 0: head tilted clockwise in the image
+   Model axes: x right, y up, z toward the camera.
+   ============================================ */
+
+// Mean face in face-width units, nose tip at the origin
+export const FACE_MODEL = {
+    0: [-0.46, 0.23, -0.5],     // jaw, left ear
+    8: [0, -0.49, -0.12],       // chin
+    16: [0.46, 0.23, -0.5],     // jaw, right ear
+    27: [0, 0.25, -0.12],       // nose bridge
+    30: [0, 0, 0],              // nose tip
+    36: [-0.3, 0.2, -0.24],     // left eye, outer corner
+    39: [-0.12, 0.2, -0.2],     // left eye, inner corner
+    42: [0.12, 0.2, -0.2],      // right eye, inner corner
+    45: [0.3, 0.2, -0.24],      // right eye, outer corner
+    48: [-0.15, -0.25, -0.17],  // mouth, left corner
+    54: [0.15, -0.25, -0.17]    // mouth, right corner
+};
+
+// Facing this far (degrees) from the subject's usual direction counts as looking away
+export const AVERSION_DEG = 15;
+
+const MODEL_INDICES = Object.keys(FACE_MODEL).map(Number);
+const DEG = 180 / Math.PI;
+
+/**
+ * Rotation matrix (rows) for a pose, in model axes
+ * @param {object} pose - { yaw, pitch, roll } in degrees
+ * @returns {Array} 3x3 matrix, R = Rz(-roll) · Ry(yaw) · Rx(-pitch)
+ */
+export function poseMatrix({ yaw = 0, pitch = 0, roll = 0 }) {
+    const a = -pitch / DEG, b = yaw / DEG, c = -roll / DEG;
+    const [sa, ca, sb, cb, sc, cc] = [Math.sin(a), Math.cos(a), Math.sin(b), Math.cos(b), Math.sin(c), Math.cos(c)];
+    return [
+        [cc * cb, cc * sb * sa - sc * ca, cc * sb * ca + sc * sa],
+        [sc * cb, sc * sb * sa + cc * ca, sc * sb * ca - cc * sa],
+        [-sb, cb * sa, cb * ca]
+    ];
+}
+
+/**
+ * Estimate head pose from 68 landmarks
+ * @param {Array} positions - [{ x, y }] in image pixels (y down)
+ * @returns {object|null} { yaw, pitch, roll } in degrees (0.1 precision), or null
+ *   when landmarks are missing or degenerate
+ */
+export function estimateHeadPose(positions) {
+    if (!positions || positions.length < 68) return null;
+
+    // Centered 2D (y flipped to up) and 3D correspondences
+    const n = MODEL_INDICES.length;
+    let mu = 0, mv = 0;
+    const mx = [0, 0, 0];
+    MODEL_INDICES.forEach(i => {
+        mu += positions[i].x / n;
+        mv -= positions[i].y / n;
+        FACE_MODEL[i].forEach((v, k) => { mx[k] += v / n; });
+    });
+
+    // Least squares affine camera: M (2x3) = P·Xᵀ · (X·Xᵀ)⁻¹
+    const xxt = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const pxt = [[0, 0, 0], [0, 0, 0]];
+    MODEL_INDICES.forEach(i => {
+        const X = FACE_MODEL[i].map((v, k) => v - mx[k]);
+        const p = [positions[i].x - mu, -positions[i].y - mv];
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) xxt[r][c] += X[r] * X[c];
+            pxt[0][r] += p[0] * X[r];
+            pxt[1][r] += p[1] * X[r];
+        }
+    });
+    const inv = invert3(xxt);
+    if (!inv) return null;
+    const m = pxt.map(row => [0, 1, 2].map(c => row[0] * inv[0][c] + row[1] * inv[1][c] + row[2] * inv[2][c]));
+
+    // Nearest rotation: normalize and orthogonalize the two camera rows
+    const r1 = normalize(m[0]);
+    const r2raw = normalize(m[1]);
+    if (!r1 || !r2raw) return null;
+    const d = dot(r1, r2raw);
+    const r2 = normalize(r2raw.map((v, k) => v - d * r1[k]));
+    if (!r2) return null;
+    const r3 = [
+        r1[1] * r2[2] - r1[2] * r2[1],
+        r1[2] * r2[0] - r1[0] * r2[2],
+        r1[0] * r2[1] - r1[1] * r2[0]
+    ];
+
+    // Inverse of poseMatrix()
+    const b = Math.asin(Math.max(-1, Math.min(1, -r3[0])));
+    const a = Math.atan2(r3[1], r3[2]);
+    const c = Math.atan2(r2[0], r1[0]);
+    const round = v => Math.round(v * DEG * 10) / 10 || 0;
+    return { yaw: round(b), pitch: round(-a), roll: round(-c) };
+}
+
+/**
+ * Angle between two poses' facing directions, in degrees
+ */
+export function poseDistance(a, b) {
+    const fa = poseMatrix(a).map(row => row[2]);
+    const fb = poseMatrix(b).map(row => row[2]);
+    return Math.acos(Math.max(-1, Math.min(1, dot(fa, fb)))) * DEG;
+}
+
+/**
+ * Median yaw/pitch/roll of a set of poses: the subject's usual facing direction
+ */
+export function medianPose(poses) {
+    const median = key => {
+        const v = poses.map(p => p[key]).sort((x, y) => x - y);
+        const mid = Math.floor(v.length / 2);
+        return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+    };
+    return poses.length > 0
+        ? { yaw: median('yaw'), pitch: median('pitch'), roll: median('roll') }
+        : { yaw: 0, pitch: 0, roll: 0 };
+}
+
+/**
+ * Share of poses turned more than `threshold` degrees away from `center`
+ */
+export function aversionRate(poses, center = medianPose(poses), threshold = AVERSION_DEG) {
+    if (poses.length === 0) return 0;
+    return poses.filter(p => poseDistance(p, center) > threshold).length / poses.length;
+}
+
+/**
+ * Left/right turn reversals (scanning): yaw changes direction and swings back
+ * at least `minSwing` degrees from the last extreme. The hysteresis keeps
+ * landmark noise and slow, smooth turns from counting twice.
+ */
+export function yawReversals(poses, minSwing = 5) {
+    if (poses.length < 2) return 0;
+    let reversals = 0;
+    let direction = 0;             // +1 turning right, -1 turning left, 0 not yet moving
+    let extreme = poses[0].yaw;    // furthest yaw reached in the current direction
+    for (let i = 1; i < poses.length; i++) {
+        const yaw = poses[i].yaw;
+        if (direction === 0) {
+            if (Math.abs(yaw - extreme) > minSwing) {
+                direction = Math.sign(yaw - extreme);
+                extreme = yaw;
+            }
+        } else if ((yaw - extreme) * direction > 0) {
+            extreme = yaw;
+        } else if ((extreme - yaw) * direction > minSwing) {
+            reversals++;
+            direction = -direction;
+            extreme = yaw;
+        }
+    }
+    return reversals;
+}
+
+/**
+ * Image-space direction of the head's x (right), y (up) and z (forward) axes
+ * for drawing a pose gizmo
+ * @param {object} pose - { yaw, pitch, roll }
+ * @param {number} length - Axis length in pixels
+ * @returns {object} { x: { dx, dy }, y: { dx, dy }, z: { dx, dy } } with dy in image (down) pixels
+ */
+export function poseAxes(pose, length) {
+    const R = poseMatrix(pose);
+    const axis = k => ({ dx: R[0][k] * length, dy: -R[1][k] * length });
+    return { x: axis(0), y: axis(1), z: axis(2) };
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function normalize(v) {
+    const len = Math.sqrt(dot(v, v));
+    return len > 1e-9 ? v.map(x => x / len) : null;
+}
+
+function invert3(m) {
+    const [[a, b, c], [d, e, f], [g, h, i]] = m;
+    const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    if (Math.abs(det) < 1e-12) return null;
+    return [
+        [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+        [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+        [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+    ];
+}
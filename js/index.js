@@ -0,0 +1,30 @@
+/* ============================================
+   ENGINE ENTRY POINT - Headless analysis API
+   Re-exports the scoring engines so they can be
+   imported outside the browser (Node, workers).
+   CommonJS consumers get dist/index.cjs, built
+   by scripts/build-cjs.js.
+   ============================================ */
+
+export { ThreatEngine } from './threat-engine.js';
+export { DeceptionEngine } from './deception-engine.js';
+export { NeuroAnalyzer } from './neuro-analyzer.js';
+export { VoiceStressEngine } from './voice-stress-engine.js';
+export { ScanPipeline } from './scan-pipeline.js';
+export { PersonTracker, TRACKER_DEFAULTS } from './person-tracker.js';
+export { ReIdGallery, GALLERY_DEFAULTS } from './reid-gallery.js';
+export { QUALITY_DEFAULTS, assessFaceQuality, measureFaceImage } from './frame-quality.js';
+export { estimateHeadPose, poseDistance, poseAxes } from './head-pose.js';
+export { ShapeAligner, procrustesAlign, shapeDisplacement } from './landmark-alignment.js';
+export { SPECTRUM_DEFAULTS, VIBRATION_BANDS, VibrationSpectrum, summarizeSpectrum } from './vibration-spectrum.js';
+export { ACTION_UNITS, ActionUnitEstimator, measureFaceGeometry, actionUnitsFrom } from './action-units.js';
+export { SMOOTHING_DEFAULTS, ScoreSmoother, DwellLatch, IndicatorStabilizer, hysteresisLevel } from './live-smoothing.js';
+export { FUSION_DEFAULTS, fuseModalities, faceReliability, voiceReliability } from './modality-fusion.js';
+export { BASELINE_PHASE, NEUTRAL_PROMPTS, findSavedBaseline, saveBaseline } from './baseline.js';
+export { parseQuestionList, voiceForWindow, rankQuestions } from './interview-questions.js';
+export { QUESTION_TYPES, COMPARISON_DEFAULTS, parseProtocol, resolveProtocol, listProtocol, scriptQuestion, compareToControls } from './interview-protocol.js';
+export { SPEECH_TIMING_DEFAULTS, TIMING_MEASURES, SpeechTimingTracker, speechTimingForWindow, timingMeasures, baselineTiming, compareTiming } from './speech-timing.js';
+export { STANDARD_PROFILE, BUILTIN_PROFILES, resolveProfile, parseProfile, serializeProfile } from './scoring-profiles.js';
+export { SessionRecorder, parseSession, serializeDetection, toDetection, SESSION_FORMAT, SESSION_VERSION } from './session-recorder.js';
+export { replaySession, feedSession } from './session-replay.js';
+export { generateFaceSequence, createRng } from './synthetic-faces.js';
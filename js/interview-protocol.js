@@ -0,0 +1,170 @@
+/* ============================================
+   INTERVIEW PROTOCOL - Scripted question sets
+   A protocol is a JSON script of questions, each
+   tagged neutral, control (comparison) or relevant,
+   with optional answer and pause times:
+   { "name": "...", "questions": [
+       { "text": "...", "type": "control",
+         "answerSeconds": 8, "pauseSeconds": 15 } ] }
+   After the scan, every relevant question is held
+   against the subject's own control questions,
+   channel by channel, in the manner of comparison
+   question test scoring: a channel scores -1 when
+   the relevant reaction is clearly stronger, +1
+   when the control reaction is, 0 otherwise. Sums
+   at or below -cutoff point to the relevant issue.
+   ============================================ */
+
+export const QUESTION_TYPES = ['neutral', 'control', 'relevant'];
+
+export const COMPARISON_DEFAULTS = {
+    // Per-question measure, and the relevant - control difference that counts as a reaction
+    channels: [
+        { key: 'faceProbability', label: 'Facial deception', unit: '%', threshold: 10 },
+        { key: 'cognitiveLoad', label: 'Cognitive load', unit: '%', threshold: 10 },
+        { key: 'microRate', label: 'Micro-expressions', unit: '/min', threshold: 3 },
+        { key: 'blinkShift', label: 'Blink rate shift', unit: '/min', threshold: 6 },
+        { key: 'voiceStress', label: 'Voice stress', unit: '%', threshold: 10 },
+        { key: 'responseLatencyMs', label: 'Response latency', unit: 'ms', threshold: 500 }
+    ],
+    spotCutoff: 2,    // one relevant question's total at or beyond ±2
+    grandCutoff: 3    // all relevant questions together at or beyond ±3
+};
+
+const VERDICTS = {
+    reactive: 'Stronger reactions to relevant than to control questions',
+    'not-reactive': 'Stronger reactions to control than to relevant questions',
+    inconclusive: 'No consistent difference between relevant and control questions',
+    insufficient: 'Needs at least one scored control and one scored relevant question'
+};
+
+const round1 = v => Math.round(v * 10) / 10;
+
+function positiveOrNull(value, field, index) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'number' || !(value > 0)) throw new Error(`Question ${index + 1}: "${field}" must be a positive number of seconds`);
+    return value;
+}
+
+/**
+ * Validate a protocol and normalize its questions
+ * @param {object} protocol - Parsed protocol JSON
+ * @returns {object} { name, description, questions: [{ text, type, answerSeconds, pauseSeconds }] }
+ * @throws {Error} When a question has no text, an unknown type or a bad timing
+ */
+export function resolveProtocol(protocol) {
+    if (!protocol || typeof protocol !== 'object') throw new Error('Protocol must be a JSON object');
+    if (!Array.isArray(protocol.questions) || protocol.questions.length === 0) throw new Error('Protocol needs a non-empty "questions" list');
+
+    const questions = protocol.questions.map((q, i) => {
+        if (!q || typeof q.text !== 'string' || q.text.trim() === '') throw new Error(`Question ${i + 1} needs a "text"`);
+        if (!QUESTION_TYPES.includes(q.type)) throw new Error(`Question ${i + 1}: "type" must be one of ${QUESTION_TYPES.join(', ')}`);
+        return {
+            text: q.text.trim(),
+            type: q.type,
+            answerSeconds: positiveOrNull(q.answerSeconds, 'answerSeconds', i),
+            pauseSeconds: positiveOrNull(q.pauseSeconds, 'pauseSeconds', i)
+        };
+    });
+
+    return {
+        name: typeof protocol.name === 'string' && protocol.name.trim() !== '' ? protocol.name.trim() : 'Interview protocol',
+        description: protocol.description || '',
+        questions
+    };
+}
+
+/**
+ * Parse and validate protocol JSON text (e.g. an imported file)
+ */
+export function parseProtocol(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Protocol is not valid JSON');
+    }
+    return resolveProtocol(json);
+}
+
+/**
+ * An untagged, untimed script from plain question texts
+ * @param {string[]} texts - See parseQuestionList (interview-questions.js)
+ */
+export function listProtocol(texts) {
+    return { name: null, description: '', questions: texts.map(text => ({ text, type: null, answerSeconds: null, pauseSeconds: null })) };
+}
+
+/**
+ * Question at a script position; past the end, an untagged "Question n"
+ * @param {object} protocol - resolveProtocol() or listProtocol() result
+ * @param {number} index - 0-based question number
+ */
+export function scriptQuestion(protocol, index) {
+    return protocol.questions[index] || { text: `Question ${index + 1}`, type: null, answerSeconds: null, pauseSeconds: null };
+}
+
+// Channel value for a scored question (null when the channel was not measured)
+function channelValue(q, key) {
+    const minutes = (q.endSeconds - q.startSeconds) / 60;
+    if (key === 'microRate') return q.faceProbability === null || minutes <= 0 ? null : q.microExpressions / minutes;
+    // Suppression and bursts are both reactions: distance from the baseline rate
+    if (key === 'blinkShift') return q.blinkChange === null ? null : Math.abs(q.blinkChange);
+    return q[key];
+}
+
+const mean = values => (values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null);
+
+function verdictOf(total, cutoff) {
+    if (total <= -cutoff) return 'reactive';
+    if (total >= cutoff) return 'not-reactive';
+    return 'inconclusive';
+}
+
+/**
+ * Compare each relevant question against the mean of the control questions
+ * @param {Array} questions - Per-question results (DeceptionEngine, with type)
+ * @param {object} options - COMPARISON_DEFAULTS overrides
+ * @returns {object} { controls, relevant, controlMeans: { key: value }, questions: [{ index, label,
+ *   total, verdict, channels: [{ key, label, unit, relevant, control, difference, score }] }],
+ *   grandTotal, verdict: reactive|not-reactive|inconclusive|insufficient, summary }
+ */
+export function compareToControls(questions, options = {}) {
+    const { channels, spotCutoff, grandCutoff } = { ...COMPARISON_DEFAULTS, ...options };
+    const scored = q => q.deceptionProbability !== null;
+    const controls = questions.filter(q => q.type === 'control' && scored(q));
+    const relevant = questions.filter(q => q.type === 'relevant' && scored(q));
+
+    const controlMeans = {};
+    channels.forEach(ch => {
+        const m = mean(controls.map(q => channelValue(q, ch.key)).filter(v => v !== null));
+        controlMeans[ch.key] = m === null ? null : round1(m);
+    });
+
+    const compared = controls.length === 0 ? [] : relevant.map(q => {
+        const rows = channels.map(ch => {
+            const value = channelValue(q, ch.key);
+            const control = controlMeans[ch.key];
+            if (value === null || control === null) {
+                return { key: ch.key, label: ch.label, unit: ch.unit, relevant: value === null ? null : round1(value), control, difference: null, score: 0 };
+            }
+            const difference = round1(value - control);
+            const score = difference >= ch.threshold ? -1 : (difference <= -ch.threshold ? 1 : 0);
+            return { key: ch.key, label: ch.label, unit: ch.unit, relevant: round1(value), control, difference, score };
+        });
+        const total = rows.reduce((s, r) => s + r.score, 0);
+        return { index: q.index, label: q.label, total, verdict: verdictOf(total, spotCutoff), channels: rows };
+    });
+
+    const grandTotal = compared.reduce((s, q) => s + q.total, 0);
+    const verdict = compared.length === 0 ? 'insufficient' : verdictOf(grandTotal, grandCutoff);
+    return {
+        controls: controls.length,
+        relevant: relevant.length,
+        controlMeans,
+        questions: compared,
+        grandTotal,
+        verdict,
+        summary: VERDICTS[verdict]
+    };
+}
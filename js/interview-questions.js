@@ -0,0 +1,79 @@
+/* ============================================
+   INTERVIEW QUESTIONS - Per-question breakdown
+   The interviewer marks each question once it is
+   asked and again once it is answered (or simply
+   asks the next one). Facial frames are kept per
+   question by the DeceptionEngine; the voice side
+   is cut from the voice report's per-second
+   timeline and speech spans, which must be on the
+   same clock (the app feeds the voice engine the
+   scan time). Questions are then ranked by their
+   fused deception probability.
+   ============================================ */
+
+const round1 = v => Math.round(v * 10) / 10;
+
+/**
+ * Parse a pre-loaded question list (one question per line, blanks ignored)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseQuestionList(text) {
+    return String(text || '').split('\n').map(line => line.trim()).filter(line => line !== '');
+}
+
+/**
+ * Voice during one question window
+ * @param {object|null} vsaReport - VoiceStressEngine.fullAnalysis() result
+ * @param {number} start - Window start (ms, voice clock)
+ * @param {number} end - Window end
+ * @returns {object|null} { voiceStress: mean live stress while speaking (null when silent),
+ *   speechRatio: 0-1, responseLatencyMs: question mark → first speech (0 when already
+ *   speaking, null when no answer was heard) }; null without timed voice data
+ */
+export function voiceForWindow(vsaReport, start, end) {
+    // Reports recorded before the timeline carried frame times cannot be cut
+    if (!vsaReport || !vsaReport.speechSpans) return null;
+
+    const stress = vsaReport.vsaTimeline
+        .filter(e => e.time > start && e.time <= end && e.isSpeaking)
+        .map(e => e.voiceStress);
+
+    let speechMs = 0;
+    let latency = null;
+    vsaReport.speechSpans.forEach(span => {
+        if (span.end < start || span.start > end) return;
+        speechMs += Math.min(span.end, end) - Math.max(span.start, start);
+        if (latency === null) latency = Math.max(0, span.start - start);
+    });
+
+    return {
+        voiceStress: stress.length > 0 ? Math.round(stress.reduce((s, v) => s + v, 0) / stress.length) : null,
+        speechRatio: end > start ? Math.min(1, speechMs / (end - start)) : 0,
+        responseLatencyMs: latency === null ? null : Math.round(latency)
+    };
+}
+
+/**
+ * Rank questions by reactivity: fused deception probability, then
+ * micro-expressions, then asking order. Unscored questions get rank null.
+ * @param {Array} questions - Per-question results, in asking order
+ * @returns {Array} The same questions with rank (1 = most reactive)
+ */
+export function rankQuestions(questions) {
+    const order = questions
+        .filter(q => q.deceptionProbability !== null)
+        .sort((a, b) => b.deceptionProbability - a.deceptionProbability ||
+            b.microExpressions - a.microExpressions || a.index - b.index);
+    return questions.map(q => ({ ...q, rank: q.deceptionProbability === null ? null : order.indexOf(q) + 1 }));
+}
+
+/**
+ * Blinks per minute over a time window
+ * @param {Array} blinks - [{ startTime }] (DeceptionEngine blink log)
+ */
+export function blinkRate(blinks, start, end) {
+    const seconds = (end - start) / 1000;
+    if (seconds <= 0) return 0;
+    return round1(blinks.filter(b => b.startTime > start && b.startTime <= end).length / seconds * 60);
+}
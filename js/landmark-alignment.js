@@ -0,0 +1,125 @@
+/* ============================================
+   LANDMARK ALIGNMENT - Head-motion compensation
+   Procrustes-aligns each frame's 68 landmarks to
+   a per-subject reference shape, removing
+   translation, scale and in-plane rotation, so
+   frame-to-frame differences are facial movement
+   rather than head turns or camera shake.
+
+   Aligned coordinates are in face-size percent:
+   100 = the RMS distance of the rigid landmarks
+   (upper jaw, nose, eye corners) from their centre,
+   so values do not depend on camera distance or
+   resolution.
+   ============================================ */
+
+// Points that barely move with expression; the similarity fit uses only these
+export const RIGID_LANDMARKS = [0, 1, 15, 16, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 39, 42, 45];
+
+export const FACE_SIZE_UNITS = 100;
+
+// Frames averaged into the reference shape before it is frozen
+export const REFERENCE_FRAMES = 30;
+
+/**
+ * Centre and size of the rigid landmarks
+ * @param {Array} points - [{ x, y }] (68 landmarks)
+ * @returns {object} { cx, cy, size } — size is the RMS distance from the centre, in input units
+ */
+export function rigidFrame(points) {
+    let cx = 0, cy = 0;
+    RIGID_LANDMARKS.forEach(i => { cx += points[i].x; cy += points[i].y; });
+    cx /= RIGID_LANDMARKS.length;
+    cy /= RIGID_LANDMARKS.length;
+
+    let ss = 0;
+    RIGID_LANDMARKS.forEach(i => {
+        const dx = points[i].x - cx, dy = points[i].y - cy;
+        ss += dx * dx + dy * dy;
+    });
+    return { cx, cy, size: Math.sqrt(ss / RIGID_LANDMARKS.length) };
+}
+
+/**
+ * Similarity-align landmarks to a reference shape
+ * @param {Array} points - [{ x, y }] in pixels
+ * @param {Array|null} reference - Aligned reference shape, or null to only centre and scale
+ * @returns {object|null} { points (face-size %), cx, cy, size (px), angle (radians) },
+ *   null for fewer than 68 landmarks or a degenerate face
+ */
+export function procrustesAlign(points, reference = null) {
+    if (!points || points.length < 68) return null;
+    const { cx, cy, size } = rigidFrame(points);
+    if (!(size > 1e-6)) return null;
+
+    const k = FACE_SIZE_UNITS / size;
+    const scaled = points.map(p => ({ x: (p.x - cx) * k, y: (p.y - cy) * k }));
+
+    // Least-squares rotation onto the reference (closed form in 2D)
+    let angle = 0;
+    if (reference) {
+        let a = 0, b = 0;
+        RIGID_LANDMARKS.forEach(i => {
+            a += scaled[i].x * reference[i].x + scaled[i].y * reference[i].y;
+            b += scaled[i].x * reference[i].y - scaled[i].y * reference[i].x;
+        });
+        angle = Math.atan2(b, a);
+    }
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+
+    return {
+        points: scaled.map(p => ({ x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos })),
+        cx, cy, size, angle
+    };
+}
+
+/**
+ * Mean point-to-point distance between two aligned shapes
+ * @param {Array} indices - Landmarks to compare (all when omitted)
+ */
+export function shapeDisplacement(a, b, indices = null) {
+    const idx = indices || a.map((_, i) => i);
+    let sum = 0;
+    idx.forEach(i => {
+        const dx = a[i].x - b[i].x, dy = a[i].y - b[i].y;
+        sum += Math.sqrt(dx * dx + dy * dy);
+    });
+    return idx.length > 0 ? sum / idx.length : 0;
+}
+
+/**
+ * Per-subject aligner: the first REFERENCE_FRAMES aligned shapes are
+ * averaged into the reference, which then stays fixed
+ */
+export class ShapeAligner {
+    constructor(referenceFrames = REFERENCE_FRAMES) {
+        this.referenceFrames = referenceFrames;
+        this.reference = null;
+        this.sum = null;
+        this.count = 0;
+    }
+
+    /**
+     * @param {Array} points - [{ x, y }] landmarks in pixels
+     * @returns {object|null} See procrustesAlign()
+     */
+    align(points) {
+        const aligned = procrustesAlign(points, this.reference);
+        if (!aligned) return null;
+
+        if (this.count < this.referenceFrames) {
+            if (!this.sum) this.sum = aligned.points.map(() => ({ x: 0, y: 0 }));
+            aligned.points.forEach((p, i) => { this.sum[i].x += p.x; this.sum[i].y += p.y; });
+            this.count++;
+            const mean = this.sum.map(p => ({ x: p.x / this.count, y: p.y / this.count }));
+            this.reference = procrustesAlign(mean).points;
+        }
+        return aligned;
+    }
+
+    reset() {
+        this.reference = null;
+        this.sum = null;
+        this.count = 0;
+    }
+}
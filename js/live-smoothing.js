@@ -0,0 +1,156 @@
+/* ============================================
+   LIVE SMOOTHING - Stable live indicators
+   Live scores are recomputed from short raw
+   windows every frame, so levels and chips would
+   flicker at every threshold. Scores are smoothed
+   (EMA or windowed median), levels are entered at
+   their threshold but only left a hysteresis
+   margin below it, and any new level or chip state
+   must hold for a minimum dwell time before it is
+   shown. Reports are not affected.
+   ============================================ */
+
+export const SMOOTHING_METHODS = ['ema', 'median', 'none'];
+
+export const SMOOTHING_DEFAULTS = {
+    method: 'ema',      // 'ema' | 'median' | 'none'
+    windowMs: 800,      // EMA half-life, or the median window
+    hysteresis: 5,      // score points below a level's threshold before it is left
+    dwellMs: 600        // a new level or chip state must hold this long
+};
+
+/**
+ * One smoothed score stream
+ */
+export class ScoreSmoother {
+    constructor(method = SMOOTHING_DEFAULTS.method, windowMs = SMOOTHING_DEFAULTS.windowMs) {
+        this.method = method;
+        this.windowMs = windowMs;
+        this.value = null;
+        this.lastTime = null;
+        this.samples = [];
+    }
+
+    /**
+     * @param {number} value - Raw score
+     * @param {number} t - Frame time in ms
+     * @returns {number} Smoothed score
+     */
+    update(value, t) {
+        if (this.method === 'median') {
+            this.samples.push({ t, value });
+            while (t - this.samples[0].t > this.windowMs) this.samples.shift();
+            const sorted = this.samples.map(s => s.value).sort((a, b) => a - b);
+            const mid = sorted.length >> 1;
+            this.value = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        } else if (this.method === 'ema' && this.value !== null && this.windowMs > 0) {
+            // Time-based weight, so the response does not depend on the frame rate
+            const alpha = 1 - Math.pow(2, -Math.max(0, t - this.lastTime) / this.windowMs);
+            this.value += alpha * (value - this.value);
+        } else {
+            this.value = value;
+        }
+        this.lastTime = t;
+        return this.value;
+    }
+}
+
+/**
+ * Discrete state that only changes once a new state has held for dwellMs
+ */
+export class DwellLatch {
+    constructor(dwellMs = SMOOTHING_DEFAULTS.dwellMs, initial = undefined) {
+        this.dwellMs = dwellMs;
+        this.state = initial;
+        this.pending = null;   // { state, since }
+    }
+
+    /**
+     * @param {*} candidate - State the current evidence points to
+     * @param {number} t - Frame time in ms
+     * @returns {*} Shown state (the first candidate is taken at once when there is no initial state)
+     */
+    update(candidate, t) {
+        if (this.state === undefined || candidate === this.state) {
+            this.state = candidate;
+            this.pending = null;
+            return this.state;
+        }
+        if (!this.pending || this.pending.state !== candidate) this.pending = { state: candidate, since: t };
+        if (t - this.pending.since >= this.dwellMs) {
+            this.state = candidate;
+            this.pending = null;
+        }
+        return this.state;
+    }
+}
+
+/**
+ * Level for a score with hysteresis: levels are entered at their minimum
+ * and kept until the score falls `hysteresis` below it
+ * @param {number} score
+ * @param {string|undefined} current - Level shown now
+ * @param {Array} levels - [{ name, min }] in ascending order; the first is the floor
+ * @param {number} hysteresis - Score points
+ * @returns {string} Level name
+ */
+export function hysteresisLevel(score, current, levels, hysteresis) {
+    let raw = 0;
+    levels.forEach((level, i) => { if (i > 0 && score >= level.min) raw = i; });
+
+    const held = levels.findIndex(level => level.name === current);
+    if (held < 0 || raw >= held) return levels[raw].name;
+
+    // Falling: step down only past each level's exit margin
+    let i = held;
+    while (i > 0 && score < levels[i].min - hysteresis) i--;
+    return levels[i].name;
+}
+
+/**
+ * Keyed smoothing, levels and chip states for the live UI
+ */
+export class IndicatorStabilizer {
+    constructor(options = {}) {
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        this.options = { ...SMOOTHING_DEFAULTS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.smoothers = new Map();
+        this.latches = new Map();
+    }
+
+    /**
+     * Smoothed score for a key (e.g. a person ID)
+     */
+    score(key, value, t) {
+        if (!this.smoothers.has(key)) this.smoothers.set(key, new ScoreSmoother(this.options.method, this.options.windowMs));
+        return this.smoothers.get(key).update(value, t);
+    }
+
+    /**
+     * Shown level for a key: hysteresis on the score, then the dwell time
+     * @param {Array} levels - See hysteresisLevel
+     */
+    level(key, score, levels, t) {
+        const latch = this._latch(key);
+        return latch.update(hysteresisLevel(score, latch.state, levels, this.options.hysteresis), t);
+    }
+
+    /**
+     * Shown on/off state for a key; starts off
+     */
+    flag(key, on, t) {
+        return this._latch(key, false).update(!!on, t);
+    }
+
+    _latch(key, initial = undefined) {
+        if (!this.latches.has(key)) this.latches.set(key, new DwellLatch(this.options.dwellMs, initial));
+        return this.latches.get(key);
+    }
+}
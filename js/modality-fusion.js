@@ -0,0 +1,71 @@
+/* ============================================
+   MODALITY FUSION - Reliability-weighted scores
+   Merges the facial and voice deception scores.
+   Each modality keeps its scoring-profile share,
+   scaled by how trustworthy its signal is now:
+   - face:  frame quality × baseline completeness
+   - voice: speech ratio × SNR × baseline completeness
+   A modality without usable signal drops out and
+   the others carry the score; the fused confidence
+   falls with it.
+   ============================================ */
+
+export const FUSION_DEFAULTS = {
+    faceBaselineFloor: 0.5,   // face reliability before any baseline (scores still mean something)
+    speechFull: 0.5,          // speech ratio that counts as fully voiced
+    snrFloorDb: 3,            // at or below: voice unusable
+    snrFullDb: 20,            // at or above: SNR no longer limits the voice
+    snrUnknown: 0.5           // SNR factor before both speech and silence were heard
+};
+
+const clamp01 = v => Math.min(1, Math.max(0, v));
+const round2 = v => Math.round(v * 100) / 100;
+
+/**
+ * Face reliability (0-1)
+ * @param {object} signal - { quality: mean frame quality 0-1, baselineCompleteness: 0-1 }
+ */
+export function faceReliability({ quality = 1, baselineCompleteness = 1 }, options = FUSION_DEFAULTS) {
+    const floor = options.faceBaselineFloor;
+    return clamp01(quality) * (floor + (1 - floor) * clamp01(baselineCompleteness));
+}
+
+/**
+ * Voice reliability (0-1)
+ * @param {object} signal - { speechRatio: 0-1, snrDb: dB or null, baselineCompleteness: 0-1 }
+ */
+export function voiceReliability({ speechRatio = 0, snrDb = null, baselineCompleteness = 0 }, options = FUSION_DEFAULTS) {
+    const speech = clamp01(speechRatio / options.speechFull);
+    const snr = snrDb === null
+        ? options.snrUnknown
+        : clamp01((snrDb - options.snrFloorDb) / (options.snrFullDb - options.snrFloorDb));
+    return speech * snr * clamp01(baselineCompleteness);
+}
+
+/**
+ * Weighted mean of modality scores
+ * @param {Array} modalities - [{ modality, score: 0-100, prior: profile share, reliability: 0-1 }]
+ * @returns {object} { score: 0-100, confidence: 0-1 (mean reliability of the modalities present), contributions: [{ modality, score, reliability, share: % of the fused score }] }
+ */
+export function fuseModalities(modalities) {
+    const priorTotal = modalities.reduce((s, m) => s + m.prior, 0);
+    const weightTotal = modalities.reduce((s, m) => s + m.prior * m.reliability, 0);
+    // Confidence is over the modalities that have something to say: a silent
+    // voice channel leaves the face's confidence as it is
+    const presentTotal = modalities.reduce((s, m) => s + (m.reliability > 0 ? m.prior : 0), 0);
+
+    // Nothing reliable: fall back to the profile shares, with no confidence
+    const weightOf = weightTotal > 0 ? m => m.prior * m.reliability / weightTotal : m => m.prior / priorTotal;
+    const score = modalities.reduce((s, m) => s + m.score * weightOf(m), 0);
+
+    return {
+        score: Math.min(100, Math.round(score)),
+        confidence: presentTotal > 0 ? round2(weightTotal / presentTotal) : 0,
+        contributions: modalities.map(m => ({
+            modality: m.modality,
+            score: m.score,
+            reliability: round2(m.reliability),
+            share: Math.round(weightOf(m) * 100)
+        }))
+    };
+}
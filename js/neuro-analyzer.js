@@ -14,6 +14,10 @@
    DISCLAIMER: Screening indicators only - not diagnostic.
    ============================================ */
 
+import { durationSeconds, estimateFps, frameInterval, resampleUniform } from './frame-timing.js';
+import { medianPose, poseDistance, yawReversals } from './head-pose.js';
+import { FACE_SIZE_UNITS } from './landmark-alignment.js';
+
 class NeuroAnalyzer {
     constructor() {
         // Eye landmark indices for face-api.js 68-point model
@@ -25,21 +29,37 @@ class NeuroAnalyzer {
         this.MOUTH = Array.from({ length: 20 }, (_, i) => i + 48);
         this.BROW_LEFT = [17, 18, 19, 20, 21];
         this.BROW_RIGHT = [22, 23, 24, 25, 26];
+        this.NOSE = Array.from({ length: 9 }, (_, i) => i + 27);
+    }
+
+    /**
+     * Landmark groups for per-region metrics (together they cover all 68 points)
+     * @returns {Array} [{ name, indices }] — brows, eyes, nose, mouth, jaw
+     */
+    facialRegions() {
+        return [
+            { name: 'brows', indices: [...this.BROW_LEFT, ...this.BROW_RIGHT] },
+            { name: 'eyes', indices: [...this.LEFT_EYE, ...this.RIGHT_EYE] },
+            { name: 'nose', indices: [...this.NOSE] },
+            { name: 'mouth', indices: [...this.MOUTH] },
+            { name: 'jaw', indices: [...this.JAW] }
+        ];
     }
 
     /**
      * Perform full neuro-psychological analysis on frame history
      * @param {Array} frameHistory - Array of frame data from ThreatEngine
-     * @param {number} actualFps - Actual camera frame rate
+     * @param {number} fallbackFps - Frame rate assumed only if frames lack usable timestamps
      * @returns {object} Complete neuro analysis results
      */
-    analyze(frameHistory, actualFps = 30) {
+    analyze(frameHistory, fallbackFps = 30) {
         if (!frameHistory || frameHistory.length < 10) {
             return this._insufficientData();
         }
 
-        const fps = actualFps || 30;
-        const durationSec = frameHistory.length / fps;
+        // Rates come from frame timestamps; inference rarely runs at a steady 30 fps
+        const fps = estimateFps(frameHistory, fallbackFps);
+        const durationSec = durationSeconds(frameHistory, fallbackFps);
 
         // Core biometric extractions
         const blinkAnalysis = this._analyzeBlinkPatterns(frameHistory, fps);
@@ -66,7 +86,7 @@ class NeuroAnalyzer {
         return {
             scanDuration: durationSec,
             framesAnalyzed: frameHistory.length,
-            fps,
+            fps: Math.round(fps * 10) / 10,
             biometrics: {
                 blinkRate: blinkAnalysis.blinksPerMinute,
                 blinkRegularity: blinkAnalysis.regularity,
@@ -92,7 +112,7 @@ class NeuroAnalyzer {
         let blinkDurations = [];
         let blinkStart = 0;
         const blinkIntervals = [];
-        let lastBlinkFrame = 0;
+        let lastBlinkTime = null;
 
         frames.forEach((frame, i) => {
             if (!frame.landmarks || frame.landmarks.length < 48) {
@@ -107,19 +127,19 @@ class NeuroAnalyzer {
             const threshold = 0.21;
             if (ear < threshold && !inBlink) {
                 inBlink = true;
-                blinkStart = i;
+                blinkStart = frame.timestamp;
             } else if (ear >= threshold && inBlink) {
                 inBlink = false;
                 blinks++;
-                blinkDurations.push((i - blinkStart) / fps * 1000); // ms
-                if (lastBlinkFrame > 0) {
-                    blinkIntervals.push((i - lastBlinkFrame) / fps);
+                blinkDurations.push(frame.timestamp - blinkStart); // ms
+                if (lastBlinkTime !== null) {
+                    blinkIntervals.push((frame.timestamp - lastBlinkTime) / 1000);
                 }
-                lastBlinkFrame = i;
+                lastBlinkTime = frame.timestamp;
             }
         });
 
-        const durationSec = frames.length / fps;
+        const durationSec = durationSeconds(frames, fps);
         const blinksPerMinute = durationSec > 0 ? (blinks / durationSec) * 60 : 0;
         const avgBlinkDuration = blinkDurations.length > 0
             ? blinkDurations.reduce((a, b) => a + b, 0) / blinkDurations.length : 0;
@@ -217,35 +237,30 @@ class NeuroAnalyzer {
     // ── Micro-Tremor Analysis ──
     // PD: 4-6 Hz chin/jaw tremor. ET: 5-8 Hz, action-based.
     _analyzeMicroTremors(frames, fps) {
-        if (frames.length < 20 || !frames[0].landmarks) {
+        // Head-motion-compensated landmarks (ThreatEngine frame.shape, face-size %)
+        const usable = frames.filter(f => f.shape);
+        if (usable.length < 20) {
             return { tremorScore: 0, dominantFrequency: 0, jawTremor: 0, chinTremor: 0 };
         }
 
-        // Analyze jaw landmark jitter (chin point = landmark 8)
+        // Analyze jaw landmark jitter (chin point = landmark 8), resampled to a
+        // uniform grid so the frequency estimate survives uneven inference timing
+        const times = usable.map(f => f.timestamp);
+        const jawTracks = [];
+        for (let j = 5; j <= 11; j++) {
+            jawTracks.push(resampleUniform(times, usable.map(f => f.shape.points[j].y), fps));
+        }
+        const chinTrack = jawTracks[8 - 5];
+
         const chinDisplacements = [];
         const jawDisplacements = [];
-
-        for (let i = 1; i < frames.length; i++) {
-            if (!frames[i].landmarks || !frames[i - 1].landmarks) continue;
-            if (frames[i].landmarks.length < 17 || frames[i - 1].landmarks.length < 17) continue;
-
+        for (let i = 1; i < chinTrack.length; i++) {
             // Chin point displacement
-            const chin = frames[i].landmarks[8];
-            const prevChin = frames[i - 1].landmarks[8];
-            if (chin && prevChin) {
-                chinDisplacements.push(chin.y - prevChin.y);
-            }
+            chinDisplacements.push(chinTrack[i] - chinTrack[i - 1]);
 
             // Jaw contour average displacement
-            let jawSum = 0;
-            let jawCount = 0;
-            for (let j = 5; j <= 11; j++) {
-                if (frames[i].landmarks[j] && frames[i - 1].landmarks[j]) {
-                    jawSum += Math.abs(frames[i].landmarks[j].y - frames[i - 1].landmarks[j].y);
-                    jawCount++;
-                }
-            }
-            if (jawCount > 0) jawDisplacements.push(jawSum / jawCount);
+            const jawSum = jawTracks.reduce((s, track) => s + Math.abs(track[i] - track[i - 1]), 0);
+            jawDisplacements.push(jawSum / jawTracks.length);
         }
 
         // Estimate tremor frequency using zero-crossing method
@@ -259,8 +274,8 @@ class NeuroAnalyzer {
         const jawRms = jawDisplacements.length > 0
             ? Math.sqrt(jawDisplacements.reduce((s, v) => s + v * v, 0) / jawDisplacements.length) : 0;
 
-        // Tremor score: normalized 0-100
-        const tremorScore = Math.min(100, Math.round(rms * 50 + jawRms * 30));
+        // Tremor score: normalized 0-100 (1 face-size % is about 1.8 px on a 200 px wide face)
+        const tremorScore = Math.min(100, Math.round(rms * 28 + jawRms * 17));
 
         return {
             tremorScore,
@@ -347,39 +362,26 @@ class NeuroAnalyzer {
 
     // ── Gaze Pattern Analysis ──
     // Rapid scanning = hypervigilance (PTSD/anxiety). Drift = avoidance.
+    // Measured on head rotation (degrees), not box translation.
     _analyzeGazePatterns(frames) {
-        if (frames.length < 10) return { stability: 100, scanRate: 0, driftScore: 0 };
+        const posed = frames.filter(f => f.pose);
+        const poses = posed.map(f => f.pose);
+        if (poses.length < 10) return { stability: 100, scanRate: 0, driftScore: 0 };
+        const durationSec = durationSeconds(posed);
 
-        const headPositions = frames.map(f => ({ x: f.box.x + f.box.width / 2, y: f.box.y + f.box.height / 2 }));
-        const movements = [];
-
-        for (let i = 1; i < headPositions.length; i++) {
-            const dx = headPositions[i].x - headPositions[i - 1].x;
-            const dy = headPositions[i].y - headPositions[i - 1].y;
-            movements.push(Math.sqrt(dx * dx + dy * dy));
-        }
-
-        const avgMovement = movements.reduce((a, b) => a + b, 0) / movements.length;
-
-        // Direction reversals (scanning behavior)
-        let reversals = 0;
-        for (let i = 2; i < headPositions.length; i++) {
-            const dx1 = headPositions[i - 1].x - headPositions[i - 2].x;
-            const dx2 = headPositions[i].x - headPositions[i - 1].x;
-            if ((dx1 > 1.5 && dx2 < -1.5) || (dx1 < -1.5 && dx2 > 1.5)) {
-                reversals++;
-            }
-        }
+        // Angular head speed (degrees per second)
+        let turned = 0;
+        for (let i = 1; i < poses.length; i++) turned += poseDistance(poses[i], poses[i - 1]);
+        const avgMovement = turned / durationSec;
 
-        const scanRate = Math.round((reversals / frames.length) * 100);
-        const stability = Math.max(0, Math.min(100, Math.round(100 - avgMovement * 5 - scanRate)));
+        // Left/right turn reversals per minute (scanning behavior)
+        const scanRate = Math.round(yawReversals(poses) / durationSec * 60);
+        const stability = Math.max(0, Math.min(100, Math.round(100 - avgMovement * 0.5 - scanRate)));
 
-        // Lateral drift: overall head position trend
-        const firstQuarter = headPositions.slice(0, Math.floor(headPositions.length / 4));
-        const lastQuarter = headPositions.slice(-Math.floor(headPositions.length / 4));
-        const avgFirst = firstQuarter.reduce((s, p) => s + p.x, 0) / firstQuarter.length;
-        const avgLast = lastQuarter.reduce((s, p) => s + p.x, 0) / lastQuarter.length;
-        const driftScore = Math.min(100, Math.round(Math.abs(avgLast - avgFirst)));
+        // Drift: usual facing direction in the first vs last quarter, 3 points per degree
+        const quarter = Math.floor(poses.length / 4);
+        const drift = poseDistance(medianPose(poses.slice(0, quarter)), medianPose(poses.slice(-quarter)));
+        const driftScore = Math.min(100, Math.round(drift * 3));
 
         return { stability, scanRate, driftScore, avgMovement };
     }
@@ -447,15 +449,18 @@ class NeuroAnalyzer {
             expressionKeys.forEach(key => {
                 maxDelta = Math.max(maxDelta, Math.abs((frames[i].expressions[key] || 0) - (frames[i - 1].expressions[key] || 0)));
             });
-            if (maxDelta > 0.05) transitionSpeeds.push(maxDelta * fps);
+            if (maxDelta > 0.05) transitionSpeeds.push(maxDelta / frameInterval(frames[i - 1], frames[i], fps));
         }
 
-        // Head movement speed
+        // Head movement speed (face-size % per second)
         const headSpeeds = [];
         for (let i = 1; i < frames.length; i++) {
-            const dx = frames[i].box.x - frames[i - 1].box.x;
-            const dy = frames[i].box.y - frames[i - 1].box.y;
-            headSpeeds.push(Math.sqrt(dx * dx + dy * dy) * fps);
+            const prev = frames[i - 1].shape, curr = frames[i].shape;
+            if (!prev || !curr) continue;
+            const dx = curr.cx - prev.cx;
+            const dy = curr.cy - prev.cy;
+            const moved = Math.sqrt(dx * dx + dy * dy) / prev.size * FACE_SIZE_UNITS;
+            headSpeeds.push(moved / frameInterval(frames[i - 1], frames[i], fps));
         }
 
         const avgTransitionSpeed = transitionSpeeds.length > 0
@@ -629,7 +634,7 @@ class NeuroAnalyzer {
         // Gaze instability / scanning
         if (gaze.scanRate > 30) {
             score += 15;
-            indicators.push({ marker: 'Rapid gaze scanning', value: `${gaze.scanRate}%`, severity: 'moderate' });
+            indicators.push({ marker: 'Rapid gaze scanning', value: `${gaze.scanRate}/min`, severity: 'moderate' });
         }
         if (gaze.stability < 40) {
             score += 10;
@@ -659,10 +664,10 @@ class NeuroAnalyzer {
         // Hypervigilance (rapid scanning, high gaze instability)
         if (gaze.scanRate > 40) {
             score += 20;
-            indicators.push({ marker: 'Hypervigilant scanning', value: `${gaze.scanRate}%`, severity: 'high' });
+            indicators.push({ marker: 'Hypervigilant scanning', value: `${gaze.scanRate}/min`, severity: 'high' });
         } else if (gaze.scanRate > 25) {
             score += 10;
-            indicators.push({ marker: 'Elevated scanning behavior', value: `${gaze.scanRate}%`, severity: 'moderate' });
+            indicators.push({ marker: 'Elevated scanning behavior', value: `${gaze.scanRate}/min`, severity: 'moderate' });
         }
 
         // Emotional numbing (reduced positive with flat baseline)
@@ -814,7 +819,7 @@ class NeuroAnalyzer {
     /**
      * Deception-focused analysis returning only deception-relevant biometrics
      */
-    analyzeForDeception(frameHistory, fps = 30) {
+    analyzeForDeception(frameHistory, fallbackFps = 30) {
         if (!frameHistory || frameHistory.length < 10) return {
             blinkRate: 0, blinkRegularity: 0, blinkIntervals: [],
             avgBlinkDuration: 0, expressionVolatility: 0, expressionChangeRate: 0,
@@ -822,6 +827,7 @@ class NeuroAnalyzer {
             gazeDrift: 0, scanRate: 0, psychomotorIndex: 50, psychomotorSpeed: 'normal'
         };
 
+        const fps = estimateFps(frameHistory, fallbackFps);
         const blinkAnalysis = this._analyzeBlinkPatterns(frameHistory, fps);
         const expressionDynamics = this._analyzeExpressionDynamics(frameHistory);
         const affectCongruence = this._analyzeAffectCongruence(frameHistory);
@@ -846,4 +852,4 @@ class NeuroAnalyzer {
     }
 }
 
-window.NeuroAnalyzer = NeuroAnalyzer;
+export { NeuroAnalyzer };
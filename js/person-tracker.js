@@ -0,0 +1,277 @@
+/* ============================================
+   PERSON TRACKER - Multi-object face tracking
+   Keeps person IDs stable across frames:
+   - IoU + centroid matching cost
+   - Globally optimal assignment (Hungarian)
+   - Constant-velocity motion prediction
+   - Gating normalized by face size, so it behaves
+     the same at any video resolution
+   - Configurable track birth / death rules
+   ============================================ */
+
+const TRACKER_DEFAULTS = {
+    idPrefix: 'P',
+    iouWeight: 0.5,            // cost = iouWeight * (1 - IoU) + centroidWeight * normalized distance
+    centroidWeight: 0.5,
+    gateDistance: 1.0,         // max centroid offset from the prediction, in face sizes
+    maxSizeRatio: 1.8,         // max change in face size between matched boxes
+    minHits: 1,                // birth: detections before a track is confirmed
+    maxAge: 3000,              // death: ms a confirmed track survives unseen
+    tentativeMaxAge: 500,      // death: ms an unconfirmed track survives unseen
+    velocitySmoothing: 0.5,    // EMA weight of the newest velocity sample
+    maxPredictMs: 1000         // cap on how far ahead a lost track is extrapolated
+};
+
+const GATED = 1e6;
+
+class PersonTracker {
+    /**
+     * @param {object} options - Overrides for TRACKER_DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...TRACKER_DEFAULTS, ...options };
+        this.tracks = new Map(); // personId -> track
+        this.nextId = 1;
+    }
+
+    /**
+     * Match one frame of detections to tracks
+     * @param {Array} detections - face-api results (detection.box) or objects with a box
+     * @param {number} t - Frame time in ms
+     * @returns {object} { ids, born, died } — ids[i] is the confirmed person ID for
+     *   detections[i], or null while its track is still tentative
+     */
+    update(detections, t) {
+        const opts = this.options;
+        const boxes = detections.map(boxOf);
+        const trackList = [...this.tracks.values()];
+        const ids = new Array(detections.length).fill(null);
+        const born = [];
+        const died = [];
+
+        // Cost matrix: tracks × detections, gated pairs priced out
+        const cost = trackList.map(track => {
+            const predicted = this._predict(track, t);
+            return boxes.map(box => this._matchCost(predicted, box));
+        });
+
+        const assignment = solveAssignment(cost);
+        const matchedDetections = new Set();
+
+        assignment.forEach((d, ti) => {
+            if (d < 0 || cost[ti][d] >= GATED) return;
+            const track = trackList[ti];
+            this._updateTrack(track, detections[d], boxes[d], t);
+            matchedDetections.add(d);
+
+            if (!track.confirmed && track.hits >= opts.minHits) {
+                track.confirmed = true;
+                born.push(track.id);
+            }
+            if (track.confirmed) ids[d] = track.id;
+        });
+
+        // Birth: unmatched detections start new tracks
+        boxes.forEach((box, d) => {
+            if (matchedDetections.has(d)) return;
+            const track = {
+                id: `${opts.idPrefix}${this.nextId++}`,
+                lastBox: box,
+                lastDetection: detections[d],
+                firstSeen: t,
+                lastSeen: t,
+                hits: 1,
+                velocity: { x: 0, y: 0 },
+                confirmed: opts.minHits <= 1
+            };
+            this.tracks.set(track.id, track);
+            if (track.confirmed) {
+                born.push(track.id);
+                ids[d] = track.id;
+            }
+        });
+
+        // Death: tracks unseen for too long
+        this.tracks.forEach((track, id) => {
+            const maxAge = track.confirmed ? opts.maxAge : opts.tentativeMaxAge;
+            if (t - track.lastSeen > maxAge) {
+                this.tracks.delete(id);
+                if (track.confirmed) died.push(id);
+            }
+        });
+
+        return { ids, born, died };
+    }
+
+    /**
+     * Iterate confirmed tracks (Map-style callback: track, personId)
+     */
+    forEach(callback) {
+        this.tracks.forEach((track, id) => {
+            if (track.confirmed) callback(track, id);
+        });
+    }
+
+    get size() {
+        let n = 0;
+        this.tracks.forEach(track => { if (track.confirmed) n++; });
+        return n;
+    }
+
+    has(personId) {
+        const track = this.tracks.get(personId);
+        return !!track && track.confirmed;
+    }
+
+    get(personId) {
+        const track = this.tracks.get(personId);
+        return track && track.confirmed ? track : undefined;
+    }
+
+    /**
+     * Give a track a different person ID (re-identification). A stale track
+     * that still holds the target ID is dropped in favour of the live one.
+     */
+    reassign(fromId, toId) {
+        const track = this.tracks.get(fromId);
+        if (!track || fromId === toId) return;
+
+        const previous = this.tracks.get(toId);
+        if (previous) track.firstSeen = Math.min(track.firstSeen, previous.firstSeen);
+        this.tracks.delete(fromId);
+        this.tracks.delete(toId);
+        track.id = toId;
+        this.tracks.set(toId, track);
+    }
+
+    delete(personId) {
+        return this.tracks.delete(personId);
+    }
+
+    clear() {
+        this.tracks.clear();
+        this.nextId = 1;
+    }
+
+    // ── Private Methods ──
+
+    _predict(track, t) {
+        const dt = Math.min(Math.max(0, t - track.lastSeen), this.options.maxPredictMs);
+        return {
+            x: track.lastBox.x + track.velocity.x * dt,
+            y: track.lastBox.y + track.velocity.y * dt,
+            width: track.lastBox.width,
+            height: track.lastBox.height
+        };
+    }
+
+    _matchCost(predicted, box) {
+        const opts = this.options;
+        const size = Math.sqrt(Math.max(1e-9, predicted.width * predicted.height));
+        const boxSize = Math.sqrt(Math.max(1e-9, box.width * box.height));
+        if (Math.max(size, boxSize) / Math.min(size, boxSize) > opts.maxSizeRatio) return GATED;
+
+        const dx = (box.x + box.width / 2) - (predicted.x + predicted.width / 2);
+        const dy = (box.y + box.height / 2) - (predicted.y + predicted.height / 2);
+        const distance = Math.sqrt(dx * dx + dy * dy) / size;
+        if (distance > opts.gateDistance) return GATED;
+
+        return opts.iouWeight * (1 - iou(predicted, box)) + opts.centroidWeight * (distance / opts.gateDistance);
+    }
+
+    _updateTrack(track, detection, box, t) {
+        const dt = t - track.lastSeen;
+        if (dt > 0) {
+            const a = this.options.velocitySmoothing;
+            const vx = ((box.x + box.width / 2) - (track.lastBox.x + track.lastBox.width / 2)) / dt;
+            const vy = ((box.y + box.height / 2) - (track.lastBox.y + track.lastBox.height / 2)) / dt;
+            track.velocity = track.hits > 1
+                ? { x: a * vx + (1 - a) * track.velocity.x, y: a * vy + (1 - a) * track.velocity.y }
+                : { x: vx, y: vy };
+        }
+        track.lastBox = box;
+        track.lastDetection = detection;
+        track.lastSeen = t;
+        track.hits++;
+    }
+}
+
+// ── Geometry & Assignment ──
+
+function boxOf(det) {
+    const box = det.detection ? det.detection.box : (det.box || det);
+    return {
+        x: box.x || box._x || 0,
+        y: box.y || box._y || 0,
+        width: box.width || box._width || 0,
+        height: box.height || box._height || 0
+    };
+}
+
+function iou(a, b) {
+    const ix = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+    const iy = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+    const inter = ix * iy;
+    const union = a.width * a.height + b.width * b.height - inter;
+    return union > 0 ? inter / union : 0;
+}
+
+/**
+ * Minimum-cost assignment (Hungarian / Kuhn-Munkres, O(n^3))
+ * @param {number[][]} cost - rows × cols
+ * @returns {number[]} Column assigned to each row, or -1
+ */
+function solveAssignment(cost) {
+    const rows = cost.length;
+    const cols = rows > 0 ? cost[0].length : 0;
+    if (rows === 0 || cols === 0) return new Array(rows).fill(-1);
+
+    // The solver needs rows <= cols; transpose otherwise
+    const transposed = rows > cols;
+    const a = transposed ? cost[0].map((_, j) => cost.map(row => row[j])) : cost;
+    const n = a.length;
+    const m = a[0].length;
+
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(m + 1).fill(0);
+    const p = new Array(m + 1).fill(0);
+    const way = new Array(m + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Array(m + 1).fill(Infinity);
+        const used = new Array(m + 1).fill(false);
+        do {
+            used[j0] = true;
+            const i0 = p[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= m; j++) {
+                if (used[j]) continue;
+                const cur = a[i0 - 1][j - 1] - u[i0] - v[j];
+                if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+                if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+            }
+            for (let j = 0; j <= m; j++) {
+                if (used[j]) { u[p[j]] += delta; v[j] -= delta; } else { minv[j] -= delta; }
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0);
+    }
+
+    const result = new Array(rows).fill(-1);
+    for (let j = 1; j <= m; j++) {
+        if (p[j] === 0) continue;
+        if (transposed) result[j - 1] = p[j] - 1;
+        else result[p[j] - 1] = j - 1;
+    }
+    return result;
+}
+
+export { PersonTracker, TRACKER_DEFAULTS, solveAssignment, iou };
@@ -0,0 +1,88 @@
+/* ============================================
+   RE-ID GALLERY - Face-descriptor re-identification
+   Remembers recent people by their face-api
+   recognition descriptor (128-d) so someone who
+   leaves and comes back gets their old person ID
+   and keeps one continuous engine history.
+   ============================================ */
+
+const GALLERY_DEFAULTS = {
+    threshold: 0.5,         // max euclidean distance for a match (face-api uses 0.6 as "same person")
+    maxAge: 5 * 60 * 1000,  // ms a departed person stays matchable
+    maxSamples: 20          // descriptors averaged per person
+};
+
+class ReIdGallery {
+    constructor(options = {}) {
+        this.options = { ...GALLERY_DEFAULTS, ...options };
+        this.entries = new Map(); // personId -> { mean, count, lastSeen }
+    }
+
+    /**
+     * Add a descriptor observation for a person
+     * @param {string} personId
+     * @param {number[]|Float32Array} descriptor
+     * @param {number} t - Frame time in ms
+     */
+    add(personId, descriptor, t) {
+        if (!descriptor || descriptor.length === 0) return;
+
+        let entry = this.entries.get(personId);
+        if (!entry) {
+            entry = { mean: Array.from(descriptor), count: 1, lastSeen: t };
+            this.entries.set(personId, entry);
+            return;
+        }
+
+        // Running mean, capped so the descriptor can follow lighting / pose drift
+        entry.count = Math.min(entry.count + 1, this.options.maxSamples);
+        for (let i = 0; i < entry.mean.length; i++) {
+            entry.mean[i] += (descriptor[i] - entry.mean[i]) / entry.count;
+        }
+        entry.lastSeen = t;
+    }
+
+    /**
+     * Find the closest remembered person
+     * @param {number[]|Float32Array} descriptor
+     * @param {number} t - Frame time in ms
+     * @param {Set|Array} exclude - Person IDs that cannot match (e.g. currently visible)
+     * @returns {object|null} { personId, distance }
+     */
+    match(descriptor, t, exclude = []) {
+        if (!descriptor || descriptor.length === 0) return null;
+        this._prune(t);
+
+        const excluded = exclude instanceof Set ? exclude : new Set(exclude);
+        let best = null;
+        this.entries.forEach((entry, personId) => {
+            if (excluded.has(personId)) return;
+            const distance = euclidean(entry.mean, descriptor);
+            if (distance <= this.options.threshold && (!best || distance < best.distance)) {
+                best = { personId, distance };
+            }
+        });
+        return best;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    _prune(t) {
+        this.entries.forEach((entry, personId) => {
+            if (t - entry.lastSeen > this.options.maxAge) this.entries.delete(personId);
+        });
+    }
+}
+
+function euclidean(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
+    }
+    return Math.sqrt(sum);
+}
+
+export { ReIdGallery, GALLERY_DEFAULTS };
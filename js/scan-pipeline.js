@@ -0,0 +1,596 @@
+/* ============================================
+   SCAN PIPELINE - Per-frame engine orchestration
+   Person tracking, engine updates, per-person
+   vibration metrics and the final report, without
+   any DOM.
+   In deception mode the interview subject is the
+   largest face, or the face the interviewer locked;
+   a locked subject is followed by track ID and
+   never swapped for another face. Question marks
+   split the interview for per-question scores.
+   Shared by the live app and session replay so
+   both produce the same report for the same frames.
+   ============================================ */
+
+import { ThreatEngine } from './threat-engine.js';
+import { NeuroAnalyzer } from './neuro-analyzer.js';
+import { DeceptionEngine } from './deception-engine.js';
+import { PersonTracker } from './person-tracker.js';
+import { ReIdGallery } from './reid-gallery.js';
+import { toDetection } from './session-recorder.js';
+import { profileStamp } from './scoring-profiles.js';
+import { assessFaceQuality, createQualityStats, recordQuality, summarizeQuality } from './frame-quality.js';
+import { ShapeAligner, shapeDisplacement } from './landmark-alignment.js';
+import { VibrationSpectrum } from './vibration-spectrum.js';
+
+const SUBJECT_ID = 'SUBJECT';
+const JITTER_MAX_GAP_MS = 500; // older previous frames say nothing about landmark jitter
+const SUBJECT_LOST_MIN_MS = 500; // shorter gaps are detector dropouts, not the subject leaving
+
+const round2 = v => Math.round(v * 100) / 100;
+
+// Live or scan spectrum (VibrationSpectrum.live/overall) as vibration metrics
+function spectralMetrics(summary) {
+    if (!summary) return { frequency: 0, energy: 0, bands: null, entropy: null, spectrum: null };
+    return {
+        frequency: summary.dominantFrequency,
+        energy: summary.power,
+        bands: summary.bands,
+        entropy: summary.entropy,
+        spectrum: summary.spectrum
+    };
+}
+
+// Spectral fields stay null until the first full FFT segment (~2 s of a face)
+const NO_VIBRATION = { vibration: 0, ...spectralMetrics(null), regions: null };
+
+// Band holding most of a spectrum's power
+const mainBand = bands => (bands ? bands.reduce((a, b) => (b.percent > a.percent ? b : a)).name : null);
+
+/**
+ * @param {Array} regions - [{ name, indices }] facial regions (NeuroAnalyzer.facialRegions)
+ */
+function createVibrationState(regions) {
+    return {
+        aligner: new ShapeAligner(),
+        lastShape: null,
+        spectrum: new VibrationSpectrum({ groups: regions }),
+        samples: 0,
+        vibrationSum: 0,
+        peakVibration: 0,
+        regionSums: regions.map(() => ({ sum: 0, peak: 0 })),
+        last: { ...NO_VIBRATION }
+    };
+}
+
+const lostPeriod = (start, end) => ({ startSeconds: Math.round(start / 100) / 10, endSeconds: Math.round(end / 100) / 10 });
+
+export class ScanPipeline {
+    /**
+     * @param {object} engines - Optional engine instances (threatEngine, deceptionEngine, neuroAnalyzer)
+     * @param {object} options - { tracker: PersonTracker options, reid: ReIdGallery options,
+     *   quality: frame-quality.js QUALITY_DEFAULTS overrides }
+     */
+    constructor(engines = {}, options = {}) {
+        this.threatEngine = engines.threatEngine || new ThreatEngine();
+        this.deceptionEngine = engines.deceptionEngine || new DeceptionEngine();
+        this.neuroAnalyzer = engines.neuroAnalyzer || new NeuroAnalyzer();
+        this.facialRegions = this.neuroAnalyzer.facialRegions();
+
+        this.mode = 'detection';
+        this.personTracker = new PersonTracker({ maxAge: 3000, ...options.tracker });
+        this.gallery = new ReIdGallery(options.reid);
+        this.reidEnabled = false;
+        this.presence = new Map(); // personId -> { firstSeen, lastSeen, presentMs, reentries, lastBox }
+        this.qualityOptions = options.quality || {};
+        this.quality = new Map();  // personId -> { stats, previous, previousTime }
+        this.scanQuality = createQualityStats();
+        this.framesProcessed = 0;
+        this.lastFrameTime = 0;
+
+        // Deception subject: lock, last tracked frame (for taps) and visibility
+        this.subjectLock = null;   // { personId, t }
+        this.lastTracked = { detections: [], ids: [] };
+        this.subjectVisibility = { visibleFrames: 0, lostSince: null, lostPeriods: [] };
+
+        // Vibration metrics state per person (landmarks aligned to that face's reference shape)
+        this.vibration = new Map(); // personId -> see createVibrationState
+    }
+
+    /**
+     * Score with a resolved scoring profile (see scoring-profiles.js)
+     */
+    setProfile(profile) {
+        this.threatEngine.setProfile(profile);
+        this.deceptionEngine.setProfile(profile);
+    }
+
+    /**
+     * Reset all state for a new scan
+     * @param {string} mode - 'detection' or 'deception'
+     * @param {object} scanOptions - { reid: re-identify returning faces by descriptor (detection mode) }
+     */
+    start(mode, scanOptions = {}) {
+        this.mode = mode;
+        this.reidEnabled = !!scanOptions.reid;
+        this.threatEngine.setMode(mode);
+        this.threatEngine.clearAll();
+        this.deceptionEngine.clearAll();
+        this.personTracker.clear();
+        this.gallery.clear();
+        this.presence.clear();
+        this.quality.clear();
+        this.scanQuality = createQualityStats();
+        this.framesProcessed = 0;
+        this.lastFrameTime = 0;
+        this.subjectLock = null;
+        this.lastTracked = { detections: [], ids: [] };
+        this.subjectVisibility = { visibleFrames: 0, lostSince: null, lostPeriods: [] };
+        this.vibration.clear();
+    }
+
+    /**
+     * Choose the deception baseline (DeceptionEngine.setBaseline spec, see baseline.js);
+     * window start/end are ms since scan start, like frame times
+     * @returns {object} { t } — the frame the choice applies after (record it for
+     *   replay); t is null before the first frame
+     */
+    setBaseline(spec) {
+        this.deceptionEngine.setBaseline(SUBJECT_ID, spec);
+        return { t: this.framesProcessed > 0 ? this.lastFrameTime : null };
+    }
+
+    /**
+     * Lock the interview subject to the face under a point of the last frame
+     * (deception mode), or release the lock. Descriptors of the locked face,
+     * where frames carry them, pick the subject up again after a long absence.
+     * @param {object|null} point - { x, y } in video pixels; null unlocks
+     * @returns {object|null} { personId, t } — t is the frame the lock applies after
+     *   (record it for replay); null when no face is under the point
+     */
+    lockSubject(point) {
+        const t = this.lastFrameTime;
+        if (!point) {
+            this.subjectLock = null;
+            return { personId: null, t };
+        }
+
+        // Innermost box under the point, so a small face in front of a large one can be picked
+        const { detections, ids } = this.lastTracked;
+        let index = -1;
+        let minArea = Infinity;
+        detections.forEach((det, i) => {
+            const box = det.detection.box;
+            const inside = point.x >= box.x && point.x <= box.x + box.width &&
+                point.y >= box.y && point.y <= box.y + box.height;
+            if (inside && ids[i] && box.width * box.height < minArea) {
+                minArea = box.width * box.height;
+                index = i;
+            }
+        });
+        if (index < 0) return null;
+
+        this.subjectLock = { personId: ids[index], t };
+        this.gallery.clear();
+        this.gallery.add(ids[index], detections[index].descriptor, t);
+        return { personId: ids[index], t };
+    }
+
+    /**
+     * Mark an interview question after the last frame (deception mode)
+     * @param {string|null} label - Question text: a new question is asked;
+     *   null: the open question has been answered
+     * @param {string|null} type - Protocol tag of the question (interview-protocol.js)
+     * @returns {object|null} { index, t } — t is the frame the mark applies after
+     *   (record it for replay); null when there was no open question to answer
+     */
+    markQuestion(label, type = null) {
+        const t = this.lastFrameTime;
+        const index = this.deceptionEngine.markQuestion(SUBJECT_ID, label, t, type);
+        return index < 0 ? null : { index, t };
+    }
+
+    /**
+     * Process one frame of face records
+     * @param {Array} faces - Face records (see serializeDetection)
+     * @param {number} t - ms since scan start
+     * @returns {object} { detections, personIds, quality, subject, metrics, subjectLock } —
+     *   quality[i] is { score, usable, reasons } for scored faces, null for faces not analyzed;
+     *   metrics is the subject's vibration (deception) or the most energetic person's
+     *   (detection), null without faces;
+     *   subjectLock is { personId, lost } while the deception subject is locked, else null
+     */
+    processFrame(faces, t) {
+        const detections = faces.map(toDetection);
+        this.framesProcessed++;
+        this.lastFrameTime = t;
+
+        if (this.mode === 'detection') {
+            return this._processDetectionFrame(detections, t);
+        }
+        return this._processDeceptionFrame(detections, t);
+    }
+
+    /**
+     * Live scores for the UI after a frame (plain data, safe to post from a worker)
+     * @param {object|null} vsaQuick - VoiceStressEngine._quickAssess() result (deception mode)
+     * @returns {object} detection: { persons: [{ personId, level, score, vibration }] } with each
+     *   person's latest { vibration, frequency, energy }; deception: { assess }
+     */
+    liveView(vsaQuick = null) {
+        if (this.mode === 'detection') {
+            const persons = [];
+            this.personTracker.forEach((track, personId) => {
+                const { level, score } = this.threatEngine._quickAssess(personId);
+                const state = this.vibration.get(personId);
+                persons.push({ personId, level, score, vibration: state ? { ...state.last } : { ...NO_VIBRATION } });
+            });
+            return { persons };
+        }
+        return { assess: this.deceptionEngine._quickDeceptionAssess(SUBJECT_ID, vsaQuick) };
+    }
+
+    /**
+     * Build the final report from everything processed so far
+     * @param {object|null} voiceReport - VoiceStressEngine.fullAnalysis() result (deception mode)
+     * @returns {object} Plain, JSON-serializable report
+     */
+    complete(voiceReport = null) {
+        if (this.mode === 'detection') {
+            return this._completeDetection();
+        }
+        return this._completeDeception(voiceReport);
+    }
+
+    // ── Private Methods ──
+
+    _processDetectionFrame(detections, t) {
+        const { personIds, quality } = this._trackPersons(detections, t);
+        this._loseVibrationFaces(personIds);
+
+        // The live tiles follow whoever vibrates most this frame
+        let metrics = null;
+        detections.forEach((det, i) => {
+            if (!personIds[i]) return;
+            const m = this._computeVibrationMetrics(personIds[i], det.landmarks, t);
+            if (!metrics || m.energy > metrics.energy) metrics = m;
+        });
+        return { detections, personIds, quality, subject: null, metrics, subjectLock: null };
+    }
+
+    _processDeceptionFrame(detections, t) {
+        // Tracked so a lock can follow one face; the IDs stay internal
+        const { ids, born } = this.personTracker.update(detections, t);
+        if (this.subjectLock && !ids.includes(this.subjectLock.personId)) this._reacquireSubject(detections, ids, born);
+        this.lastTracked = { detections, ids };
+
+        const subject = this._selectInterviewSubject(detections, ids);
+        this._updateSubjectVisibility(subject !== null, t);
+        const subjectLock = this.subjectLock ? { personId: this.subjectLock.personId, lost: subject === null } : null;
+
+        if (!subject) {
+            this._loseVibrationFaces([]);
+            return { detections, personIds: detections.map(() => null), quality: detections.map(() => null), subject: null, metrics: null, subjectLock };
+        }
+
+        const personIds = detections.map(det => (det === subject ? SUBJECT_ID : null));
+
+        const q = this._gateQuality(SUBJECT_ID, subject, t);
+        const quality = detections.map(det => (det === subject ? q : null));
+        if (q.usable) {
+            this.threatEngine.processFrame(SUBJECT_ID, subject, t);
+            this.deceptionEngine.processFrame(SUBJECT_ID, subject, t);
+        }
+
+        const metrics = this._computeVibrationMetrics(SUBJECT_ID, subject.landmarks, t);
+        return { detections, personIds, quality, subject, metrics, subjectLock };
+    }
+
+    _trackPersons(detections, t) {
+        const { ids, born } = this.personTracker.update(detections, t);
+        const reentered = this.reidEnabled ? this._reidentify(detections, ids, born, t) : new Set();
+        const quality = new Array(detections.length).fill(null);
+
+        detections.forEach((det, i) => {
+            if (!ids[i]) return;
+            this._updatePresence(ids[i], det, t, reentered.has(ids[i]));
+
+            // Low-quality frames still keep the track alive but stay out of the statistics
+            quality[i] = this._gateQuality(ids[i], det, t);
+            if (!quality[i].usable) return;
+            this.threatEngine.processFrame(ids[i], det, t);
+            if (this.reidEnabled) this.gallery.add(ids[i], det.descriptor, t);
+        });
+        return { personIds: ids, quality };
+    }
+
+    /**
+     * Score a face's quality, tally it, and tag the detection with the score
+     * so engine confidence can reflect it
+     */
+    _gateQuality(personId, det, t) {
+        let entry = this.quality.get(personId);
+        if (!entry) {
+            entry = { stats: createQualityStats(), previous: null, previousTime: 0 };
+            this.quality.set(personId, entry);
+        }
+
+        const previous = entry.previous && t - entry.previousTime <= JITTER_MAX_GAP_MS ? entry.previous : null;
+        const q = assessFaceQuality(det, previous, this.qualityOptions);
+        entry.previous = det;
+        entry.previousTime = t;
+
+        recordQuality(entry.stats, q);
+        recordQuality(this.scanQuality, q);
+        det.quality = q.score;
+        return q;
+    }
+
+    _qualitySummary(personId) {
+        const entry = this.quality.get(personId);
+        return summarizeQuality(entry ? entry.stats : createQualityStats());
+    }
+
+    /**
+     * Give newly born tracks the ID of a remembered face, so a person who
+     * left and came back continues their earlier history.
+     * @returns {Set} Person IDs that re-entered this frame
+     */
+    _reidentify(detections, ids, born, t) {
+        const reentered = new Set();
+        const bornIds = new Set(born);
+
+        detections.forEach((det, i) => {
+            const id = ids[i];
+            if (!id || !bornIds.has(id) || !det.descriptor) return;
+
+            // Faces visible in this same frame are different people
+            const visible = ids.filter((other, j) => other && j !== i);
+            const match = this.gallery.match(det.descriptor, t, visible);
+            if (!match) return;
+
+            this.personTracker.reassign(id, match.personId);
+            ids[i] = match.personId;
+            reentered.add(match.personId);
+        });
+        return reentered;
+    }
+
+    _updatePresence(personId, det, t, reentered) {
+        const box = det.detection.box;
+        const entry = this.presence.get(personId);
+        if (!entry) {
+            this.presence.set(personId, { firstSeen: t, lastSeen: t, presentMs: 0, reentries: 0, lastBox: box });
+            return;
+        }
+
+        // Time while the track was alive counts as present; the gap before a re-entry does not
+        if (reentered) entry.reentries++;
+        else entry.presentMs += t - entry.lastSeen;
+        entry.lastSeen = t;
+        entry.lastBox = box;
+    }
+
+    /**
+     * The locked face (null while it is out of view), else the largest face
+     */
+    _selectInterviewSubject(detections, ids) {
+        if (this.subjectLock) {
+            const i = ids.indexOf(this.subjectLock.personId);
+            if (i < 0) return null;
+            if (detections[i].descriptor) this.gallery.add(this.subjectLock.personId, detections[i].descriptor, this.lastFrameTime);
+            return detections[i];
+        }
+        if (detections.length === 0) return null;
+
+        let largest = detections[0];
+        let maxArea = 0;
+        detections.forEach(det => {
+            const area = det.detection.box.width * det.detection.box.height;
+            if (area > maxArea) { maxArea = area; largest = det; }
+        });
+        return largest;
+    }
+
+    /**
+     * A locked subject out of view longer than the tracker's maxAge comes back
+     * as a new track: give it the locked ID, but only on a descriptor match.
+     * Only faces born this frame qualify, so someone who stayed in view is never
+     * taken for the subject. Without descriptors the subject stays lost until
+     * the interviewer locks them again.
+     */
+    _reacquireSubject(detections, ids, born) {
+        const { personId } = this.subjectLock;
+        const bornIds = new Set(born);
+
+        let best = -1;
+        let bestDistance = Infinity;
+        detections.forEach((det, i) => {
+            if (!ids[i] || !bornIds.has(ids[i]) || !det.descriptor) return;
+            const match = this.gallery.match(det.descriptor, this.lastFrameTime);
+            if (match && match.personId === personId && match.distance < bestDistance) {
+                bestDistance = match.distance;
+                best = i;
+            }
+        });
+        if (best < 0) return;
+
+        this.personTracker.reassign(ids[best], personId);
+        ids[best] = personId;
+    }
+
+    _updateSubjectVisibility(visible, t) {
+        const vis = this.subjectVisibility;
+        if (!visible) {
+            if (vis.lostSince === null) vis.lostSince = t;
+            return;
+        }
+        vis.visibleFrames++;
+        if (vis.lostSince !== null && t - vis.lostSince >= SUBJECT_LOST_MIN_MS) {
+            vis.lostPeriods.push(lostPeriod(vis.lostSince, t));
+        }
+        vis.lostSince = null;
+    }
+
+    // Faces not seen this frame start a fresh motion sequence when they return
+    _loseVibrationFaces(visibleIds) {
+        this.vibration.forEach((state, personId) => {
+            if (visibleIds.includes(personId)) return;
+            state.aligner.reset();
+            state.lastShape = null;
+            state.spectrum.restart();
+        });
+    }
+
+    /**
+     * Vibration = mean landmark motion between consecutive frames after
+     * Procrustes alignment, in face-size % (head turns, camera shake and
+     * distance do not count). Frequency is the dominant frequency and
+     * energy the total power of the live motion spectrum (see
+     * vibration-spectrum.js), with its band shares and entropy; regions
+     * repeats displacement, frequency and energy per facial region.
+     */
+    _computeVibrationMetrics(personId, landmarks, now) {
+        let state = this.vibration.get(personId);
+        if (!state) {
+            state = createVibrationState(this.facialRegions);
+            this.vibration.set(personId, state);
+        }
+
+        const shape = state.aligner.align(landmarks ? landmarks.positions : null);
+        if (shape) state.spectrum.push(now, shape.points);
+        if (!state.lastShape || !shape) {
+            state.lastShape = shape;
+            state.last = { ...NO_VIBRATION };
+            return state.last;
+        }
+
+        const vibration = shapeDisplacement(shape.points, state.lastShape.points);
+        state.samples++;
+        state.vibrationSum += vibration;
+        state.peakVibration = Math.max(state.peakVibration, vibration);
+
+        const regions = this.facialRegions.map((region, i) => {
+            const v = shapeDisplacement(shape.points, state.lastShape.points, region.indices);
+            state.regionSums[i].sum += v;
+            state.regionSums[i].peak = Math.max(state.regionSums[i].peak, v);
+            const { frequency, energy } = spectralMetrics(state.spectrum.live(region.name));
+            return { region: region.name, vibration: v, frequency, energy };
+        });
+
+        state.lastShape = shape;
+        state.last = { vibration, ...spectralMetrics(state.spectrum.live()), regions };
+        return state.last;
+    }
+
+    /**
+     * Whole-scan vibration of one person for the report
+     */
+    _vibrationSummary(personId) {
+        const state = this.vibration.get(personId);
+        const samples = state ? state.samples : 0;
+        const { spectrum, ...spectral } = spectralMetrics(state ? state.spectrum.overall() : null);
+        const regions = samples > 0
+            ? this.facialRegions.map((region, i) => {
+                const summary = spectralMetrics(state.spectrum.overall(region.name));
+                return {
+                    region: region.name,
+                    vibration: round2(state.regionSums[i].sum / samples),
+                    peakVibration: round2(state.regionSums[i].peak),
+                    frequency: summary.frequency,
+                    energy: summary.energy,
+                    band: mainBand(summary.bands),
+                    entropy: summary.entropy
+                };
+            })
+            : [];
+        return {
+            vibration: samples > 0 ? round2(state.vibrationSum / samples) : 0,
+            ...spectral,
+            peakVibration: samples > 0 ? round2(state.peakVibration) : 0,
+            samples,
+            regions
+        };
+    }
+
+    /**
+     * Periods the interview subject was out of view (an open period ends at the last frame)
+     */
+    _visibilitySummary() {
+        const vis = this.subjectVisibility;
+        const lostPeriods = [...vis.lostPeriods];
+        if (vis.lostSince !== null && this.lastFrameTime - vis.lostSince >= SUBJECT_LOST_MIN_MS) {
+            lostPeriods.push(lostPeriod(vis.lostSince, this.lastFrameTime));
+        }
+        return {
+            locked: this.subjectLock !== null,
+            lockedAt: this.subjectLock ? Math.round(this.subjectLock.t / 100) / 10 : null,
+            visiblePercent: this.framesProcessed > 0 ? Math.round(vis.visibleFrames / this.framesProcessed * 100) : 0,
+            lostPeriods
+        };
+    }
+
+    _completeDetection() {
+        // Everyone seen during the scan, including people who have since left
+        const threatResults = [];
+        this.presence.forEach((entry, personId) => {
+            const analysis = this.threatEngine.fullAnalysis(personId);
+            if (analysis.framesAnalyzed >= 3) {
+                analysis.box = entry.lastBox;
+                analysis.dataQuality = this._qualitySummary(personId);
+                analysis.vibration = this._vibrationSummary(personId);
+                analysis.presence = {
+                    timePresent: Math.round(entry.presentMs / 100) / 10,
+                    reentries: entry.reentries,
+                    firstSeen: Math.round(entry.firstSeen / 100) / 10,
+                    lastSeen: Math.round(entry.lastSeen / 100) / 10
+                };
+                threatResults.push(analysis);
+            }
+        });
+        threatResults.sort((a, b) => b.threatScore - a.threatScore);
+
+        const neuroResults = [];
+        threatResults.forEach(r => {
+            const history = this.threatEngine.frameHistory.get(r.personId);
+            if (history && history.length >= 10) {
+                const nr = this.neuroAnalyzer.analyze(history);
+                nr.personId = r.personId;
+                neuroResults.push(nr);
+            }
+        });
+
+        return {
+            mode: 'detection',
+            framesProcessed: this.framesProcessed,
+            scoringProfile: profileStamp(this.threatEngine.profile),
+            dataQuality: summarizeQuality(this.scanQuality),
+            threatResults,
+            neuroResults
+        };
+    }
+
+    _completeDeception(voiceReport) {
+        const deceptionResult = this.deceptionEngine.fullAnalysis(SUBJECT_ID, voiceReport);
+        const threatResult = this.threatEngine.fullAnalysis(SUBJECT_ID);
+
+        let neuroResult = null;
+        const history = this.threatEngine.frameHistory.get(SUBJECT_ID);
+        if (history && history.length >= 10) {
+            neuroResult = this.neuroAnalyzer.analyze(history);
+        }
+
+        return {
+            mode: 'deception',
+            framesProcessed: this.framesProcessed,
+            scoringProfile: profileStamp(this.deceptionEngine.profile),
+            dataQuality: this._qualitySummary(SUBJECT_ID),
+            subjectVisibility: this._visibilitySummary(),
+            vibration: this._vibrationSummary(SUBJECT_ID),
+            deceptionResult,
+            threatResult,
+            neuroResult,
+            voiceResult: voiceReport
+        };
+    }
+}
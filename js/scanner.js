@@ -3,6 +3,8 @@
    and behavioral scanning with overlay rendering
    ============================================ */
 
+import { PersonTracker } from './person-tracker.js';
+
 class Scanner {
     constructor(videoElement, canvas, threatEngine) {
         this.video = videoElement;
@@ -14,8 +16,7 @@ class Scanner {
         this.scanStartTime = null;
         this.scanDuration = 3000; // ms
         this.detectionInterval = null;
-        this.personTracker = new Map(); // track persons across frames
-        this.nextPersonId = 1;
+        this.personTracker = new PersonTracker({ maxAge: 2000 }); // track persons across frames
         this.scanResults = [];
         this.showScores = true;
         this.showLandmarks = false;
@@ -58,7 +59,6 @@ class Scanner {
         this.scanStartTime = Date.now();
         this.threatEngine.clearAll();
         this.personTracker.clear();
-        this.nextPersonId = 1;
         this.scanResults = [];
 
         // Ensure detection is running
@@ -130,12 +130,13 @@ class Scanner {
             }
 
             // Track persons and process through threat engine
-            if (this.isScanning && detections.length > 0) {
-                this._trackPersons(detections);
-                this._updateScanProgress();
+            let personIds = [];
+            if (this.isScanning) {
+                personIds = this._trackPersons(detections);
+                if (detections.length > 0) this._updateScanProgress();
             }
 
-            this._drawDetections(detections, this.video);
+            this._drawDetections(detections, this.video, personIds);
 
         } catch (err) {
             // Silently handle detection errors during continuous loop
@@ -157,53 +158,16 @@ class Scanner {
     }
 
     _trackPersons(detections) {
-        // Simple tracking: match detections to known persons by proximity
-        const unmatched = [...detections];
-
-        this.personTracker.forEach((data, personId) => {
-            let bestMatch = null;
-            let bestDist = Infinity;
-
-            unmatched.forEach((det, idx) => {
-                const box = det.detection.box;
-                const cx = box.x + box.width / 2;
-                const cy = box.y + box.height / 2;
-                const pcx = data.lastBox.x + data.lastBox.width / 2;
-                const pcy = data.lastBox.y + data.lastBox.height / 2;
-                const dist = Math.sqrt((cx - pcx) ** 2 + (cy - pcy) ** 2);
-
-                if (dist < bestDist && dist < 100) {
-                    bestDist = dist;
-                    bestMatch = idx;
-                }
-            });
-
-            if (bestMatch !== null) {
-                const det = unmatched.splice(bestMatch, 1)[0];
-                data.lastBox = det.detection.box;
-                data.lastSeen = Date.now();
-                this.threatEngine.processFrame(personId, det);
-            }
-        });
+        const now = Date.now();
+        const { ids, died } = this.personTracker.update(detections, now);
 
-        // Create new person entries for unmatched detections
-        unmatched.forEach(det => {
-            const personId = `P${this.nextPersonId++}`;
-            this.personTracker.set(personId, {
-                lastBox: det.detection.box,
-                lastSeen: Date.now()
-            });
-            this.threatEngine.processFrame(personId, det);
+        detections.forEach((det, i) => {
+            if (ids[i]) this.threatEngine.processFrame(ids[i], det, now);
         });
 
-        // Remove stale persons (not seen for 2 seconds)
-        const now = Date.now();
-        this.personTracker.forEach((data, personId) => {
-            if (now - data.lastSeen > 2000) {
-                this.personTracker.delete(personId);
-                this.threatEngine.clearPerson(personId);
-            }
-        });
+        // Stale persons (not seen for 2 seconds) are dropped by the tracker
+        died.forEach(personId => this.threatEngine.clearPerson(personId));
+        return ids;
     }
 
     _updateScanProgress() {
@@ -221,7 +185,7 @@ class Scanner {
         }
     }
 
-    _drawDetections(detections, source) {
+    _drawDetections(detections, source, personIds = []) {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
         const scaleX = this.canvas.width / (source.videoWidth || source.width);
@@ -236,21 +200,9 @@ class Scanner {
 
             // Determine color based on threat assessment
             let color = '#00e676'; // safe green
-            let personId = null;
+            const personId = personIds[idx] || null;
             let quickScore = 0;
 
-            // Find tracked person for this detection
-            this.personTracker.forEach((data, pid) => {
-                const pcx = data.lastBox.x * scaleX + (data.lastBox.width * scaleX) / 2;
-                const pcy = data.lastBox.y * scaleY + (data.lastBox.height * scaleY) / 2;
-                const dcx = x + w / 2;
-                const dcy = y + h / 2;
-                const dist = Math.sqrt((pcx - dcx) ** 2 + (pcy - dcy) ** 2);
-                if (dist < 50) {
-                    personId = pid;
-                }
-            });
-
             if (personId && this.isScanning) {
                 const assessment = this.threatEngine._quickAssess(personId);
                 quickScore = assessment.score;
@@ -340,4 +292,4 @@ class Scanner {
     }
 }
 
-window.Scanner = Scanner;
+export { Scanner };
@@ -0,0 +1,160 @@
+/* ============================================
+   SCORING PROFILES - Named, versioned weights
+   Composite weights and sub-score coefficients
+   for ThreatEngine and DeceptionEngine, kept as
+   plain JSON so deployments can switch, import
+   and share them. Reports record { name, version }
+   of the profile that produced them.
+   ============================================ */
+
+export const PROFILES_KEY = 'microsenses-profiles';
+
+export const STANDARD_PROFILE = {
+    name: 'standard',
+    version: '1.0.0',
+    description: 'Default weights',
+    threat: {
+        // Overall threat score (weighted composite of the sub-scores)
+        composite: { aggression: 0.25, stress: 0.10, deception: 0.25, tension: 0.10, badIntent: 0.25, instability: 0.05 },
+        aggression: { angryAvg: 1.8, disgustedAvg: 0.6, angryPeak: 0.8, erratic: 15, tensionBuild: 12 },
+        // jitter: per face-size % of landmark jitter (10 and 15 per pixel, see PX_PER_FACE_PERCENT in threat-engine.js)
+        stress: { fearfulAvg: 1.2, surprisedAvg: 0.4, sadAvg: 0.5, jitter: 5.6, jitterCap: 30, instability: 0.3 },
+        deception: { rapidChanges: 3, gazeDrift: 100, suppression: 200, changeRate: 80 },
+        tension: { angryAvg: 0.8, disgustedAvg: 0.6, fearfulAvg: 0.5, notHappy: 0.1, jitter: 8.4 },
+        badIntent: { aggression: 0.4, deception: 0.3, escalation: 15, agitation: 10, suppression: 12 },
+        stability: { expression: 0.6, movement: 0.4 },
+        // Live score from the last 10 frames
+        quick: { angry: 180, disgusted: 60, fearful: 40 }
+    },
+    deception: {
+        quick: {
+            cognitiveLoad: { instability: 120, asymmetry: 0.8, gazeAversion: 80, microExpression: 20, blinkAnomaly: 15 },
+            probability: { instability: 80, gazeAversion: 60, asymmetry: 0.6, microExpression: 25, concealment: 15, blinkAnomaly: 10 },
+            concealment: { concealment: 40, asymmetry: 0.4, microExpression: 20, instability: 30 },
+            baselineDamping: 0.3
+        },
+        full: {
+            cognitiveLoad: { instability: 100, asymmetry: 0.6, gazeAversion: 60, blinkAnomaly: 0.3, deviation: 20 },
+            cognitiveLoadPeak: 1.4,
+            probability: { typeMax: 0.5, cognitiveLoad: 0.2, microRate: 8, asymmetry: 0.3, blinkAnomaly: 0.15, incongruence: 40 }
+        },
+        // Facial score keeps (1 - weight); voice stress also adds to cognitive load
+        voice: { weight: 0.20, cognitiveLoad: 0.15 }
+    }
+};
+
+export const BUILTIN_PROFILES = [
+    STANDARD_PROFILE,
+    {
+        name: 'voice-weighted',
+        version: '1.0.0',
+        description: 'Interviews with clean audio: voice stress carries more of the deception score',
+        deception: { voice: { weight: 0.35, cognitiveLoad: 0.25 } }
+    }
+].map(p => resolveProfile(p));
+
+/**
+ * Validate a profile and fill anything it leaves out from the standard profile,
+ * so partial profiles (only the weights that differ) are allowed.
+ * @param {object} profile - Parsed profile JSON
+ * @returns {object} Complete profile
+ * @throws {Error} When the name/version is missing or a weight is not a number
+ */
+export function resolveProfile(profile) {
+    if (!profile || typeof profile !== 'object') throw new Error('Profile must be a JSON object');
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') throw new Error('Profile needs a "name"');
+    if (profile.version === undefined || profile.version === '') throw new Error('Profile needs a "version"');
+
+    return {
+        name: profile.name.trim(),
+        version: String(profile.version),
+        description: profile.description || '',
+        threat: mergeWeights(STANDARD_PROFILE.threat, profile.threat, 'threat'),
+        deception: mergeWeights(STANDARD_PROFILE.deception, profile.deception, 'deception')
+    };
+}
+
+/**
+ * Parse and validate profile JSON text (e.g. an imported file)
+ */
+export function parseProfile(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Profile is not valid JSON');
+    }
+    return resolveProfile(json);
+}
+
+/**
+ * Pretty-printed JSON for export
+ */
+export function serializeProfile(profile) {
+    return JSON.stringify(profile, null, 2) + '\n';
+}
+
+/**
+ * The { name, version } stamp stored in reports
+ */
+export function profileStamp(profile) {
+    return { name: profile.name, version: profile.version };
+}
+
+/**
+ * Imported profiles saved on this device
+ * @param {Storage} storage - localStorage or a compatible object
+ * @returns {Array} Resolved profiles (invalid entries are skipped)
+ */
+export function loadCustomProfiles(storage = globalThis.localStorage) {
+    try {
+        const raw = storage && storage.getItem(PROFILES_KEY);
+        const list = raw ? JSON.parse(raw) : [];
+        return list.flatMap(p => {
+            try { return [resolveProfile(p)]; } catch (err) { return []; }
+        });
+    } catch (err) {
+        console.warn('Could not read scoring profiles:', err);
+        return [];
+    }
+}
+
+export function saveCustomProfiles(profiles, storage = globalThis.localStorage) {
+    try {
+        if (storage) storage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    } catch (err) {
+        console.warn('Could not save scoring profiles:', err);
+    }
+}
+
+/**
+ * Find a profile by name; imported profiles may override built-ins of the same name
+ */
+export function findProfile(name, customProfiles = []) {
+    return customProfiles.find(p => p.name === name) ||
+        BUILTIN_PROFILES.find(p => p.name === name) ||
+        BUILTIN_PROFILES[0];
+}
+
+function mergeWeights(base, override, path) {
+    if (override === undefined) return structuredClone(base);
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+        throw new Error(`Profile "${path}" must be an object`);
+    }
+
+    const out = {};
+    Object.keys(base).forEach(key => {
+        const value = override[key];
+        const keyPath = `${path}.${key}`;
+        if (typeof base[key] === 'object') {
+            out[key] = mergeWeights(base[key], value, keyPath);
+        } else if (value === undefined) {
+            out[key] = base[key];
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Profile weight "${keyPath}" must be a number`);
+        } else {
+            out[key] = value;
+        }
+    });
+    return out;
+}
@@ -0,0 +1,224 @@
+/* ============================================
+   SESSION RECORDER - Versioned scan recordings
+   Captures every face-api detection per frame
+   (box, 68 landmarks, expressions, optional
+   recognition descriptor, face-crop brightness/
+   sharpness, timestamp)
+   so a scan can be replayed and re-scored later.
+
+   File format (NDJSON, one record per line):
+   - { type: 'session', format, version, mode, ... }
+   - { type: 'frame', t, faces: [...] }   (t = ms since scan start)
+   - { type: 'end', duration, frameCount, voiceReport, baselineChanges, subjectLocks, questionMarks }
+     (baselineChanges: [{ t, spec }] deception baseline choices in order, t null =
+     before the first frame;
+     subjectLocks: [{ t, point }] subject locks in order, point null = unlock;
+     questionMarks: [{ t, label, type }] interview questions, label null = answered,
+     type the protocol tag or null)
+
+   Versions (bumped when new fields change what a replay scores):
+   1 - frames of box, landmarks and expressions; end: voiceReport and
+       baseline (the final deception baseline only)
+   2 - face descriptor and image, header reid, end subjectLocks,
+       questionMarks, and baselineChanges in place of baseline
+   Older files still replay; newer ones are refused.
+   ============================================ */
+
+export const SESSION_FORMAT = 'microsenses-session';
+export const SESSION_VERSION = 2;
+
+const EXPRESSION_KEYS = ['angry', 'disgusted', 'fearful', 'happy', 'neutral', 'sad', 'surprised'];
+
+/**
+ * Convert a face-api.js detection into a plain, JSON-safe face record
+ * @param {object} detection - face-api result with landmarks and expressions
+ * @returns {object} { box, score, landmarks: [[x, y], ...], expressions, descriptor? }
+ *   (the frame analyzer adds image: { brightness, sharpness } when it can sample pixels)
+ */
+export function serializeDetection(detection) {
+    const det = detection.detection || detection;
+    const box = det.box || det._box || {};
+    const positions = detection.landmarks
+        ? (detection.landmarks.positions || detection.landmarks._positions || [])
+        : [];
+    const expr = detection.expressions || {};
+
+    const expressions = {};
+    EXPRESSION_KEYS.forEach(k => { expressions[k] = expr[k] || 0; });
+
+    const face = {
+        box: {
+            x: box.x || box._x || 0,
+            y: box.y || box._y || 0,
+            width: box.width || box._width || 0,
+            height: box.height || box._height || 0
+        },
+        score: det.score !== undefined ? det.score : (det._score || 0),
+        landmarks: positions.map(p => [p.x ?? p._x, p.y ?? p._y]),
+        expressions
+    };
+
+    // Only present when the recognition net ran (re-identification enabled)
+    if (detection.descriptor) {
+        face.descriptor = Array.from(detection.descriptor, v => Math.round(v * 10000) / 10000);
+    }
+    return face;
+}
+
+/**
+ * Convert a face record back into the detection shape the engines consume
+ * (same accessors as a face-api.js result: detection.box, landmarks.positions)
+ */
+export function toDetection(face) {
+    const detection = {
+        detection: { box: { ...face.box }, score: face.score },
+        landmarks: face.landmarks && face.landmarks.length > 0
+            ? { positions: face.landmarks.map(([x, y]) => ({ x, y })) }
+            : null,
+        expressions: { ...face.expressions }
+    };
+    if (face.descriptor) detection.descriptor = face.descriptor;
+    if (face.image) detection.image = { ...face.image };
+    return detection;
+}
+
+export class SessionRecorder {
+    constructor() {
+        this.header = null;
+        this.frames = [];
+        this.end = null;
+        this.baselineChanges = [];
+        this.subjectLocks = [];
+        this.questionMarks = [];
+    }
+
+    /**
+     * Begin a new recording
+     * @param {object} meta - { mode, scanType, scanDuration, reid, device }
+     */
+    start(meta = {}) {
+        this.header = {
+            type: 'session',
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            mode: meta.mode || 'detection',
+            scanType: meta.scanType || 'Live',
+            scanDuration: meta.scanDuration || 0,
+            reid: !!meta.reid,
+            startedAt: new Date().toISOString(),
+            device: meta.device || {}
+        };
+        this.frames = [];
+        this.end = null;
+        this.baselineChanges = [];
+        this.subjectLocks = [];
+        this.questionMarks = [];
+    }
+
+    /**
+     * Record one processed frame (including frames with no faces)
+     * @param {number} t - High-resolution ms since scan start
+     * @param {Array} faces - Face records from serializeDetection()
+     */
+    recordFrame(t, faces) {
+        if (!this.header || this.end) return;
+        this.frames.push({ type: 'frame', t, faces });
+    }
+
+    /**
+     * Record a deception baseline choice (every change, so re-marked windows replay as live)
+     * @param {number|null} t - Frame time the choice applies after (ScanPipeline.setBaseline result)
+     * @param {object|null} spec - See DeceptionEngine.setBaseline
+     */
+    recordBaseline(t, spec) {
+        if (!this.header || this.end) return;
+        this.baselineChanges.push({ t, spec: spec ? { ...spec } : null });
+    }
+
+    /**
+     * Record a deception subject lock or unlock
+     * @param {number} t - Frame time the lock applies after (ScanPipeline.lockSubject result)
+     * @param {object|null} point - { x, y } the interviewer picked; null unlocks
+     */
+    recordSubjectLock(t, point) {
+        if (!this.header || this.end) return;
+        this.subjectLocks.push({ t, point: point ? { x: point.x, y: point.y } : null });
+    }
+
+    /**
+     * Record an interview question mark
+     * @param {number} t - Frame time the mark applies after (ScanPipeline.markQuestion result)
+     * @param {string|null} label - Question asked; null = the open question was answered
+     * @param {string|null} type - Protocol tag of the question asked
+     */
+    recordQuestionMark(t, label, type = null) {
+        if (!this.header || this.end) return;
+        this.questionMarks.push({ t, label, type });
+    }
+
+    /**
+     * Close the recording
+     * @param {object} summary - { duration, voiceReport }
+     */
+    finish(summary = {}) {
+        if (!this.header) return;
+        this.end = {
+            type: 'end',
+            duration: summary.duration || 0,
+            frameCount: this.frames.length,
+            voiceReport: summary.voiceReport || null,
+            ...this.events()
+        };
+    }
+
+    /**
+     * Interviewer actions so far (the end record's lists, also while recording)
+     * @returns {object} { baselineChanges, subjectLocks, questionMarks }
+     */
+    events() {
+        return { baselineChanges: this.baselineChanges, subjectLocks: this.subjectLocks, questionMarks: this.questionMarks };
+    }
+
+    isRecording() {
+        return this.header !== null && this.end === null;
+    }
+
+    toSession() {
+        return { header: this.header, frames: this.frames, end: this.end };
+    }
+
+    toNDJSON() {
+        const lines = [JSON.stringify(this.header)];
+        this.frames.forEach(f => lines.push(JSON.stringify(f)));
+        if (this.end) lines.push(JSON.stringify(this.end));
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Parse an NDJSON session file
+ * @param {string} text
+ * @returns {object} { header, frames, end }
+ */
+export function parseSession(text) {
+    const lines = text.split('\n').filter(l => l.trim() !== '');
+    if (lines.length === 0) throw new Error('Empty session file');
+
+    const header = JSON.parse(lines[0]);
+    if (header.type !== 'session' || header.format !== SESSION_FORMAT) {
+        throw new Error('Not a Microsenses session file');
+    }
+    if (header.version > SESSION_VERSION) {
+        throw new Error(`Unsupported session version ${header.version} (max ${SESSION_VERSION})`);
+    }
+
+    const frames = [];
+    let end = null;
+    for (let i = 1; i < lines.length; i++) {
+        const record = JSON.parse(lines[i]);
+        if (record.type === 'frame') frames.push(record);
+        else if (record.type === 'end') end = record;
+    }
+
+    return { header, frames, end };
+}
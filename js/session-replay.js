@@ -0,0 +1,62 @@
+/* ============================================
+   SESSION REPLAY - Re-score recorded sessions
+   Feeds a recorded session back through the same
+   ScanPipeline the live app uses. With unchanged
+   engines the report is byte-identical to the
+   live one; after engine changes it re-scores.
+   ============================================ */
+
+import { ScanPipeline } from './scan-pipeline.js';
+import { parseSession } from './session-recorder.js';
+
+/**
+ * Replay a recorded session
+ * @param {string|object} session - NDJSON text or a parsed { header, frames, end }
+ * @param {object} engines - Optional engine instances for the pipeline (e.g. tuned settings)
+ * @returns {object} Report, identical in shape to ScanPipeline.complete()
+ */
+export function replaySession(session, engines = {}) {
+    const parsed = typeof session === 'string' ? parseSession(session) : session;
+    const pipeline = new ScanPipeline(engines);
+
+    pipeline.start(parsed.header.mode, { reid: !!parsed.header.reid });
+    // Version 1 files kept only the final baseline, set before the frames
+    const end = parsed.end || {};
+    feedSession(pipeline, parsed.frames, {
+        baselineChanges: end.baselineChanges || (end.baseline ? [{ t: null, spec: end.baseline }] : []),
+        subjectLocks: end.subjectLocks || [],
+        questionMarks: end.questionMarks || []
+    });
+
+    // Voice is not re-derived from the recording; the live voice report is reused as-is
+    return pipeline.complete(end.voiceReport || null);
+}
+
+/**
+ * Feed recorded frames and interviewer actions into a started pipeline, in
+ * the order they happened live (also how a scan moves off a failed worker)
+ * @param {ScanPipeline} pipeline
+ * @param {Array} frames - [{ t, faces }]
+ * @param {object} events - SessionRecorder.events(): { baselineChanges, subjectLocks, questionMarks }
+ */
+export function feedSession(pipeline, frames, { baselineChanges = [], subjectLocks = [], questionMarks = [] }) {
+    // Baseline choices, subject locks and question marks are re-applied right after
+    // the frame they were made on; baselines chosen before any frame come first
+    let nextBaseline = 0;
+    let nextLock = 0;
+    let nextMark = 0;
+    while (nextBaseline < baselineChanges.length && baselineChanges[nextBaseline].t === null) {
+        pipeline.setBaseline(baselineChanges[nextBaseline++].spec);
+    }
+    frames.forEach(frame => {
+        pipeline.processFrame(frame.faces, frame.t);
+        while (nextBaseline < baselineChanges.length && baselineChanges[nextBaseline].t <= frame.t) {
+            pipeline.setBaseline(baselineChanges[nextBaseline++].spec);
+        }
+        while (nextLock < subjectLocks.length && subjectLocks[nextLock].t <= frame.t) pipeline.lockSubject(subjectLocks[nextLock++].point);
+        while (nextMark < questionMarks.length && questionMarks[nextMark].t <= frame.t) {
+            const mark = questionMarks[nextMark++];
+            pipeline.markQuestion(mark.label, mark.type || null);
+        }
+    });
+}
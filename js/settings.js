@@ -0,0 +1,91 @@
+/* ============================================
+   SETTINGS - User-tunable scoring parameters
+   Threat sensitivity, threat level thresholds,
+   alert trigger, detector confidence and live
+   indicator smoothing, kept in localStorage.
+   Auras, chips, alerts and reports all read
+   levels from these values.
+   ============================================ */
+
+import { SMOOTHING_DEFAULTS, SMOOTHING_METHODS } from './live-smoothing.js';
+
+export const SETTINGS_KEY = 'microsenses-settings';
+
+export const DEFAULT_SETTINGS = {
+    sensitivity: 7,                                       // ThreatEngine multiplier base (1-10)
+    thresholds: { caution: 35, elevated: 55, critical: 75 },
+    alertScore: 65,                                       // live score that raises a threat alert
+    scoreThreshold: 0.4,                                  // TinyFaceDetector minimum confidence
+    profile: 'standard',                                  // active scoring profile name
+    smoothing: { ...SMOOTHING_DEFAULTS }                  // live indicators (live-smoothing.js)
+};
+
+const clamp = (v, min, max, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+/**
+ * Fill gaps with defaults and clamp every field to a usable range
+ * @param {object} settings - Possibly partial or stale settings
+ * @returns {object} Complete settings object
+ */
+export function normalizeSettings(settings = {}) {
+    const d = DEFAULT_SETTINGS;
+    const t = settings.thresholds || {};
+
+    const caution = Math.round(clamp(t.caution, 1, 97, d.thresholds.caution));
+    const elevated = Math.round(clamp(t.elevated, caution + 1, 98, Math.max(d.thresholds.elevated, caution + 1)));
+    const critical = Math.round(clamp(t.critical, elevated + 1, 99, Math.max(d.thresholds.critical, elevated + 1)));
+    const sm = settings.smoothing || {};
+
+    return {
+        sensitivity: Math.round(clamp(settings.sensitivity, 1, 10, d.sensitivity)),
+        thresholds: { caution, elevated, critical },
+        alertScore: Math.round(clamp(settings.alertScore, 1, 100, d.alertScore)),
+        scoreThreshold: Math.round(clamp(settings.scoreThreshold, 0.1, 0.9, d.scoreThreshold) * 100) / 100,
+        profile: typeof settings.profile === 'string' && settings.profile !== '' ? settings.profile : d.profile,
+        smoothing: {
+            method: SMOOTHING_METHODS.includes(sm.method) ? sm.method : d.smoothing.method,
+            windowMs: Math.round(clamp(sm.windowMs, 0, 5000, d.smoothing.windowMs)),
+            hysteresis: Math.round(clamp(sm.hysteresis, 0, 30, d.smoothing.hysteresis)),
+            dwellMs: Math.round(clamp(sm.dwellMs, 0, 5000, d.smoothing.dwellMs))
+        }
+    };
+}
+
+/**
+ * Read saved settings (defaults when nothing is saved or storage is unavailable)
+ * @param {Storage} storage - localStorage or a compatible object
+ */
+export function loadSettings(storage = globalThis.localStorage) {
+    try {
+        const raw = storage && storage.getItem(SETTINGS_KEY);
+        return normalizeSettings(raw ? JSON.parse(raw) : {});
+    } catch (err) {
+        console.warn('Could not read settings, using defaults:', err);
+        return normalizeSettings();
+    }
+}
+
+/**
+ * Persist settings; returns the normalized values actually saved
+ */
+export function saveSettings(settings, storage = globalThis.localStorage) {
+    const normalized = normalizeSettings(settings);
+    try {
+        if (storage) storage.setItem(SETTINGS_KEY, JSON.stringify(normalized));
+    } catch (err) {
+        console.warn('Could not save settings:', err);
+    }
+    return normalized;
+}
+
+/**
+ * Apply the scoring part of the settings to a ThreatEngine
+ */
+export function applyThreatSettings(threatEngine, settings) {
+    const { caution, elevated, critical } = settings.thresholds;
+    threatEngine.setSensitivity(settings.sensitivity);
+    threatEngine.setThresholds(caution, elevated, critical);
+}
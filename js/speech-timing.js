@@ -0,0 +1,244 @@
+/* ============================================
+   SPEECH TIMING - Rate, pauses and fillers
+   Fed one frame at a time by the VoiceStressEngine
+   (VAD decision, RMS level, F0), the tracker logs
+   two kinds of events next to the speech spans:
+   - syllable nuclei: voiced peaks of the level
+     envelope with a dip of nucleusRiseDb on both
+     sides (after de Jong & Wempe, 2009)
+   - filled pauses: held voicing ("uh", "um") with
+     a flat level and flat pitch, too long and too
+     steady to be a syllable
+   Any window of the scan (an answer, the baseline)
+   is then measured from those logs: speech and
+   articulation rate, silent pause frequency and
+   length distribution, filled pauses. Answers are
+   compared against the subject's baseline answers;
+   slower speech, longer latency and more pauses
+   are cognitive-load cues.
+   ============================================ */
+
+export const SPEECH_TIMING_DEFAULTS = {
+    nucleusRiseDb: 2,         // level rise before and fall after a nucleus
+    minNucleusGapMs: 100,     // closer peaks are one syllable
+    filledMinMs: 250,         // held voicing at least this long ...
+    filledMaxMs: 1500,        // ... and at most this long is a filler
+    filledFlatDb: 3,          // level range of a filler
+    filledMaxSemitones: 1,    // pitch range of a filler
+    minPauseMs: 250,          // shorter silences are articulation gaps, not pauses
+    pauseBins: [500, 1000, 2000], // pause length distribution edges (ms)
+    minSpeechMs: 1000         // less speech than this has no meaningful rate
+};
+
+// Per-answer measures, and the change from baseline that counts as a cue
+// (negative: a drop is the cue)
+export const TIMING_MEASURES = [
+    { key: 'responseLatencyMs', label: 'Response latency', unit: 'ms', cue: 500, cueLabel: 'SLOW TO ANSWER' },
+    { key: 'speechRate', label: 'Speech rate', unit: 'syl/s', cue: -0.5, cueLabel: 'SLOWER SPEECH' },
+    { key: 'articulationRate', label: 'Articulation rate', unit: 'syl/s', cue: null, cueLabel: null },
+    { key: 'pausesPerMinute', label: 'Pauses', unit: '/min', cue: 4, cueLabel: 'MORE PAUSES' },
+    { key: 'meanPauseMs', label: 'Mean pause', unit: 'ms', cue: 250, cueLabel: 'LONGER PAUSES' },
+    { key: 'filledPerMinute', label: 'Filled pauses', unit: '/min', cue: 2, cueLabel: 'MORE FILLED PAUSES' }
+];
+
+const round1 = v => Math.round(v * 10) / 10;
+const toDb = level => 20 * Math.log10(Math.max(level, 1e-5));
+
+/**
+ * Streaming syllable-nucleus and filled-pause detector for one voice
+ */
+export class SpeechTimingTracker {
+    /**
+     * @param {object} options - SPEECH_TIMING_DEFAULTS overrides
+     */
+    constructor(options = {}) {
+        this.options = { ...SPEECH_TIMING_DEFAULTS, ...options };
+        this.clear();
+    }
+
+    clear() {
+        this.nuclei = [];         // frame times of syllable nuclei
+        this.filledPauses = [];   // [{ start, end }]
+        this.dip = Infinity;      // lowest level since the last nucleus (dB)
+        this.peak = null;         // { time, db } rising candidate nucleus
+        this.held = null;         // { start, end, minDb, maxDb, minF0, maxF0 } current steady voicing
+    }
+
+    /**
+     * Add one analysis frame
+     * @param {number} time - Frame time in ms
+     * @param {object} frame - { speaking: VAD decision, level: RMS, f0: Hz (0 unvoiced) }
+     */
+    push(time, { speaking, level, f0 }) {
+        const db = toDb(level);
+        const voiced = speaking && f0 > 0;
+        this._trackNucleus(time, db, speaking, voiced);
+        this._trackHeld(time, db, voiced ? f0 : 0);
+    }
+
+    /**
+     * Event logs for the voice report
+     * @returns {object} { nuclei: [ms], filledPauses: [{ start, end }] }
+     */
+    summary() {
+        return { nuclei: this.nuclei.slice(), filledPauses: this.filledPauses.slice() };
+    }
+
+    // ── Private Methods ──
+
+    _trackNucleus(time, db, speaking, voiced) {
+        const { nucleusRiseDb, minNucleusGapMs } = this.options;
+        if (this.peak === null) {
+            if (db < this.dip || !speaking) this.dip = db;
+            else if (voiced && db - this.dip >= nucleusRiseDb) this.peak = { time, db };
+            return;
+        }
+        if (voiced && db > this.peak.db) {
+            this.peak = { time, db };
+        } else if (!speaking || this.peak.db - db >= nucleusRiseDb) {
+            const last = this.nuclei[this.nuclei.length - 1];
+            if (last === undefined || this.peak.time - last >= minNucleusGapMs) this.nuclei.push(this.peak.time);
+            this.peak = null;
+            this.dip = db;
+        }
+    }
+
+    _trackHeld(time, db, f0) {
+        const { filledFlatDb, filledMaxSemitones } = this.options;
+        if (f0 <= 0) {
+            this._closeHeld();
+            return;
+        }
+        const h = this.held;
+        if (h) {
+            const minDb = Math.min(h.minDb, db), maxDb = Math.max(h.maxDb, db);
+            const minF0 = Math.min(h.minF0, f0), maxF0 = Math.max(h.maxF0, f0);
+            if (maxDb - minDb <= filledFlatDb && 12 * Math.log2(maxF0 / minF0) <= filledMaxSemitones) {
+                Object.assign(h, { end: time, minDb, maxDb, minF0, maxF0 });
+                return;
+            }
+            this._closeHeld();
+        }
+        this.held = { start: time, end: time, minDb: db, maxDb: db, minF0: f0, maxF0: f0 };
+    }
+
+    _closeHeld() {
+        const h = this.held;
+        this.held = null;
+        if (!h) return;
+        const length = h.end - h.start;
+        if (length >= this.options.filledMinMs && length <= this.options.filledMaxMs) {
+            this.filledPauses.push({ start: h.start, end: h.end });
+        }
+    }
+}
+
+/**
+ * Speech timing over one window of the voice clock
+ * @param {object|null} vsaReport - VoiceStressEngine.fullAnalysis() result
+ * @param {number} start - Window start (ms)
+ * @param {number} end - Window end (ms)
+ * @param {object} options - SPEECH_TIMING_DEFAULTS overrides
+ * @returns {object|null} { speakingMs, syllables, speechRate (syllables/s from first to last
+ *   speech, pauses included), articulationRate (syllables/s of speech), pauses: { count,
+ *   perMinute, meanMs, medianMs, longestMs, distribution: [{ label, count }] },
+ *   filledPauses: { count, perMinute, totalMs } }; rates are null with under minSpeechMs
+ *   of speech. null for reports without timing data.
+ */
+export function speechTimingForWindow(vsaReport, start, end, options = {}) {
+    // Reports recorded before speech timing was tracked
+    if (!vsaReport || !vsaReport.speechSpans || !vsaReport.speechTiming) return null;
+    const { minPauseMs, pauseBins, minSpeechMs } = { ...SPEECH_TIMING_DEFAULTS, ...options };
+
+    const spans = vsaReport.speechSpans
+        .filter(s => s.end > start && s.start <= end)
+        .map(s => ({ start: Math.max(s.start, start), end: Math.min(s.end, end) }));
+    const speakingMs = spans.reduce((s, span) => s + span.end - span.start, 0);
+    const talkMs = spans.length > 0 ? spans[spans.length - 1].end - spans[0].start : 0;
+
+    const fillers = vsaReport.speechTiming.filledPauses.filter(f => f.start > start && f.start <= end);
+    const syllables = vsaReport.speechTiming.nuclei.filter(t => t > start && t <= end &&
+        !fillers.some(f => t >= f.start && t <= f.end)).length;
+
+    // Silent pauses: gaps between speech, not the wait before it or the silence after
+    const pauses = [];
+    for (let i = 1; i < spans.length; i++) {
+        const gap = spans[i].start - spans[i - 1].end;
+        if (gap >= minPauseMs) pauses.push(gap);
+    }
+    const sorted = pauses.slice().sort((a, b) => a - b);
+    const edges = [minPauseMs, ...pauseBins, Infinity];
+    const distribution = edges.slice(0, -1).map((low, i) => ({
+        label: edges[i + 1] === Infinity ? `${low}+` : `${low}-${edges[i + 1]}`,
+        count: pauses.filter(p => p >= low && p < edges[i + 1]).length
+    }));
+
+    const measured = speakingMs >= minSpeechMs;
+    const perMinute = count => (measured ? round1(count / talkMs * 60000) : null);
+    return {
+        speakingMs: Math.round(speakingMs),
+        syllables,
+        speechRate: measured ? round1(syllables / talkMs * 1000) : null,
+        articulationRate: measured ? round1(syllables / speakingMs * 1000) : null,
+        pauses: {
+            count: pauses.length,
+            perMinute: perMinute(pauses.length),
+            meanMs: pauses.length > 0 ? Math.round(pauses.reduce((s, p) => s + p, 0) / pauses.length) : null,
+            medianMs: pauses.length > 0 ? Math.round(sorted[Math.floor((sorted.length - 1) / 2)]) : null,
+            longestMs: pauses.length > 0 ? Math.round(sorted[sorted.length - 1]) : null,
+            distribution
+        },
+        filledPauses: {
+            count: fillers.length,
+            perMinute: perMinute(fillers.length),
+            totalMs: Math.round(fillers.reduce((s, f) => s + f.end - f.start, 0))
+        }
+    };
+}
+
+/**
+ * The TIMING_MEASURES of one answer
+ * @param {object|null} timing - speechTimingForWindow() result
+ * @param {number|null} responseLatencyMs - See voiceForWindow (interview-questions.js)
+ */
+export function timingMeasures(timing, responseLatencyMs = null) {
+    return {
+        responseLatencyMs,
+        speechRate: timing ? timing.speechRate : null,
+        articulationRate: timing ? timing.articulationRate : null,
+        pausesPerMinute: timing ? timing.pauses.perMinute : null,
+        // Without pauses the mean pause is no pause at all, not unknown
+        meanPauseMs: timing && timing.pauses.perMinute !== null ? (timing.pauses.meanMs || 0) : null,
+        filledPerMinute: timing ? timing.filledPauses.perMinute : null
+    };
+}
+
+/**
+ * Mean of each measure over the baseline answers (null where none measured it)
+ * @param {Array} answers - timingMeasures() results
+ */
+export function baselineTiming(answers) {
+    const out = {};
+    TIMING_MEASURES.forEach(({ key }) => {
+        const values = answers.map(a => a[key]).filter(v => v !== null);
+        out[key] = values.length > 0 ? round1(values.reduce((s, v) => s + v, 0) / values.length) : null;
+    });
+    return out;
+}
+
+/**
+ * One answer against the baseline answers
+ * @param {object} measures - timingMeasures() of the answer
+ * @param {object} baseline - baselineTiming() result
+ * @returns {object} { changes: { key: answer - baseline, or null }, cues: [cueLabel] }
+ */
+export function compareTiming(measures, baseline) {
+    const changes = {};
+    const cues = [];
+    TIMING_MEASURES.forEach(({ key, cue, cueLabel }) => {
+        const change = measures[key] === null || baseline[key] === null ? null : round1(measures[key] - baseline[key]);
+        changes[key] = change;
+        if (change !== null && cue !== null && (cue > 0 ? change >= cue : change <= cue)) cues.push(cueLabel);
+    });
+    return { changes, cues };
+}
@@ -0,0 +1,315 @@
+/* ============================================
+   SYNTHETIC FACES - Deterministic test subjects
+   Generates 68-point landmark + expression sequences
+   in the face-api.js detection shape, with controllable
+   phenomena (blinks, tremor, micro-expressions, drift,
+   suppress-then-burst blinking, incongruent affect,
+   head rotation).
+   Seeded, so the same options always give the same frames.
+   ============================================ */
+
+import { poseMatrix } from './head-pose.js';
+
+const EXPRESSION_KEYS = ['angry', 'disgusted', 'fearful', 'happy', 'neutral', 'sad', 'surprised'];
+
+// Mean frontal face in box-relative units (0-1 of box width / height)
+const TEMPLATE = (() => {
+    const pts = [];
+    // Jaw 0-16: left ear → chin (8) → right ear
+    for (let i = 0; i <= 16; i++) {
+        const theta = Math.PI * (1 - i / 16);
+        pts.push([0.5 + 0.46 * Math.cos(theta), 0.36 + 0.6 * Math.sin(theta)]);
+    }
+    // Brows 17-21 (left), 22-26 (right)
+    for (let k = 0; k < 5; k++) pts.push([0.14 + k * 0.07, 0.27 - 0.035 * Math.sin(Math.PI * (k + 0.5) / 5)]);
+    for (let k = 0; k < 5; k++) pts.push([0.58 + k * 0.07, 0.27 - 0.035 * Math.sin(Math.PI * (k + 0.5) / 5)]);
+    // Nose bridge 27-30, nostrils 31-35
+    [0.34, 0.41, 0.48, 0.55].forEach(y => pts.push([0.5, y]));
+    [[0.41, 0.6], [0.455, 0.615], [0.5, 0.625], [0.545, 0.615], [0.59, 0.6]].forEach(p => pts.push(p));
+    // Eyes 36-47 are placeholders; _placeEye() positions them from an EAR
+    for (let i = 36; i <= 47; i++) pts.push([0, 0]);
+    // Outer lip 48-59
+    [[0.35, 0.76], [0.4, 0.735], [0.46, 0.72], [0.5, 0.725], [0.54, 0.72], [0.6, 0.735],
+        [0.65, 0.76], [0.6, 0.8], [0.55, 0.815], [0.5, 0.82], [0.45, 0.815], [0.4, 0.8]].forEach(p => pts.push(p));
+    // Inner lip 60-67
+    [[0.38, 0.76], [0.45, 0.75], [0.5, 0.752], [0.55, 0.75], [0.62, 0.76],
+        [0.55, 0.772], [0.5, 0.775], [0.45, 0.772]].forEach(p => pts.push(p));
+    return pts;
+})();
+
+// Depth of each landmark toward the camera (face-width units, nose tip = 0), for head rotation
+const DEPTH = (() => {
+    const z = [];
+    for (let i = 0; i <= 16; i++) z.push(-0.5 + 0.38 * Math.sin(Math.PI * i / 16));
+    for (let i = 17; i <= 26; i++) z.push(-0.2);
+    z.push(-0.12, -0.08, -0.04, 0);
+    z.push(-0.1, -0.06, -0.05, -0.06, -0.1);
+    z.push(-0.24, -0.22, -0.21, -0.2, -0.21, -0.22);   // left eye 36-41, outer corner first
+    z.push(-0.2, -0.21, -0.22, -0.24, -0.22, -0.21);   // right eye 42-47, inner corner first
+    for (let i = 48; i <= 59; i++) z.push(-0.1 - 0.07 * Math.abs(TEMPLATE[i][0] - 0.5) / 0.15);
+    for (let i = 60; i <= 67; i++) z.push(-0.13);
+    return z;
+})();
+
+const LEFT_EYE = { start: 36, cx: 0.29, cy: 0.385, halfWidth: 0.085 };
+const RIGHT_EYE = { start: 42, cx: 0.71, cy: 0.385, halfWidth: 0.085 };
+
+const DEFAULTS = {
+    seed: 1,
+    fps: 30,
+    duration: 10,                 // seconds
+    timestampJitter: 0,           // ± ms of random jitter per frame timestamp
+    box: { x: 200, y: 120, width: 200, height: 240 },
+    score: 0.95,
+    noise: 0.15,                  // landmark jitter (px, std dev)
+    openEAR: 0.3,
+    expression: { neutral: 0.9, happy: 0.04, sad: 0.02, angry: 0.01, fearful: 0.01, disgusted: 0.01, surprised: 0.01 },
+    expressionNoise: 0.01,
+    blinks: { rate: 17, durationMs: 150, minEAR: 0.1, times: null },
+    suppressBurst: null,          // { at, suppressSec, burstCount, burstGapMs }
+    tremor: null,                 // { frequency, amplitude } — jaw/chin vertical oscillation (px)
+    drift: null,                  // { vx, vy } px/s, plus optional { sway, swayPeriod }
+    microExpressions: [],         // [{ at, expression, durationMs, intensity }]
+    incongruent: [],              // [{ at, durationMs, happy, fearful }]
+    pose: null,                   // { yaw, pitch, roll } degrees held for the whole sequence (see head-pose.js)
+    headTurns: []                 // [{ at, durationMs, yaw, pitch, roll }] added to pose, peaking mid-turn
+};
+
+/**
+ * Seeded PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {function} () => float in [0, 1)
+ */
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a synthetic face sequence
+ * @param {object} options - See DEFAULTS; nested objects are merged
+ * @returns {object} { frames: [{ timestamp, detection }], truth: { blinks, microExpressions, incongruent } }
+ *   detection has the face-api.js shape: { detection: { box, score }, landmarks: { positions }, expressions }
+ *   timestamp is ms since the start of the sequence
+ */
+export function generateFaceSequence(options = {}) {
+    const opts = {
+        ...DEFAULTS,
+        ...options,
+        box: { ...DEFAULTS.box, ...options.box },
+        expression: { ...DEFAULTS.expression, ...options.expression },
+        blinks: { ...DEFAULTS.blinks, ...options.blinks }
+    };
+    const rng = createRng(opts.seed);
+    const gauss = () => {
+        const u = Math.max(rng(), 1e-12);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+    };
+
+    const blinkTimes = _blinkSchedule(opts, rng);
+    const blinkDur = opts.blinks.durationMs / 1000;
+    const frameCount = Math.round(opts.duration * opts.fps);
+    const frames = [];
+
+    for (let i = 0; i < frameCount; i++) {
+        const nominal = (i * 1000) / opts.fps;
+        const jitter = opts.timestampJitter > 0 ? (rng() * 2 - 1) * opts.timestampJitter : 0;
+        const timestamp = Math.max(0, nominal + jitter);
+        const ts = timestamp / 1000;
+
+        // Eye openness from the blink schedule
+        let ear = opts.openEAR;
+        for (const bt of blinkTimes) {
+            if (ts >= bt && ts < bt + blinkDur) {
+                const phase = (ts - bt) / blinkDur;
+                ear = opts.openEAR - (opts.openEAR - opts.blinks.minEAR) * Math.sin(Math.PI * phase);
+                break;
+            }
+        }
+
+        const expressions = _expressionsAt(opts, ts, rng);
+
+        // Head drift moves the whole face, box included
+        const box = { ...opts.box };
+        if (opts.drift) {
+            const sway = opts.drift.sway ? opts.drift.sway * Math.sin(2 * Math.PI * ts / (opts.drift.swayPeriod || 4)) : 0;
+            box.x += (opts.drift.vx || 0) * ts + sway;
+            box.y += (opts.drift.vy || 0) * ts;
+        }
+
+        const positions = _buildLandmarks(box, ear, expressions);
+        const pose = _poseAt(opts, ts);
+        if (pose) _rotateHead(positions, box, pose);
+
+        if (opts.tremor) {
+            const offset = opts.tremor.amplitude * Math.sin(2 * Math.PI * opts.tremor.frequency * ts);
+            for (let j = 4; j <= 12; j++) {
+                positions[j].y += offset * (1 - Math.abs(j - 8) / 5);
+            }
+        }
+
+        if (opts.noise > 0) {
+            positions.forEach(p => {
+                p.x += gauss() * opts.noise;
+                p.y += gauss() * opts.noise;
+            });
+        }
+
+        frames.push({
+            timestamp,
+            detection: {
+                detection: { box, score: opts.score },
+                landmarks: { positions },
+                expressions
+            }
+        });
+    }
+
+    return {
+        frames,
+        truth: {
+            blinks: blinkTimes.filter(t => t + blinkDur <= opts.duration),
+            microExpressions: opts.microExpressions.map(m => ({ ...m })),
+            incongruent: opts.incongruent.map(m => ({ ...m }))
+        }
+    };
+}
+
+// ── Private Helpers ──
+
+function _blinkSchedule(opts, rng) {
+    let times;
+    if (Array.isArray(opts.blinks.times)) {
+        times = [...opts.blinks.times];
+    } else {
+        times = [];
+        const interval = opts.blinks.rate > 0 ? 60 / opts.blinks.rate : Infinity;
+        let t = interval * (0.3 + rng() * 0.4);
+        while (t < opts.duration) {
+            times.push(t);
+            t += interval * (0.75 + rng() * 0.5);
+        }
+    }
+
+    // Suppress-then-burst: no blinks for suppressSec, then a tight cluster
+    const sb = opts.suppressBurst;
+    if (sb) {
+        const quietEnd = sb.at + sb.suppressSec;
+        const gap = (sb.burstGapMs || 400) / 1000;
+        times = times.filter(t => t < sb.at - 0.5 || t > quietEnd + (sb.burstCount || 3) * gap + 0.5);
+        for (let k = 0; k < (sb.burstCount || 3); k++) times.push(quietEnd + k * gap);
+    }
+
+    return times.sort((a, b) => a - b);
+}
+
+function _expressionsAt(opts, ts, rng) {
+    const fixed = {};
+    opts.microExpressions.forEach(m => {
+        if (ts >= m.at && ts < m.at + (m.durationMs || 100) / 1000) {
+            fixed[m.expression] = Math.max(fixed[m.expression] || 0, m.intensity !== undefined ? m.intensity : 0.6);
+        }
+    });
+    opts.incongruent.forEach(m => {
+        if (ts >= m.at && ts < m.at + (m.durationMs || 500) / 1000) {
+            fixed.happy = m.happy !== undefined ? m.happy : 0.45;
+            fixed.fearful = m.fearful !== undefined ? m.fearful : 0.35;
+        }
+    });
+
+    // Fixed values win; the rest share what is left, keeping face-api's sum-to-one
+    const fixedSum = Object.values(fixed).reduce((s, v) => s + v, 0);
+    const free = EXPRESSION_KEYS.filter(k => fixed[k] === undefined);
+    const raw = {};
+    let rawSum = 0;
+    free.forEach(k => {
+        raw[k] = Math.max(0, (opts.expression[k] || 0) + (rng() * 2 - 1) * opts.expressionNoise);
+        rawSum += raw[k];
+    });
+
+    const remaining = Math.max(0, 1 - fixedSum);
+    const expressions = {};
+    EXPRESSION_KEYS.forEach(k => {
+        if (fixed[k] !== undefined) expressions[k] = fixed[k];
+        else expressions[k] = rawSum > 0 ? (raw[k] / rawSum) * remaining : 0;
+    });
+    return expressions;
+}
+
+function _poseAt(opts, ts) {
+    const pose = { yaw: 0, pitch: 0, roll: 0, ...opts.pose };
+    let turned = !!opts.pose;
+    opts.headTurns.forEach(turn => {
+        const dur = (turn.durationMs || 1000) / 1000;
+        if (ts < turn.at || ts >= turn.at + dur) return;
+        const k = Math.sin(Math.PI * (ts - turn.at) / dur);
+        ['yaw', 'pitch', 'roll'].forEach(a => { pose[a] += (turn[a] || 0) * k; });
+        turned = true;
+    });
+    return turned ? pose : null;
+}
+
+// Rotate the landmarks about the nose tip and project them back orthographically
+function _rotateHead(positions, box, pose) {
+    const R = poseMatrix(pose);
+    const nose = { ...positions[30] };
+    positions.forEach((p, i) => {
+        const X = [p.x - nose.x, nose.y - p.y, DEPTH[i] * box.width];
+        p.x = nose.x + R[0][0] * X[0] + R[0][1] * X[1] + R[0][2] * X[2];
+        p.y = nose.y - (R[1][0] * X[0] + R[1][1] * X[1] + R[1][2] * X[2]);
+    });
+}
+
+function _buildLandmarks(box, ear, expressions) {
+    const positions = TEMPLATE.map(([u, v]) => ({ x: box.x + u * box.width, y: box.y + v * box.height }));
+
+    _placeEye(positions, LEFT_EYE, box, ear * (1 + 0.4 * (expressions.surprised + expressions.fearful)));
+    _placeEye(positions, RIGHT_EYE, box, ear * (1 + 0.4 * (expressions.surprised + expressions.fearful)));
+
+    // Coarse expression deformations so landmark-driven metrics see the affect too
+    const h = box.height;
+    const w = box.width;
+    const browLift = (expressions.surprised * 0.04 + expressions.fearful * 0.025 - expressions.angry * 0.03) * h;
+    for (let i = 17; i <= 26; i++) positions[i].y -= browLift;
+    // Anger pulls the inner brows together
+    positions[21].x += expressions.angry * 0.02 * w;
+    positions[22].x -= expressions.angry * 0.02 * w;
+
+    const smile = expressions.happy * 0.03 * h;
+    const frown = expressions.sad * 0.025 * h;
+    [48, 54].forEach(i => {
+        positions[i].y += frown - smile;
+        positions[i].x += (i === 48 ? -1 : 1) * expressions.happy * 0.02 * w;
+    });
+    positions[50].y -= expressions.disgusted * 0.02 * h;
+    positions[52].y -= expressions.disgusted * 0.02 * h;
+
+    // Jaw drop on surprise
+    const drop = expressions.surprised * 0.05 * h;
+    for (let i = 55; i <= 59; i++) positions[i].y += drop;
+    for (let i = 65; i <= 67; i++) positions[i].y += drop;
+    for (let i = 5; i <= 11; i++) positions[i].y += drop * 0.8;
+
+    return positions;
+}
+
+function _placeEye(positions, eye, box, ear) {
+    const cx = box.x + eye.cx * box.width;
+    const cy = box.y + eye.cy * box.height;
+    const hw = eye.halfWidth * box.width;
+    // EAR = (v1 + v2) / (2 * h) with h = 2 * hw, so each lid sits ear * hw from the centre line
+    const lid = ear * hw;
+    const s = eye.start;
+    positions[s] = { x: cx - hw, y: cy };
+    positions[s + 1] = { x: cx - hw / 3, y: cy - lid };
+    positions[s + 2] = { x: cx + hw / 3, y: cy - lid };
+    positions[s + 3] = { x: cx + hw, y: cy };
+    positions[s + 4] = { x: cx + hw / 3, y: cy + lid };
+    positions[s + 5] = { x: cx - hw / 3, y: cy + lid };
+}
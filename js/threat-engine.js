@@ -2,14 +2,35 @@
    THREAT ENGINE - Behavioral Vibration Analysis
    Analyzes facial expressions, micro-movements,
    and behavioral patterns to assess threat levels
+   Weights come from the active scoring profile.
    ============================================ */
 
+import { STANDARD_PROFILE, profileStamp } from './scoring-profiles.js';
+import { estimateHeadPose, aversionRate, yawReversals } from './head-pose.js';
+import { ShapeAligner, shapeDisplacement, FACE_SIZE_UNITS } from './landmark-alignment.js';
+import { ActionUnitEstimator } from './action-units.js';
+
+// Micro-movements are in face-size %, but their weights were tuned in pixels on
+// a 200 px face box, whose rigid landmarks sit ~56 px from their centre: one
+// pixel there is 1.8 %, so pixel-era weights scale by 0.56
+const PX_PER_FACE_PERCENT = 0.56;
+
 class ThreatEngine {
     constructor() {
         this.frameHistory = new Map(); // personId -> array of frame data
+        this.aligners = new Map();     // personId -> ShapeAligner (per-subject reference shape)
+        this.auEstimators = new Map(); // personId -> ActionUnitEstimator (per-subject neutral face)
         this.maxHistoryFrames = 90;    // ~3 seconds at 30fps
         this.sensitivity = 7;
         this.thresholds = { caution: 35, elevated: 55, critical: 75 };
+        this.profile = STANDARD_PROFILE;
+    }
+
+    /**
+     * Use a resolved scoring profile (see scoring-profiles.js)
+     */
+    setProfile(profile) {
+        this.profile = profile;
     }
 
     setSensitivity(val) {
@@ -32,15 +53,24 @@ class ThreatEngine {
      * Process a single detection frame for a person
      * @param {string} personId - Unique ID for this tracked person
      * @param {object} detection - face-api.js detection with expressions and landmarks
+     * @param {number} timestamp - Frame time in ms (defaults to now)
      * @returns {object} Real-time assessment
      */
-    processFrame(personId, detection) {
+    processFrame(personId, detection, timestamp = Date.now()) {
         if (!this.frameHistory.has(personId)) {
             this.frameHistory.set(personId, []);
         }
 
+        if (!this.aligners.has(personId)) {
+            this.aligners.set(personId, new ShapeAligner());
+            this.auEstimators.set(personId, new ActionUnitEstimator());
+        }
+
         const history = this.frameHistory.get(personId);
-        const frameData = this._extractFrameData(detection);
+        const frameData = this._extractFrameData(detection, timestamp);
+        // Head-motion-compensated landmarks (face-size %) for micro-movement analysis
+        frameData.shape = this.aligners.get(personId).align(frameData.landmarks);
+        frameData.actionUnits = frameData.shape ? this.auEstimators.get(personId).update(frameData.shape.points, timestamp) : null;
         history.push(frameData);
 
         if (history.length > this.maxHistoryFrames) {
@@ -75,15 +105,20 @@ class ThreatEngine {
         const stability = this._calculateStability(expressionStability, microMovements);
 
         // Overall threat score (weighted composite)
+        const w = this.profile.threat.composite;
         const threatScore = Math.round(
-            aggression * 0.25 +
-            stress * 0.10 +
-            deception * 0.25 +
-            tension * 0.10 +
-            badIntent * 0.25 +
-            (100 - stability) * 0.05
+            aggression * w.aggression +
+            stress * w.stress +
+            deception * w.deception +
+            tension * w.tension +
+            badIntent * w.badIntent +
+            (100 - stability) * w.instability
         );
 
+        // Confidence: mean frame quality (frame-quality.js; 1 when unscored) times
+        // coverage, full from 60 admitted frames on
+        const quality = history.reduce((s, f) => s + f.quality, 0) / history.length;
+
         // Determine threat level
         const threatLevel = this._getThreatLevel(threatScore);
 
@@ -107,7 +142,8 @@ class ThreatEngine {
             indicators,
             dominantExpression: expressions.dominant,
             framesAnalyzed: history.length,
-            confidence: Math.min(100, Math.round((history.length / 60) * 100))
+            confidence: Math.round(quality * Math.min(1, history.length / 60) * 100),
+            scoringProfile: profileStamp(this.profile)
         };
     }
 
@@ -116,6 +152,8 @@ class ThreatEngine {
      */
     clearPerson(personId) {
         this.frameHistory.delete(personId);
+        this.aligners.delete(personId);
+        this.auEstimators.delete(personId);
     }
 
     /**
@@ -123,11 +161,13 @@ class ThreatEngine {
      */
     clearAll() {
         this.frameHistory.clear();
+        this.aligners.clear();
+        this.auEstimators.clear();
     }
 
     // ── Private Methods ──
 
-    _extractFrameData(detection) {
+    _extractFrameData(detection, timestamp = Date.now()) {
         const expr = detection.expressions || {};
         const box = detection.detection ? detection.detection.box : detection.box || {};
         const landmarks = detection.landmarks;
@@ -136,11 +176,11 @@ class ThreatEngine {
         let landmarkPositions = null;
         if (landmarks) {
             const positions = landmarks.positions || landmarks._positions || [];
-            landmarkPositions = positions.map(p => ({ x: p.x || p._x, y: p.y || p._y }));
+            landmarkPositions = positions.map(p => ({ x: p.x ?? p._x, y: p.y ?? p._y }));
         }
 
         return {
-            timestamp: Date.now(),
+            timestamp,
             expressions: {
                 angry: expr.angry || 0,
                 disgusted: expr.disgusted || 0,
@@ -156,7 +196,9 @@ class ThreatEngine {
                 width: box.width || box._width || 0,
                 height: box.height || box._height || 0
             },
-            landmarks: landmarkPositions
+            landmarks: landmarkPositions,
+            pose: estimateHeadPose(landmarkPositions),
+            quality: detection.quality ?? 1
         };
     }
 
@@ -196,30 +238,21 @@ class ThreatEngine {
         const movements = [];
         const landmarkJitters = [];
 
+        // All in face-size % (see landmark-alignment.js), independent of camera distance
         for (let i = 1; i < history.length; i++) {
-            const prev = history[i - 1];
-            const curr = history[i];
-
-            // Box position movement (head movement)
-            const dx = curr.box.x - prev.box.x;
-            const dy = curr.box.y - prev.box.y;
-            const movement = Math.sqrt(dx * dx + dy * dy);
-            movements.push(movement);
-
-            // Landmark jitter (micro-tremors in facial features)
-            if (curr.landmarks && prev.landmarks && curr.landmarks.length === prev.landmarks.length) {
-                let totalJitter = 0;
-                const landmarkCount = Math.min(curr.landmarks.length, 68);
-                for (let j = 0; j < landmarkCount; j++) {
-                    if (curr.landmarks[j] && prev.landmarks[j]) {
-                        const ldx = curr.landmarks[j].x - prev.landmarks[j].x;
-                        const ldy = curr.landmarks[j].y - prev.landmarks[j].y;
-                        totalJitter += Math.sqrt(ldx * ldx + ldy * ldy);
-                    }
-                }
-                landmarkJitters.push(totalJitter / landmarkCount);
-            }
+            const prev = history[i - 1].shape;
+            const curr = history[i].shape;
+            if (!prev || !curr) continue;
+
+            // Head movement: displacement of the rigid landmarks' centre
+            const dx = curr.cx - prev.cx;
+            const dy = curr.cy - prev.cy;
+            movements.push(Math.sqrt(dx * dx + dy * dy) / prev.size * FACE_SIZE_UNITS);
+
+            // Landmark jitter (micro-tremors in facial features) after removing head motion
+            landmarkJitters.push(shapeDisplacement(curr.points, prev.points));
         }
+        if (movements.length === 0) return { avgMovement: 0, maxMovement: 0, jitter: 0 };
 
         const avgMovement = movements.reduce((a, b) => a + b, 0) / movements.length;
         const maxMovement = Math.max(...movements);
@@ -237,7 +270,8 @@ class ThreatEngine {
             maxMovement,
             jitter: avgJitter,
             variance: movementVariance,
-            erratic: movementVariance > avgMovement * 2
+            // Variance grows with the square of the unit: the pixel-era "variance > 2 × mean"
+            erratic: movementVariance > avgMovement * 2 / PX_PER_FACE_PERCENT
         };
     }
 
@@ -278,26 +312,13 @@ class ThreatEngine {
     _analyzeBehavioralPatterns(history) {
         if (history.length < 10) return { gazeDrift: 0, headShake: 0, tensionBuild: false };
 
-        // Analyze gaze drift (looking away frequently = potential deception)
-        let gazeDrifts = 0;
-        const windowSize = 5;
+        // Gaze drift: share of frames with the head turned away from its usual direction
+        // (looking away frequently = potential deception)
+        const poses = history.filter(f => f.pose).map(f => f.pose);
+        const gazeDrift = aversionRate(poses);
 
-        for (let i = windowSize; i < history.length; i++) {
-            const window = history.slice(i - windowSize, i);
-            const xPositions = window.map(f => f.box.x);
-            const range = Math.max(...xPositions) - Math.min(...xPositions);
-            if (range > 15) gazeDrifts++;
-        }
-
-        // Analyze head shaking / nodding patterns
-        let headShakes = 0;
-        for (let i = 2; i < history.length; i++) {
-            const dx1 = history[i - 1].box.x - history[i - 2].box.x;
-            const dx2 = history[i].box.x - history[i - 1].box.x;
-            if ((dx1 > 2 && dx2 < -2) || (dx1 < -2 && dx2 > 2)) {
-                headShakes++;
-            }
-        }
+        // Head shaking: left/right turn reversals
+        const headShakes = yawReversals(poses);
 
         // Tension build: increasing angry/disgusted expression over time
         const firstHalf = history.slice(0, Math.floor(history.length / 2));
@@ -319,12 +340,12 @@ class ThreatEngine {
         });
 
         return {
-            gazeDrift: gazeDrifts / history.length,
+            gazeDrift,
             headShake: headShakes / history.length,
             tensionBuild,
             suppressionScore: suppressionScore / lastFrames.length,
             patterns: {
-                avoidance: gazeDrifts > history.length * 0.3,
+                avoidance: gazeDrift > 0.3,
                 agitation: headShakes > history.length * 0.2,
                 escalating: tensionBuild,
                 suppressing: suppressionScore > 0.1
@@ -333,28 +354,30 @@ class ThreatEngine {
     }
 
     _calculateAggression(expressions, movements, patterns) {
+        const w = this.profile.threat.aggression;
         const base = (
-            expressions.averages.angry * 100 * 1.8 +
-            expressions.averages.disgusted * 100 * 0.6 +
-            expressions.peaks.angry * 100 * 0.8
+            expressions.averages.angry * 100 * w.angryAvg +
+            expressions.averages.disgusted * 100 * w.disgustedAvg +
+            expressions.peaks.angry * 100 * w.angryPeak
         );
 
-        const movementFactor = movements.erratic ? 15 : 0;
-        const tensionFactor = patterns.tensionBuild ? 12 : 0;
+        const movementFactor = movements.erratic ? w.erratic : 0;
+        const tensionFactor = patterns.tensionBuild ? w.tensionBuild : 0;
         const sensitivityMultiplier = this.sensitivity / 7;
 
         return Math.min(100, (base + movementFactor + tensionFactor) * sensitivityMultiplier);
     }
 
     _calculateStress(expressions, movements, stability) {
+        const w = this.profile.threat.stress;
         const base = (
-            expressions.averages.fearful * 100 * 1.2 +
-            expressions.averages.surprised * 100 * 0.4 +
-            expressions.averages.sad * 100 * 0.5
+            expressions.averages.fearful * 100 * w.fearfulAvg +
+            expressions.averages.surprised * 100 * w.surprisedAvg +
+            expressions.averages.sad * 100 * w.sadAvg
         );
 
-        const jitterFactor = Math.min(30, movements.jitter * 10);
-        const instabilityFactor = (100 - stability.stability) * 0.3;
+        const jitterFactor = Math.min(w.jitterCap, movements.jitter * w.jitter);
+        const instabilityFactor = (100 - stability.stability) * w.instability;
         const sensitivityMultiplier = this.sensitivity / 7;
 
         return Math.min(100, (base + jitterFactor + instabilityFactor) * sensitivityMultiplier);
@@ -362,12 +385,13 @@ class ThreatEngine {
 
     _calculateDeception(expressions, stability, patterns) {
         // Deception indicators: expression instability, gaze aversion, suppression
-        const instability = stability.rapidChanges * 3;
-        const gazeAversion = patterns.gazeDrift * 100;
-        const suppression = patterns.suppressionScore * 200;
+        const w = this.profile.threat.deception;
+        const instability = stability.rapidChanges * w.rapidChanges;
+        const gazeAversion = patterns.gazeDrift * w.gazeDrift;
+        const suppression = patterns.suppressionScore * w.suppression;
 
         // Micro-expression flashes (brief non-neutral expressions during neutral face)
-        const microExprFlash = stability.changeRate * 80;
+        const microExprFlash = stability.changeRate * w.changeRate;
 
         const base = instability + gazeAversion + suppression + microExprFlash;
         const sensitivityMultiplier = this.sensitivity / 7;
@@ -376,14 +400,15 @@ class ThreatEngine {
     }
 
     _calculateTension(expressions, movements) {
+        const w = this.profile.threat.tension;
         const base = (
-            expressions.averages.angry * 100 * 0.8 +
-            expressions.averages.disgusted * 100 * 0.6 +
-            expressions.averages.fearful * 100 * 0.5 +
-            (100 - expressions.averages.happy * 100) * 0.1
+            expressions.averages.angry * 100 * w.angryAvg +
+            expressions.averages.disgusted * 100 * w.disgustedAvg +
+            expressions.averages.fearful * 100 * w.fearfulAvg +
+            (100 - expressions.averages.happy * 100) * w.notHappy
         );
 
-        const movementTension = movements.jitter * 15;
+        const movementTension = movements.jitter * w.jitter;
         const sensitivityMultiplier = this.sensitivity / 7;
 
         return Math.min(100, (base + movementTension) * sensitivityMultiplier);
@@ -391,19 +416,22 @@ class ThreatEngine {
 
     _calculateBadIntent(aggression, deception, patterns) {
         // Bad intent = combination of aggression + deception + escalation
-        const base = aggression * 0.4 + deception * 0.3;
-        const escalation = patterns.tensionBuild ? 15 : 0;
-        const agitation = patterns.patterns.agitation ? 10 : 0;
-        const suppression = patterns.patterns.suppressing ? 12 : 0;
+        const w = this.profile.threat.badIntent;
+        const base = aggression * w.aggression + deception * w.deception;
+        const escalation = patterns.tensionBuild ? w.escalation : 0;
+        const agitation = patterns.patterns.agitation ? w.agitation : 0;
+        const suppression = patterns.patterns.suppressing ? w.suppression : 0;
 
         return Math.min(100, base + escalation + agitation + suppression);
     }
 
     _calculateStability(expressionStability, movements) {
         const exprStability = expressionStability.stability;
-        const movementStability = Math.max(0, 100 - movements.avgMovement * 5 - movements.jitter * 20);
+        const movementStability = Math.max(0, 100 -
+            (movements.avgMovement * 5 + movements.jitter * 20) * PX_PER_FACE_PERCENT);
 
-        return (exprStability * 0.6 + movementStability * 0.4);
+        const w = this.profile.threat.stability;
+        return (exprStability * w.expression + movementStability * w.movement);
     }
 
     _getThreatLevel(score) {
@@ -459,7 +487,8 @@ class ThreatEngine {
         const avgDisgusted = recent.reduce((s, f) => s + f.expressions.disgusted, 0) / recent.length;
         const avgFearful = recent.reduce((s, f) => s + f.expressions.fearful, 0) / recent.length;
 
-        const quickScore = Math.round((avgAngry * 180 + avgDisgusted * 60 + avgFearful * 40) * (this.sensitivity / 7));
+        const w = this.profile.threat.quick;
+        const quickScore = Math.round((avgAngry * w.angry + avgDisgusted * w.disgusted + avgFearful * w.fearful) * (this.sensitivity / 7));
         const level = this._getThreatLevel(Math.min(100, quickScore));
 
         return { level, score: Math.min(100, quickScore) };
@@ -474,9 +503,10 @@ class ThreatEngine {
             indicators: [{ label: 'INSUFFICIENT DATA', color: 'yellow' }],
             dominantExpression: 'neutral',
             framesAnalyzed: 0,
-            confidence: 0
+            confidence: 0,
+            scoringProfile: profileStamp(this.profile)
         };
     }
 }
 
-window.ThreatEngine = ThreatEngine;
+export { ThreatEngine };
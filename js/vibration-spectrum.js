@@ -0,0 +1,272 @@
+/* ============================================
+   VIBRATION SPECTRUM - Welch PSD of facial motion
+   Aligned landmark positions (face-size %, see
+   landmark-alignment.js) are resampled to a fixed
+   rate, cut into Hann-windowed, overlapping
+   segments and Fourier transformed. The power
+   spectra of all 136 coordinates are summed, so
+   the result is the spectrum of whole-face motion
+   with head movement already removed.
+   - live: mean of the segments in the last windowMs
+   - scan: mean of every segment seen
+   Optional landmark groups (facial regions) get
+   their own spectra from the same segments.
+   The camera frame rate limits what is real: at
+   15 fps nothing above 7.5 Hz is measured, only
+   interpolated.
+   ============================================ */
+
+export const SPECTRUM_DEFAULTS = {
+    sampleRate: 30,       // Hz, resampling rate (Nyquist 15 Hz)
+    segmentSize: 64,      // samples per FFT segment (~2.1 s, 0.47 Hz bins)
+    overlap: 0.75,        // segment overlap
+    windowMs: 4000,       // live spectrum: segments ending in this window
+    maxGapMs: 250         // longer frame gaps restart the segment buffer
+};
+
+export const VIBRATION_BANDS = [
+    { name: '0-4', low: 0, high: 4 },
+    { name: '4-8', low: 4, high: 8 },
+    { name: '8-12', low: 8, high: 12 },
+    { name: '12+', low: 12, high: Infinity }
+];
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re - Real parts (length a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = -2 * Math.PI / len;
+        for (let i = 0; i < n; i += len) {
+            for (let k = 0; k < len / 2; k++) {
+                const wr = Math.cos(angle * k), wi = Math.sin(angle * k);
+                const a = i + k, b = a + len / 2;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr; im[b] = im[a] - ti;
+                re[a] += tr; im[a] += ti;
+            }
+        }
+    }
+}
+
+export function hannWindow(n) {
+    return Float64Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+}
+
+/**
+ * One-sided periodogram of a segment (mean removed, windowed), scaled so
+ * that its sum × bin width is the segment's variance
+ * @returns {Float64Array} Power per bin, 0 … segment length / 2
+ */
+export function periodogram(segment, window, sampleRate) {
+    const n = segment.length;
+    const mean = segment.reduce((s, v) => s + v, 0) / n;
+    const re = Float64Array.from(segment, (v, i) => (v - mean) * window[i]);
+    const im = new Float64Array(n);
+    fft(re, im);
+
+    const norm = sampleRate * window.reduce((s, w) => s + w * w, 0);
+    const power = new Float64Array(n / 2 + 1);
+    for (let k = 0; k <= n / 2; k++) {
+        const edge = k === 0 || k === n / 2;
+        power[k] = (re[k] * re[k] + im[k] * im[k]) / norm * (edge ? 1 : 2);
+    }
+    return power;
+}
+
+/**
+ * Dominant frequency, band shares and spectral entropy of a power spectrum
+ * @param {Float64Array|number[]} power - One-sided PSD, bin k at k × binHz
+ * @param {number} binHz - Bin width
+ * @returns {object} { dominantFrequency (Hz), power (total, face-size %²),
+ *   bands: [{ name, low, high, percent }], entropy (0 one pure tone … 1 white noise) }
+ */
+export function summarizeSpectrum(power, binHz) {
+    // DC carries the segment mean, which is not motion
+    let total = 0;
+    let peak = 1;
+    for (let k = 1; k < power.length; k++) {
+        total += power[k];
+        if (power[k] > power[peak]) peak = k;
+    }
+
+    const bands = VIBRATION_BANDS.map(band => ({ ...band, percent: 0 }));
+    let entropy = 0;
+    if (total > 0) {
+        for (let k = 1; k < power.length; k++) {
+            const f = k * binHz;
+            const band = bands.find(b => f >= b.low && f < b.high);
+            band.percent += power[k] / total * 100;
+            const p = power[k] / total;
+            if (p > 0) entropy -= p * Math.log(p);
+        }
+        entropy /= Math.log(power.length - 1);
+    }
+
+    return {
+        dominantFrequency: total > 0 ? Math.round(peak * binHz * 10) / 10 : 0,
+        power: Math.round(total * binHz * 100) / 100,
+        bands: bands.map(b => ({ name: b.name, low: b.low, high: b.high === Infinity ? null : b.high, percent: Math.round(b.percent) })),
+        entropy: Math.round(entropy * 100) / 100
+    };
+}
+
+/**
+ * Streaming Welch estimator for one face
+ */
+export class VibrationSpectrum {
+    /**
+     * @param {object} options - Overrides for SPECTRUM_DEFAULTS, plus
+     *   groups: [{ name, indices }] landmark groups with their own spectra
+     */
+    constructor(options = {}) {
+        this.options = { ...SPECTRUM_DEFAULTS, ...options };
+        this.groups = options.groups || [];
+        this.window = hannWindow(this.options.segmentSize);
+        this.hop = Math.max(1, Math.round(this.options.segmentSize * (1 - this.options.overlap)));
+        this.binHz = this.options.sampleRate / this.options.segmentSize;
+        this.clear();
+    }
+
+    /**
+     * Forget everything, including the scan-long average
+     */
+    clear() {
+        this.totals = null;      // sum of all segment spectra: [whole face, ...groups]
+        this.segments = 0;
+        this.restart();
+    }
+
+    /**
+     * Start a new continuous stretch (the face was lost); the scan average is kept
+     */
+    restart() {
+        this.samples = [];       // resampled frames, each a Float64Array of coordinates
+        this.last = null;        // { t, coords } latest input frame
+        this.nextTime = null;    // time of the latest resampled frame
+        this.sinceSegment = null; // resampled frames since the last segment, null before the first
+        this.recent = [];        // [{ t, spectra }] segment spectra in the live window
+    }
+
+    /**
+     * Add one frame of aligned landmarks
+     * @param {number} t - Frame time in ms
+     * @param {Array} points - Aligned [{ x, y }] (see procrustesAlign)
+     */
+    push(t, points) {
+        const coords = new Float64Array(points.length * 2);
+        points.forEach((p, i) => { coords[2 * i] = p.x; coords[2 * i + 1] = p.y; });
+
+        if (this.last && (t - this.last.t > this.options.maxGapMs || coords.length !== this.last.coords.length)) this.restart();
+        if (!this.last) {
+            this.last = { t, coords };
+            this.nextTime = t;
+            this._addSample(t, coords);
+            return;
+        }
+        if (t <= this.last.t) return;
+
+        // Linear interpolation onto the fixed-rate grid up to this frame
+        const step = 1000 / this.options.sampleRate;
+        const prev = this.last;
+        while (this.nextTime + step <= t + 1e-9) {
+            this.nextTime += step;
+            const frac = (this.nextTime - prev.t) / (t - prev.t);
+            this._addSample(this.nextTime, prev.coords.map((v, i) => v + (coords[i] - v) * frac));
+        }
+        this.last = { t, coords };
+    }
+
+    /**
+     * Spectrum of the last windowMs, or null before the first full segment
+     * @param {string|null} group - A group name, or null for the whole face
+     * @returns {object|null} summarizeSpectrum() result plus spectrum: power per bin
+     */
+    live(group = null) {
+        const g = this._groupIndex(group);
+        if (this.recent.length === 0 || g < 0) return null;
+        return this._summary(averageSpectra(this.recent.map(s => s.spectra[g])));
+    }
+
+    /**
+     * Spectrum averaged over every segment of the scan
+     * @param {string|null} group - A group name, or null for the whole face
+     */
+    overall(group = null) {
+        const g = this._groupIndex(group);
+        if (this.segments === 0 || g < 0) return null;
+        return this._summary(this.totals[g].map(v => v / this.segments));
+    }
+
+    // ── Private Methods ──
+
+    _addSample(t, coords) {
+        const size = this.options.segmentSize;
+        this.samples.push(coords);
+        if (this.samples.length > size) this.samples.shift();
+        if (this.sinceSegment !== null) this.sinceSegment++;
+        if (this.samples.length < size || (this.sinceSegment !== null && this.sinceSegment < this.hop)) return;
+        this.sinceSegment = 0;
+
+        // Sums of the per-coordinate periodograms: whole face, then each group
+        const spectra = Array.from({ length: 1 + this.groups.length }, () => new Float64Array(size / 2 + 1));
+        const groupOf = this._coordinateGroups(coords.length);
+        const series = new Float64Array(size);
+        for (let c = 0; c < coords.length; c++) {
+            for (let i = 0; i < size; i++) series[i] = this.samples[i][c];
+            const p = periodogram(series, this.window, this.options.sampleRate);
+            groupOf[c].forEach(g => {
+                for (let k = 0; k < p.length; k++) spectra[g][k] += p[k];
+            });
+        }
+
+        this.recent.push({ t, spectra });
+        while (this.recent.length > 1 && t - this.recent[0].t > this.options.windowMs - size * 1000 / this.options.sampleRate) this.recent.shift();
+        this.totals = this.totals
+            ? this.totals.map((total, g) => total.map((v, k) => v + spectra[g][k]))
+            : spectra.map(power => Float64Array.from(power));
+        this.segments++;
+    }
+
+    // Index into a segment's spectra: 0 for the whole face, -1 for an unknown group
+    _groupIndex(group) {
+        if (group === null) return 0;
+        const g = this.groups.findIndex(entry => entry.name === group);
+        return g < 0 ? -1 : 1 + g;
+    }
+
+    // For each coordinate, the spectra it adds to (0 = whole face)
+    _coordinateGroups(length) {
+        if (this.coordinateGroups && this.coordinateGroups.length === length) return this.coordinateGroups;
+        this.coordinateGroups = Array.from({ length }, () => [0]);
+        this.groups.forEach((group, g) => group.indices.forEach(i => {
+            if (2 * i + 1 >= length) return;
+            this.coordinateGroups[2 * i].push(1 + g);
+            this.coordinateGroups[2 * i + 1].push(1 + g);
+        }));
+        return this.coordinateGroups;
+    }
+
+    _summary(power) {
+        return { ...summarizeSpectrum(power, this.binHz), spectrum: Array.from(power, v => Math.round(v * 1000) / 1000) };
+    }
+}
+
+function averageSpectra(list) {
+    const out = new Float64Array(list[0].length);
+    list.forEach(p => p.forEach((v, k) => { out[k] += v; }));
+    return out.map(v => v / list.length);
+}
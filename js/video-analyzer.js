@@ -3,6 +3,8 @@
    Processes each frame through the threat engine
    ============================================ */
 
+import { PersonTracker } from './person-tracker.js';
+
 class VideoAnalyzer {
     constructor(videoElement, canvas, threatEngine) {
         this.video = videoElement;
@@ -12,8 +14,8 @@ class VideoAnalyzer {
         this.isAnalyzing = false;
         this.scanner = null; // set externally
         this.analysisInterval = null;
-        this.personTracker = new Map();
-        this.nextPersonId = 1;
+        // Persons are kept for the whole video, so results cover everyone seen
+        this.personTracker = new PersonTracker({ idPrefix: 'VP', maxAge: Infinity });
         this.allResults = [];
         this.onAnalysisUpdate = null;
         this.onAnalysisComplete = null;
@@ -44,7 +46,6 @@ class VideoAnalyzer {
         this.isAnalyzing = true;
         this.threatEngine.clearAll();
         this.personTracker.clear();
-        this.nextPersonId = 1;
         this.allResults = [];
 
         this.video.currentTime = 0;
@@ -154,8 +155,8 @@ class VideoAnalyzer {
                 .withFaceLandmarks()
                 .withFaceExpressions();
 
-            this._trackAndProcess(detections);
-            this._drawDetections(detections);
+            const personIds = this._trackAndProcess(detections);
+            this._drawDetections(detections, personIds);
 
             if (this.onAnalysisUpdate) {
                 const currentResults = [];
@@ -176,45 +177,17 @@ class VideoAnalyzer {
     }
 
     _trackAndProcess(detections) {
-        const unmatched = [...detections];
-
-        this.personTracker.forEach((data, personId) => {
-            let bestMatch = null;
-            let bestDist = Infinity;
-
-            unmatched.forEach((det, idx) => {
-                const box = det.detection.box;
-                const cx = box.x + box.width / 2;
-                const cy = box.y + box.height / 2;
-                const pcx = data.lastBox.x + data.lastBox.width / 2;
-                const pcy = data.lastBox.y + data.lastBox.height / 2;
-                const dist = Math.sqrt((cx - pcx) ** 2 + (cy - pcy) ** 2);
-
-                if (dist < bestDist && dist < 120) {
-                    bestDist = dist;
-                    bestMatch = idx;
-                }
-            });
-
-            if (bestMatch !== null) {
-                const det = unmatched.splice(bestMatch, 1)[0];
-                data.lastBox = det.detection.box;
-                data.lastSeen = Date.now();
-                this.threatEngine.processFrame(personId, det);
-            }
-        });
+        // Video time, so tracking follows playback rather than wall-clock speed
+        const t = this.video.currentTime * 1000;
+        const { ids } = this.personTracker.update(detections, t);
 
-        unmatched.forEach(det => {
-            const personId = `VP${this.nextPersonId++}`;
-            this.personTracker.set(personId, {
-                lastBox: det.detection.box,
-                lastSeen: Date.now()
-            });
-            this.threatEngine.processFrame(personId, det);
+        detections.forEach((det, i) => {
+            if (ids[i]) this.threatEngine.processFrame(ids[i], det, t);
         });
+        return ids;
     }
 
-    _drawDetections(detections) {
+    _drawDetections(detections, personIds = []) {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
         const scaleX = this.canvas.width / (this.video.videoWidth || 1);
@@ -228,17 +201,7 @@ class VideoAnalyzer {
             const h = box.height * scaleY;
 
             let color = '#00e676';
-            let personId = null;
-
-            this.personTracker.forEach((data, pid) => {
-                const pcx = data.lastBox.x * scaleX + (data.lastBox.width * scaleX) / 2;
-                const pcy = data.lastBox.y * scaleY + (data.lastBox.height * scaleY) / 2;
-                const dcx = x + w / 2;
-                const dcy = y + h / 2;
-                if (Math.sqrt((pcx - dcx) ** 2 + (pcy - dcy) ** 2) < 60) {
-                    personId = pid;
-                }
-            });
+            const personId = personIds[idx] || null;
 
             if (personId) {
                 const assessment = this.threatEngine._quickAssess(personId);
@@ -283,4 +246,4 @@ class VideoAnalyzer {
     }
 }
 
-window.VideoAnalyzer = VideoAnalyzer;
+export { VideoAnalyzer };
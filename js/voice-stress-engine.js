@@ -7,6 +7,8 @@
  * jitter/shimmer voice quality metrics, spectral centroid analysis.
  */
 
+import { SpeechTimingTracker, speechTimingForWindow } from './speech-timing.js';
+
 class VoiceStressEngine {
     constructor() {
         // Audio nodes
@@ -31,6 +33,22 @@ class VoiceStressEngine {
         this.isActive = false;
         this.sampleRate = 48000;
 
+        // Headless PCM input (no AudioContext)
+        this.pcmMode = false;
+        this.pcmFrameSamples = 1600;     // samples per analysis frame (~30 per second)
+        this.pcmPendingSamples = 0;
+        this.pcmSamplesConsumed = 0;
+        this.smoothedSpectrum = null;
+        this.SMOOTHING_TIME_CONSTANT = 0.3;
+
+        // Frame timing (ms). Frames arrive at the video inference rate,
+        // so durations come from frame times, not frame counts.
+        this.timeOrigin = null;
+        this.lastFrameTime = 0;
+        this.elapsedMs = 0;
+        this.speechDurationMs = 0;
+        this.nextTimelineMs = 1000;
+
         // Voice activity detection
         this.isSpeechActive = false;
         this.speechFrameCount = 0;
@@ -40,13 +58,25 @@ class VoiceStressEngine {
         this.inSilencePause = false;
         this.pauseDurations = [];
         this.currentPauseStart = 0;
+        this.speechSpans = [];                  // [{ start, end }] frame times of continuous speech
+        this.speechTiming = new SpeechTimingTracker(); // syllable nuclei and filled pauses
+
+        // Signal quality: summed RMS of speech and of silence frames (SNR),
+        // and recent VAD decisions for the live speech ratio
+        this.speechRmsSum = 0;
+        this.noiseRmsSum = 0;
+        this.recentActivity = [];               // [{ time, speaking }]
+        this.ACTIVITY_WINDOW_MS = 3000;
 
         // F0 tracking
         this.f0History = [];
         this.f0Baseline = null;
         this.baselineF0Values = [];
+        this.baselineSpeechMs = 0;
         this.baselineEstablished = false;
-        this.BASELINE_SPEECH_FRAMES = 150; // ~5 seconds of speech at 30fps
+        this.BASELINE_SPEECH_SECONDS = 5;
+        this.baselineMode = 'auto';              // 'auto' (first 5 s of speech), 'recording' (manual window) or 'fixed'
+        this.baselineRange = { start: 0, end: 0 }; // f0History indices that formed the baseline
 
         // Jitter/shimmer
         this.pitchPeriods = [];
@@ -55,13 +85,13 @@ class VoiceStressEngine {
         // Spectral tracking
         this.spectralHistory = [];
         this.spectralBaseline = null;
+        this.spectralBaselineCount = 0;
 
         // Tremor tracking
         this.tremorHistory = [];
 
         // Timeline for report
         this.vsaTimeline = [];
-        this.timelineWindowFrames = 30; // 1-second windows
 
         // Configuration
         this.F0_MIN = 75;
@@ -77,7 +107,7 @@ class VoiceStressEngine {
         this.destroy();
 
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.audioContext = new (globalThis.AudioContext || globalThis.webkitAudioContext)();
             this.sampleRate = this.audioContext.sampleRate;
 
             this.analyserNode = this.audioContext.createAnalyser();
@@ -116,7 +146,7 @@ class VoiceStressEngine {
         this.destroy();
 
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.audioContext = new (globalThis.AudioContext || globalThis.webkitAudioContext)();
             this.sampleRate = this.audioContext.sampleRate;
 
             this.analyserNode = this.audioContext.createAnalyser();
@@ -149,9 +179,28 @@ class VoiceStressEngine {
         }
     }
 
+    /**
+     * Headless setup: no AudioContext, PCM is pushed through processPCM().
+     * Lets recorded audio buffers be scored outside the browser.
+     * @param {number} sampleRate - Sample rate of the PCM that will be pushed
+     */
+    initPCM(sampleRate = 48000) {
+        this.destroy();
+
+        this.sampleRate = sampleRate;
+        this.pcmFrameSamples = Math.max(1, Math.round(sampleRate / 30));
+        this.pcmPendingSamples = 0;
+        this.pcmSamplesConsumed = 0;
+        this.smoothedSpectrum = new Float32Array(this.fftSize / 2);
+        this.pcmMode = true;
+
+        this._allocateBuffers();
+        this.isActive = true;
+    }
+
     _allocateBuffers() {
         this.timeDomainBuffer = new Float32Array(this.fftSize);
-        this.frequencyBuffer = new Float32Array(this.analyserNode.frequencyBinCount);
+        this.frequencyBuffer = new Float32Array(this.fftSize / 2);
         this.ringBuffer = new Float32Array(this.ringBufferSize);
         this.ringBufferWritePos = 0;
         this.ringBufferFilled = false;
@@ -191,6 +240,7 @@ class VoiceStressEngine {
         this.sourceNode = null;
         this.muteGain = null;
         this.scriptProcessor = null;
+        this.pcmMode = false;
         this.isActive = false;
     }
 
@@ -198,11 +248,15 @@ class VoiceStressEngine {
         this.f0History = [];
         this.f0Baseline = null;
         this.baselineF0Values = [];
+        this.baselineSpeechMs = 0;
         this.baselineEstablished = false;
+        this.baselineMode = 'auto';
+        this.baselineRange = { start: 0, end: 0 };
         this.pitchPeriods = [];
         this.cycleAmplitudes = [];
         this.spectralHistory = [];
         this.spectralBaseline = null;
+        this.spectralBaselineCount = 0;
         this.tremorHistory = [];
         this.vsaTimeline = [];
         this.speechFrameCount = 0;
@@ -212,44 +266,143 @@ class VoiceStressEngine {
         this.inSilencePause = false;
         this.pauseDurations = [];
         this.currentPauseStart = 0;
+        this.speechSpans = [];
+        this.speechTiming.clear();
+        this.speechRmsSum = 0;
+        this.noiseRmsSum = 0;
+        this.recentActivity = [];
         this.isSpeechActive = false;
+        this.timeOrigin = null;
+        this.lastFrameTime = 0;
+        this.elapsedMs = 0;
+        this.speechDurationMs = 0;
+        this.nextTimelineMs = 1000;
         if (this.ringBuffer) this.ringBuffer.fill(0);
         this.ringBufferWritePos = 0;
         this.ringBufferFilled = false;
+        this.pcmPendingSamples = 0;
+        this.pcmSamplesConsumed = 0;
+        if (this.smoothedSpectrum) this.smoothedSpectrum.fill(0);
     }
 
     // ── Real-time Processing ──
 
-    processAudioFrame() {
+    /**
+     * Analyze the current analyser buffers
+     * @param {number} timestamp - Frame time in ms (defaults to the audio clock)
+     */
+    processAudioFrame(timestamp = this.audioContext ? this.audioContext.currentTime * 1000 : 0) {
         if (!this.isActive || !this.analyserNode) return;
 
-        this.totalFrameCount++;
-
         // Get audio data
         this.analyserNode.getFloatTimeDomainData(this.timeDomainBuffer);
         this.analyserNode.getFloatFrequencyData(this.frequencyBuffer);
 
+        this._analyzeFrame(timestamp);
+    }
+
+    /**
+     * Push raw mono PCM (headless mode). Runs one analysis frame for every
+     * 1/30 s of audio, mirroring the per-video-frame cadence of processAudioFrame().
+     * @param {Float32Array|number[]} samples - PCM samples in [-1, 1]
+     */
+    processPCM(samples) {
+        if (!this.isActive || !this.pcmMode) return;
+
+        const pcm = samples instanceof Float32Array ? samples : Float32Array.from(samples);
+        let offset = 0;
+
+        while (offset < pcm.length) {
+            const take = Math.min(pcm.length - offset, this.pcmFrameSamples - this.pcmPendingSamples);
+            this._fillRingBuffer(pcm.subarray(offset, offset + take));
+            offset += take;
+            this.pcmPendingSamples += take;
+            this.pcmSamplesConsumed += take;
+
+            if (this.pcmPendingSamples >= this.pcmFrameSamples) {
+                this.pcmPendingSamples = 0;
+                this._readPCMFrame();
+                this._analyzeFrame(this.pcmSamplesConsumed * 1000 / this.sampleRate);
+            }
+        }
+    }
+
+    /**
+     * Fill the time/frequency buffers from the ring buffer the way an
+     * AnalyserNode would (Blackman window, temporal smoothing, dB magnitudes).
+     */
+    _readPCMFrame() {
+        const available = this.ringBufferFilled ? this.ringBufferSize : this.ringBufferWritePos;
+        const count = Math.min(this.fftSize, available);
+        const missing = this.fftSize - count;
+
+        this.timeDomainBuffer.fill(0, 0, missing);
+        let readPos = (this.ringBufferWritePos - count + this.ringBufferSize) % this.ringBufferSize;
+        for (let i = missing; i < this.fftSize; i++) {
+            this.timeDomainBuffer[i] = this.ringBuffer[readPos];
+            readPos = (readPos + 1) % this.ringBufferSize;
+        }
+
+        const N = this.fftSize;
+        const windowed = new Float32Array(N);
+        for (let i = 0; i < N; i++) {
+            const blackman = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / N) + 0.08 * Math.cos(4 * Math.PI * i / N);
+            windowed[i] = this.timeDomainBuffer[i] * blackman;
+        }
+
+        const mag = this._fftMagnitude(windowed);
+        const tau = this.SMOOTHING_TIME_CONSTANT;
+        for (let i = 0; i < mag.length; i++) {
+            this.smoothedSpectrum[i] = tau * this.smoothedSpectrum[i] + (1 - tau) * (mag[i] / N);
+            this.frequencyBuffer[i] = 20 * Math.log10(this.smoothedSpectrum[i]);
+        }
+    }
+
+    _analyzeFrame(time) {
+        this.totalFrameCount++;
+
+        // The first frame stands for one nominal 1/30 s interval
+        const nominal = 1000 / 30;
+        if (this.timeOrigin === null) this.timeOrigin = time - nominal;
+        const dt = this.totalFrameCount === 1 || time <= this.lastFrameTime ? nominal : time - this.lastFrameTime;
+        this.lastFrameTime = time;
+        this.elapsedMs = time - this.timeOrigin;
+
         // Voice activity detection
+        const wasSpeaking = this.isSpeechActive;
         this.isSpeechActive = this._detectVoiceActivity();
+        const rms = this._computeRMS(this.timeDomainBuffer);
+        let f0 = 0;
+        this.recentActivity.push({ time, speaking: this.isSpeechActive });
+        while (time - this.recentActivity[0].time > this.ACTIVITY_WINDOW_MS) this.recentActivity.shift();
 
         if (this.isSpeechActive) {
             this.speechFrameCount++;
+            this.speechDurationMs += dt;
+            this.speechRmsSum += rms;
 
             // Track silence pauses
             if (this.inSilencePause) {
                 this.inSilencePause = false;
-                this.pauseDurations.push(this.totalFrameCount - this.currentPauseStart);
+                this.pauseDurations.push(time - this.currentPauseStart);
             }
+            if (wasSpeaking) this.speechSpans[this.speechSpans.length - 1].end = time;
+            else this.speechSpans.push({ start: time, end: time });
 
             // F0 tracking
-            const f0 = this._trackFundamentalFrequency();
+            f0 = this._trackFundamentalFrequency();
             if (f0 > 0) {
-                this.f0History.push({ time: this.totalFrameCount, f0, amplitude: this._computeRMS(this.timeDomainBuffer) });
+                this.f0History.push({ time: this.elapsedMs, f0, amplitude: this._computeRMS(this.timeDomainBuffer) });
 
-                // Baseline establishment
-                if (!this.baselineEstablished) {
+                // Baseline establishment: a manual window, or ~5 seconds of voiced speech
+                if (this.baselineMode === 'recording') {
+                    this.baselineF0Values.push(f0);
+                    this.baselineSpeechMs += dt;
+                } else if (this.baselineMode === 'auto' && !this.baselineEstablished) {
                     this.baselineF0Values.push(f0);
-                    if (this.baselineF0Values.length >= this.BASELINE_SPEECH_FRAMES) {
+                    this.baselineSpeechMs += dt;
+                    if (this.baselineSpeechMs >= this.BASELINE_SPEECH_SECONDS * 1000) {
+                        this.baselineRange = { start: 0, end: this.f0History.length };
                         this._establishBaseline();
                     }
                 }
@@ -270,8 +423,9 @@ class VoiceStressEngine {
             if (this.spectralHistory.length > 900) this.spectralHistory.shift();
 
             // Establish spectral baseline
-            if (!this.spectralBaseline && this.spectralHistory.length >= this.BASELINE_SPEECH_FRAMES) {
-                const baseSamples = this.spectralHistory.slice(0, this.BASELINE_SPEECH_FRAMES);
+            if (!this.spectralBaseline && this.speechDurationMs >= this.BASELINE_SPEECH_SECONDS * 1000) {
+                const baseSamples = this.spectralHistory.slice();
+                this.spectralBaselineCount = baseSamples.length;
                 this.spectralBaseline = {
                     centroid: baseSamples.reduce((s, sp) => s + sp.centroid, 0) / baseSamples.length,
                     hammarberg: baseSamples.reduce((s, sp) => s + sp.hammarberg, 0) / baseSamples.length
@@ -280,27 +434,32 @@ class VoiceStressEngine {
         } else {
             // Track silence
             this.silenceFrameCount++;
+            this.noiseRmsSum += rms;
             if (!this.inSilencePause && this.speechFrameCount > 0) {
                 this.inSilencePause = true;
-                this.currentPauseStart = this.totalFrameCount;
+                this.currentPauseStart = time;
                 this.silencePauses++;
             }
         }
 
+        this.speechTiming.push(time, { speaking: this.isSpeechActive, level: rms, f0 });
+
         // Micro-tremor analysis (runs regardless of VAD, needs continuous buffer)
         if (this.ringBufferFilled || this.ringBufferWritePos > this.sampleRate) {
             const tremor = this._analyzeMicroTremor();
             if (tremor) {
-                this.tremorHistory.push({ time: this.totalFrameCount, ...tremor });
+                this.tremorHistory.push({ time: this.elapsedMs, ...tremor });
                 if (this.tremorHistory.length > 300) this.tremorHistory.shift();
             }
         }
 
         // Build timeline entry every ~1 second
-        if (this.totalFrameCount % this.timelineWindowFrames === 0) {
+        if (this.elapsedMs >= this.nextTimelineMs) {
+            while (this.nextTimelineMs <= this.elapsedMs) this.nextTimelineMs += 1000;
             const assess = this._quickAssess();
             this.vsaTimeline.push({
-                timeSeconds: Math.round(this.totalFrameCount / 30),
+                time,
+                timeSeconds: Math.round(this.elapsedMs / 1000),
                 voiceStress: assess.voiceStress,
                 f0: assess.currentF0,
                 isSpeaking: assess.isSpeaking
@@ -392,7 +551,10 @@ class VoiceStressEngine {
             spectralShift: spectralShiftScore,
             isSpeaking: this.isSpeechActive,
             hasBaseline: this.baselineEstablished,
-            currentF0: Math.round(currentF0)
+            currentF0: Math.round(currentF0),
+            speechRatio: Math.round(this.recentActivity.filter(a => a.speaking).length / this.recentActivity.length * 100) / 100,
+            snrDb: this._snrDb(),
+            baselineCompleteness: Math.round(this._baselineCompleteness() * 100) / 100
         };
     }
 
@@ -405,7 +567,10 @@ class VoiceStressEngine {
             spectralShift: 0,
             isSpeaking: false,
             hasBaseline: false,
-            currentF0: 0
+            currentF0: 0,
+            speechRatio: 0,
+            snrDb: null,
+            baselineCompleteness: 0
         };
     }
 
@@ -654,6 +819,47 @@ class VoiceStressEngine {
         };
     }
 
+    /**
+     * Start a manual baseline window: F0 from now until endBaseline() is the reference
+     */
+    startBaseline() {
+        this.baselineMode = 'recording';
+        this.baselineF0Values = [];
+        this.baselineSpeechMs = 0;
+        this.baselineEstablished = false;
+        this.f0Baseline = null;
+        this.baselineRange = { start: this.f0History.length, end: this.f0History.length };
+    }
+
+    /**
+     * Close the manual window; with too little voiced speech in it the
+     * automatic baseline takes over again
+     */
+    endBaseline() {
+        if (this.baselineMode !== 'recording') return;
+        this.baselineRange.end = this.f0History.length;
+        if (this.baselineF0Values.length >= 10) {
+            this.baselineMode = 'fixed';
+            this._establishBaseline();
+        } else {
+            this.baselineMode = 'auto';
+            this.baselineF0Values = [];
+            this.baselineSpeechMs = 0;
+        }
+    }
+
+    /**
+     * Reuse a saved F0 baseline from an earlier session
+     * @param {object} f0Baseline - { meanF0, sdF0 } in Hz
+     */
+    useBaseline(f0Baseline) {
+        this.baselineMode = 'fixed';
+        this.baselineF0Values = [];
+        this.f0Baseline = { meanF0: f0Baseline.meanF0, sdF0: f0Baseline.sdF0 };
+        this.baselineEstablished = true;
+        this.baselineRange = { start: 0, end: 0 };
+    }
+
     _establishBaseline() {
         const vals = this.baselineF0Values;
         const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
@@ -665,19 +871,37 @@ class VoiceStressEngine {
         this.baselineEstablished = true;
     }
 
+    // ── Signal Quality ──
+
+    /**
+     * Speech-to-noise ratio: mean RMS of speech frames over mean RMS of silence frames
+     * @returns {number|null} dB, or null until both speech and silence have been heard
+     */
+    _snrDb() {
+        if (this.speechFrameCount === 0 || this.silenceFrameCount === 0) return null;
+        const speech = this.speechRmsSum / this.speechFrameCount;
+        const noise = Math.max(1e-4, this.noiseRmsSum / this.silenceFrameCount);
+        return Math.round(20 * Math.log10(speech / noise) * 10) / 10;
+    }
+
+    // Share of the F0 baseline collected so far (0-1)
+    _baselineCompleteness() {
+        if (this.baselineEstablished) return 1;
+        return Math.min(1, this.baselineSpeechMs / (this.BASELINE_SPEECH_SECONDS * 1000));
+    }
+
     // ── Full Post-Scan Analysis ──
 
     fullAnalysis() {
-        const speechRatio = this.totalFrameCount > 0
-            ? Math.round((this.speechFrameCount / this.totalFrameCount) * 100) : 0;
+        const speechRatio = this.elapsedMs > 0
+            ? Math.round((this.speechDurationMs / this.elapsedMs) * 100) : 0;
 
         if (this.speechFrameCount < 10) {
             return this._defaultFullResult(speechRatio);
         }
 
-        const fps = 30;
-        const totalDuration = this.totalFrameCount / fps;
-        const speechDuration = this.speechFrameCount / fps;
+        const totalDuration = this.elapsedMs / 1000;
+        const speechDuration = this.speechDurationMs / 1000;
 
         // F0 analysis
         const allF0 = this.f0History.map(h => h.f0);
@@ -687,8 +911,9 @@ class VoiceStressEngine {
 
         let f0DeviationPercent = 0;
         if (this.baselineEstablished && this.f0Baseline) {
-            // Analysis mean = mean of post-baseline F0 values
-            const postBaseline = this.f0History.slice(this.BASELINE_SPEECH_FRAMES);
+            // Analysis mean = mean of the F0 values outside the baseline window
+            const { start, end } = this.baselineRange;
+            const postBaseline = this.f0History.filter((h, i) => i < start || i >= end);
             if (postBaseline.length > 0) {
                 const analysisMean = postBaseline.reduce((s, h) => s + h.f0, 0) / postBaseline.length;
                 f0DeviationPercent = Math.abs((analysisMean - this.f0Baseline.meanF0) / this.f0Baseline.meanF0 * 100);
@@ -733,8 +958,8 @@ class VoiceStressEngine {
         let centroidShift = 0;
         let hammarbergShift = 0;
         let spectralAssessment = 'Insufficient data';
-        if (this.spectralBaseline && this.spectralHistory.length > this.BASELINE_SPEECH_FRAMES) {
-            const postBaseline = this.spectralHistory.slice(this.BASELINE_SPEECH_FRAMES);
+        if (this.spectralBaseline && this.spectralHistory.length > this.spectralBaselineCount) {
+            const postBaseline = this.spectralHistory.slice(this.spectralBaselineCount);
             const analysisCentroid = postBaseline.reduce((s, sp) => s + sp.centroid, 0) / postBaseline.length;
             const analysisHammarberg = postBaseline.reduce((s, sp) => s + sp.hammarberg, 0) / postBaseline.length;
             centroidShift = Math.round(analysisCentroid - this.spectralBaseline.centroid);
@@ -744,8 +969,9 @@ class VoiceStressEngine {
         }
 
         // Speech metrics
+        const timing = this._scanTiming();
         const avgPauseDuration = this.pauseDurations.length > 0
-            ? Math.round(this.pauseDurations.reduce((a, b) => a + b, 0) / this.pauseDurations.length / fps * 100) / 100
+            ? Math.round(this.pauseDurations.reduce((a, b) => a + b, 0) / this.pauseDurations.length / 1000 * 100) / 100
             : 0;
 
         // Composite voice stress score
@@ -763,7 +989,7 @@ class VoiceStressEngine {
         ));
 
         const confidenceLevel = Math.min(100, Math.round(
-            (this.speechFrameCount / 300) * 50 +
+            (this.speechDurationMs / 10000) * 50 +
             (this.baselineEstablished ? 40 : 0) +
             (this.tremorHistory.length > 10 ? 10 : 0)
         ));
@@ -817,16 +1043,26 @@ class VoiceStressEngine {
                 totalSpeechDuration: Math.round(speechDuration * 10) / 10,
                 totalDuration: Math.round(totalDuration * 10) / 10,
                 silencePauses: this.silencePauses,
-                avgPauseDuration
+                avgPauseDuration,
+                snrDb: this._snrDb(),
+                speechRate: timing.speechRate,
+                articulationRate: timing.articulationRate,
+                pauses: timing.pauses,
+                filledPauses: timing.filledPauses
             },
 
+            baselineCompleteness: Math.round(this._baselineCompleteness() * 100) / 100,
+
             vsaTimeline: this.vsaTimeline,
+            speechSpans: this.speechSpans,
+            speechTiming: this.speechTiming.summary(),
             indicators,
             overallAssessment
         };
     }
 
     _defaultFullResult(speechRatio) {
+        const timing = this._scanTiming();
         return {
             voiceStressScore: 0,
             confidenceLevel: 0,
@@ -835,8 +1071,12 @@ class VoiceStressEngine {
             microTremor: { avgEnergy: 0, peakEnergy: 0, avgPeakFreq: 0, tremorScore: 0, assessment: 'Insufficient data' },
             voiceQuality: { jitter: 0, shimmer: 0, shimmerDB: 0, jitterAssessment: 'No data', shimmerAssessment: 'No data' },
             spectralAnalysis: { baselineCentroid: null, centroidShift: 0, hammarbergShift: 0, assessment: 'Insufficient data' },
-            speechMetrics: { speechRatio, totalSpeechDuration: 0, totalDuration: this.totalFrameCount / 30, silencePauses: 0, avgPauseDuration: 0 },
+            speechMetrics: { speechRatio, totalSpeechDuration: 0, totalDuration: this.elapsedMs / 1000, silencePauses: 0, avgPauseDuration: 0, snrDb: this._snrDb(),
+                speechRate: timing.speechRate, articulationRate: timing.articulationRate, pauses: timing.pauses, filledPauses: timing.filledPauses },
+            baselineCompleteness: Math.round(this._baselineCompleteness() * 100) / 100,
             vsaTimeline: [],
+            speechSpans: this.speechSpans,
+            speechTiming: this.speechTiming.summary(),
             indicators: [{ label: 'INSUFFICIENT SPEECH', color: 'yellow' }],
             overallAssessment: 'Insufficient speech detected for voice stress analysis. Ensure the subject speaks clearly into the microphone.'
         };
@@ -884,6 +1124,13 @@ class VoiceStressEngine {
         return `Voice analysis indicates low stress levels (${voiceStress}%). Vocal patterns remain close to baseline with normal tremor and pitch variation. Voice biometrics are consistent with truthful baseline behavior.`;
     }
 
+    // Speech timing over the whole scan (see speech-timing.js)
+    _scanTiming() {
+        const report = { speechSpans: this.speechSpans, speechTiming: this.speechTiming.summary() };
+        const start = this.timeOrigin === null ? 0 : this.timeOrigin;
+        return speechTimingForWindow(report, start, Math.max(start, this.lastFrameTime));
+    }
+
     // ── Utility Methods ──
 
     _computeRMS(buffer) {
@@ -952,4 +1199,4 @@ class VoiceStressEngine {
     }
 }
 
-window.VoiceStressEngine = VoiceStressEngine;
+export { VoiceStressEngine };
@@ -0,0 +1,79 @@
+/* ============================================
+   BUILD-CJS - CommonJS bundle for the engines
+   Walks the ES module graph from js/index.js and
+   emits dist/index.cjs so require() consumers can
+   use the same engines. No dependencies: only the
+   import/export forms used in js/ are supported.
+   ============================================ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, resolve, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const ENTRY = resolve(ROOT, 'js/index.js');
+const OUT = resolve(ROOT, 'dist/index.cjs');
+
+const IMPORT_RE = /^import\s*\{([^}]*)\}\s*from\s*['"](\.[^'"]+)['"];?\s*$/;
+const REEXPORT_RE = /^export\s*\{([^}]*)\}\s*from\s*['"](\.[^'"]+)['"];?\s*$/;
+const EXPORT_LIST_RE = /^export\s*\{([^}]*)\};?\s*$/;
+const EXPORT_DECL_RE = /^export\s+((?:async\s+)?function\*?|class|const|let)\s+([A-Za-z_$][\w$]*)/;
+
+const modules = new Map(); // absolute path -> { id, body, exports }
+const order = [];
+
+function moduleId(file) {
+    return '__' + relative(ROOT, file).replace(/\.js$/, '').replace(/[^\w]/g, '_');
+}
+
+function parseNames(list) {
+    return list.split(',').map(s => s.trim()).filter(Boolean).map(spec => {
+        const [name, alias] = spec.split(/\s+as\s+/);
+        return { name: name.trim(), alias: (alias || name).trim() };
+    });
+}
+
+function load(file) {
+    if (modules.has(file)) return modules.get(file);
+
+    const mod = { id: moduleId(file), lines: [], exports: [] };
+    modules.set(file, mod);
+
+    const source = readFileSync(file, 'utf8').split('\n');
+    for (const line of source) {
+        let m;
+        if ((m = line.match(IMPORT_RE))) {
+            const dep = load(resolve(dirname(file), m[2]));
+            const names = parseNames(m[1]).map(n => n.name === n.alias ? n.name : `${n.name}: ${n.alias}`);
+            mod.lines.push(`const { ${names.join(', ')} } = ${dep.id};`);
+        } else if ((m = line.match(REEXPORT_RE))) {
+            const dep = load(resolve(dirname(file), m[2]));
+            parseNames(m[1]).forEach(n => mod.exports.push({ alias: n.alias, expr: `${dep.id}.${n.name}` }));
+        } else if ((m = line.match(EXPORT_LIST_RE))) {
+            parseNames(m[1]).forEach(n => mod.exports.push({ alias: n.alias, expr: n.name }));
+        } else if ((m = line.match(EXPORT_DECL_RE))) {
+            mod.exports.push({ alias: m[2], expr: m[2] });
+            mod.lines.push(line.replace(/^export\s+/, ''));
+        } else if (/^\s*(import|export)\b/.test(line)) {
+            throw new Error(`Unsupported module syntax in ${relative(ROOT, file)}: ${line}`);
+        } else {
+            mod.lines.push(line);
+        }
+    }
+
+    order.push(mod);
+    return mod;
+}
+
+const entry = load(ENTRY);
+
+let out = "'use strict';\n/* Generated by scripts/build-cjs.js from js/index.js — do not edit. */\n\n";
+for (const mod of order) {
+    const exportsObj = mod.exports.map(e => `${e.alias}: ${e.expr}`).join(', ');
+    out += `const ${mod.id} = (() => {\n${mod.lines.join('\n')}\nreturn { ${exportsObj} };\n})();\n\n`;
+}
+out += `module.exports = ${entry.id};\n`;
+
+mkdirSync(dirname(OUT), { recursive: true });
+writeFileSync(OUT, out);
+console.log(`Wrote ${relative(ROOT, OUT)} (${order.length} modules)`);
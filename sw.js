@@ -1,4 +1,4 @@
-const CACHE_NAME = 'microsenses-mini2-v9';
+const CACHE_NAME = 'microsenses-mini2-v32';
 const ASSETS = [
     '/',
     '/index.html',
@@ -8,6 +8,27 @@ const ASSETS = [
     '/js/neuro-analyzer.js',
     '/js/deception-engine.js',
     '/js/voice-stress-engine.js',
+    '/js/frame-timing.js',
+    '/js/person-tracker.js',
+    '/js/reid-gallery.js',
+    '/js/scan-pipeline.js',
+    '/js/scoring-profiles.js',
+    '/js/settings.js',
+    '/js/frame-quality.js',
+    '/js/head-pose.js',
+    '/js/landmark-alignment.js',
+    '/js/action-units.js',
+    '/js/baseline.js',
+    '/js/modality-fusion.js',
+    '/js/live-smoothing.js',
+    '/js/vibration-spectrum.js',
+    '/js/interview-questions.js',
+    '/js/interview-protocol.js',
+    '/js/speech-timing.js',
+    '/js/frame-analyzer.js',
+    '/js/analysis-worker.js',
+    '/js/session-recorder.js',
+    '/js/session-replay.js',
     '/manifest.json',
     '/assets/icon-192.png',
     '/assets/icon-512.png'
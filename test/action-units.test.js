@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ActionUnitEstimator, AU_KEYS, AU_ACTIVE } from '../js/action-units.js';
+import { ShapeAligner } from '../js/landmark-alignment.js';
+import { DeceptionEngine } from '../js/deception-engine.js';
+import { ThreatEngine } from '../js/threat-engine.js';
+import { generateFaceSequence } from '../js/synthetic-faces.js';
+
+// Neutral for 4 s (baseline is the first 3 s), then the expression held for 2 s
+function unitsAt(expression) {
+    const microExpressions = expression ? [{ at: 4, expression, durationMs: 2000, intensity: 0.9 }] : [];
+    const { frames } = generateFaceSequence({ seed: 3, duration: 6, blinks: { times: [] }, microExpressions });
+    const aligner = new ShapeAligner();
+    const estimator = new ActionUnitEstimator();
+    let units;
+    frames.forEach(f => { units = estimator.update(aligner.align(f.detection.landmarks.positions).points, f.timestamp); });
+    return units;
+}
+
+const active = units => AU_KEYS.filter(k => units[k] >= AU_ACTIVE);
+
+test('a neutral face activates no Action Units', () => {
+    assert.deepEqual(active(unitsAt(null)), []);
+});
+
+test('expressions activate their FACS units', () => {
+    assert.deepEqual(active(unitsAt('surprised')), ['AU1', 'AU2', 'AU5', 'AU25', 'AU26']);
+    assert.deepEqual(active(unitsAt('happy')), ['AU6', 'AU12']);
+    assert.deepEqual(active(unitsAt('angry')), ['AU4']);
+    assert.deepEqual(active(unitsAt('sad')), ['AU15']);
+    assert.deepEqual(active(unitsAt('disgusted')), ['AU9']);
+});
+
+test('blinks do not read as lid tightening', () => {
+    const { frames } = generateFaceSequence({ seed: 3, duration: 6, blinks: { times: [4, 5] } });
+    const aligner = new ShapeAligner();
+    const estimator = new ActionUnitEstimator();
+    frames.forEach(f => {
+        const units = estimator.update(aligner.align(f.detection.landmarks.positions).points, f.timestamp);
+        assert.ok(units.AU7 < AU_ACTIVE && units.AU6 < AU_ACTIVE, `t=${f.timestamp}`);
+    });
+});
+
+test('engines carry the AU stream and the deception report has an AU timeline', () => {
+    const { frames } = generateFaceSequence({
+        seed: 5, duration: 10, microExpressions: [{ at: 6, expression: 'surprised', durationMs: 1500, intensity: 0.8 }]
+    });
+    const threat = new ThreatEngine();
+    const deception = new DeceptionEngine();
+    let quick;
+    frames.forEach(f => {
+        threat.processFrame('S', f.detection, f.timestamp);
+        quick = deception.processFrame('S', f.detection, f.timestamp);
+    });
+    assert.ok('AU12' in threat.frameHistory.get('S').at(-1).actionUnits);
+    assert.ok('AU26' in quick.actionUnits);
+
+    const { summary, timeline } = deception.fullAnalysis('S').actionUnits;
+    assert.equal(timeline.length, 10);
+    assert.ok(timeline[6].units.AU26 >= AU_ACTIVE);
+    assert.ok(timeline[2].units.AU26 < AU_ACTIVE);
+
+    const jaw = summary.find(u => u.unit === 'AU26');
+    assert.equal(jaw.activations, 1);
+    assert.ok(jaw.peak > 0.5);
+    assert.equal(summary.find(u => u.unit === 'AU4').activations, 0);
+});
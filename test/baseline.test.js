@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DeceptionEngine, ScanPipeline, SessionRecorder, replaySession, serializeDetection, generateFaceSequence } from '../js/index.js';
+import { saveBaseline, findSavedBaseline, promptAt, NEUTRAL_PROMPTS, BASELINES_KEY } from '../js/baseline.js';
+
+function memoryStorage() {
+    const data = new Map();
+    return {
+        getItem: (k) => (data.has(k) ? data.get(k) : null),
+        setItem: (k, v) => data.set(k, String(v))
+    };
+}
+
+// Fearful for the opening 3 s, calm afterwards: the default baseline catches the fear
+const { frames } = generateFaceSequence({
+    seed: 11, duration: 12, microExpressions: [{ at: 0, expression: 'fearful', durationMs: 3000, intensity: 0.8 }]
+});
+
+function runEngine(spec, engine = new DeceptionEngine()) {
+    if (spec) engine.setBaseline('S', spec);
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    return engine.fullAnalysis('S');
+}
+
+test('a marked window replaces the opening seconds as the baseline', () => {
+    const fallback = runEngine(null);
+    const marked = runEngine({ source: 'marked', start: 5000, end: 9000 });
+
+    assert.equal(fallback.baseline.source, 'default');
+    assert.ok(fallback.baseline.profile.avgExpr.fearful > 0.2);
+
+    assert.equal(marked.baseline.source, 'marked');
+    assert.equal(marked.baseline.startSeconds, 5);
+    assert.ok(Math.abs(marked.baseline.endSeconds - 9) <= 0.1);
+    assert.ok(marked.baseline.profile.avgExpr.fearful < 0.05);
+    assert.ok(Math.abs(marked.baseline.profile.durationSec - 4) <= 0.1);
+    assert.equal(marked.baselineEstablished, true);
+});
+
+test('an open window collects frames until it is closed', () => {
+    const engine = new DeceptionEngine();
+    engine.setBaseline('S', { source: 'recorded', start: 0, end: null });
+    frames.forEach(f => {
+        if (f.timestamp >= 6000 && engine.baselines.get('S').end === null) {
+            engine.setBaseline('S', { source: 'recorded', start: 0, end: 6000 });
+        }
+        engine.processFrame('S', f.detection, f.timestamp);
+    });
+    const closedLive = engine.fullAnalysis('S');
+    const closedUpFront = runEngine({ source: 'recorded', start: 0, end: 6000 });
+    assert.deepEqual(closedLive.baseline, closedUpFront.baseline);
+});
+
+test('the baseline window survives the capped frame history', () => {
+    const engine = new DeceptionEngine();
+    engine.maxHistoryFrames = 120;
+    const result = runEngine({ source: 'recorded', start: 0, end: 3000 }, engine);
+    assert.equal(result.framesAnalyzed, 120);
+    assert.equal(result.baseline.source, 'recorded');
+    assert.ok(result.baseline.profile.frames >= 85, `${result.baseline.profile.frames} baseline frames`);
+});
+
+test('baselines save per subject and are reused in later sessions', () => {
+    const storage = memoryStorage();
+    const first = runEngine({ source: 'marked', start: 5000, end: 9000 });
+    const report = {
+        deceptionResult: first,
+        voiceResult: { baselineEstablished: true, fundamentalFrequency: { baselineMean: 180, baselineSD: 12 } }
+    };
+
+    assert.equal(saveBaseline('  ', report, storage), null);
+    assert.equal(saveBaseline('Subject A', { deceptionResult: { baseline: { profile: null } } }, storage), null);
+    const saved = saveBaseline(' Subject A ', report, storage);
+    assert.deepEqual(saved.voice, { meanF0: 180, sdF0: 12 });
+
+    const found = findSavedBaseline('subject a', storage);
+    assert.equal(found.subject, 'Subject A');
+    assert.deepEqual(found.face, first.baseline.profile);
+    assert.equal(findSavedBaseline('Someone Else', storage), null);
+
+    storage.setItem(BASELINES_KEY, '{not json');
+    assert.equal(findSavedBaseline('Subject A', storage), null);
+
+    const second = runEngine({ source: 'saved', subject: found.subject, profile: found.face });
+    assert.equal(second.baseline.source, 'saved');
+    assert.equal(second.baseline.subject, 'Subject A');
+    assert.deepEqual(second.baseline.profile, first.baseline.profile);
+    assert.equal(second.baselineEstablished, true);
+});
+
+test('Action Units are scored against the chosen baseline face', () => {
+    // Smiling through the opening seconds, neutral in the middle, smiling again at 10 s
+    const smiles = generateFaceSequence({
+        seed: 5, duration: 12, microExpressions: [
+            { at: 0, expression: 'happy', durationMs: 3000, intensity: 0.9 },
+            { at: 10, expression: 'happy', durationMs: 1500, intensity: 0.9 }
+        ]
+    }).frames;
+    const lipCornerPull = (spec) => {
+        const engine = new DeceptionEngine();
+        if (spec) engine.setBaseline('S', spec);
+        smiles.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+        const result = engine.fullAnalysis('S');
+        const at = ms => engine.frameHistory.get('S').find(f => f.timestamp - smiles[0].timestamp >= ms).actionUnits.AU12;
+        return { result, early: at(1000), late: at(10500) };
+    };
+
+    const fallback = lipCornerPull(null);
+    const marked = lipCornerPull({ source: 'marked', start: 4000, end: 9000 });
+    assert.ok(fallback.late < 0.1, `smile against a smiling neutral: ${fallback.late}`);
+    assert.ok(marked.late > 0.5, `smile against the marked neutral: ${marked.late}`);
+    // Frames before the window closed are rescored against it too
+    assert.ok(marked.early > 0.5, `opening smile against the marked neutral: ${marked.early}`);
+
+    const saved = lipCornerPull({ source: 'saved', subject: 'S', profile: marked.result.baseline.profile });
+    assert.equal(saved.late, marked.late);
+});
+
+test('neutral prompts rotate through the baseline phase', () => {
+    assert.equal(promptAt(0), NEUTRAL_PROMPTS[0]);
+    assert.equal(promptAt(5200), NEUTRAL_PROMPTS[1]);
+    assert.equal(promptAt(5000 * NEUTRAL_PROMPTS.length), NEUTRAL_PROMPTS[0]);
+});
+
+// Live scan with baseline choices made at the given times; returns the live report and its recording
+function recordScan(choices) {
+    const recorder = new SessionRecorder();
+    const pipeline = new ScanPipeline();
+    recorder.start({ mode: 'deception', scanDuration: 0 });
+    pipeline.start('deception');
+
+    const pending = [...choices];
+    const choose = () => {
+        const { spec } = pending.shift();
+        recorder.recordBaseline(pipeline.setBaseline(spec).t, spec);
+    };
+    while (pending.length > 0 && pending[0].at === null) choose();
+    frames.forEach(f => {
+        const faces = [serializeDetection(f.detection)];
+        recorder.recordFrame(f.timestamp, faces);
+        pipeline.processFrame(faces, f.timestamp);
+        while (pending.length > 0 && f.timestamp >= pending[0].at) choose();
+    });
+    recorder.finish({ duration: 12 });
+    return { live: pipeline.complete(), recorder };
+}
+
+test('sessions with a chosen baseline replay to the same report', () => {
+    // Marked from 4 s to 8 s while the interview runs
+    const { live, recorder } = recordScan([
+        { at: 4000, spec: { source: 'marked', start: 4000, end: null } },
+        { at: 8000, spec: { source: 'marked', start: 4000, end: 8000 } }
+    ]);
+    assert.equal(live.deceptionResult.baseline.source, 'marked');
+    assert.equal(JSON.stringify(replaySession(recorder.toNDJSON())), JSON.stringify(live));
+});
+
+test('a re-marked baseline replays every change in order', () => {
+    // Recorded from the start, then marked twice; only the last window is the baseline
+    // but the earlier ones shaped the live Action Unit neutral face while they were open
+    const { live, recorder } = recordScan([
+        { at: null, spec: { source: 'recorded', start: 0, end: null } },
+        { at: 2000, spec: { source: 'recorded', start: 0, end: 2000 } },
+        { at: 3000, spec: { source: 'marked', start: 3000, end: null } },
+        { at: 5000, spec: { source: 'marked', start: 3000, end: 5000 } },
+        { at: 6000, spec: { source: 'marked', start: 6000, end: null } },
+        { at: 9000, spec: { source: 'marked', start: 6000, end: 9000 } }
+    ]);
+    const changes = recorder.toSession().end.baselineChanges;
+    assert.equal(changes.length, 6);
+    assert.equal(changes[0].t, null);
+    assert.equal(live.deceptionResult.baseline.startSeconds, 6);
+    assert.equal(JSON.stringify(replaySession(recorder.toNDJSON())), JSON.stringify(live));
+});
@@ -0,0 +1,48 @@
+/* Speech-like PCM fixtures: harmonic voice with syllable envelope, pauses, fillers and noise */
+
+import { createRng } from '../../js/index.js';
+
+/**
+ * @param {object} options - { seed, sampleRate, duration, f0, f0Jitter, tremorHz, tremorDepth, syllableRate, pauses,
+ *   filled: [[start, end]] held "uh" at a steady level, noise }
+ * @returns {Float32Array} Mono PCM in [-1, 1]
+ */
+export function synthesizeSpeech(options = {}) {
+    const {
+        seed = 1,
+        sampleRate = 16000,
+        duration = 10,
+        f0 = 130,
+        f0Jitter = 0.004,
+        tremorHz = 0,
+        tremorDepth = 0,
+        syllableRate = 4,
+        pauses = [],
+        filled = [],
+        noise = 0.01
+    } = options;
+
+    const rng = createRng(seed);
+    const n = Math.round(duration * sampleRate);
+    const pcm = new Float32Array(n);
+    let phase = 0;
+    let drift = 0;
+
+    for (let i = 0; i < n; i++) {
+        const t = i / sampleRate;
+        if (i % 160 === 0) drift = drift * 0.9 + (rng() * 2 - 1) * f0Jitter;
+
+        const freq = f0 * (1 + drift + tremorDepth * Math.sin(2 * Math.PI * tremorHz * t));
+        phase += 2 * Math.PI * freq / sampleRate;
+
+        let voice = 0;
+        for (let k = 1; k <= 8; k++) voice += Math.sin(k * phase) / k;
+
+        const inPause = pauses.some(([start, end]) => t >= start && t < end);
+        const inFiller = filled.some(([start, end]) => t >= start && t < end);
+        const envelope = inPause ? 0 : (inFiller ? 0.6 : 0.25 + 0.75 * Math.pow(Math.sin(Math.PI * syllableRate * t), 2));
+        pcm[i] = 0.2 * voice * envelope + (rng() * 2 - 1) * noise;
+    }
+
+    return pcm;
+}
@@ -0,0 +1,31 @@
+/* Landmark fixtures for the golden suite, built from fixed generator seeds */
+
+import { generateFaceSequence } from '../../js/index.js';
+
+export const FACE_FIXTURES = {
+    calm: {
+        seed: 11,
+        duration: 20,
+        blinks: { rate: 16 }
+    },
+    stressed: {
+        seed: 23,
+        duration: 20,
+        timestampJitter: 4,
+        expression: { neutral: 0.7, fearful: 0.08, sad: 0.08, angry: 0.06, happy: 0.04, disgusted: 0.02, surprised: 0.02 },
+        blinks: { rate: 22 },
+        suppressBurst: { at: 6, suppressSec: 6, burstCount: 4, burstGapMs: 350 },
+        tremor: { frequency: 5, amplitude: 1.2 },
+        drift: { vx: 3, vy: -1, sway: 4, swayPeriod: 5 },
+        microExpressions: [
+            { at: 4, expression: 'fearful', durationMs: 100, intensity: 0.6 },
+            { at: 9.5, expression: 'disgusted', durationMs: 130, intensity: 0.5 },
+            { at: 15, expression: 'happy', durationMs: 100, intensity: 0.55 }
+        ],
+        incongruent: [{ at: 17, durationMs: 600, happy: 0.45, fearful: 0.35 }]
+    }
+};
+
+export function faceFixture(name) {
+    return generateFaceSequence(FACE_FIXTURES[name]).frames;
+}
@@ -0,0 +1,36 @@
+/* Voice fixtures for the golden suite */
+
+import { synthesizeSpeech } from './audio.js';
+
+export const VOICE_FIXTURES = {
+    calm: {
+        seed: 5,
+        duration: 12,
+        f0: 125,
+        pauses: [[3, 3.6], [7, 7.5]]
+    },
+    stressed: {
+        seed: 9,
+        duration: 12,
+        f0: 125,
+        f0Jitter: 0.012,
+        tremorHz: 10,
+        tremorDepth: 0.03,
+        syllableRate: 5,
+        pauses: [[2, 2.3], [5.5, 6.8], [9, 9.2]],
+        // Pitch rises after the baseline window
+        rise: { at: 6, f0: 150 }
+    }
+};
+
+export function voiceFixture(name) {
+    const { rise, ...options } = VOICE_FIXTURES[name];
+    if (!rise) return synthesizeSpeech(options);
+
+    const before = synthesizeSpeech({ ...options, duration: rise.at });
+    const after = synthesizeSpeech({ ...options, seed: options.seed + 1, duration: options.duration - rise.at, f0: rise.f0 });
+    const pcm = new Float32Array(before.length + after.length);
+    pcm.set(before);
+    pcm.set(after, before.length);
+    return pcm;
+}
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LocalFrameAnalyzer } from '../js/frame-analyzer.js';
+import { SessionRecorder } from '../js/session-recorder.js';
+import { generateFaceSequence } from '../js/synthetic-faces.js';
+
+// Minimal stand-in for the face-api global: replays synthetic detections
+// through the same detectAllFaces(...).withX() chain the app uses
+function fakeFaceApi(frames) {
+    let index = 0;
+    const chain = {
+        withFaceLandmarks: () => chain,
+        withFaceExpressions: () => chain,
+        withFaceDescriptors: () => { api.described++; return chain; },
+        then: (resolve) => resolve([frames[index++].detection])
+    };
+    const api = {
+        described: 0, // frames the recognition net ran on
+        detectAllFaces: () => chain,
+        TinyFaceDetectorOptions: class {},
+        // Deception scans load the recognition net for the subject lock
+        nets: { faceRecognitionNet: { loadFromUri: async () => {} } }
+    };
+    return api;
+}
+
+test('local analyzer returns face records, frame data and live scores', async () => {
+    const { frames } = generateFaceSequence({ seed: 5, fps: 10, duration: 2, expression: { angry: 0.6, neutral: 0.4 } });
+    const analyzer = new LocalFrameAnalyzer(fakeFaceApi(frames));
+    await analyzer.start('detection');
+
+    let result;
+    for (const frame of frames) result = await analyzer.analyze(null, frame.timestamp);
+
+    assert.equal(result.faces.length, 1);
+    assert.deepEqual(result.frame.personIds, ['P1']);
+    assert.equal(result.live.persons.length, 1);
+    assert.equal(result.live.persons[0].personId, 'P1');
+    assert.ok(result.live.persons[0].score > 0);
+
+    const report = await analyzer.complete();
+    assert.equal(report.threatResults[0].personId, 'P1');
+    assert.equal(report.framesProcessed, frames.length);
+});
+
+test('deception live view carries the subject assessment', async () => {
+    const { frames } = generateFaceSequence({ seed: 6, fps: 10, duration: 2 });
+    const analyzer = new LocalFrameAnalyzer(fakeFaceApi(frames));
+    await analyzer.start('deception');
+
+    let result;
+    for (const frame of frames) result = await analyzer.analyze(null, frame.timestamp);
+
+    assert.ok(result.frame.subject);
+    assert.equal(typeof result.live.assess.deceptionProbability, 'number');
+});
+
+test('a scan resumed from its recording continues as if never interrupted', async () => {
+    const { frames } = generateFaceSequence({ seed: 7, fps: 10, duration: 6 });
+    const startRecorder = () => {
+        const recorder = new SessionRecorder();
+        recorder.start({ mode: 'deception' });
+        return recorder;
+    };
+    const scan = async (analyzer, from, to, recorder) => {
+        for (const frame of frames.slice(from, to)) {
+            const { faces } = await analyzer.analyze(null, frame.timestamp);
+            recorder.recordFrame(frame.timestamp, faces);
+            if (frame.timestamp >= 1000 && recorder.questionMarks.length === 0) {
+                const mark = await analyzer.markQuestion('Did you take it?', 'relevant');
+                recorder.recordQuestionMark(mark.t, 'Did you take it?', 'relevant');
+            }
+        }
+    };
+
+    const whole = new LocalFrameAnalyzer(fakeFaceApi(frames));
+    await whole.start('deception');
+    await scan(whole, 0, frames.length, startRecorder());
+
+    // The first analyzer fails after 3 s; a second one takes over from the recording
+    const recorder = startRecorder();
+    const first = new LocalFrameAnalyzer(fakeFaceApi(frames));
+    await first.start('deception');
+    await scan(first, 0, 30, recorder);
+    const second = new LocalFrameAnalyzer(fakeFaceApi(frames.slice(30)));
+    await second.resume(recorder.toSession(), recorder.events());
+    await scan(second, 30, frames.length, recorder);
+
+    const resumed = await second.complete();
+    assert.equal(resumed.framesProcessed, frames.length);
+    assert.equal(resumed.deceptionResult.questions.length, 1);
+    assert.equal(JSON.stringify(resumed), JSON.stringify(await whole.complete()));
+});
+
+test('deception scans describe faces only while a subject is locked', async () => {
+    const { frames } = generateFaceSequence({ seed: 8, fps: 10, duration: 1 });
+    const faceapi = fakeFaceApi(frames);
+    const analyzer = new LocalFrameAnalyzer(faceapi);
+    await analyzer.start('deception');
+
+    await analyzer.analyze(null, frames[0].timestamp);
+    assert.equal(faceapi.described, 0);
+    assert.equal(analyzer.lockSubject({ x: 300, y: 240 }).personId, 'P1');
+    await analyzer.analyze(null, frames[1].timestamp);
+    assert.equal(faceapi.described, 1);
+    analyzer.lockSubject(null);
+    await analyzer.analyze(null, frames[2].timestamp);
+    assert.equal(faceapi.described, 1);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { measureFaceImage, assessFaceQuality, SAMPLE_SIZE } from '../js/frame-quality.js';
+import { ScanPipeline } from '../js/scan-pipeline.js';
+import { serializeDetection } from '../js/session-recorder.js';
+import { generateFaceSequence } from '../js/synthetic-faces.js';
+
+function image(fill) {
+    const data = new Uint8ClampedArray(SAMPLE_SIZE * SAMPLE_SIZE * 4);
+    for (let y = 0; y < SAMPLE_SIZE; y++) {
+        for (let x = 0; x < SAMPLE_SIZE; x++) {
+            const v = fill(x, y);
+            const i = (y * SAMPLE_SIZE + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = v;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: SAMPLE_SIZE, height: SAMPLE_SIZE };
+}
+
+function runDetection(frames) {
+    const pipeline = new ScanPipeline();
+    pipeline.start('detection');
+    frames.forEach(f => pipeline.processFrame([serializeDetection(f.detection)], f.timestamp));
+    return pipeline.complete();
+}
+
+test('flat crops measure as blurry, textured crops as sharp', () => {
+    const flat = measureFaceImage(image(() => 120));
+    const textured = measureFaceImage(image((x, y) => ((x + y) % 2 ? 200 : 60)));
+
+    assert.equal(flat.brightness, 120);
+    assert.equal(flat.sharpness, 0);
+    assert.ok(textured.sharpness > 1000);
+});
+
+test('quality names the factors that failed', () => {
+    const { frames } = generateFaceSequence({ seed: 3, duration: 0.1 });
+    const good = frames[0].detection;
+    assert.deepEqual(assessFaceQuality(good), { score: 1, usable: true, reasons: [] });
+
+    const small = { ...good, detection: { box: { x: 0, y: 0, width: 30, height: 36 }, score: 0.95 } };
+    assert.deepEqual(assessFaceQuality(small).reasons, ['small-face']);
+
+    const dark = { ...good, image: { brightness: 20, sharpness: 5 } };
+    const q = assessFaceQuality(dark);
+    assert.equal(q.usable, false);
+    assert.deepEqual(q.reasons.sort(), ['blurry', 'too-dark']);
+});
+
+test('low-quality frames are excluded from scoring and reported', () => {
+    const { frames } = generateFaceSequence({ seed: 8, fps: 10, duration: 4 });
+    frames.forEach((f, i) => { if (i % 4 === 0) f.detection.detection.score = 0.2; });
+
+    const report = runDetection(frames);
+    const dropped = Math.ceil(frames.length / 4);
+
+    assert.equal(report.dataQuality.framesSeen, frames.length);
+    assert.equal(report.dataQuality.droppedFrames, dropped);
+    assert.equal(report.dataQuality.usablePercent, Math.round((frames.length - dropped) / frames.length * 100));
+    assert.deepEqual(report.dataQuality.dropReasons.map(r => r.reason), ['low-confidence']);
+
+    const person = report.threatResults[0];
+    assert.equal(person.framesAnalyzed, frames.length - dropped);
+    assert.equal(person.dataQuality.droppedFrames, dropped);
+});
+
+test('marginal quality lowers report confidence', () => {
+    const clean = generateFaceSequence({ seed: 9, fps: 10, duration: 4 }).frames;
+    const marginal = generateFaceSequence({ seed: 9, fps: 10, duration: 4, score: 0.55 }).frames;
+
+    const a = runDetection(clean).threatResults[0];
+    const b = runDetection(marginal).threatResults[0];
+
+    assert.equal(a.framesAnalyzed, b.framesAnalyzed);
+    assert.ok(b.confidence < a.confidence, `${b.confidence} < ${a.confidence}`);
+
+    const pipeline = new ScanPipeline();
+    pipeline.start('deception');
+    marginal.forEach(f => pipeline.processFrame([serializeDetection(f.detection)], f.timestamp));
+    const deception = pipeline.complete();
+    assert.ok(deception.dataQuality.meanQuality < 1);
+    assert.ok(deception.deceptionResult.confidenceLevel < 100);
+});
+
+test('a long marginal run stays as confident as its frames, no more', () => {
+    const long = generateFaceSequence({ seed: 10, fps: 10, duration: 20, score: 0.55 }).frames;
+    const report = runDetection(long);
+    const person = report.threatResults[0];
+    assert.ok(person.framesAnalyzed > 60);
+    assert.ok(person.confidence < 100, `confidence ${person.confidence}`);
+    assert.ok(Math.abs(person.confidence - person.dataQuality.meanQuality * 100) <= 1,
+        `${person.confidence} vs quality ${person.dataQuality.meanQuality}`);
+
+    // Clean frames: coverage alone, full from 60 frames
+    const short = runDetection(generateFaceSequence({ seed: 10, fps: 10, duration: 3 }).frames).threatResults[0];
+    assert.equal(short.confidence, Math.round(short.framesAnalyzed / 60 * 100));
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { generateFaceSequence, DeceptionEngine, ThreatEngine, NeuroAnalyzer, VoiceStressEngine } from '../js/index.js';
+import { durationSeconds, estimateFps, resampleUniform, timeWindows } from '../js/frame-timing.js';
+import { synthesizeSpeech } from './fixtures/audio.js';
+
+const frames = (times) => times.map(timestamp => ({ timestamp }));
+
+test('durationSeconds / estimateFps count one interval per frame', () => {
+    const uniform = frames(Array.from({ length: 30 }, (_, i) => i * 100));
+    assert.ok(Math.abs(durationSeconds(uniform) - 3) < 1e-9);
+    assert.ok(Math.abs(estimateFps(uniform) - 10) < 1e-9);
+    assert.equal(estimateFps(frames([5])), 30);
+    assert.equal(durationSeconds(frames([5, 5, 5]), 30), 0.1);
+});
+
+test('resampleUniform interpolates onto an even grid', () => {
+    const out = resampleUniform([0, 100, 300], [0, 1, 3], 10);
+    assert.deepEqual(out.map(v => Math.round(v * 1e9) / 1e9), [0, 1, 2, 3]);
+});
+
+test('timeWindows groups frames by elapsed seconds', () => {
+    const windows = timeWindows(frames([0, 400, 900, 1000, 2500]), 1);
+    assert.deepEqual(windows.map(w => [w.timeSeconds, w.startIndex, w.frames.length]), [[0, 0, 3], [1, 3, 1], [2, 4, 1]]);
+});
+
+test('blink rates do not depend on the inference frame rate', () => {
+    const rates = [30, 12].map(fps => {
+        const { frames: seq, truth } = generateFaceSequence({ seed: 3, fps, duration: 30, timestampJitter: 8, blinks: { rate: 18, durationMs: 250 } });
+        const deception = new DeceptionEngine();
+        const threat = new ThreatEngine();
+        threat.setMode('deception');
+        seq.forEach(f => {
+            deception.processFrame('S', f.detection, f.timestamp);
+            threat.processFrame('S', f.detection, f.timestamp);
+        });
+        const expected = truth.blinks.length / 30 * 60;
+        return {
+            expected,
+            deception: deception.fullAnalysis('S').blinkAnalysis.rate,
+            neuro: new NeuroAnalyzer().analyze(threat.frameHistory.get('S')).biometrics.blinkRate
+        };
+    });
+
+    rates.forEach(r => {
+        assert.ok(Math.abs(r.deception - r.expected) < 1.5, `deception ${r.deception} vs ${r.expected}`);
+        assert.ok(Math.abs(r.neuro - r.expected) < 1.5, `neuro ${r.neuro} vs ${r.expected}`);
+    });
+});
+
+test('tremor frequency is recovered from jittered low-rate frames', () => {
+    const { frames: seq } = generateFaceSequence({ seed: 4, fps: 12, duration: 20, timestampJitter: 15, tremor: { frequency: 3, amplitude: 1.5 } });
+    const threat = new ThreatEngine();
+    threat.setMode('deception');
+    seq.forEach(f => threat.processFrame('S', f.detection, f.timestamp));
+
+    const result = new NeuroAnalyzer().analyze(threat.frameHistory.get('S'));
+    assert.ok(Math.abs(result.fps - 12) < 0.2);
+    assert.ok(Math.abs(result.biometrics.tremorFreqEstimate - 3) <= 0.5, `got ${result.biometrics.tremorFreqEstimate} Hz`);
+});
+
+test('deception timeline and micro-expressions are placed in real seconds', () => {
+    const { frames: seq } = generateFaceSequence({
+        seed: 5, fps: 10, duration: 12, blinks: { rate: 0 },
+        microExpressions: [{ at: 7, expression: 'fearful', durationMs: 150, intensity: 0.6 }]
+    });
+    const engine = new DeceptionEngine();
+    seq.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    const result = engine.fullAnalysis('S');
+
+    assert.equal(result.deceptionTimeline.length, 12);
+    assert.equal(result.deceptionTimeline[11].timeSeconds, 11);
+    assert.equal(result.microExpressions.length, 1);
+    assert.equal(result.microExpressions[0].timeSeconds, 7);
+    assert.ok(Math.abs(result.scanDuration - 12) < 1e-9);
+});
+
+test('voice durations follow the audio clock, not the frame count', () => {
+    const engine = new VoiceStressEngine();
+    engine.initPCM(16000);
+    engine.processPCM(synthesizeSpeech({ duration: 6, pauses: [[2, 3]] }));
+    const result = engine.fullAnalysis();
+
+    assert.ok(Math.abs(result.speechMetrics.totalDuration - 6) <= 0.1);
+    assert.equal(result.speechMetrics.silencePauses, 1);
+    assert.ok(Math.abs(result.speechMetrics.avgPauseDuration - 1) <= 0.15);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+
+import { ThreatEngine, DeceptionEngine, NeuroAnalyzer, VoiceStressEngine } from '../js/index.js';
+import { compareGolden } from './helpers/golden.js';
+import { faceFixture } from './fixtures/faces.js';
+import { voiceFixture } from './fixtures/voices.js';
+
+// Scores are integers or one-decimal values; allow a rounding step of drift
+// for values derived from floating-point landmark and spectral maths.
+const FACE_TOLERANCES = {
+    'biometrics.*': 0.05,
+    'blinkAnalysis.*': 0.05,
+    'neuroResult.*': 0.05
+};
+const VOICE_TOLERANCES = {
+    'fundamentalFrequency.*': 0.1,
+    'microTremor.*': 0.002,
+    'voiceQuality.*': 0.02,
+    'spectralAnalysis.*': 1,
+    'vsaTimeline.*.f0': 1
+};
+
+function runThreat(frames) {
+    const engine = new ThreatEngine();
+    engine.setMode('deception');
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    return engine;
+}
+
+function runVoice(pcm) {
+    const engine = new VoiceStressEngine();
+    engine.initPCM(16000);
+    engine.processPCM(pcm);
+    return engine.fullAnalysis();
+}
+
+for (const name of ['calm', 'stressed']) {
+    const frames = faceFixture(name);
+
+    test(`ThreatEngine.fullAnalysis — ${name}`, () => {
+        compareGolden(`threat-${name}`, runThreat(frames).fullAnalysis('S'), FACE_TOLERANCES);
+    });
+
+    test(`NeuroAnalyzer.analyze / analyzeForDeception — ${name}`, () => {
+        const history = runThreat(frames).frameHistory.get('S');
+        const neuro = new NeuroAnalyzer();
+        compareGolden(`neuro-${name}`, {
+            analyze: neuro.analyze(history, 30),
+            analyzeForDeception: neuro.analyzeForDeception(history, 30)
+        }, FACE_TOLERANCES);
+    });
+
+    test(`DeceptionEngine.fullAnalysis — ${name}`, () => {
+        const engine = new DeceptionEngine();
+        frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+        compareGolden(`deception-${name}`, engine.fullAnalysis('S'), FACE_TOLERANCES);
+    });
+
+    test(`VoiceStressEngine.fullAnalysis — ${name}`, () => {
+        compareGolden(`voice-${name}`, runVoice(voiceFixture(name)), VOICE_TOLERANCES);
+    });
+}
+
+test('DeceptionEngine.fullAnalysis with a voice report — stressed', () => {
+    const engine = new DeceptionEngine();
+    faceFixture('stressed').forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    compareGolden('deception-stressed-vsa', engine.fullAnalysis('S', runVoice(voiceFixture('stressed'))), {
+        ...FACE_TOLERANCES,
+        'vsa.*': 0.1
+    });
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { estimateHeadPose, poseAxes } from '../js/head-pose.js';
+import { DeceptionEngine } from '../js/deception-engine.js';
+import { NeuroAnalyzer } from '../js/neuro-analyzer.js';
+import { ThreatEngine } from '../js/threat-engine.js';
+import { generateFaceSequence } from '../js/synthetic-faces.js';
+
+const near = (actual, expected, tol, msg) =>
+    assert.ok(Math.abs(actual - expected) <= tol, `${msg}: ${actual} vs ${expected}`);
+
+function poseOf(options) {
+    const { frames } = generateFaceSequence({ duration: 0.1, noise: 0, ...options });
+    return estimateHeadPose(frames[0].detection.landmarks.positions);
+}
+
+function deceptionRun(options) {
+    const engine = new DeceptionEngine();
+    const { frames } = generateFaceSequence({ seed: 4, duration: 12, ...options });
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    return engine;
+}
+
+// Left/right glances every 0.6 s — a scanning head
+const SCANNING = Array.from({ length: 18 }, (_, k) => ({ at: 0.5 + k * 0.6, durationMs: 500, yaw: k % 2 ? -25 : 25 }));
+
+test('recovers yaw, pitch and roll from rotated landmarks', () => {
+    const frontal = poseOf({});
+    near(frontal.yaw, 0, 1, 'frontal yaw');
+    near(frontal.pitch, 0, 1, 'frontal pitch');
+    near(frontal.roll, 0, 1, 'frontal roll');
+
+    const turned = poseOf({ pose: { yaw: 30, pitch: -15, roll: 10 } });
+    near(turned.yaw, 30, 2, 'yaw');
+    near(turned.pitch, -15, 2, 'pitch');
+    near(turned.roll, 10, 2, 'roll');
+
+    assert.equal(estimateHeadPose([]), null);
+});
+
+test('pose axes point the facing direction toward the turn', () => {
+    const axes = poseAxes({ yaw: 30, pitch: 0, roll: 0 }, 100);
+    near(axes.z.dx, 50, 0.01, 'facing dx');
+    near(axes.z.dy, 0, 0.01, 'facing dy');
+    near(axes.y.dy, -100, 0.01, 'up axis points up the image');
+});
+
+test('every engine stores the pose in its frame data', () => {
+    const { frames } = generateFaceSequence({ duration: 0.2, pose: { yaw: 20 } });
+    const threat = new ThreatEngine();
+    const deception = new DeceptionEngine();
+    threat.processFrame('S', frames[0].detection, 0);
+    deception.processFrame('S', frames[0].detection, 0);
+
+    near(threat.frameHistory.get('S')[0].pose.yaw, 20, 2, 'threat pose');
+    near(deception.frameHistory.get('S')[0].pose.yaw, 20, 2, 'deception pose');
+});
+
+test('gaze aversion follows head rotation, not translation', () => {
+    const walking = deceptionRun({ drift: { vx: 25, vy: 0, sway: 15, swayPeriod: 2 } });
+    const lookingAway = deceptionRun({
+        headTurns: [2, 5, 8].map(at => ({ at, durationMs: 1500, yaw: 35 }))
+    });
+
+    assert.equal(walking.fullAnalysis('S').gazeAversion.aversionRate, 0);
+    assert.ok(lookingAway.fullAnalysis('S').gazeAversion.aversionRate > 0.15);
+});
+
+test('head scanning raises the neuro scan rate', () => {
+    const still = generateFaceSequence({ seed: 2, duration: 12 }).frames;
+    const scanning = generateFaceSequence({ seed: 2, duration: 12, headTurns: SCANNING }).frames;
+    const gaze = frames => new NeuroAnalyzer()._analyzeGazePatterns(frames.map(f => new ThreatEngine()._extractFrameData(f.detection, f.timestamp)));
+
+    const a = gaze(still);
+    const b = gaze(scanning);
+    assert.equal(a.scanRate, 0);
+    assert.ok(b.scanRate > a.scanRate);
+    assert.ok(b.stability < a.stability);
+});
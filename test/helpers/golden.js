@@ -0,0 +1,94 @@
+/* ============================================
+   GOLDEN FILES - Snapshot engine outputs as JSON
+   compareGolden() diffs a result against
+   test/golden/<name>.json with per-field numeric
+   tolerances. UPDATE_GOLDEN=1 rewrites the files
+   instead, so scoring changes land as JSON diffs.
+   ============================================ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import assert from 'node:assert/strict';
+
+const GOLDEN_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../golden');
+const DEFAULT_TOLERANCE = 1e-6;
+
+/**
+ * @param {string} name - Golden file name without extension
+ * @param {*} actual - Engine output (normalized through JSON)
+ * @param {object} tolerances - { 'path.pattern': absTolerance }, '*' matches one key or index
+ */
+export function compareGolden(name, actual, tolerances = {}) {
+    const file = resolve(GOLDEN_DIR, `${name}.json`);
+    const normalized = JSON.parse(JSON.stringify(actual));
+
+    if (process.env.UPDATE_GOLDEN) {
+        mkdirSync(GOLDEN_DIR, { recursive: true });
+        writeFileSync(file, JSON.stringify(normalized, null, 2) + '\n');
+        return;
+    }
+
+    assert.ok(existsSync(file), `Missing golden file test/golden/${name}.json — run npm run test:update-golden`);
+    const expected = JSON.parse(readFileSync(file, 'utf8'));
+
+    const rules = Object.entries(tolerances).map(([pattern, tol]) => ({
+        regex: new RegExp('^' + pattern.split('.').map(p => (p === '*' ? '[^.]+' : p.replace(/[$()+?[\]\\^{|}]/g, '\\$&'))).join('\\.') + '$'),
+        specificity: pattern.split('.').filter(p => p !== '*').length,
+        tol
+    }));
+
+    const diffs = [];
+    diffValues(expected, normalized, '', rules, diffs);
+
+    if (diffs.length > 0) {
+        assert.fail(`${name}: ${diffs.length} field(s) differ from golden (npm run test:update-golden to accept)\n  ` +
+            diffs.slice(0, 40).join('\n  ') + (diffs.length > 40 ? `\n  ... ${diffs.length - 40} more` : ''));
+    }
+}
+
+function toleranceFor(path, rules) {
+    let best = null;
+    for (const rule of rules) {
+        if (rule.regex.test(path) && (!best || rule.specificity > best.specificity)) best = rule;
+    }
+    return best ? best.tol : DEFAULT_TOLERANCE;
+}
+
+function diffValues(expected, actual, path, rules, diffs) {
+    const label = path || '(root)';
+
+    if (typeof expected === 'number' && typeof actual === 'number') {
+        const tol = toleranceFor(path, rules);
+        if (Math.abs(expected - actual) > tol) diffs.push(`${label}: expected ${expected}, got ${actual} (±${tol})`);
+        return;
+    }
+
+    if (Array.isArray(expected) || Array.isArray(actual)) {
+        if (!Array.isArray(expected) || !Array.isArray(actual)) {
+            diffs.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+            return;
+        }
+        if (expected.length !== actual.length) {
+            diffs.push(`${label}: expected ${expected.length} items, got ${actual.length}`);
+        }
+        const n = Math.min(expected.length, actual.length);
+        for (let i = 0; i < n; i++) diffValues(expected[i], actual[i], path ? `${path}.${i}` : `${i}`, rules, diffs);
+        return;
+    }
+
+    if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        for (const key of keys) {
+            const childPath = path ? `${path}.${key}` : key;
+            if (!(key in actual)) diffs.push(`${childPath}: missing (expected ${JSON.stringify(expected[key])})`);
+            else if (!(key in expected)) diffs.push(`${childPath}: unexpected field (${JSON.stringify(actual[key])})`);
+            else diffValues(expected[key], actual[key], childPath, rules, diffs);
+        }
+        return;
+    }
+
+    if (expected !== actual) {
+        diffs.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
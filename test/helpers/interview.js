@@ -0,0 +1,47 @@
+/* ============================================
+   INTERVIEW - Shared question-mark scan fixture
+   A 24 s deception scan, calm except for leaks
+   and a blink burst while the question asked at
+   10 s is answered. runInterview() scores it with
+   question marks made live, optionally recording
+   the session for replay.
+   ============================================ */
+
+import { ScanPipeline, serializeDetection, generateFaceSequence } from '../../js/index.js';
+
+export const INTERVIEW_DURATION = 24;
+
+export const { frames: INTERVIEW_FRAMES } = generateFaceSequence({
+    seed: 12, duration: INTERVIEW_DURATION,
+    microExpressions: [
+        { at: 11, expression: 'fearful', durationMs: 250, intensity: 0.8 },
+        { at: 12.5, expression: 'disgusted', durationMs: 200, intensity: 0.8 },
+        { at: 14, expression: 'angry', durationMs: 300, intensity: 0.8 }
+    ],
+    incongruent: [{ at: 12, durationMs: 2000, happy: 0.5, fearful: 0.3 }],
+    blinks: { times: [1, 2.5, 5, 7.5, 10.2, 10.6, 11.1, 13.2, 13.5, 13.9, 18, 21] }
+});
+
+/**
+ * @param {Array} marks - [{ at: ms, label, type? }] (label null = answered)
+ * @param {SessionRecorder|null} recorder - Records frames and marks when given
+ * @returns {object} { pipeline, report }
+ */
+export function runInterview(marks, recorder = null) {
+    const pipeline = new ScanPipeline();
+    pipeline.start('deception');
+    if (recorder) recorder.start({ mode: 'deception' });
+    const pending = [...marks];
+    INTERVIEW_FRAMES.forEach(f => {
+        const records = [serializeDetection(f.detection)];
+        if (recorder) recorder.recordFrame(f.timestamp, records);
+        pipeline.processFrame(records, f.timestamp);
+        while (pending.length > 0 && f.timestamp >= pending[0].at) {
+            const { label, type } = pending.shift();
+            const mark = pipeline.markQuestion(label, type || null);
+            if (mark && recorder) recorder.recordQuestionMark(mark.t, label, type || null);
+        }
+    });
+    if (recorder) recorder.finish({ duration: INTERVIEW_DURATION });
+    return { pipeline, report: pipeline.complete() };
+}
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SessionRecorder, replaySession } from '../js/index.js';
+import { parseProtocol, resolveProtocol, compareToControls } from '../js/interview-protocol.js';
+import { runInterview } from './helpers/interview.js';
+
+// The relevant question is the one answered with leaks and a blink burst
+const INTERVIEW = [
+    { at: 4000, label: 'Before this year, did you ever lie to get out of trouble?', type: 'control' },
+    { at: 9000, label: null },
+    { at: 10000, label: 'Did you take the money?', type: 'relevant' },
+    { at: 15000, label: null },
+    { at: 17000, label: 'Have you ever broken a promise?', type: 'control' },
+    { at: 23000, label: null }
+];
+
+// A scored per-question row, as the DeceptionEngine reports it
+const row = (index, type, fields = {}) => ({
+    index, label: `Q${index + 1}`, type, startSeconds: 0, endSeconds: 10,
+    deceptionProbability: 20, faceProbability: 20, cognitiveLoad: 10, microExpressions: 0,
+    blinkChange: 0, voiceStress: null, responseLatencyMs: null, ...fields
+});
+
+test('protocols are validated question by question', () => {
+    const protocol = parseProtocol(JSON.stringify({
+        name: ' Theft ', questions: [{ text: ' Is today Monday? ', type: 'neutral', answerSeconds: 5 }]
+    }));
+    assert.equal(protocol.name, 'Theft');
+    assert.deepEqual(protocol.questions, [{ text: 'Is today Monday?', type: 'neutral', answerSeconds: 5, pauseSeconds: null }]);
+
+    assert.throws(() => parseProtocol('{'), /not valid JSON/);
+    assert.throws(() => resolveProtocol({ questions: [] }), /non-empty/);
+    assert.throws(() => resolveProtocol({ questions: [{ text: 'A', type: 'probing' }] }), /Question 1: "type"/);
+    assert.throws(() => resolveProtocol({ questions: [{ text: 'A', type: 'control' }, { text: ' ', type: 'control' }] }), /Question 2 needs a "text"/);
+    assert.throws(() => resolveProtocol({ questions: [{ text: 'A', type: 'control', pauseSeconds: -1 }] }), /pauseSeconds/);
+});
+
+test('channels score against the mean of the controls', () => {
+    const result = compareToControls([
+        row(0, 'neutral', { faceProbability: 90 }),
+        row(1, 'control', { faceProbability: 10, blinkChange: -10 }),
+        row(2, 'relevant', { faceProbability: 40, cognitiveLoad: 30, blinkChange: 20, microExpressions: 1 }),
+        row(3, 'control', { faceProbability: 20, blinkChange: 14 })
+    ]);
+    assert.equal(result.controls, 2);
+    assert.equal(result.controlMeans.faceProbability, 15);
+    // Suppression and bursts both count: 10 and 14 blinks/min away from baseline
+    assert.equal(result.controlMeans.blinkShift, 12);
+
+    const [relevant] = result.questions;
+    const score = Object.fromEntries(relevant.channels.map(ch => [ch.key, ch.score]));
+    assert.deepEqual(score, { faceProbability: -1, cognitiveLoad: -1, microRate: -1, blinkShift: -1, voiceStress: 0, responseLatencyMs: 0 });
+    assert.equal(relevant.channels.find(ch => ch.key === 'voiceStress').difference, null);
+    assert.equal(result.grandTotal, -4);
+    assert.equal(result.verdict, 'reactive');
+});
+
+test('calm relevant questions read not-reactive, and one-sided interviews are insufficient', () => {
+    const calm = compareToControls([
+        row(0, 'control', { faceProbability: 50, cognitiveLoad: 40, microExpressions: 2 }),
+        row(1, 'relevant'),
+        row(2, 'relevant')
+    ]);
+    assert.equal(calm.questions[0].total, 3);
+    assert.equal(calm.verdict, 'not-reactive');
+
+    assert.equal(compareToControls([row(0, 'relevant'), row(1, null)]).verdict, 'insufficient');
+    // Unscored controls do not count
+    assert.equal(compareToControls([row(0, 'control', { deceptionProbability: null }), row(1, 'relevant')]).verdict, 'insufficient');
+    assert.equal(compareToControls([]).questions.length, 0);
+});
+
+test('a scan with a reactive relevant question reads reactive', () => {
+    const { questions, controlComparison } = runInterview(INTERVIEW).report.deceptionResult;
+    assert.deepEqual(questions.map(q => q.type), ['control', 'relevant', 'control']);
+    assert.equal(controlComparison.relevant, 1);
+    assert.ok(controlComparison.questions[0].total <= -3, `total ${controlComparison.questions[0].total}`);
+    assert.equal(controlComparison.verdict, 'reactive');
+});
+
+test('question types are recorded and replayed', () => {
+    const recorder = new SessionRecorder();
+    runInterview(INTERVIEW, recorder);
+    assert.deepEqual(recorder.toSession().end.questionMarks.map(m => m.type), ['control', null, 'relevant', null, 'control', null]);
+    const { questions, controlComparison } = replaySession(recorder.toNDJSON()).deceptionResult;
+    assert.deepEqual(questions.map(q => q.type), ['control', 'relevant', 'control']);
+    assert.equal(controlComparison.verdict, 'reactive');
+});
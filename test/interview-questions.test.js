@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SessionRecorder, replaySession } from '../js/index.js';
+import { voiceForWindow, parseQuestionList } from '../js/interview-questions.js';
+import { listProtocol, scriptQuestion } from '../js/interview-protocol.js';
+import { INTERVIEW_FRAMES, runInterview } from './helpers/interview.js';
+
+const INTERVIEW = [
+    { at: 4000, label: 'Where were you on Friday?' },
+    { at: 9000, label: null },
+    { at: 10000, label: 'Did you take the money?' },
+    { at: 15000, label: null },
+    { at: 17000, label: 'Anything else?' }
+];
+
+test('each question gets its own scores and the reactive one ranks first', () => {
+    const { questions } = runInterview(INTERVIEW).report.deceptionResult;
+    assert.deepEqual(questions.map(q => q.label), INTERVIEW.filter(m => m.label).map(m => m.label));
+    const [where, money, last] = questions;
+
+    assert.equal(money.rank, 1);
+    assert.ok(money.deceptionProbability > where.deceptionProbability, `${money.deceptionProbability} vs ${where.deceptionProbability}`);
+    assert.ok(money.microExpressions >= 2 && where.microExpressions === 0, `${money.microExpressions} / ${where.microExpressions}`);
+    assert.ok(money.blinkChange > where.blinkChange);
+    assert.ok(Math.abs(money.startSeconds - 10) <= 0.1 && Math.abs(money.endSeconds - 15) <= 0.1);
+
+    // Still open at the end of the scan: runs to the last frame
+    assert.ok(last.endSeconds >= 23.9);
+    // Without voice there is no stress or latency to report
+    assert.equal(where.voiceStress, null);
+    assert.equal(where.responseLatencyMs, null);
+});
+
+test('asking the next question closes the open one, and stray answers are ignored', () => {
+    const { pipeline } = runInterview([]);
+    assert.equal(pipeline.markQuestion(null), null);
+    assert.deepEqual(pipeline.markQuestion('First'), { index: 0, t: INTERVIEW_FRAMES[INTERVIEW_FRAMES.length - 1].timestamp });
+
+    const { questions } = runInterview([{ at: 4000, label: 'A' }, { at: 8000, label: 'B' }]).report.deceptionResult;
+    assert.equal(questions[0].endSeconds, questions[1].startSeconds);
+});
+
+test('voice stress and response latency are cut from the voice report', () => {
+    const report = {
+        vsaTimeline: [
+            { time: 1000, voiceStress: 10, isSpeaking: true },
+            { time: 3000, voiceStress: 40, isSpeaking: true },
+            { time: 4000, voiceStress: 60, isSpeaking: true },
+            { time: 5000, voiceStress: 90, isSpeaking: false }
+        ],
+        speechSpans: [{ start: 500, end: 1500 }, { start: 2800, end: 4500 }]
+    };
+    assert.deepEqual(voiceForWindow(report, 2000, 5000), { voiceStress: 50, speechRatio: 1700 / 3000, responseLatencyMs: 800 });
+    assert.equal(voiceForWindow(report, 1000, 2000).responseLatencyMs, 0);
+    assert.equal(voiceForWindow(report, 6000, 7000).responseLatencyMs, null);
+    assert.equal(voiceForWindow({ vsaTimeline: [] }, 0, 1000), null);
+});
+
+test('pre-loaded questions label the marks in order', () => {
+    const list = parseQuestionList('  Name?\n\nAge?\n');
+    assert.deepEqual(list, ['Name?', 'Age?']);
+    assert.equal(scriptQuestion(listProtocol(list), 1).text, 'Age?');
+    assert.equal(scriptQuestion(listProtocol(list), 2).text, 'Question 3');
+});
+
+test('sessions with question marks replay to the same report', () => {
+    const recorder = new SessionRecorder();
+    const { report } = runInterview(INTERVIEW, recorder);
+    assert.equal(recorder.toSession().end.questionMarks.length, INTERVIEW.length);
+    assert.equal(JSON.stringify(replaySession(recorder.toNDJSON())), JSON.stringify(report));
+});
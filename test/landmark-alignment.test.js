@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { procrustesAlign, ShapeAligner, shapeDisplacement } from '../js/landmark-alignment.js';
+import { ScanPipeline } from '../js/scan-pipeline.js';
+import { ThreatEngine } from '../js/threat-engine.js';
+import { STANDARD_PROFILE } from '../js/scoring-profiles.js';
+import { NeuroAnalyzer } from '../js/neuro-analyzer.js';
+import { serializeDetection } from '../js/session-recorder.js';
+import { generateFaceSequence } from '../js/synthetic-faces.js';
+
+// Move, zoom and roll a whole face in the image (camera shake / distance)
+function transform(positions, { dx = 0, dy = 0, scale = 1, angle = 0 }) {
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    return positions.map(p => ({
+        x: (p.x * cos - p.y * sin) * scale + dx,
+        y: (p.x * sin + p.y * cos) * scale + dy
+    }));
+}
+
+function meanVibration(frames) {
+    const pipeline = new ScanPipeline();
+    pipeline.start('deception');
+    let sum = 0;
+    frames.forEach(f => { sum += pipeline.processFrame([serializeDetection(f.detection)], f.timestamp).metrics.vibration; });
+    return sum / frames.length;
+}
+
+test('alignment removes translation, scale and rotation', () => {
+    const face = generateFaceSequence({ duration: 0.1, noise: 0 }).frames[0].detection.landmarks.positions;
+    const reference = procrustesAlign(face).points;
+    const moved = procrustesAlign(transform(face, { dx: 140, dy: -60, scale: 0.45, angle: 0.3 }), reference);
+
+    assert.ok(shapeDisplacement(moved.points, reference) < 1e-9);
+    assert.ok(Math.abs(moved.angle + 0.3) < 1e-9);
+    assert.equal(procrustesAlign([]), null);
+});
+
+test('head motion and camera shake do not read as vibration', () => {
+    const still = generateFaceSequence({ seed: 7, fps: 15, duration: 6 }).frames;
+    const shaken = generateFaceSequence({ seed: 7, fps: 15, duration: 6 }).frames.map((f, i) => {
+        const positions = transform(f.detection.landmarks.positions, {
+            dx: 30 * Math.sin(i * 1.7), dy: 20 * Math.cos(i * 2.3), scale: 1 + 0.15 * Math.sin(i * 0.9), angle: 0.08 * Math.sin(i * 1.3)
+        });
+        return { ...f, detection: { ...f.detection, landmarks: { positions } } };
+    });
+    const trembling = generateFaceSequence({ seed: 7, fps: 15, duration: 6, tremor: { frequency: 5, amplitude: 3 } }).frames;
+
+    const a = meanVibration(still);
+    const b = meanVibration(shaken);
+    assert.ok(Math.abs(a - b) < 0.05 * Math.max(a, 0.1), `${a} vs ${b}`);
+    assert.ok(meanVibration(trembling) > a * 1.5);
+});
+
+test('tremor scores do not depend on camera distance', () => {
+    const tremorScore = (scale) => {
+        const { frames } = generateFaceSequence({
+            seed: 12, duration: 10, noise: 0.15 * scale,
+            box: { x: 100, y: 60, width: 200 * scale, height: 240 * scale },
+            tremor: { frequency: 5, amplitude: 1.2 * scale }
+        });
+        const engine = new ThreatEngine();
+        engine.setMode('deception');
+        frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+        return new NeuroAnalyzer().analyze(engine.frameHistory.get('S')).biometrics.microTremorScore;
+    };
+
+    const near = tremorScore(2);
+    const far = tremorScore(0.5);
+    assert.ok(near > 0);
+    assert.ok(Math.abs(near - far) <= 2, `${near} vs ${far}`);
+});
+
+test('the reference shape freezes after its averaging window', () => {
+    const aligner = new ShapeAligner(3);
+    const { frames } = generateFaceSequence({ seed: 1, duration: 1 });
+    frames.slice(0, 3).forEach(f => aligner.align(f.detection.landmarks.positions));
+    const frozen = aligner.reference;
+    frames.slice(3).forEach(f => aligner.align(f.detection.landmarks.positions));
+    assert.equal(aligner.reference, frozen);
+
+    aligner.reset();
+    assert.equal(aligner.reference, null);
+});
+
+test('micro-movement weights keep their pixel calibration on a 200 px face', () => {
+    const { frames } = generateFaceSequence({ seed: 4, duration: 3, tremor: { frequency: 6, amplitude: 1.5 } });
+    const engine = new ThreatEngine();
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    const history = engine.frameHistory.get('S');
+
+    // What the weights were tuned on: mean raw landmark displacement in pixels
+    let pixels = 0;
+    for (let i = 1; i < history.length; i++) pixels += shapeDisplacement(history[i].landmarks, history[i - 1].landmarks);
+    pixels /= history.length - 1;
+
+    const { jitter } = engine._analyzeMicroMovements(history);
+    const { stress, tension } = STANDARD_PROFILE.threat;
+    assert.ok(Math.abs(jitter * stress.jitter / (pixels * 10) - 1) < 0.15, `${jitter} % vs ${pixels} px`);
+    assert.ok(Math.abs(jitter * tension.jitter / (pixels * 15) - 1) < 0.15);
+});
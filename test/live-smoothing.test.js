@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScoreSmoother, DwellLatch, hysteresisLevel, IndicatorStabilizer } from '../js/live-smoothing.js';
+import { createRng } from '../js/synthetic-faces.js';
+
+const LEVELS = [{ name: 'safe', min: 0 }, { name: 'caution', min: 35 }, { name: 'elevated', min: 55 }, { name: 'critical', min: 75 }];
+
+// Changes of the shown value over a 30 fps stream
+function transitions(values) {
+    let count = 0;
+    values.forEach((v, i) => { if (i > 0 && v !== values[i - 1]) count++; });
+    return count;
+}
+
+test('EMA follows a step at the same pace at any frame rate', () => {
+    const at = fps => {
+        const smoother = new ScoreSmoother('ema', 500);
+        let value;
+        for (let t = 0; t <= 1000; t += 1000 / fps) value = smoother.update(t < 1 ? 0 : 100, t);
+        return value;
+    };
+    assert.ok(Math.abs(at(30) - 75) < 2, `30 fps ${at(30)}`);
+    assert.ok(Math.abs(at(10) - at(30)) < 2);
+});
+
+test('windowed median ignores single-frame spikes', () => {
+    const smoother = new ScoreSmoother('median', 300);
+    [20, 20, 20, 95, 20, 20].forEach((v, i) => assert.equal(smoother.update(v, i * 33), 20));
+});
+
+test('levels are entered at the threshold and left below the margin', () => {
+    assert.equal(hysteresisLevel(56, 'caution', LEVELS, 5), 'elevated');
+    assert.equal(hysteresisLevel(52, 'elevated', LEVELS, 5), 'elevated');
+    assert.equal(hysteresisLevel(49, 'elevated', LEVELS, 5), 'caution');
+    assert.equal(hysteresisLevel(10, 'critical', LEVELS, 5), 'safe');
+    assert.equal(hysteresisLevel(80, undefined, LEVELS, 5), 'critical');
+});
+
+test('a new state shows only after the dwell time', () => {
+    const latch = new DwellLatch(500, false);
+    assert.equal(latch.update(true, 0), false);
+    assert.equal(latch.update(true, 400), false);
+    assert.equal(latch.update(false, 450), false);
+    assert.equal(latch.update(true, 500), false);
+    assert.equal(latch.update(true, 1000), true);
+});
+
+test('a noisy score near a threshold no longer flickers', () => {
+    const rng = createRng(4);
+    const raw = Array.from({ length: 300 }, () => 55 + (rng() * 2 - 1) * 8);
+    const flicker = raw.map(v => hysteresisLevel(v, undefined, LEVELS, 0));
+
+    const stabilizer = new IndicatorStabilizer();
+    const shown = raw.map((v, i) => {
+        const t = i * 33;
+        return stabilizer.level('P1', stabilizer.score('P1', v, t), LEVELS, t);
+    });
+    assert.ok(transitions(flicker) > 50, `raw ${transitions(flicker)} changes`);
+    assert.ok(transitions(shown) <= 2, `shown ${transitions(shown)} changes`);
+});
+
+test('a sustained change still comes through', () => {
+    const stabilizer = new IndicatorStabilizer({ method: 'ema', windowMs: 400, dwellMs: 500 });
+    let level;
+    for (let i = 0; i < 120; i++) {
+        const t = i * 33;
+        level = stabilizer.level('P1', stabilizer.score('P1', i < 30 ? 10 : 90, t), LEVELS, t);
+        if (i === 40) assert.equal(level, 'safe');
+    }
+    assert.equal(level, 'critical');
+    assert.equal(stabilizer.flag('chip', true, 0), false);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fuseModalities, faceReliability, voiceReliability, DeceptionEngine, VoiceStressEngine, generateFaceSequence } from '../js/index.js';
+import { synthesizeSpeech } from './fixtures/audio.js';
+
+const face = (score, reliability) => ({ modality: 'face', score, prior: 0.8, reliability });
+const voice = (score, reliability) => ({ modality: 'voice', score, prior: 0.2, reliability });
+
+test('fully reliable modalities keep the profile weights', () => {
+    const fusion = fuseModalities([face(40, 1), voice(90, 1)]);
+    assert.equal(fusion.score, 50);
+    assert.equal(fusion.confidence, 1);
+    assert.deepEqual(fusion.contributions.map(c => c.share), [80, 20]);
+});
+
+test('an unreliable modality drops out without lowering confidence', () => {
+    const silent = fuseModalities([face(40, 1), voice(90, 0)]);
+    assert.equal(silent.score, 40);
+    assert.deepEqual(silent.contributions.map(c => c.share), [100, 0]);
+    assert.equal(silent.confidence, 1);
+
+    // A voice channel with nothing to say leaves the face-only confidence as it is
+    const faceOnly = fuseModalities([face(40, 0.9)]);
+    assert.equal(faceOnly.confidence, 0.9);
+    assert.equal(fuseModalities([face(40, 0.9), voice(90, 0)]).confidence, faceOnly.confidence);
+
+    const poorFace = fuseModalities([face(40, 0.25), voice(90, 1)]);
+    assert.equal(poorFace.score, 65);
+    assert.deepEqual(poorFace.contributions.map(c => c.share), [50, 50]);
+
+    const nothing = fuseModalities([face(40, 0), voice(90, 0)]);
+    assert.equal(nothing.score, 50);
+    assert.equal(nothing.confidence, 0);
+});
+
+test('reliability follows quality, speech, SNR and baseline', () => {
+    assert.equal(faceReliability({ quality: 1, baselineCompleteness: 1 }), 1);
+    assert.equal(faceReliability({ quality: 0.5, baselineCompleteness: 0 }), 0.25);
+
+    const clean = { speechRatio: 0.6, snrDb: 30, baselineCompleteness: 1 };
+    assert.equal(voiceReliability(clean), 1);
+    assert.ok(voiceReliability({ ...clean, snrDb: 8 }) < 0.4);
+    assert.equal(voiceReliability({ ...clean, snrDb: 2 }), 0);
+    assert.equal(voiceReliability({ ...clean, speechRatio: 0.1 }), 0.2);
+    assert.equal(voiceReliability({ ...clean, baselineCompleteness: 0.5 }), 0.5);
+});
+
+test('voice engine measures SNR and the live speech ratio', () => {
+    const options = { seed: 4, duration: 8, pauses: [[2, 3], [5, 6]] };
+    const measure = noise => {
+        const engine = new VoiceStressEngine();
+        engine.initPCM(16000);
+        engine.processPCM(synthesizeSpeech({ ...options, noise }));
+        return { quick: engine._quickAssess(), full: engine.fullAnalysis() };
+    };
+    const quiet = measure(0.005);
+    const noisy = measure(0.1);
+
+    assert.ok(quiet.full.speechMetrics.snrDb > 20, `quiet ${quiet.full.speechMetrics.snrDb} dB`);
+    assert.ok(noisy.full.speechMetrics.snrDb < quiet.full.speechMetrics.snrDb - 10, `noisy ${noisy.full.speechMetrics.snrDb} dB`);
+    assert.equal(quiet.full.baselineCompleteness, 1);
+    assert.ok(quiet.quick.speechRatio > 0.5 && quiet.quick.speechRatio <= 1);
+});
+
+test('the deception report shows each modality contribution', () => {
+    const { frames } = generateFaceSequence({ seed: 2, duration: 16 });
+    const run = vsaReport => {
+        const engine = new DeceptionEngine();
+        frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+        return engine.fullAnalysis('S', vsaReport);
+    };
+    const speech = { speechRatio: 70, snrDb: 25 };
+    const faceOnly = run(null);
+    const clean = run({ voiceStressScore: 80, baselineEstablished: true, baselineCompleteness: 1, speechMetrics: speech });
+    const noisy = run({ voiceStressScore: 80, baselineEstablished: true, baselineCompleteness: 1, speechMetrics: { ...speech, snrDb: 6 } });
+
+    assert.deepEqual(faceOnly.fusion.contributions.map(c => c.modality), ['face']);
+    assert.equal(clean.fusion.contributions[1].share, 20);
+    assert.ok(noisy.fusion.contributions[1].share < clean.fusion.contributions[1].share);
+    assert.ok(noisy.deceptionProbability < clean.deceptionProbability);
+    assert.ok(noisy.fusion.confidence < clean.fusion.confidence);
+});
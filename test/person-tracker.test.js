@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PersonTracker } from '../js/index.js';
+import { solveAssignment, iou } from '../js/person-tracker.js';
+
+const face = (x, y, size = 100) => ({ detection: { box: { x, y, width: size, height: size * 1.2 } } });
+
+// Two faces walking towards each other on nearly the same line, crossing mid-way
+function crossingFrames(scale = 1) {
+    const frames = [];
+    for (let i = 0; i <= 40; i++) {
+        const t = i * 66;
+        frames.push({
+            t,
+            faces: [
+                face((100 + i * 15) * scale, 200 * scale, 100 * scale),
+                face((700 - i * 15) * scale, 230 * scale, 100 * scale)
+            ]
+        });
+    }
+    return frames;
+}
+
+function trackIds(tracker, frames) {
+    return frames.map(({ t, faces }) => tracker.update(faces, t).ids);
+}
+
+test('solveAssignment finds the global minimum where greedy matching would not', () => {
+    // Greedy on row 0 takes column 0 (cost 1) and forces row 1 onto column 1 (cost 10)
+    assert.deepEqual(solveAssignment([[1, 2], [2, 10]]), [1, 0]);
+    assert.deepEqual(solveAssignment([[5, 1, 9]]), [1]);
+    assert.deepEqual(solveAssignment([[3], [1], [2]]), [-1, 0, -1]);
+    assert.deepEqual(solveAssignment([]), []);
+});
+
+test('iou of identical, disjoint and half-overlapping boxes', () => {
+    const a = { x: 0, y: 0, width: 10, height: 10 };
+    assert.equal(iou(a, a), 1);
+    assert.equal(iou(a, { x: 20, y: 0, width: 10, height: 10 }), 0);
+    assert.ok(Math.abs(iou(a, { x: 5, y: 0, width: 10, height: 10 }) - 1 / 3) < 1e-12);
+});
+
+test('IDs survive two people crossing paths', () => {
+    const ids = trackIds(new PersonTracker(), crossingFrames());
+    ids.forEach(frameIds => assert.deepEqual(frameIds, ['P1', 'P2']));
+});
+
+test('tracking is independent of video resolution', () => {
+    const small = trackIds(new PersonTracker(), crossingFrames(0.5));
+    const large = trackIds(new PersonTracker(), crossingFrames(3));
+    assert.deepEqual(small, large);
+});
+
+test('constant-velocity prediction bridges a short dropout', () => {
+    const tracker = new PersonTracker();
+    for (let i = 0; i < 10; i++) tracker.update([face(100 + i * 30, 200)], i * 100);
+    // Missing for 5 frames while moving 30px / 100ms, then seen further along
+    const { ids } = tracker.update([face(100 + 15 * 30, 200)], 1500);
+    assert.deepEqual(ids, ['P1']);
+});
+
+test('birth rule: tracks are confirmed only after minHits detections', () => {
+    const tracker = new PersonTracker({ minHits: 3 });
+    const seen = [0, 100, 200].map(t => tracker.update([face(100, 100)], t));
+    assert.deepEqual(seen.map(r => r.ids[0]), [null, null, 'P1']);
+    assert.deepEqual(seen[2].born, ['P1']);
+
+    // A one-frame false positive never becomes a person
+    tracker.update([face(100, 100), face(600, 100)], 300);
+    const later = tracker.update([face(100, 100)], 1000);
+    assert.equal(tracker.size, 1);
+    assert.deepEqual(later.ids, ['P1']);
+});
+
+test('death rule: tracks unseen for maxAge are removed and reported', () => {
+    const tracker = new PersonTracker({ maxAge: 1000 });
+    tracker.update([face(100, 100)], 0);
+    assert.deepEqual(tracker.update([], 900).died, []);
+    assert.deepEqual(tracker.update([], 1100).died, ['P1']);
+    assert.equal(tracker.size, 0);
+    assert.deepEqual(tracker.update([face(100, 100)], 1200).ids, ['P2']);
+});
+
+test('size-normalized gating rejects implausible jumps', () => {
+    const tracker = new PersonTracker();
+    tracker.update([face(100, 100)], 0);
+    // Same centre, very different size: a different face, not the same one
+    assert.deepEqual(tracker.update([face(75, 70, 150 * 1.5)], 66).ids, ['P2']);
+});
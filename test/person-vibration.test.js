@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScanPipeline, NeuroAnalyzer, serializeDetection, generateFaceSequence } from '../js/index.js';
+
+const calm = generateFaceSequence({ seed: 5, duration: 6 }).frames;
+const shaking = generateFaceSequence({
+    seed: 6, duration: 6, box: { x: 700, y: 120, width: 200, height: 240 },
+    tremor: { frequency: 6, amplitude: 10 }
+}).frames;
+
+// Detection-mode scan; faces(i) -> detections for frame i
+function scan(faces) {
+    const pipeline = new ScanPipeline();
+    pipeline.start('detection');
+    const frames = calm.map((f, i) => pipeline.processFrame(faces(i).map(serializeDetection), f.timestamp));
+    return { frames, report: pipeline.complete() };
+}
+
+// The detector's output order flips every frame
+const both = i => (i % 2 ? [shaking[i].detection, calm[i].detection] : [calm[i].detection, shaking[i].detection]);
+
+test('each tracked person keeps their own vibration, whatever the detection order', () => {
+    const pipeline = new ScanPipeline();
+    pipeline.start('detection');
+    const sums = { P1: 0, P2: 0 };
+    calm.forEach((f, i) => {
+        const frame = pipeline.processFrame(both(i).map(serializeDetection), f.timestamp);
+        const live = pipeline.liveView().persons;
+        live.forEach(p => { sums[p.personId] += p.vibration.vibration; });
+
+        // The live tiles show the most energetic person
+        assert.equal(frame.metrics.energy, Math.max(...live.map(p => p.vibration.energy)));
+    });
+    assert.ok(sums.P2 > sums.P1 * 2, `${sums.P2} vs ${sums.P1}`);
+
+    const shakingLive = pipeline.liveView().persons.find(p => p.personId === 'P2').vibration;
+    assert.ok(Math.abs(shakingLive.frequency - 6) <= 0.5, `${shakingLive.frequency} Hz`);
+});
+
+test('a calm person reads the same next to a shaking one as alone', () => {
+    const alone = scan(i => [calm[i].detection]).report.threatResults[0].vibration;
+    const { threatResults } = scan(both).report;
+    const byId = id => threatResults.find(r => r.personId === id).vibration;
+
+    assert.deepEqual(byId('P1'), alone);
+    assert.ok(byId('P2').vibration > alone.vibration * 2);
+    assert.ok(byId('P2').energy > byId('P1').energy * 4);
+    assert.ok(byId('P2').peakVibration >= byId('P2').vibration);
+    assert.equal(byId('P1').samples, calm.length - 1);
+});
+
+test('a face that leaves does not count the jump when it returns', () => {
+    const gap = i => (i >= 60 && i < 90 ? [] : [calm[i].detection]);
+    const { frames, report } = scan(gap);
+    assert.equal(frames[75].metrics, null);
+    assert.equal(frames[90].metrics.vibration, 0);
+    assert.equal(report.threatResults[0].vibration.samples, calm.length - 30 - 2);
+});
+
+test('regions cover every landmark once', () => {
+    const indices = new NeuroAnalyzer().facialRegions().flatMap(r => r.indices).sort((a, b) => a - b);
+    assert.deepEqual(indices, Array.from({ length: 68 }, (_, i) => i));
+});
+
+test('jaw tremor shows in the jaw region, not the brows', () => {
+    const pipeline = new ScanPipeline();
+    pipeline.start('deception');
+    let frame;
+    shaking.forEach(f => { frame = pipeline.processFrame([serializeDetection(f.detection)], f.timestamp); });
+
+    const live = Object.fromEntries(frame.metrics.regions.map(r => [r.region, r]));
+    assert.deepEqual(Object.keys(live), ['brows', 'eyes', 'nose', 'mouth', 'jaw']);
+    assert.ok(Math.abs(live.jaw.frequency - 6) <= 0.5, `jaw ${live.jaw.frequency} Hz`);
+
+    const { regions } = pipeline.complete().vibration;
+    const byRegion = Object.fromEntries(regions.map(r => [r.region, r]));
+    assert.ok(byRegion.jaw.energy > byRegion.brows.energy * 5, `jaw ${byRegion.jaw.energy}, brows ${byRegion.brows.energy}`);
+    assert.equal(byRegion.jaw.band, '4-8');
+    assert.ok(Math.abs(byRegion.brows.frequency - 6) > 0.5, `brows ${byRegion.brows.frequency} Hz`);
+    assert.ok(byRegion.jaw.vibration > byRegion.brows.vibration);
+});
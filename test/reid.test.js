@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReIdGallery, PersonTracker, ScanPipeline, SessionRecorder, replaySession, serializeDetection } from '../js/index.js';
+import { generateFaceSequence, createRng } from '../js/synthetic-faces.js';
+
+// Deterministic 128-d descriptors: unrelated identities sit ~1.1 apart (like real
+// face-api descriptors); `jitter` adds per-frame noise of about 6.5 * jitter
+function identity(seed, jitter = 0) {
+    const base = createRng(seed);
+    const noise = createRng(seed * 1000 + Math.round(jitter * 1e4));
+    return Array.from({ length: 128 }, () => (base() - 0.5) * 0.25 + (noise() - 0.5) * 2 * jitter);
+}
+
+function faceAt(detection, dx, descriptor) {
+    const face = serializeDetection(detection);
+    face.box.x += dx;
+    face.landmarks = face.landmarks.map(([x, y]) => [x + dx, y]);
+    face.descriptor = descriptor;
+    return face;
+}
+
+// Person A is visible 0-4 s, leaves for 5 s, and returns elsewhere in the frame at 9-13 s.
+// Person B is visible the whole time.
+function reentryFrames() {
+    const a = generateFaceSequence({ seed: 1, fps: 10, duration: 13 }).frames;
+    const b = generateFaceSequence({ seed: 2, fps: 10, duration: 13, box: { x: 600, y: 120, width: 180, height: 220 } }).frames;
+    return a.map((frame, i) => {
+        const t = frame.timestamp;
+        const faces = [];
+        if (t < 4000) faces.push(faceAt(frame.detection, 0, identity(1, (i % 5) * 0.005)));
+        else if (t >= 9000) faces.push(faceAt(frame.detection, 250, identity(1, (i % 4) * 0.005)));
+        faces.push(faceAt(b[i].detection, 0, identity(2, (i % 3) * 0.005)));
+        return { t, faces };
+    });
+}
+
+test('gallery matches the closest remembered identity within the threshold', () => {
+    const gallery = new ReIdGallery();
+    gallery.add('P1', identity(1), 0);
+    gallery.add('P2', identity(2), 0);
+
+    assert.equal(gallery.match(identity(1, 0.01), 100).personId, 'P1');
+    assert.equal(gallery.match(identity(1, 0.01), 100, ['P1']), null);
+    assert.equal(gallery.match(identity(7), 100), null);
+    assert.equal(gallery.match(identity(1), gallery.options.maxAge + 1), null, 'old entries expire');
+});
+
+test('tracker reassign moves a live track onto a remembered ID', () => {
+    const tracker = new PersonTracker();
+    const box = { detection: { box: { x: 0, y: 0, width: 100, height: 120 } } };
+    tracker.update([box], 0);
+    tracker.reassign('P1', 'P9');
+
+    assert.equal(tracker.has('P1'), false);
+    assert.equal(tracker.get('P9').id, 'P9');
+    assert.deepEqual(tracker.update([box], 66).ids, ['P9']);
+});
+
+test('returning person keeps their ID, history, time present and re-entry count', () => {
+    const pipeline = new ScanPipeline();
+    pipeline.start('detection', { reid: true });
+    reentryFrames().forEach(({ t, faces }) => pipeline.processFrame(faces, t));
+    const report = pipeline.complete();
+
+    assert.deepEqual(report.threatResults.map(r => r.personId).sort(), ['P1', 'P2']);
+    const a = report.threatResults.find(r => r.personId === 'P1');
+    const b = report.threatResults.find(r => r.personId === 'P2');
+
+    assert.equal(a.presence.reentries, 1);
+    assert.ok(Math.abs(a.presence.timePresent - 7.8) < 0.3, `P1 present ${a.presence.timePresent}s`);
+    assert.ok(a.framesAnalyzed >= 70, 'history continues across the gap');
+    assert.equal(b.presence.reentries, 0);
+    assert.ok(Math.abs(b.presence.timePresent - 12.9) < 0.3);
+});
+
+test('without re-ID the returning person is reported as someone new', () => {
+    const pipeline = new ScanPipeline();
+    pipeline.start('detection');
+    reentryFrames().forEach(({ t, faces }) => pipeline.processFrame(faces, t));
+    const report = pipeline.complete();
+
+    assert.equal(report.threatResults.length, 3);
+    report.threatResults.forEach(r => assert.equal(r.presence.reentries, 0));
+});
+
+test('re-ID sessions replay to the same report', () => {
+    const recorder = new SessionRecorder();
+    const pipeline = new ScanPipeline();
+    recorder.start({ mode: 'detection', reid: true });
+    pipeline.start('detection', { reid: true });
+    reentryFrames().forEach(({ t, faces }) => {
+        recorder.recordFrame(t, faces);
+        pipeline.processFrame(faces, t);
+    });
+    recorder.finish({ duration: 13 });
+
+    assert.equal(JSON.stringify(replaySession(recorder.toNDJSON())), JSON.stringify(pipeline.complete()));
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ThreatEngine, DeceptionEngine, ScanPipeline, STANDARD_PROFILE, BUILTIN_PROFILES, resolveProfile, parseProfile, serializeProfile } from '../js/index.js';
+import { faceFixture } from './fixtures/faces.js';
+
+const VOICE_REPORT = { baselineEstablished: true, voiceStressScore: 90, speechMetrics: { speechRatio: 80, snrDb: 30 } };
+
+function deceptionWith(profile, frames) {
+    const engine = new DeceptionEngine();
+    if (profile) engine.setProfile(profile);
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    return engine.fullAnalysis('S', VOICE_REPORT);
+}
+
+test('partial profiles inherit the standard weights', () => {
+    const profile = resolveProfile({ name: 'crowd', version: 2, threat: { composite: { aggression: 0.4 } } });
+    assert.equal(profile.version, '2');
+    assert.equal(profile.threat.composite.aggression, 0.4);
+    assert.equal(profile.threat.composite.deception, STANDARD_PROFILE.threat.composite.deception);
+    assert.deepEqual(profile.deception, STANDARD_PROFILE.deception);
+});
+
+test('invalid profiles are rejected with a reason', () => {
+    assert.throws(() => parseProfile('{'), /not valid JSON/);
+    assert.throws(() => resolveProfile({ version: '1' }), /name/);
+    assert.throws(() => resolveProfile({ name: 'x' }), /version/);
+    assert.throws(() => resolveProfile({ name: 'x', version: '1', threat: { composite: { stress: 'high' } } }), /threat\.composite\.stress/);
+});
+
+test('export and import round-trip', () => {
+    const voice = BUILTIN_PROFILES.find(p => p.name === 'voice-weighted');
+    assert.deepEqual(parseProfile(serializeProfile(voice)), voice);
+});
+
+test('results record the profile that scored them', () => {
+    const frames = faceFixture('stressed');
+    const engine = new ThreatEngine();
+    engine.setProfile(resolveProfile({ name: 'crowd', version: '2.1' }));
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    assert.deepEqual(engine.fullAnalysis('S').scoringProfile, { name: 'crowd', version: '2.1' });
+
+    const pipeline = new ScanPipeline();
+    pipeline.start('detection');
+    assert.deepEqual(pipeline.complete().scoringProfile, { name: 'standard', version: '1.0.0' });
+});
+
+test('voice weight moves the deception score towards voice stress', () => {
+    const frames = faceFixture('calm');
+    const standard = deceptionWith(null, frames);
+    const voiceWeighted = deceptionWith(BUILTIN_PROFILES.find(p => p.name === 'voice-weighted'), frames);
+
+    assert.ok(voiceWeighted.deceptionProbability > standard.deceptionProbability);
+    assert.equal(voiceWeighted.scoringProfile.name, 'voice-weighted');
+});
+
+test('composite weights change the threat score', () => {
+    const frames = faceFixture('stressed');
+    const score = (profile) => {
+        const engine = new ThreatEngine();
+        engine.setProfile(profile);
+        frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+        return engine.fullAnalysis('S').threatScore;
+    };
+
+    const stressOnly = resolveProfile({
+        name: 'stress-only', version: '1',
+        threat: { composite: { aggression: 0, stress: 1, deception: 0, tension: 0, badIntent: 0, instability: 0 } }
+    });
+    const engine = new ThreatEngine();
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    assert.equal(score(stressOnly), engine.fullAnalysis('S').metrics.stress);
+});
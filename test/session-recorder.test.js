@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    serializeDetection, toDetection, parseSession, replaySession, SessionRecorder, ScanPipeline,
+    SESSION_FORMAT, SESSION_VERSION, generateFaceSequence
+} from '../js/index.js';
+
+test('landmarks on the frame edge keep their zero coordinates', () => {
+    const { detection } = generateFaceSequence({ seed: 1, duration: 1 }).frames[0];
+    const positions = detection.landmarks.positions.map((p, i) => (i === 0 ? { _x: 0, _y: 0 } : { _x: p.x, _y: p.y }));
+    positions[1] = { x: 0, y: 12 };
+    const face = serializeDetection({ ...detection, landmarks: { _positions: positions } });
+    assert.deepEqual(face.landmarks.slice(0, 2), [[0, 0], [0, 12]]);
+
+    const recorder = new SessionRecorder();
+    recorder.start({ mode: 'detection' });
+    recorder.recordFrame(0, [face]);
+    recorder.finish({ duration: 1 });
+    const [replayed] = parseSession(recorder.toNDJSON()).frames[0].faces;
+    assert.deepEqual(toDetection(replayed).landmarks.positions[0], { x: 0, y: 0 });
+});
+
+// Record a scan while scoring it live, as the app does
+function recordScan(mode, frameFaces) {
+    const recorder = new SessionRecorder();
+    const pipeline = new ScanPipeline();
+    recorder.start({ mode });
+    pipeline.start(mode);
+    frameFaces.forEach(({ t, faces }) => {
+        const records = faces.map(serializeDetection);
+        recorder.recordFrame(t, records);
+        pipeline.processFrame(records, t);
+    });
+    recorder.finish({ duration: 6 });
+    return { live: pipeline.complete(), recorder };
+}
+
+const sequence = generateFaceSequence({ seed: 6, duration: 6 }).frames;
+const other = generateFaceSequence({ seed: 9, duration: 6, box: { x: 700, y: 80, width: 240, height: 280 } }).frames;
+
+test('recorded scans replay to a byte-identical report', () => {
+    const detection = recordScan('detection', sequence.map((f, i) => ({ t: f.timestamp, faces: [f.detection, other[i].detection] })));
+    assert.equal(detection.live.threatResults.length, 2);
+    assert.equal(JSON.stringify(replaySession(detection.recorder.toNDJSON())), JSON.stringify(detection.live));
+
+    // Frames without faces are recorded too
+    const deception = recordScan('deception', sequence.map((f, i) => ({ t: f.timestamp, faces: i % 50 < 5 ? [] : [f.detection] })));
+    const session = deception.recorder.toSession();
+    assert.equal(session.end.frameCount, sequence.length);
+    assert.equal(JSON.stringify(replaySession(session)), JSON.stringify(deception.live));
+});
+
+test('session files carry their format version', () => {
+    const { recorder } = recordScan('deception', sequence.slice(0, 30).map(f => ({ t: f.timestamp, faces: [f.detection] })));
+    const text = recorder.toNDJSON();
+    const header = JSON.parse(text.split('\n')[0]);
+    assert.equal(header.format, SESSION_FORMAT);
+    assert.equal(header.version, SESSION_VERSION);
+
+    const withHeader = changes => [JSON.stringify({ ...header, ...changes }), ...text.split('\n').slice(1)].join('\n');
+    assert.throws(() => parseSession(withHeader({ version: SESSION_VERSION + 1 })), /Unsupported session version/);
+    assert.throws(() => parseSession(withHeader({ format: 'something-else' })), /Not a Microsenses session file/);
+    assert.throws(() => parseSession(''), /Empty session file/);
+});
+
+test('version 1 files replay with their final baseline set before the frames', () => {
+    const spec = { source: 'marked', start: 1000, end: 4000 };
+    const faces = sequence.map(f => ({ t: f.timestamp, faces: [f.detection] }));
+    const { recorder } = recordScan('deception', faces);
+    const session = recorder.toSession();
+    const { baselineChanges, ...end } = session.end;
+    const v1 = { header: { ...session.header, version: 1 }, frames: session.frames, end: { ...end, baseline: spec } };
+
+    const live = new ScanPipeline();
+    live.start('deception');
+    live.setBaseline(spec);
+    session.frames.forEach(frame => live.processFrame(frame.faces, frame.t));
+    const report = replaySession(v1);
+    assert.equal(report.deceptionResult.baseline.source, 'marked');
+    assert.equal(JSON.stringify(report), JSON.stringify(live.complete()));
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ThreatEngine } from '../js/index.js';
+import { loadSettings, saveSettings, normalizeSettings, applyThreatSettings, DEFAULT_SETTINGS, SETTINGS_KEY } from '../js/settings.js';
+
+function memoryStorage() {
+    const data = new Map();
+    return {
+        getItem: (k) => (data.has(k) ? data.get(k) : null),
+        setItem: (k, v) => data.set(k, String(v))
+    };
+}
+
+test('defaults when nothing is saved or the saved value is corrupt', () => {
+    const storage = memoryStorage();
+    assert.deepEqual(loadSettings(storage), DEFAULT_SETTINGS);
+    storage.setItem(SETTINGS_KEY, '{not json');
+    assert.deepEqual(loadSettings(storage), DEFAULT_SETTINGS);
+    assert.deepEqual(loadSettings(null), DEFAULT_SETTINGS);
+});
+
+test('settings round-trip through storage', () => {
+    const storage = memoryStorage();
+    const saved = saveSettings({ sensitivity: 9, thresholds: { caution: 20, elevated: 40, critical: 60 }, alertScore: 50, scoreThreshold: 0.55 }, storage);
+    assert.deepEqual(loadSettings(storage), saved);
+    assert.equal(saved.thresholds.elevated, 40);
+});
+
+test('normalize clamps ranges and keeps thresholds strictly ordered', () => {
+    const s = normalizeSettings({ sensitivity: 40, thresholds: { caution: 60, elevated: 50, critical: '55' }, alertScore: -3, scoreThreshold: 'x' });
+    assert.equal(s.sensitivity, 10);
+    assert.deepEqual(s.thresholds, { caution: 60, elevated: 61, critical: 62 });
+    assert.equal(s.alertScore, 1);
+    assert.equal(s.scoreThreshold, DEFAULT_SETTINGS.scoreThreshold);
+});
+
+test('threat levels follow the applied thresholds', () => {
+    const engine = new ThreatEngine();
+    applyThreatSettings(engine, normalizeSettings({ sensitivity: 4, thresholds: { caution: 10, elevated: 20, critical: 30 } }));
+    assert.equal(engine.sensitivity, 4);
+    assert.equal(engine._getThreatLevel(25), 'elevated');
+    assert.equal(engine._getThreatLevel(30), 'critical');
+});
+
+test('live smoothing settings fall back per field', () => {
+    const s = normalizeSettings({ smoothing: { method: 'kalman', windowMs: 99999, hysteresis: '8', dwellMs: -5 } });
+    assert.deepEqual(s.smoothing, { method: DEFAULT_SETTINGS.smoothing.method, windowMs: 5000, hysteresis: 8, dwellMs: 0 });
+    assert.deepEqual(normalizeSettings({}).smoothing, DEFAULT_SETTINGS.smoothing);
+});
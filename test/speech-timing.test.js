@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VoiceStressEngine, ScanPipeline, serializeDetection, generateFaceSequence } from '../js/index.js';
+import { speechTimingForWindow, compareTiming, baselineTiming } from '../js/speech-timing.js';
+import { synthesizeSpeech } from './fixtures/audio.js';
+
+function voiceReport(pcm) {
+    const engine = new VoiceStressEngine();
+    engine.initPCM(16000);
+    engine.processPCM(pcm);
+    return engine.fullAnalysis();
+}
+
+function concat(...parts) {
+    const pcm = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+    parts.reduce((offset, p) => { pcm.set(p, offset); return offset + p.length; }, 0);
+    return pcm;
+}
+
+test('syllable rate follows the envelope of fluent speech', () => {
+    [3, 4, 5].forEach(syllableRate => {
+        const { speechMetrics } = voiceReport(synthesizeSpeech({ seed: syllableRate, duration: 8, syllableRate }));
+        assert.ok(Math.abs(speechMetrics.articulationRate - syllableRate) <= 0.3, `${speechMetrics.articulationRate} at ${syllableRate}/s`);
+        assert.equal(speechMetrics.pauses.count, 0);
+        assert.equal(speechMetrics.filledPauses.count, 0);
+    });
+});
+
+test('silent pauses are binned by length and held fillers are found', () => {
+    const { speechMetrics, speechTiming } = voiceReport(synthesizeSpeech({
+        seed: 3, duration: 10, syllableRate: 4,
+        pauses: [[2, 2.1], [3, 3.8], [6, 7.5]],
+        filled: [[1, 1.6], [8, 8.6]]
+    }));
+    // The 100 ms gap is articulation, not a pause
+    assert.equal(speechMetrics.pauses.count, 2);
+    assert.deepEqual(speechMetrics.pauses.distribution.map(b => b.count), [0, 1, 1, 0]);
+    assert.ok(Math.abs(speechMetrics.pauses.longestMs - 1500) <= 100, `${speechMetrics.pauses.longestMs} ms`);
+
+    assert.equal(speechMetrics.filledPauses.count, 2);
+    assert.ok(Math.abs(speechTiming.filledPauses[1].start - 8000) <= 150, JSON.stringify(speechTiming.filledPauses));
+    // Pauses lower the speech rate, not the articulation rate
+    assert.ok(speechMetrics.speechRate < speechMetrics.articulationRate);
+});
+
+test('window measures skip the wait before an answer and fillers in the syllable count', () => {
+    const report = {
+        speechSpans: [{ start: 1000, end: 2000 }, { start: 2100, end: 2600 }, { start: 3400, end: 4000 }],
+        speechTiming: { nuclei: [1200, 1500, 1800, 2300, 3500, 3700], filledPauses: [{ start: 3400, end: 3800 }] }
+    };
+    const timing = speechTimingForWindow(report, 0, 5000);
+    assert.equal(timing.speakingMs, 2100);
+    assert.equal(timing.syllables, 4);
+    assert.equal(timing.speechRate, 1.3);
+    assert.equal(timing.pauses.count, 1);
+    assert.equal(timing.pauses.meanMs, 800);
+    assert.equal(timing.filledPauses.count, 1);
+
+    // Under a second of speech has no rate
+    const short = speechTimingForWindow(report, 3000, 5000);
+    assert.equal(short.speechRate, null);
+    assert.equal(short.pauses.perMinute, null);
+    assert.equal(speechTimingForWindow({ speechSpans: [] }, 0, 1000), null);
+});
+
+test('cues fire on the cognitive-load side of the baseline only', () => {
+    const baseline = baselineTiming([
+        { responseLatencyMs: 300, speechRate: 4, articulationRate: 4, pausesPerMinute: 2, meanPauseMs: 400, filledPerMinute: 0 },
+        { responseLatencyMs: 500, speechRate: 3.6, articulationRate: 4, pausesPerMinute: null, meanPauseMs: null, filledPerMinute: null }
+    ]);
+    assert.equal(baseline.responseLatencyMs, 400);
+    assert.equal(baseline.pausesPerMinute, 2);
+
+    const slow = compareTiming({ responseLatencyMs: 1400, speechRate: 2.9, articulationRate: 3.5, pausesPerMinute: 9, meanPauseMs: 900, filledPerMinute: 4 }, baseline);
+    assert.deepEqual(slow.cues, ['SLOW TO ANSWER', 'SLOWER SPEECH', 'MORE PAUSES', 'LONGER PAUSES', 'MORE FILLED PAUSES']);
+    assert.equal(slow.changes.speechRate, -0.9);
+
+    const brisk = compareTiming({ responseLatencyMs: 0, speechRate: 5, articulationRate: 5, pausesPerMinute: 0, meanPauseMs: 0, filledPerMinute: null }, baseline);
+    assert.deepEqual(brisk.cues, []);
+    assert.equal(brisk.changes.filledPerMinute, null);
+});
+
+test('a hesitant relevant answer stands out against the neutral answers', () => {
+    // Two fluent neutral answers, then a late, slow, broken one
+    const pcm = concat(
+        synthesizeSpeech({ seed: 1, duration: 14, syllableRate: 4, pauses: [[0, 2.3], [6, 8.3], [12, 14]] }),
+        synthesizeSpeech({ seed: 2, duration: 10, syllableRate: 2.5, pauses: [[0, 1.5], [3, 3.8], [5.5, 6.5]], filled: [[7, 7.6], [8.5, 9]] })
+    );
+    const vsa = voiceReport(pcm);
+
+    const { frames } = generateFaceSequence({ seed: 4, duration: 24 });
+    const marks = [
+        { at: 2000, label: 'Is your name Sam?', type: 'neutral' },
+        { at: 8000, label: 'Do you live in Leeds?', type: 'neutral' },
+        { at: 14000, label: 'Did you take the money?', type: 'relevant' }
+    ];
+    const pipeline = new ScanPipeline();
+    pipeline.start('deception');
+    frames.forEach(f => {
+        pipeline.processFrame([serializeDetection(f.detection)], f.timestamp);
+        while (marks.length > 0 && f.timestamp >= marks[0].at) {
+            const { label, type } = marks.shift();
+            pipeline.markQuestion(label, type);
+        }
+    });
+    const { questions, timingBaseline } = pipeline.complete(vsa).deceptionResult;
+
+    assert.equal(timingBaseline.source, 'neutral');
+    assert.equal(timingBaseline.answers, 2);
+    const [name, , money] = questions;
+    assert.ok(Math.abs(name.responseLatencyMs - 300) <= 100, `${name.responseLatencyMs} ms`);
+    assert.ok(Math.abs(money.responseLatencyMs - 1500) <= 100, `${money.responseLatencyMs} ms`);
+    assert.equal(money.timing.pauses.count, 2);
+    assert.equal(money.timing.filledPauses.count, 2);
+    assert.deepEqual(money.timingChange.cues, ['SLOW TO ANSWER', 'SLOWER SPEECH', 'MORE PAUSES', 'LONGER PAUSES', 'MORE FILLED PAUSES']);
+    assert.deepEqual(name.timingChange.cues, []);
+});
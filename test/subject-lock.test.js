@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScanPipeline, SessionRecorder, replaySession, serializeDetection, generateFaceSequence } from '../js/index.js';
+
+const subject = generateFaceSequence({ seed: 3, duration: 10 }).frames;
+// Larger face walking through behind the subject from 3 s to 7 s
+const intruder = generateFaceSequence({
+    seed: 8, duration: 10, box: { x: 700, y: 60, width: 320, height: 380 },
+    microExpressions: [{ at: 4, expression: 'angry', durationMs: 2000, intensity: 0.9 }]
+}).frames;
+const SUBJECT_POINT = { x: 300, y: 240 };
+
+// faces(i) -> face records for frame i; locks: [{ at: ms, point }]
+function run(faces, locks = [], recorder = null) {
+    const pipeline = new ScanPipeline();
+    pipeline.start('deception');
+    if (recorder) recorder.start({ mode: 'deception' });
+    const pending = [...locks];
+    const frames = subject.map((f, i) => {
+        const records = faces(i).map(serializeDetection);
+        if (recorder) recorder.recordFrame(f.timestamp, records);
+        const frame = pipeline.processFrame(records, f.timestamp);
+        while (pending.length > 0 && f.timestamp >= pending[0].at) {
+            const { point } = pending.shift();
+            const locked = pipeline.lockSubject(point);
+            if (locked && recorder) recorder.recordSubjectLock(locked.t, point);
+        }
+        return frame;
+    });
+    if (recorder) recorder.finish({ duration: 10 });
+    return { pipeline, frames, report: pipeline.complete() };
+}
+
+const inView = (i, from, to) => subject[i].timestamp < from || subject[i].timestamp >= to;
+const alone = i => [subject[i].detection];
+const crowded = i => (inView(i, 3000, 7000) ? alone(i) : [subject[i].detection, intruder[i].detection]);
+
+test('a locked subject is not taken over by a larger face', () => {
+    const reference = run(alone).report;
+    const unlocked = run(crowded).report;
+    const locked = run(crowded, [{ at: 1000, point: SUBJECT_POINT }]);
+
+    assert.notDeepEqual(unlocked.deceptionResult, reference.deceptionResult);
+    assert.deepEqual(locked.report.deceptionResult, reference.deceptionResult);
+    assert.deepEqual(locked.report.subjectVisibility, { locked: true, lockedAt: 1, visiblePercent: 100, lostPeriods: [] });
+
+    const during = locked.frames[150];
+    assert.equal(during.detections.length, 2);
+    assert.equal(during.subject, during.detections[0]);
+    assert.deepEqual(during.subjectLock, { personId: 'P1', lost: false });
+});
+
+test('periods without the locked face are reported, not filled with other faces', () => {
+    // The subject steps out from 4 s to 6 s while the other face stays
+    const stepsOut = i => {
+        const faces = inView(i, 4000, 6000) ? alone(i) : [];
+        return inView(i, 3000, 7000) ? faces : [...faces, intruder[i].detection];
+    };
+    const locked = run(stepsOut, [{ at: 1000, point: SUBJECT_POINT }]);
+    const reference = run(i => (inView(i, 4000, 6000) ? alone(i) : [])).report;
+
+    assert.deepEqual(locked.report.deceptionResult, reference.deceptionResult);
+    const vis = locked.report.subjectVisibility;
+    assert.equal(vis.lostPeriods.length, 1);
+    assert.ok(Math.abs(vis.lostPeriods[0].startSeconds - 4) <= 0.1 && Math.abs(vis.lostPeriods[0].endSeconds - 6) <= 0.1);
+    assert.ok(vis.visiblePercent >= 78 && vis.visiblePercent <= 82, `${vis.visiblePercent}% visible`);
+
+    const away = locked.frames[150];
+    assert.equal(away.subject, null);
+    assert.deepEqual(away.subjectLock, { personId: 'P1', lost: true });
+});
+
+// Out of view from 3 s to 7.5 s: the tracker drops the track and the return is a new one
+const longAbsence = i => (inView(i, 3000, 7500) ? alone(i) : []);
+const described = (faces, descriptor) => i => faces(i).map(det => ({ ...det, descriptor: descriptor(i) }));
+const OWN = new Array(128).fill(0.1);
+const STRANGER = new Array(128).fill(0.3);
+
+test('a locked subject who leaves for longer than maxAge is picked up again by descriptor', () => {
+    const locked = run(described(longAbsence, () => OWN), [{ at: 1000, point: SUBJECT_POINT }]);
+    const reference = run(longAbsence).report;
+
+    assert.deepEqual(locked.report.deceptionResult, reference.deceptionResult);
+    const vis = locked.report.subjectVisibility;
+    assert.equal(vis.lostPeriods.length, 1);
+    assert.ok(Math.abs(vis.lostPeriods[0].endSeconds - 7.5) <= 0.1);
+    assert.ok(vis.visiblePercent >= 53 && vis.visiblePercent <= 57, `${vis.visiblePercent}% visible`);
+    assert.deepEqual(locked.frames[240].subjectLock, { personId: 'P1', lost: false });
+
+    // Someone who stayed in view meanwhile is not taken for the returning subject
+    const withBystander = i => [...described(longAbsence, () => OWN)(i), { ...intruder[i].detection, descriptor: OWN }];
+    const watched = run(withBystander, [{ at: 1000, point: SUBJECT_POINT }]);
+    assert.deepEqual(watched.report.subjectVisibility, vis);
+    assert.equal(watched.frames[150].subject, null);
+    assert.equal(watched.frames[240].subject.detection.box.x, 200);
+
+    // A stranger sitting down in the subject's place is not
+    const replaced = run(described(longAbsence, i => (subject[i].timestamp < 3000 ? OWN : STRANGER)),
+        [{ at: 1000, point: SUBJECT_POINT }]);
+    assert.deepEqual(replaced.frames[240].subjectLock, { personId: 'P1', lost: true });
+});
+
+test('without descriptors a returning face never gets the locked ID', () => {
+    // A different face walks in alone after the subject has gone
+    const stranger = i => (subject[i].timestamp < 3000 ? alone(i) : subject[i].timestamp >= 7500 ? [intruder[i].detection] : []);
+    const taken = run(stranger, [{ at: 1000, point: SUBJECT_POINT }]);
+    assert.deepEqual(taken.frames[240].subjectLock, { personId: 'P1', lost: true });
+    assert.equal(taken.frames[240].subject, null);
+    assert.equal(taken.report.deceptionResult.framesAnalyzed, run(i => (subject[i].timestamp < 3000 ? alone(i) : [])).report.deceptionResult.framesAnalyzed);
+
+    // The subject's own return is not recognized either: they stay lost until locked again
+    const unseen = run(longAbsence, [{ at: 1000, point: SUBJECT_POINT }, { at: 8000, point: SUBJECT_POINT }]);
+    assert.deepEqual(unseen.frames[230].subjectLock, { personId: 'P1', lost: true });
+    assert.equal(unseen.frames[245].subjectLock.lost, false);
+});
+
+test('taps outside every face are ignored and null releases the lock', () => {
+    const pipeline = new ScanPipeline();
+    pipeline.start('deception');
+    const records = crowded(120).map(serializeDetection);
+    pipeline.processFrame(records, subject[120].timestamp);
+
+    assert.equal(pipeline.lockSubject({ x: 5, y: 5 }), null);
+    assert.equal(pipeline.lockSubject(SUBJECT_POINT).personId, 'P1');
+    assert.equal(pipeline.processFrame(records, subject[121].timestamp).subject.detection.box.x, 200);
+
+    assert.deepEqual(pipeline.lockSubject(null), { personId: null, t: subject[121].timestamp });
+    assert.equal(pipeline.processFrame(records, subject[122].timestamp).subject.detection.box.x, 700);
+});
+
+test('sessions with a subject lock replay to the same report', () => {
+    const recorder = new SessionRecorder();
+    const { report } = run(crowded, [{ at: 2000, point: SUBJECT_POINT }], recorder);
+    assert.equal(report.subjectVisibility.locked, true);
+    assert.equal(JSON.stringify(replaySession(recorder.toNDJSON())), JSON.stringify(report));
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { generateFaceSequence, DeceptionEngine, ThreatEngine, NeuroAnalyzer } from '../js/index.js';
+
+function runDeception(options) {
+    const { frames, truth } = generateFaceSequence(options);
+    const engine = new DeceptionEngine();
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    return { engine, truth };
+}
+
+function threatHistory(options) {
+    const { frames } = generateFaceSequence(options);
+    const engine = new ThreatEngine();
+    engine.setMode('deception');
+    frames.forEach(f => engine.processFrame('S', f.detection, f.timestamp));
+    return engine.frameHistory.get('S');
+}
+
+test('same seed gives identical frames, different seed does not', () => {
+    const a = generateFaceSequence({ seed: 7, duration: 2 });
+    const b = generateFaceSequence({ seed: 7, duration: 2 });
+    const c = generateFaceSequence({ seed: 8, duration: 2 });
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a.frames, c.frames);
+});
+
+test('frames have the face-api detection shape the engines consume', () => {
+    const { frames } = generateFaceSequence({ duration: 1 });
+    assert.equal(frames.length, 30);
+    const det = frames[0].detection;
+    assert.equal(det.landmarks.positions.length, 68);
+    assert.ok(det.detection.box.width > 0);
+    const sum = Object.values(det.expressions).reduce((s, v) => s + v, 0);
+    assert.ok(Math.abs(sum - 1) < 1e-9);
+
+    const data = new ThreatEngine()._extractFrameData(det, frames[0].timestamp);
+    assert.equal(data.landmarks.length, 68);
+    assert.equal(data.expressions.neutral, det.expressions.neutral);
+});
+
+test('_trackBlinks counts every generated blink', () => {
+    const { engine, truth } = runDeception({ duration: 30, blinks: { rate: 18 } });
+    assert.ok(truth.blinks.length >= 6);
+    assert.equal(engine.blinkState.get('S').blinks.length, truth.blinks.length);
+});
+
+test('explicit blink times and a suppress-then-burst pattern are recognised', () => {
+    const { engine, truth } = runDeception({
+        duration: 20,
+        blinks: { times: [1, 3, 5] },
+        suppressBurst: { at: 6, suppressSec: 6, burstCount: 4, burstGapMs: 400 }
+    });
+    assert.deepEqual(truth.blinks.map(t => Math.round(t * 10) / 10), [1, 3, 5, 12, 12.4, 12.8, 13.2]);
+
+    const pattern = engine._analyzeBlinkPatterns('S', engine.frameHistory.get('S'), 30);
+    assert.equal(pattern.totalBlinks, 7);
+    assert.ok(pattern.suppressionEvents >= 1);
+    assert.ok(pattern.suppressBurstPattern >= 1);
+});
+
+test('_detectMicroExpressions logs short spikes with the right type', () => {
+    const { engine } = runDeception({
+        duration: 8,
+        blinks: { rate: 0 },
+        microExpressions: [
+            { at: 2, expression: 'fearful', durationMs: 100, intensity: 0.6 },
+            { at: 5, expression: 'happy', durationMs: 130, intensity: 0.5 }
+        ]
+    });
+    const log = engine.microExpressionLog.get('S');
+    assert.deepEqual(log.map(m => m.type), ['fear-cluster', 'duping-delight']);
+    assert.deepEqual(log.map(m => m.timestamp), [2000, 5000]);
+});
+
+test('_detectMicroExpressions ignores sustained expressions', () => {
+    const { engine } = runDeception({
+        duration: 6,
+        blinks: { rate: 0 },
+        microExpressions: [{ at: 2, expression: 'angry', durationMs: 1500, intensity: 0.6 }]
+    });
+    assert.equal(engine.microExpressionLog.get('S').length, 0);
+});
+
+test('_detectMicroExpressions times onset, apex and offset in milliseconds at any frame rate', () => {
+    for (const fps of [30, 60]) {
+        const { engine } = runDeception({
+            fps,
+            duration: 6,
+            blinks: { rate: 0 },
+            microExpressions: [
+                { at: 2, expression: 'disgusted', durationMs: 250, intensity: 0.5 },
+                { at: 4, expression: 'surprised', durationMs: 20, intensity: 0.6 }
+            ]
+        });
+        const log = engine.microExpressionLog.get('S');
+        assert.equal(log.length, 1, `${fps} fps: the 20 ms flash is below 1/25 s`);
+
+        const [m] = log;
+        assert.equal(m.type, 'disgust-leak');
+        assert.ok(m.onsetMs < m.apexMs && m.apexMs < m.offsetMs);
+        assert.ok(Math.abs(m.durationMs - 250) <= 1000 / fps, `${fps} fps: ${m.durationMs} ms`);
+        assert.equal(m.intensity, 0.5);
+        assert.equal(m.apexExpressions.disgusted, 0.5);
+        assert.ok(m.apexActionUnits.AU9 >= 0.2);
+    }
+});
+
+test('_classifyMicroExpression reads the face at apex', () => {
+    const engine = new DeceptionEngine();
+    const face = { angry: 0, disgusted: 0, fearful: 0, happy: 0, neutral: 0.5, sad: 0, surprised: 0 };
+    const classify = (key, blend, actionUnits = null) =>
+        engine._classifyMicroExpression({ key, apexExpressions: { ...face, ...blend }, apexActionUnits: actionUnits });
+
+    assert.equal(classify('happy', { happy: 0.4 }), 'duping-delight');
+    assert.equal(classify('happy', { happy: 0.4, angry: 0.3 }), 'masking-smile');
+    assert.equal(classify('surprised', { surprised: 0.5 }), 'surprise-flash');
+    assert.equal(classify('surprised', { surprised: 0.5 }, { AU4: 0.4 }), 'fear-cluster');
+    assert.equal(classify('sad', { sad: 0.5 }), 'distress-leak');
+});
+
+test('_analyzeMicroTremors recovers the jaw tremor frequency', () => {
+    const neuro = new NeuroAnalyzer();
+    const still = neuro._analyzeMicroTremors(threatHistory({ duration: 10 }), 30);
+
+    for (const frequency of [3, 5]) {
+        const result = neuro._analyzeMicroTremors(threatHistory({ duration: 10, tremor: { frequency, amplitude: 1.5 } }), 30);
+        assert.ok(Math.abs(result.dominantFrequency - frequency) <= 0.5, `expected ~${frequency} Hz, got ${result.dominantFrequency}`);
+        assert.ok(result.tremorScore > still.tremorScore + 20);
+    }
+});
+
+test('incongruent happy + fear frames carry both expressions', () => {
+    const { frames } = generateFaceSequence({ duration: 3, incongruent: [{ at: 1, durationMs: 500, happy: 0.45, fearful: 0.35 }] });
+    const inside = frames.filter(f => f.timestamp >= 1000 && f.timestamp < 1500);
+    assert.ok(inside.length > 0);
+    inside.forEach(f => {
+        assert.equal(f.detection.expressions.happy, 0.45);
+        assert.equal(f.detection.expressions.fearful, 0.35);
+    });
+});
+
+test('head drift moves the box and landmarks together', () => {
+    const { frames } = generateFaceSequence({ duration: 2, noise: 0, drift: { vx: 20, vy: -5 } });
+    const first = frames[0].detection;
+    const last = frames[frames.length - 1].detection;
+    const dx = last.detection.box.x - first.detection.box.x;
+    assert.ok(Math.abs(dx - 20 * frames[frames.length - 1].timestamp / 1000) < 1e-6);
+    assert.ok(Math.abs((last.landmarks.positions[30].x - first.landmarks.positions[30].x) - dx) < 1e-6);
+});
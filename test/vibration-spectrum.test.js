@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { VibrationSpectrum, periodogram, hannWindow, summarizeSpectrum } from '../js/vibration-spectrum.js';
+import { createRng } from '../js/synthetic-faces.js';
+
+// Two-landmark "face" whose first x coordinate follows signal(t in s)
+function feed(spectrum, signal, { fps = 30, duration = 8, start = 0, jitterMs = 0, seed = 1 } = {}) {
+    const rng = createRng(seed);
+    for (let i = 0; i < duration * fps; i++) {
+        const t = start + i * 1000 / fps + (i > 0 ? (rng() - 0.5) * jitterMs : 0);
+        spectrum.push(t, [{ x: signal(t / 1000), y: 0 }, { x: 0, y: 0 }]);
+    }
+    return spectrum;
+}
+
+const tone = (hz, amplitude = 1) => t => amplitude * Math.sin(2 * Math.PI * hz * t);
+
+test('the periodogram preserves the signal variance', () => {
+    const n = 64;
+    const rng = createRng(3);
+    const segment = Array.from({ length: n }, () => rng() * 2 - 1);
+    const mean = segment.reduce((s, v) => s + v, 0) / n;
+    const variance = segment.reduce((s, v) => s + (v - mean) ** 2, 0) / n;
+
+    // Parseval with a rectangular window
+    const power = periodogram(segment, new Float64Array(n).fill(1), 30);
+    const total = power.reduce((s, v) => s + v, 0) * 30 / n;
+    assert.ok(Math.abs(total - variance) < 1e-9, `${total} vs ${variance}`);
+    assert.equal(hannWindow(n).length, n);
+});
+
+test('a pure tone gives its frequency, its band and a low entropy', () => {
+    [[2, '0-4'], [6, '4-8'], [10, '8-12'], [13, '12+']].forEach(([hz, name]) => {
+        const result = feed(new VibrationSpectrum(), tone(hz)).live();
+        assert.ok(Math.abs(result.dominantFrequency - hz) <= 0.5, `${hz} Hz read as ${result.dominantFrequency}`);
+        assert.equal(result.bands.reduce((a, b) => (b.percent > a.percent ? b : a)).name, name);
+        assert.ok(result.entropy < 0.5, `entropy ${result.entropy}`);
+    });
+});
+
+test('noise spreads across the bands with a high entropy', () => {
+    const rng = createRng(9);
+    const result = feed(new VibrationSpectrum(), () => rng() * 2 - 1).overall();
+    assert.ok(result.entropy > 0.9, `entropy ${result.entropy}`);
+    result.bands.forEach(b => assert.ok(b.percent > 10, `${b.name}: ${b.percent}%`));
+    assert.ok(result.bands.reduce((s, b) => s + b.percent, 0) >= 99);
+});
+
+test('irregular, slower frames are resampled to the same spectrum', () => {
+    const steady = feed(new VibrationSpectrum(), tone(2, 2)).live();
+    const uneven = feed(new VibrationSpectrum(), tone(2, 2), { fps: 15, jitterMs: 20 }).live();
+    assert.equal(uneven.dominantFrequency, steady.dominantFrequency);
+    assert.ok(Math.abs(uneven.power - steady.power) / steady.power < 0.15, `${uneven.power} vs ${steady.power}`);
+});
+
+test('nothing is reported before a full segment, and gaps restart the live window', () => {
+    const spectrum = feed(new VibrationSpectrum(), tone(6), { duration: 2 });
+    assert.equal(spectrum.live(), null);
+    assert.equal(spectrum.overall(), null);
+
+    feed(spectrum, tone(6), { duration: 4, start: 2000 });
+    const segments = spectrum.segments;
+    assert.ok(segments > 0 && spectrum.live() !== null);
+
+    // A jump far past maxGapMs: the live spectrum starts over, the scan average stays
+    spectrum.push(60000, [{ x: 0, y: 0 }, { x: 0, y: 0 }]);
+    assert.equal(spectrum.live(), null);
+    assert.equal(spectrum.segments, segments);
+    assert.deepEqual(summarizeSpectrum([5, 0, 0], 1).bands.map(b => b.percent), [0, 0, 0, 0]);
+});
+
+test('landmark groups get the spectra of their own coordinates', () => {
+    const groups = [{ name: 'moving', indices: [0] }, { name: 'still', indices: [1] }];
+    const spectrum = feed(new VibrationSpectrum({ groups }), tone(6));
+    const whole = spectrum.overall();
+    assert.deepEqual(spectrum.overall('moving'), whole);
+    assert.equal(spectrum.live('still').power, 0);
+    assert.equal(spectrum.live('unknown'), null);
+});